@@ -138,6 +138,19 @@ function addVisualizationContainer() {
         
         console.log('Visualization container added');
     }
+    
+    // The timeline sits next to the network visualization
+    if (!document.getElementById('timeline-container')) {
+        const timelineContainer = document.createElement('div');
+        timelineContainer.id = 'timeline-container';
+        timelineContainer.className = 'visualization-content timeline-content';
+        timelineContainer.setAttribute('data-description', 'Timeline of lifespans, works, events and affiliations');
+        timelineContainer.style.display = 'none';
+        
+        vizContainer.parentNode.insertBefore(timelineContainer, vizContainer.nextSibling);
+        
+        console.log('Timeline container added');
+    }
 }
 
 /**
@@ -667,6 +680,37 @@ function loadDatabaseListing() {
     
     databaseContent.appendChild(alphabetNav);
     
+    // Network of the whole database
+    if (typeof visualizeFullNetwork === 'function') {
+        const networkButton = document.createElement('button');
+        networkButton.className = 'action-btn visualize-btn';
+        networkButton.textContent = '◉ Network of all academics';
+        networkButton.addEventListener('click', () => {
+            hideAllSections();
+            document.getElementById('results-container').style.display = 'block';
+            visualizeFullNetwork();
+        });
+        databaseContent.appendChild(networkButton);
+    }
+    
+    // Timeline of the whole database
+    if (typeof visualizeDatabaseTimeline === 'function') {
+        const timelineButton = document.createElement('button');
+        timelineButton.className = 'action-btn timeline-btn';
+        timelineButton.textContent = '⧗ Timeline of all academics';
+        timelineButton.addEventListener('click', () => {
+            hideAllSections();
+            document.getElementById('results-container').style.display = 'block';
+            visualizeDatabaseTimeline();
+        });
+        databaseContent.appendChild(timelineButton);
+    }
+    
+    // Most central thinkers in the connection graph
+    if (typeof GRAPH_METRICS !== 'undefined' && academics.length > 0) {
+        databaseContent.appendChild(createCentralityTable());
+    }
+    
     // Create academic listings by letter
     letters.forEach(letter => {
         const letterSection = document.createElement('div');
@@ -689,6 +733,7 @@ function loadDatabaseListing() {
             academicLink.href = '#';
             academicLink.addEventListener('click', (e) => {
                 e.preventDefault();
+                hideSearchResults();
                 displayAcademic(academic);
                 
                 // Switch to results view
@@ -721,6 +766,91 @@ function loadDatabaseListing() {
     });
 }
 
+/**
+ * Create the sortable table of the most central thinkers
+ * Clicking a column header sorts by that metric; clicking a name opens the academic's profile
+ * @param {string} sortBy - Metric in GRAPH_METRICS to sort by
+ * @returns {HTMLElement} Table section
+ */
+function createCentralityTable(sortBy = 'pageRank') {
+    const section = document.createElement('div');
+    section.className = 'centrality-section';
+    
+    const heading = document.createElement('h2');
+    heading.textContent = 'Most central thinkers';
+    section.appendChild(heading);
+    
+    const table = document.createElement('table');
+    table.className = 'centrality-table';
+    
+    const headerRow = document.createElement('tr');
+    ['Academic', ...Object.keys(GRAPH_METRICS), 'Community'].forEach(column => {
+        const header = document.createElement('th');
+        header.textContent = GRAPH_METRICS[column] || column;
+        
+        if (GRAPH_METRICS[column]) {
+            header.className = column === sortBy ? 'sortable sorted' : 'sortable';
+            header.setAttribute('aria-sort', column === sortBy ? 'descending' : 'none');
+            header.tabIndex = 0;
+            
+            const sort = () => section.replaceWith(createCentralityTable(column));
+            header.addEventListener('click', sort);
+            header.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    sort();
+                }
+            });
+        }
+        
+        headerRow.appendChild(header);
+    });
+    table.appendChild(headerRow);
+    
+    databaseManager.getMostCentralAcademics(sortBy, 10).forEach(entry => {
+        const row = document.createElement('tr');
+        
+        const nameCell = document.createElement('td');
+        const link = document.createElement('a');
+        link.href = '#';
+        link.textContent = entry.academic.name;
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            hideSearchResults();
+            displayAcademic(entry.academic);
+            hideAllSections();
+            document.getElementById('results-container').style.display = 'block';
+        });
+        nameCell.appendChild(link);
+        
+        if (entry.bridge) {
+            const bridge = document.createElement('span');
+            bridge.className = 'bridge-tag';
+            bridge.textContent = 'bridge';
+            bridge.title = 'Connects different communities';
+            nameCell.appendChild(document.createTextNode(' '));
+            nameCell.appendChild(bridge);
+        }
+        
+        row.appendChild(nameCell);
+        
+        // Degrees are counts; the other metrics are fractions
+        Object.keys(GRAPH_METRICS).forEach(metric => {
+            const cell = document.createElement('td');
+            cell.textContent = metric === 'degree' ? entry.degree : entry[metric].toFixed(3);
+            row.appendChild(cell);
+        });
+        
+        const communityCell = document.createElement('td');
+        communityCell.textContent = entry.communityLabel;
+        row.appendChild(communityCell);
+        
+        table.appendChild(row);
+    });
+    
+    section.appendChild(table);
+    return section;
+}
+
 /**
  * Load novelty tiles
  */
@@ -768,6 +898,18 @@ function loadNoveltyTiles() {
         tileContent.textContent = tile.content;
         tileElement.appendChild(tileContent);
         
+        // Link the tile to its academic if it refers to one
+        const tileAcademic = databaseManager.getAcademicById(tile.academicId);
+        if (tileAcademic) {
+            tileElement.classList.add('tile-linked');
+            tileElement.addEventListener('click', () => {
+                hideSearchResults();
+                displayAcademic(tileAcademic);
+                hideAllSections();
+                document.getElementById('results-container').style.display = 'block';
+            });
+        }
+        
         const tileDate = document.createElement('div');
         tileDate.className = 'tile-date';
         tileDate.textContent = new Date(tile.date).toLocaleDateString();
@@ -812,6 +954,15 @@ function displayAcademic(academic) {
     name.textContent = academic.name;
     header.appendChild(name);
     
+    // Lifespan, e.g. "1926–1984", "c. 428–348 BCE" or "b. 1956"
+    const lifespanText = formatLifespan(academic);
+    if (lifespanText) {
+        const lifespan = document.createElement('div');
+        lifespan.className = 'academic-lifespan';
+        lifespan.textContent = lifespanText;
+        header.appendChild(lifespan);
+    }
+    
     // Add action buttons
     const actionButtons = document.createElement('div');
     actionButtons.className = 'action-buttons';
@@ -824,12 +975,12 @@ function displayAcademic(academic) {
     favoriteButton.addEventListener('click', () => {
         if (typeof databaseManager !== 'undefined') {
             const favorites = databaseManager.getFavorites();
-            if (favorites.includes(academic.name)) {
-                databaseManager.removeFromFavorites(academic.name);
+            if (favorites.includes(academic.id)) {
+                databaseManager.removeFromFavorites(academic.id);
                 favoriteButton.classList.remove('active');
                 favoriteButton.title = 'Add to favorites';
             } else {
-                databaseManager.addToFavorites(academic.name);
+                databaseManager.addToFavorites(academic.id);
                 favoriteButton.classList.add('active');
                 favoriteButton.title = 'Remove from favorites';
             }
@@ -839,7 +990,7 @@ function displayAcademic(academic) {
     // Check if already in favorites
     if (typeof databaseManager !== 'undefined') {
         const favorites = databaseManager.getFavorites();
-        if (favorites.includes(academic.name)) {
+        if (favorites.includes(academic.id)) {
             favoriteButton.classList.add('active');
             favoriteButton.title = 'Remove from favorites';
         }
@@ -862,15 +1013,70 @@ function displayAcademic(academic) {
     });
     actionButtons.appendChild(visualizeButton);
     
+    // Timeline button
+    const timelineButton = document.createElement('button');
+    timelineButton.className = 'action-btn timeline-btn';
+    timelineButton.innerHTML = '⧗';
+    timelineButton.title = 'Show timeline';
+    timelineButton.addEventListener('click', () => {
+        if (typeof visualizeAcademicTimeline === 'function') {
+            visualizeAcademicTimeline(academic);
+        } else {
+            console.error('Timeline function not available');
+            displayErrorMessage('Timeline functionality is not available', 'visualization');
+        }
+    });
+    actionButtons.appendChild(timelineButton);
+    
     header.appendChild(actionButtons);
     academicProfile.appendChild(header);
     
+    // Profile and history are shown as tabs
+    const profileView = document.createElement('div');
+    profileView.className = 'profile-tab-content';
+    
+    const historyView = document.createElement('div');
+    historyView.className = 'history-tab-content';
+    historyView.style.display = 'none';
+    
+    const tabBar = document.createElement('div');
+    tabBar.className = 'profile-tabs';
+    
+    [['Profile', profileView], ['History', historyView]].forEach(([label, view], i) => {
+        const tabButton = document.createElement('button');
+        tabButton.className = i === 0 ? 'profile-tab active' : 'profile-tab';
+        tabButton.textContent = label;
+        tabButton.addEventListener('click', () => {
+            tabBar.querySelectorAll('.profile-tab').forEach(tab => tab.classList.remove('active'));
+            tabButton.classList.add('active');
+            
+            profileView.style.display = view === profileView ? 'block' : 'none';
+            historyView.style.display = view === historyView ? 'block' : 'none';
+            
+            // Render the history when the tab is opened so it is always current
+            if (view === historyView) {
+                renderAcademicHistory(academic, historyView);
+            }
+        });
+        tabBar.appendChild(tabButton);
+    });
+    
+    academicProfile.appendChild(tabBar);
+    
+    // Add alternative names
+    if (academic.aliases && academic.aliases.length > 0) {
+        const aliases = document.createElement('div');
+        aliases.className = 'academic-aliases';
+        aliases.textContent = `Also known as: ${academic.aliases.join(', ')}`;
+        profileView.appendChild(aliases);
+    }
+    
     // Add bio
     if (academic.bio) {
         const bio = document.createElement('div');
         bio.className = 'academic-bio';
         bio.textContent = academic.bio;
-        academicProfile.appendChild(bio);
+        profileView.appendChild(bio);
     }
     
     // Add taxonomies
@@ -896,6 +1102,16 @@ function displayAcademic(academic) {
                     valueTag.className = 'taxonomy-value';
                     valueTag.textContent = value;
                     valueTag.addEventListener('click', () => {
+                        // Themes open their concept page when one exists
+                        const concept = category === 'theme' && typeof databaseManager !== 'undefined'
+                            ? databaseManager.getConceptByName(value)
+                            : null;
+                        
+                        if (concept) {
+                            displayConcept(concept);
+                            return;
+                        }
+                        
                         const criteria = {};
                         criteria[category] = value;
                         searchByTaxonomy(criteria);
@@ -908,43 +1124,89 @@ function displayAcademic(academic) {
             }
         }
         
-        academicProfile.appendChild(taxonomies);
+        profileView.appendChild(taxonomies);
     }
     
-    // Add papers
-    if (academic.papers && academic.papers.length > 0) {
-        const papersSection = document.createElement('div');
-        papersSection.className = 'academic-section';
+    // Add works, shared with their co-authors
+    const works = typeof databaseManager !== 'undefined' ? databaseManager.getWorksByAuthor(academic.id) : [];
+    if (works.length > 0) {
+        const worksSection = document.createElement('div');
+        worksSection.className = 'academic-section';
         
-        const papersHeader = document.createElement('h3');
-        papersHeader.textContent = 'Papers';
-        papersSection.appendChild(papersHeader);
+        const worksHeader = document.createElement('h3');
+        worksHeader.textContent = 'Works';
+        worksSection.appendChild(worksHeader);
         
-        const papersList = document.createElement('ul');
-        papersList.className = 'papers-list';
+        const worksList = document.createElement('ul');
+        worksList.className = 'papers-list';
         
-        // Sort papers by year (descending)
-        const sortedPapers = [...academic.papers].sort((a, b) => (b.year || 0) - (a.year || 0));
-        
-        sortedPapers.forEach(paper => {
-            const paperItem = document.createElement('li');
-            paperItem.className = 'paper-item';
+        // Works are sorted by year (descending)
+        works.forEach(work => {
+            const workItem = document.createElement('li');
+            workItem.className = 'paper-item';
             
-            let paperText = paper.title;
-            if (paper.year) {
-                paperText += ` (${paper.year})`;
+            let workText = work.title;
+            if (work.year) {
+                workText += ` (${formatHistoricalYear(work.year, work.approximate)})`;
+            }
+            if (work.workType) {
+                workText += ` · ${WORK_TYPES[work.workType]}`;
             }
+            workItem.appendChild(document.createTextNode(workText));
             
-            if (paper.coauthors && paper.coauthors.length > 0) {
-                paperText += ` with ${paper.coauthors.join(', ')}`;
+            // Co-authors link to their profiles when they are in the database
+            const coauthors = work.authors.filter(author => author.id !== academic.id);
+            if (coauthors.length > 0) {
+                workItem.appendChild(document.createTextNode(' with '));
+                
+                coauthors.forEach((author, index) => {
+                    if (index > 0) {
+                        workItem.appendChild(document.createTextNode(', '));
+                    }
+                    
+                    const coauthor = databaseManager.resolveConnection(author);
+                    const authorLink = document.createElement('span');
+                    authorLink.textContent = author.name;
+                    
+                    if (coauthor) {
+                        authorLink.className = 'coauthor-link';
+                        authorLink.addEventListener('click', () => displayAcademic(coauthor));
+                    }
+                    
+                    workItem.appendChild(authorLink);
+                });
             }
             
-            paperItem.textContent = paperText;
-            papersList.appendChild(paperItem);
+            // Publication details, e.g. "Gallimard · French · ISBN 2070729684"
+            const details = [
+                work.publisher,
+                work.language,
+                work.doi ? `DOI ${work.doi}` : null,
+                work.isbn ? `ISBN ${work.isbn}` : null
+            ].filter(Boolean);
+            
+            if (details.length > 0) {
+                const detailsLine = document.createElement('div');
+                detailsLine.className = 'work-details';
+                detailsLine.textContent = details.join(' · ');
+                workItem.appendChild(detailsLine);
+            }
+            
+            if (work.translations.length > 0) {
+                const translationsLine = document.createElement('div');
+                translationsLine.className = 'work-translations';
+                translationsLine.textContent = 'Translations: ' + work.translations.map(translation => {
+                    const about = [translation.language, translation.year].filter(Boolean).join(', ');
+                    return about ? `${translation.title} (${about})` : translation.title;
+                }).join('; ');
+                workItem.appendChild(translationsLine);
+            }
+            
+            worksList.appendChild(workItem);
         });
         
-        papersSection.appendChild(papersList);
-        academicProfile.appendChild(papersSection);
+        worksSection.appendChild(worksList);
+        profileView.appendChild(worksSection);
     }
     
     // Add events
@@ -968,7 +1230,7 @@ function displayAcademic(academic) {
             
             let eventText = event.title;
             if (event.year) {
-                eventText += ` (${event.year})`;
+                eventText += ` (${formatYearRange(event.year, event.endYear, event.approximate)})`;
             }
             
             if (event.location) {
@@ -980,7 +1242,45 @@ function displayAcademic(academic) {
         });
         
         eventsSection.appendChild(eventsList);
-        academicProfile.appendChild(eventsSection);
+        profileView.appendChild(eventsSection);
+    }
+    
+    // Add affiliations; clicking one lists everyone affiliated with the institution
+    if (academic.affiliations && academic.affiliations.length > 0) {
+        const affiliationsSection = document.createElement('div');
+        affiliationsSection.className = 'academic-section';
+        
+        const affiliationsHeader = document.createElement('h3');
+        affiliationsHeader.textContent = 'Affiliations';
+        affiliationsSection.appendChild(affiliationsHeader);
+        
+        const affiliationsList = document.createElement('ul');
+        affiliationsList.className = 'affiliations-list';
+        
+        // Sort affiliations by start year (ascending), as a timeline
+        const sortedAffiliations = [...academic.affiliations].sort((a, b) => (a.startYear || 0) - (b.startYear || 0));
+        
+        sortedAffiliations.forEach(affiliation => {
+            const affiliationItem = document.createElement('li');
+            affiliationItem.className = 'affiliation-item';
+            affiliationItem.textContent = formatAffiliation(affiliation);
+            
+            const institution = typeof databaseManager !== 'undefined'
+                ? databaseManager.getInstitution(affiliation.institutionId)
+                : null;
+            const place = institution && institution.placeId ? databaseManager.getPlace(institution.placeId) : null;
+            if (place) {
+                affiliationItem.title = [place.name, place.country].filter(Boolean).join(', ');
+            }
+            
+            affiliationItem.addEventListener('click', () => {
+                searchByTaxonomy({ institution: institution ? institution.name : affiliation.institution });
+            });
+            affiliationsList.appendChild(affiliationItem);
+        });
+        
+        affiliationsSection.appendChild(affiliationsList);
+        profileView.appendChild(affiliationsSection);
     }
     
     // Add connections
@@ -996,19 +1296,31 @@ function displayAcademic(academic) {
         connectionsList.className = 'connections-list';
         
         // Sort connections alphabetically
-        const sortedConnections = [...academic.connections].sort();
+        const sortedConnections = [...academic.connections].sort((a, b) => a.name.localeCompare(b.name));
         
         sortedConnections.forEach(connection => {
             const connectionItem = document.createElement('span');
-            connectionItem.className = 'connection-item';
-            connectionItem.textContent = connection;
+            connectionItem.className = `connection-item relationship-${connection.type}`;
+            
+            // e.g. "Student of: Jacques Derrida (1965–1970)"
+            let connectionText = `${describeRelationship(connection)}: ${connection.name}`;
+            const years = formatRelationshipYears(connection);
+            if (years) {
+                connectionText += ` (${years})`;
+            }
+            
+            connectionItem.textContent = connectionText;
+            
+            if (connection.description) {
+                connectionItem.title = connection.description;
+            }
             connectionItem.addEventListener('click', () => {
                 if (typeof databaseManager !== 'undefined') {
-                    const connectedAcademic = databaseManager.getAcademic(connection);
+                    const connectedAcademic = databaseManager.resolveConnection(connection);
                     if (connectedAcademic) {
                         displayAcademic(connectedAcademic);
                     } else {
-                        displayErrorMessage(`Academic not found: ${connection}`, 'database');
+                        displayErrorMessage(`Academic not found: ${connection.name}`, 'database');
                     }
                 }
             });
@@ -1016,9 +1328,12 @@ function displayAcademic(academic) {
         });
         
         connectionsSection.appendChild(connectionsList);
-        academicProfile.appendChild(connectionsSection);
+        profileView.appendChild(connectionsSection);
     }
     
+    academicProfile.appendChild(profileView);
+    academicProfile.appendChild(historyView);
+    
     // Append the academic profile to the container
     profileContainer.appendChild(academicProfile);
     
@@ -1026,65 +1341,405 @@ function displayAcademic(academic) {
     resultsContainer.style.display = 'block';
 }
 
+/**
+ * Display a concept page: its definition, originator, key works, lineage and the academics who
+ * work with it
+ * @param {Object} concept - Concept object
+ */
+function displayConcept(concept) {
+    const resultsContainer = document.getElementById('results-container');
+    if (!resultsContainer || typeof databaseManager === 'undefined') {
+        console.error('Results container or database manager not found');
+        return;
+    }
+    
+    // Find or create the profile container
+    let profileContainer = resultsContainer.querySelector('.container-content');
+    if (!profileContainer) {
+        profileContainer = document.createElement('div');
+        profileContainer.className = 'container-content';
+        resultsContainer.appendChild(profileContainer);
+    }
+    
+    profileContainer.innerHTML = '';
+    
+    const conceptProfile = document.createElement('div');
+    conceptProfile.className = 'academic-profile concept-profile';
+    
+    const header = document.createElement('div');
+    header.className = 'academic-header';
+    
+    const name = document.createElement('h2');
+    name.className = 'academic-name';
+    name.textContent = concept.name;
+    header.appendChild(name);
+    conceptProfile.appendChild(header);
+    
+    // Definition
+    const definition = document.createElement('div');
+    definition.className = 'academic-bio';
+    definition.textContent = concept.definition || 'No definition has been contributed yet.';
+    conceptProfile.appendChild(definition);
+    
+    // Append a titled list of items { text, onClick }; onClick may be null
+    const addSection = (title, items) => {
+        if (items.length === 0) {
+            return;
+        }
+        
+        const section = document.createElement('div');
+        section.className = 'academic-section';
+        
+        const sectionHeader = document.createElement('h3');
+        sectionHeader.textContent = title;
+        section.appendChild(sectionHeader);
+        
+        const list = document.createElement('div');
+        list.className = 'connections-list';
+        
+        items.forEach(item => {
+            const entry = document.createElement('span');
+            entry.className = 'connection-item';
+            entry.textContent = item.text;
+            
+            if (item.onClick) {
+                entry.addEventListener('click', item.onClick);
+            }
+            list.appendChild(entry);
+        });
+        
+        section.appendChild(list);
+        conceptProfile.appendChild(section);
+    };
+    
+    // Originator
+    if (concept.originator) {
+        const originator = databaseManager.resolveConnection(concept.originator);
+        addSection('Originator', [{
+            text: concept.originator.name,
+            onClick: originator ? () => displayAcademic(originator) : null
+        }]);
+    }
+    
+    // Key works, opening the profile of their first author
+    addSection('Key Works', concept.keyWorkIds
+        .map(id => databaseManager.getWork(id))
+        .filter(Boolean)
+        .map(work => {
+            const author = databaseManager.resolveConnection(work.authors[0] || {});
+            return {
+                text: work.year ? `${work.title} (${formatHistoricalYear(work.year, work.approximate)})` : work.title,
+                onClick: author ? () => displayAcademic(author) : null
+            };
+        }));
+    
+    // Lineage in both directions, e.g. "Derived from: Discipline" and "Critiqued by: Cyborg"
+    const { outgoing, incoming } = databaseManager.getConceptLinks(concept.id);
+    const lineage = [
+        ...outgoing.map(link => ({ link, incoming: false })),
+        ...incoming.map(link => ({ link, incoming: true }))
+    ].map(({ link, incoming }) => {
+        const linked = databaseManager.getConcept(link.id);
+        return {
+            text: `${describeConceptLink(link, incoming)}: ${link.name}`,
+            onClick: linked ? () => displayConcept(linked) : null
+        };
+    });
+    addSection('Lineage', lineage);
+    
+    // Academics with the concept among their themes
+    const academics = databaseManager.searchAcademics({ theme: concept.name });
+    addSection('Academics', academics
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(academic => ({ text: academic.name, onClick: () => displayAcademic(academic) })));
+    
+    if (academics.length > 0) {
+        const searchButton = document.createElement('button');
+        searchButton.className = 'action-btn';
+        searchButton.textContent = 'Search academics';
+        searchButton.title = `List academics working with ${concept.name}`;
+        searchButton.addEventListener('click', () => searchByTaxonomy({ theme: concept.name }));
+        conceptProfile.appendChild(searchButton);
+    }
+    
+    profileContainer.appendChild(conceptProfile);
+    resultsContainer.style.display = 'block';
+}
+
+/**
+ * Render the revision history of an academic
+ * @param {Object} academic - Academic object
+ * @param {HTMLElement} container - Element to render the history into
+ */
+function renderAcademicHistory(academic, container) {
+    container.innerHTML = '';
+    
+    if (typeof databaseManager === 'undefined') {
+        container.textContent = 'Revision history is not available.';
+        return;
+    }
+    
+    const revisions = databaseManager.getRevisions(academic.id);
+    
+    if (revisions.length === 0) {
+        container.textContent = 'No revisions recorded yet.';
+        return;
+    }
+    
+    // Compare any two revisions
+    const compareSection = document.createElement('div');
+    compareSection.className = 'history-compare';
+    
+    const createRevisionSelect = (selected) => {
+        const select = document.createElement('select');
+        revisions.forEach(revision => {
+            const option = document.createElement('option');
+            option.value = revision.revision;
+            option.textContent = `Revision ${revision.revision}`;
+            option.selected = revision.revision === selected;
+            select.appendChild(option);
+        });
+        return select;
+    };
+    
+    const latest = revisions[revisions.length - 1].revision;
+    const fromSelect = createRevisionSelect(revisions[Math.max(0, revisions.length - 2)].revision);
+    const toSelect = createRevisionSelect(latest);
+    
+    const compareButton = document.createElement('button');
+    compareButton.className = 'history-compare-btn';
+    compareButton.textContent = 'Compare';
+    
+    const diffOutput = document.createElement('ul');
+    diffOutput.className = 'history-diff';
+    
+    compareButton.addEventListener('click', () => {
+        const changes = databaseManager.diffRevisions(academic.id, Number(fromSelect.value), Number(toSelect.value));
+        diffOutput.innerHTML = '';
+        
+        if (!changes || changes.length === 0) {
+            const noChanges = document.createElement('li');
+            noChanges.textContent = 'No differences.';
+            diffOutput.appendChild(noChanges);
+            return;
+        }
+        
+        changes.forEach(change => {
+            if (change.added || change.removed) {
+                change.added.forEach(item => {
+                    const addedItem = document.createElement('li');
+                    addedItem.className = 'diff-added';
+                    addedItem.textContent = `+ ${change.field}: ${formatRevisionValue(item)}`;
+                    diffOutput.appendChild(addedItem);
+                });
+                
+                change.removed.forEach(item => {
+                    const removedItem = document.createElement('li');
+                    removedItem.className = 'diff-removed';
+                    removedItem.textContent = `- ${change.field}: ${formatRevisionValue(item)}`;
+                    diffOutput.appendChild(removedItem);
+                });
+            } else {
+                const changedItem = document.createElement('li');
+                changedItem.className = 'diff-changed';
+                changedItem.textContent = `${change.field}: ${formatRevisionValue(change.before)} → ${formatRevisionValue(change.after)}`;
+                diffOutput.appendChild(changedItem);
+            }
+        });
+    });
+    
+    compareSection.appendChild(fromSelect);
+    compareSection.appendChild(toSelect);
+    compareSection.appendChild(compareButton);
+    compareSection.appendChild(diffOutput);
+    container.appendChild(compareSection);
+    
+    // Revision list, newest first
+    const revisionsList = document.createElement('ul');
+    revisionsList.className = 'revisions-list';
+    
+    [...revisions].reverse().forEach(revision => {
+        const revisionItem = document.createElement('li');
+        revisionItem.className = `revision-item revision-${revision.source}`;
+        
+        // e.g. "#3 · 10/19/2026, 14:02 · contribution by Jane Doe: Added paper information"
+        let revisionText = `#${revision.revision} · ${new Date(revision.timestamp).toLocaleString()} · ${revision.source}`;
+        if (revision.contributor) {
+            revisionText += ` by ${revision.contributor}`;
+        }
+        if (revision.summary) {
+            revisionText += `: ${revision.summary}`;
+        }
+        
+        const revisionLabel = document.createElement('span');
+        revisionLabel.textContent = revisionText;
+        revisionItem.appendChild(revisionLabel);
+        
+        if (revision.revision !== latest) {
+            const restoreButton = document.createElement('button');
+            restoreButton.className = 'restore-revision-btn';
+            restoreButton.textContent = 'Restore';
+            restoreButton.addEventListener('click', () => {
+                const changes = databaseManager.diffWithRevision(academic.id, revision.revision) || [];
+                const overwritten = changes.map(change => (change.added
+                    ? `${change.field} (${change.added.length} added, ${change.removed.length} removed)`
+                    : `${change.field}: ${formatRevisionValue(change.before)} → ${formatRevisionValue(change.after)}`
+                ));
+                
+                if (!confirm(`Restore ${academic.name} to revision ${revision.revision}? ` +
+                    (overwritten.length > 0
+                        ? `This overwrites the current record:\n\n${overwritten.join('\n')}`
+                        : 'The current record is the same as this revision.'))) {
+                    return;
+                }
+                
+                if (databaseManager.restoreRevision(academic.id, revision.revision)) {
+                    const restored = databaseManager.getAcademicById(academic.id);
+                    displayAcademic(restored);
+                } else {
+                    displayErrorMessage(`Could not restore revision ${revision.revision}`, 'database');
+                }
+            });
+            revisionItem.appendChild(restoreButton);
+        }
+        
+        revisionsList.appendChild(revisionItem);
+    });
+    
+    container.appendChild(revisionsList);
+}
+
+/**
+ * Format a value from a revision diff for display
+ * @param {*} value - Field value or list item
+ * @returns {string} Display text
+ */
+function formatRevisionValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return '(empty)';
+    }
+    
+    if (typeof value !== 'object') {
+        return String(value);
+    }
+    
+    // Relationships, affiliations, papers and events
+    if (value.type && value.name) {
+        return `${describeRelationship(value)}: ${value.name}`;
+    }
+    
+    if (value.institutionId) {
+        return formatAffiliation(value);
+    }
+    
+    if (value.title) {
+        return value.year ? `${value.title} (${formatYearRange(value.year, value.endYear, value.approximate)})` : value.title;
+    }
+    
+    return JSON.stringify(value);
+}
+
 /**
  * Search by taxonomy criteria
+ * A single standard taxonomy value is looked up through the storage indexes
  * @param {Object} criteria - Taxonomy criteria
+ * @returns {Promise<void>}
  */
-function searchByTaxonomy(criteria) {
+async function searchByTaxonomy(criteria) {
     if (typeof databaseManager === 'undefined') {
         displayErrorMessage('Database manager not available', 'database');
         return;
     }
     
     // Search for academics matching the criteria
-    const results = databaseManager.searchAcademics(criteria);
+    const [field, value] = Object.entries(criteria)[0] || [];
+    const indexed = Object.keys(criteria).length === 1 && typeof value === 'string' && TAXONOMY_CATEGORIES.includes(field);
+    const results = indexed
+        ? await databaseManager.findAcademicsByIndex(field, value)
+        : databaseManager.searchAcademics(criteria);
     
     if (!results || results.length === 0) {
         displayErrorMessage(`No academics found matching the criteria`, 'database');
         return;
     }
     
-    // Display the first result
-    displayAcademic(results[0]);
+    const labels = Object.entries(criteria).map(([category, value]) => (
+        `${category}: ${Array.isArray(value) ? value.join(' / ') : value}`
+    ));
     
-    // Show all results if there are multiple
-    if (results.length > 1) {
-        const resultsContainer = document.getElementById('results-container');
-        if (resultsContainer) {
-            let relatedContainer = resultsContainer.querySelector('.related-academics');
-            
-            if (!relatedContainer) {
-                relatedContainer = document.createElement('div');
-                relatedContainer.className = 'related-academics';
-                resultsContainer.appendChild(relatedContainer);
-            } else {
-                relatedContainer.innerHTML = '';
-            }
-            
-            const header = document.createElement('h3');
-            header.textContent = `Related Academics (${results.length})`;
-            relatedContainer.appendChild(header);
-            
-            const relatedList = document.createElement('div');
-            relatedList.className = 'related-list';
-            
-            results.slice(1).forEach(academic => {
-                const relatedItem = document.createElement('div');
-                relatedItem.className = 'related-item';
-                relatedItem.textContent = academic.name;
-                relatedItem.addEventListener('click', () => {
-                    displayAcademic(academic);
-                });
-                relatedList.appendChild(relatedItem);
-            });
-            
-            relatedContainer.appendChild(relatedList);
+    displaySearchResults(results, {
+        title: `Academics matching ${labels.join(', ')}`,
+        terms: Object.values(criteria).flat()
+    });
+}
+
+// Shared results list for the terminal search and taxonomy clicks
+let searchResultsView = null;
+
+/**
+ * Get the results list shown above the academic profile, creating it on first use
+ * @returns {SearchResultsView|null} Results view, or null if the results container is missing
+ */
+function getSearchResultsView() {
+    const resultsContainer = document.getElementById('results-container');
+    if (!resultsContainer || typeof SearchResultsView === 'undefined') {
+        return null;
+    }
+    
+    let listContainer = resultsContainer.querySelector('.search-results-list');
+    if (!listContainer) {
+        listContainer = document.createElement('div');
+        listContainer.className = 'search-results-list';
+        resultsContainer.insertBefore(listContainer, resultsContainer.querySelector('.container-content'));
+    }
+    
+    if (!searchResultsView || searchResultsView.container !== listContainer) {
+        searchResultsView = new SearchResultsView(listContainer, {
+            onOpen: academic => displayAcademic(academic)
+        });
+    }
+    
+    return searchResultsView;
+}
+
+/**
+ * Hide the results list, e.g. when a search leads straight to one academic
+ */
+function hideSearchResults() {
+    if (searchResultsView) {
+        searchResultsView.hide();
+    }
+}
+
+/**
+ * Display search results
+ * A single result opens the academic's profile; several are shown as a ranked list
+ * @param {Array} results - Matching academics, or scored entries { academic, score }
+ * @param {Object} options - title and terms (strings to highlight and rank by)
+ */
+function displaySearchResults(results, options = {}) {
+    const resultsView = getSearchResultsView();
+    
+    if (results.length === 1 || !resultsView) {
+        hideSearchResults();
+        displayAcademic('academic' in results[0] ? results[0].academic : results[0]);
+    } else {
+        // Clear the previous profile until a result is opened
+        const profileContainer = document.querySelector('#results-container .container-content');
+        if (profileContainer) {
+            profileContainer.innerHTML = '';
         }
+        
+        resultsView.show(results, options);
     }
     
     // Switch to results view
     hideAllSections();
     document.getElementById('results-container').style.display = 'block';
+    
+    if (resultsView && results.length > 1) {
+        resultsView.focus();
+    }
 }
 
 /**
@@ -1167,12 +1822,25 @@ window.handleSearch = function(query) {
     
     // Simulate search delay for effect (matches the retro aesthetic)
     setTimeout(() => {
+        // "path A -> B" finds how two academics are connected
+        if (typeof databaseManager !== 'undefined' && typeof visualizePaths === 'function' && /^path\s.*->/i.test(query.trim())) {
+            handlePathCommand(query, searchStatus);
+            return;
+        }
+        
+        // Structured queries (fields, operators, grouping) go through the query language
+        if (typeof databaseManager !== 'undefined' && typeof isStructuredQuery === 'function' && isStructuredQuery(query)) {
+            handleStructuredQuery(query, searchStatus);
+            return;
+        }
+        
         // Search the database
         if (typeof databaseManager !== 'undefined') {
             const academic = databaseManager.getAcademic(query);
             
             if (academic) {
                 // Academic found - display profile
+                hideSearchResults();
                 displayAcademic(academic);
                 
                 // Hide search status
@@ -1184,21 +1852,33 @@ window.handleSearch = function(query) {
                 hideAllSections();
                 document.getElementById('results-container').style.display = 'block';
             } else {
-                // No direct match, try a broader search
-                const results = databaseManager.searchAcademics({ name: query });
+                // No direct match, search the full text (ranked by BM25), then partial names
+                const results = databaseManager.fullTextSearch(query);
+                databaseManager.searchAcademics({ name: query }).forEach(academic => {
+                    if (!results.some(result => result.academic === academic)) {
+                        results.push({ academic, score: 0 });
+                    }
+                });
+                
+                // Close spellings of names that the search did not find
+                const suggestions = databaseManager.findSimilarAcademics(query, 3)
+                    .filter(match => !results.some(result => result.academic === match.academic));
                 
                 if (results && results.length > 0) {
-                    // Matches found - display first result
-                    displayAcademic(results[0]);
-                    
-                    // Hide search status
+                    // Hide search status unless there is a spelling to suggest
                     if (searchStatus) {
                         searchStatus.style.display = 'none';
                     }
                     
-                    // Switch to academic profile view
-                    hideAllSections();
-                    document.getElementById('results-container').style.display = 'block';
+                    // Matches found - list them, or open the only one
+                    displaySearchResults(results, {
+                        title: `Results for "${query}"`,
+                        terms: query.split(/\s+/)
+                    });
+                    
+                    showDidYouMean(searchStatus, suggestions, '');
+                } else if (suggestions.length > 0) {
+                    showDidYouMean(searchStatus, suggestions, `No results found for "${query}". `);
                 } else {
                     // No matches found
                     if (searchStatus) {
@@ -1223,6 +1903,191 @@ window.handleSearch = function(query) {
     }, 800); // 800ms delay for retro terminal effect
 };
 
+/**
+ * Offer close matches for a misspelled or abbreviated name in the search status line
+ * @param {HTMLElement} searchStatus - Search status element
+ * @param {Array} suggestions - Matches from findSimilarAcademics
+ * @param {string} prefix - Text shown before the suggestions
+ */
+function showDidYouMean(searchStatus, suggestions, prefix, toQuery = match => match.academic.name) {
+    const statusText = searchStatus ? searchStatus.querySelector('.search-status-text') : null;
+    if (!statusText || suggestions.length === 0) {
+        return;
+    }
+    
+    statusText.textContent = `${prefix}Did you mean `;
+    
+    suggestions.forEach((match, index) => {
+        if (index > 0) {
+            statusText.appendChild(document.createTextNode(index === suggestions.length - 1 ? ' or ' : ', '));
+        }
+        
+        const suggestion = document.createElement('a');
+        suggestion.className = 'did-you-mean';
+        suggestion.href = '#';
+        suggestion.textContent = match.academic.name;
+        suggestion.addEventListener('click', (e) => {
+            e.preventDefault();
+            handleSearch(toQuery(match));
+        });
+        statusText.appendChild(suggestion);
+    });
+    
+    statusText.appendChild(document.createTextNode('?'));
+    searchStatus.style.display = 'block';
+}
+
+/**
+ * Parse a path command
+ * e.g. "path Haraway -> Derrida", "path Haraway -> Derrida k:3" or
+ * "path Butler -> Foucault type:influenced-by,student-of all"
+ * @param {string} command - Command text
+ * @returns {Object|null} { from, to, count, types, all }, or null if the command is malformed
+ */
+function parsePathCommand(command) {
+    const match = command.trim().match(/^path\s+(.+?)\s*->\s*(.+)$/i);
+    if (!match) {
+        return null;
+    }
+    
+    const options = { from: match[1], to: match[2], count: 1, types: [], all: false };
+    
+    // Options follow the destination name
+    let optionMatch;
+    while ((optionMatch = options.to.match(/\s+(k:(\d+)|type:(\S+)|all)$/i))) {
+        if (optionMatch[2]) {
+            options.count = parseInt(optionMatch[2], 10);
+        } else if (optionMatch[3]) {
+            options.types.push(...optionMatch[3].toLowerCase().split(','));
+        } else {
+            options.all = true;
+        }
+        
+        options.to = options.to.slice(0, optionMatch.index);
+    }
+    
+    return options.from && options.to && options.count > 0 ? options : null;
+}
+
+/**
+ * Write a path command back out, e.g. after a name was corrected
+ * @param {Object} options - Options as returned by parsePathCommand
+ * @returns {string} Path command
+ */
+function formatPathCommand(options) {
+    return [
+        `path ${options.from} -> ${options.to}`,
+        options.count > 1 ? `k:${options.count}` : '',
+        options.types.length > 0 ? `type:${options.types.join(',')}` : '',
+        options.all ? 'all' : ''
+    ].filter(part => part).join(' ');
+}
+
+/**
+ * Find and draw the paths between two academics, describing the shortest in the search status line
+ * @param {string} command - Path command, e.g. "path Haraway -> Derrida"
+ * @param {HTMLElement} searchStatus - Search status element
+ */
+function handlePathCommand(command, searchStatus) {
+    const statusText = searchStatus ? searchStatus.querySelector('.search-status-text') : null;
+    
+    const showStatus = (text) => {
+        if (statusText) {
+            searchStatus.style.display = 'block';
+            statusText.textContent = text;
+        }
+    };
+    
+    const options = parsePathCommand(command);
+    if (!options) {
+        showStatus('Usage: path <academic> -> <academic> [k:<number of paths>] [type:<relationship type>,...] [all]');
+        return;
+    }
+    
+    const unknownType = options.types.find(type => !RELATIONSHIP_TYPES[type]);
+    if (unknownType) {
+        showStatus(`Unknown relationship type "${unknownType}". Types: ${Object.keys(RELATIONSHIP_TYPES).join(', ')}`);
+        return;
+    }
+    
+    // Names are matched like the search box does: a single close match is used, several are offered
+    for (const end of ['from', 'to']) {
+        if (databaseManager.getAcademic(options[end])) {
+            continue;
+        }
+        
+        const suggestions = databaseManager.findSimilarAcademics(options[end], 3);
+        
+        if (suggestions.length === 1 || (suggestions.length > 1 && suggestions[0].distance < suggestions[1].distance)) {
+            options[end] = suggestions[0].academic.name;
+        } else if (suggestions.length > 0) {
+            showDidYouMean(searchStatus, suggestions, `"${options[end]}" is not in the database. `,
+                match => formatPathCommand({ ...options, [end]: match.academic.name }));
+            return;
+        } else {
+            showStatus(`"${options[end]}" is not in the database`);
+            return;
+        }
+    }
+    
+    const result = databaseManager.findPaths(options.from, options.to, options);
+    
+    if (result.paths.length === 0) {
+        showStatus(`${result.from.name} and ${result.to.name} are not connected` +
+            (options.types.length > 0 ? ` by ${options.types.join(' or ')} relationships` : ''));
+        return;
+    }
+    
+    const others = result.paths.length - 1;
+    showStatus(describePath(result.paths[0]) + (others > 0 ? ` (and ${others} other path${others === 1 ? '' : 's'})` : ''));
+    
+    hideSearchResults();
+    hideAllSections();
+    document.getElementById('results-container').style.display = 'block';
+    visualizePaths(result);
+}
+
+/**
+ * Run a structured query and show the results, or the syntax error in the search status line
+ * @param {string} query - Query text
+ * @param {HTMLElement} searchStatus - Search status element
+ */
+function handleStructuredQuery(query, searchStatus) {
+    const statusText = searchStatus ? searchStatus.querySelector('.search-status-text') : null;
+    let results;
+    
+    try {
+        results = databaseManager.queryAcademics(query);
+    } catch (error) {
+        if (!(error instanceof QuerySyntaxError)) {
+            throw error;
+        }
+        
+        if (statusText) {
+            searchStatus.style.display = 'block';
+            statusText.textContent = `Syntax error: ${error.message}`;
+        }
+        return;
+    }
+    
+    if (results.length === 0) {
+        if (statusText) {
+            searchStatus.style.display = 'block';
+            statusText.textContent = `No results found for "${query}"`;
+        }
+        return;
+    }
+    
+    if (searchStatus) {
+        searchStatus.style.display = 'none';
+    }
+    
+    displaySearchResults(results, {
+        title: `Results for ${query}`,
+        terms: getQueryTerms(parseQuery(query))
+    });
+}
+
 // Debounce function for performance optimization
 function debounce(func, delay) {
     let timeout;
@@ -1258,22 +2123,21 @@ function setupSearchListeners() {
             return;
         }
         
-        // Get matching academics
+        // Get matching academics (names and aliases, then close spellings)
         if (typeof databaseManager !== 'undefined' && suggestionsContainer) {
-            const academics = databaseManager.getAllAcademics();
-            const matches = academics.filter(academic => 
-                academic.name.toLowerCase().includes(query.toLowerCase())
-            ).slice(0, 5); // Limit to 5 suggestions
+            const matches = databaseManager.suggestAcademics(query, 5); // Limit to 5 suggestions
             
             // Display suggestions
             if (matches.length > 0) {
                 suggestionsContainer.innerHTML = '';
-                matches.forEach((academic, index) => {
+                matches.forEach(({ academic, matchedName }) => {
                     const suggestion = document.createElement('div');
                     suggestion.className = 'suggestion-item';
                     suggestion.setAttribute('role', 'option');
                     suggestion.setAttribute('aria-selected', 'false');
-                    suggestion.textContent = academic.name;
+                    suggestion.textContent = matchedName === academic.name
+                        ? academic.name
+                        : `${academic.name} (${matchedName})`;
                     suggestion.addEventListener('click', () => {
                         searchBox.value = academic.name;
                         suggestionsContainer.innerHTML = '';
@@ -1372,4 +2236,5 @@ window.navAboutHandler = navAboutHandler;
 window.navContributeHandler = navContributeHandler;
 window.navAdminHandler = navAdminHandler;
 window.displayAcademic = displayAcademic;
+window.displayConcept = displayConcept;
 window.searchByTaxonomy = searchByTaxonomy;
@@ -0,0 +1,373 @@
+/**
+ * Connection Graph for KillPhilosophy
+ * Undirected graph of the relationships between academics, with shortest path,
+ * k-shortest paths and all-paths search, optionally restricted to some relationship types
+ */
+
+// Defaults for path searches
+const PATH_DEFAULT_COUNT = 3;
+const PATH_MAX_LENGTH = 6;
+const PATH_MAX_RESULTS = 50;
+
+class ConnectionGraph {
+    constructor() {
+        this.names = new Map(); // Academic ID -> name
+        this.adjacency = new Map(); // Academic ID -> Map of neighbor ID -> links between them
+        this.links = []; // Each relationship once, as { source, target, type, directed }
+        this.linkKeys = new Set();
+    }
+    
+    /**
+     * Build the graph of a set of academics
+     * Relationships are stored on both academics; each is added once. Connections that do not
+     * resolve to one of the academics are left out.
+     * @param {Array} academics - Academic objects
+     * @param {Function} resolve - Connection -> academic object or null
+     * @returns {ConnectionGraph} The graph
+     */
+    static fromAcademics(academics, resolve) {
+        const graph = new ConnectionGraph();
+        
+        academics.forEach(academic => graph.addAcademic(academic.id, academic.name));
+        
+        academics.forEach(academic => {
+            (academic.connections || []).forEach(connection => {
+                const connected = resolve(connection);
+                
+                if (connected && connected.id !== academic.id && graph.names.has(connected.id)) {
+                    graph.addRelationship(academic.id, { ...connection, id: connected.id });
+                }
+            });
+        });
+        
+        return graph;
+    }
+    
+    /**
+     * Number of academics in the graph
+     * @returns {number} Node count
+     */
+    get size() {
+        return this.names.size;
+    }
+    
+    /**
+     * Add an academic
+     * @param {string} id - Academic ID
+     * @param {string} name - Academic name
+     */
+    addAcademic(id, name) {
+        this.names.set(id, name);
+        
+        if (!this.adjacency.has(id)) {
+            this.adjacency.set(id, new Map());
+        }
+    }
+    
+    /**
+     * Add a relationship held by an academic
+     * @param {string} ownerId - ID of the academic holding the relationship
+     * @param {Object} relationship - Relationship with id, type and direction
+     */
+    addRelationship(ownerId, relationship) {
+        const incoming = relationship.direction === 'incoming';
+        const link = {
+            source: incoming ? relationship.id : ownerId,
+            target: incoming ? ownerId : relationship.id,
+            type: relationship.type,
+            directed: relationship.direction !== 'mutual'
+        };
+        
+        const key = link.directed
+            ? `${link.source}|${link.target}|${link.type}`
+            : `${[link.source, link.target].sort().join('|')}|${link.type}`;
+        
+        if (this.linkKeys.has(key)) {
+            return;
+        }
+        
+        this.linkKeys.add(key);
+        this.links.push(link);
+        
+        [[link.source, link.target], [link.target, link.source]].forEach(([from, to]) => {
+            const neighbors = this.adjacency.get(from);
+            if (!neighbors.has(to)) {
+                neighbors.set(to, []);
+            }
+            neighbors.get(to).push(link);
+        });
+    }
+    
+    /**
+     * Get the links between two academics, restricted to some relationship types
+     * @param {string} a - First academic ID
+     * @param {string} b - Second academic ID
+     * @param {Array|null} types - Allowed relationship types (null for all)
+     * @returns {Array} Links
+     */
+    linksBetween(a, b, types = null) {
+        const links = (this.adjacency.get(a) && this.adjacency.get(a).get(b)) || [];
+        return types ? links.filter(link => types.includes(link.type)) : links;
+    }
+    
+    /**
+     * Get the academics linked to an academic
+     * @param {string} id - Academic ID
+     * @param {Array|null} types - Allowed relationship types (null for all)
+     * @returns {Array} Neighbor IDs
+     */
+    neighbors(id, types = null) {
+        const neighbors = this.adjacency.get(id);
+        if (!neighbors) {
+            return [];
+        }
+        
+        return Array.from(neighbors.keys()).filter(other => this.linksBetween(id, other, types).length > 0);
+    }
+    
+    /**
+     * Find the shortest path between two academics (fewest relationships)
+     * @param {string} fromId - Starting academic ID
+     * @param {string} toId - Destination academic ID
+     * @param {Object} options - { types: allowed relationship types }
+     * @returns {Object|null} Path (see _toPath), or null if the academics are not connected
+     */
+    shortestPath(fromId, toId, options = {}) {
+        const ids = this._breadthFirst(fromId, toId, options.types || null, new Set(), new Set());
+        return ids ? this._toPath(ids, options.types || null) : null;
+    }
+    
+    /**
+     * Find the k shortest simple paths between two academics (Yen's algorithm)
+     * @param {string} fromId - Starting academic ID
+     * @param {string} toId - Destination academic ID
+     * @param {number} k - Number of paths
+     * @param {Object} options - { types: allowed relationship types }
+     * @returns {Array} Paths, shortest first
+     */
+    kShortestPaths(fromId, toId, k = PATH_DEFAULT_COUNT, options = {}) {
+        const types = options.types || null;
+        const first = this._breadthFirst(fromId, toId, types, new Set(), new Set());
+        
+        if (!first) {
+            return [];
+        }
+        
+        const found = [first];
+        const candidates = [];
+        
+        while (found.length < k) {
+            const previous = found[found.length - 1];
+            
+            // Branch off the previous path at each of its nodes
+            for (let i = 0; i < previous.length - 1; i++) {
+                const root = previous.slice(0, i + 1);
+                const spur = root[root.length - 1];
+                const removedEdges = new Set();
+                
+                found.forEach(path => {
+                    if (path.length > i + 1 && root.every((id, j) => path[j] === id)) {
+                        removedEdges.add(`${path[i]}|${path[i + 1]}`);
+                    }
+                });
+                
+                const removedNodes = new Set(root.slice(0, -1));
+                const spurPath = this._breadthFirst(spur, toId, types, removedNodes, removedEdges);
+                
+                if (spurPath) {
+                    const candidate = [...root.slice(0, -1), ...spurPath];
+                    const key = candidate.join('|');
+                    
+                    if (!candidates.some(other => other.join('|') === key) && !found.some(other => other.join('|') === key)) {
+                        candidates.push(candidate);
+                    }
+                }
+            }
+            
+            if (candidates.length === 0) {
+                break;
+            }
+            
+            candidates.sort((a, b) => a.length - b.length);
+            found.push(candidates.shift());
+        }
+        
+        return found.map(ids => this._toPath(ids, types));
+    }
+    
+    /**
+     * Find every simple path between two academics up to a length
+     * Paths are enumerated by increasing length, so the limit keeps the shortest ones, and the walk
+     * skips academics too far from the destination to reach it within the remaining length
+     * @param {string} fromId - Starting academic ID
+     * @param {string} toId - Destination academic ID
+     * @param {Object} options - { types, maxLength (relationships per path), limit (number of paths) }
+     * @returns {Array} Paths, shortest first
+     */
+    allPaths(fromId, toId, options = {}) {
+        const types = options.types || null;
+        const maxLength = options.maxLength || PATH_MAX_LENGTH;
+        const limit = options.limit || PATH_MAX_RESULTS;
+        const found = [];
+        
+        if (!this.adjacency.has(fromId) || !this.adjacency.has(toId)) {
+            return [];
+        }
+        
+        const distances = this._distancesTo(toId, types, maxLength);
+        if (!distances.has(fromId)) {
+            return [];
+        }
+        
+        // Depth-first walk for paths of exactly `length` relationships that never revisits an academic
+        const walk = (ids, visited, length) => {
+            const current = ids[ids.length - 1];
+            const remaining = length - (ids.length - 1);
+            
+            if (current === toId) {
+                if (remaining === 0) {
+                    found.push(ids.slice());
+                }
+                return;
+            }
+            
+            for (const next of this.neighbors(current, types)) {
+                if (found.length >= limit) {
+                    return;
+                }
+                
+                if (!visited.has(next) && distances.has(next) && distances.get(next) <= remaining - 1) {
+                    visited.add(next);
+                    ids.push(next);
+                    walk(ids, visited, length);
+                    ids.pop();
+                    visited.delete(next);
+                }
+            }
+        };
+        
+        for (let length = distances.get(fromId); length <= maxLength && found.length < limit; length++) {
+            walk([fromId], new Set([fromId]), length);
+        }
+        
+        return found.map(ids => this._toPath(ids, types));
+    }
+    
+    /**
+     * Number of relationships from every academic within reach to a destination
+     * @private
+     * @param {string} toId - Destination academic ID
+     * @param {Array|null} types - Allowed relationship types (null for all)
+     * @param {number} maxDistance - Stop after this many relationships
+     * @returns {Map} Academic ID -> distance to the destination
+     */
+    _distancesTo(toId, types, maxDistance) {
+        const distances = new Map([[toId, 0]]);
+        const queue = [toId];
+        
+        for (let i = 0; i < queue.length; i++) {
+            const current = queue[i];
+            const distance = distances.get(current);
+            
+            if (distance >= maxDistance) {
+                continue;
+            }
+            
+            this.neighbors(current, types).forEach(next => {
+                if (!distances.has(next)) {
+                    distances.set(next, distance + 1);
+                    queue.push(next);
+                }
+            });
+        }
+        
+        return distances;
+    }
+    
+    /**
+     * Breadth-first search for the shortest path, avoiding some academics and steps
+     * @private
+     * @param {string} fromId - Starting academic ID
+     * @param {string} toId - Destination academic ID
+     * @param {Array|null} types - Allowed relationship types (null for all)
+     * @param {Set} removedNodes - Academic IDs that may not be visited
+     * @param {Set} removedEdges - Steps ("from|to") that may not be taken
+     * @returns {Array|null} Academic IDs along the path, or null if there is none
+     */
+    _breadthFirst(fromId, toId, types, removedNodes, removedEdges) {
+        if (!this.adjacency.has(fromId) || !this.adjacency.has(toId)) {
+            return null;
+        }
+        
+        const previous = new Map([[fromId, null]]);
+        const queue = [fromId];
+        
+        while (queue.length > 0) {
+            const current = queue.shift();
+            
+            if (current === toId) {
+                const ids = [];
+                for (let id = toId; id !== null; id = previous.get(id)) {
+                    ids.unshift(id);
+                }
+                return ids;
+            }
+            
+            this.neighbors(current, types).forEach(next => {
+                if (!previous.has(next) && !removedNodes.has(next) && !removedEdges.has(`${current}|${next}`)) {
+                    previous.set(next, current);
+                    queue.push(next);
+                }
+            });
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Turn a list of academic IDs into a path
+     * @private
+     * @param {Array} ids - Academic IDs along the path
+     * @param {Array|null} types - Allowed relationship types (null for all)
+     * @returns {Object} { ids, names, steps: [{ from, to, links }], length }
+     */
+    _toPath(ids, types) {
+        const steps = [];
+        
+        for (let i = 0; i < ids.length - 1; i++) {
+            steps.push({ from: ids[i], to: ids[i + 1], links: this.linksBetween(ids[i], ids[i + 1], types) });
+        }
+        
+        return {
+            ids,
+            names: ids.map(id => this.names.get(id)),
+            steps,
+            length: steps.length
+        };
+    }
+}
+
+/**
+ * Describe a path as text, reading each relationship in the direction of travel
+ * e.g. "Donna Haraway → Influenced by → Michel Foucault"
+ * @param {Object} path - Path from ConnectionGraph
+ * @returns {string} Description
+ */
+function describePath(path) {
+    if (path.length === 0) {
+        return path.names[0] || '';
+    }
+    
+    return path.steps.reduce((text, step, i) => {
+        const labels = step.links.map(link => describeRelationship({
+            type: link.type,
+            direction: !link.directed ? 'mutual' : (link.source === step.from ? 'outgoing' : 'incoming')
+        }));
+        
+        return `${text} → ${labels.join(' / ')} → ${path.names[i + 1]}`;
+    }, path.names[0]);
+}
+
+// Make the connection graph globally available
+window.ConnectionGraph = ConnectionGraph;
+window.describePath = describePath;
@@ -35,6 +35,14 @@ class ContributionHandler {
             this.taxonomyCategories = databaseManager.getAllTaxonomyCategories();
         }
         
+        // Offer concepts as a contribution type
+        if (!contributionType.querySelector('option[value="concept"]')) {
+            const conceptOption = document.createElement('option');
+            conceptOption.value = 'concept';
+            conceptOption.textContent = 'Concept';
+            contributionType.appendChild(conceptOption);
+        }
+        
         // Handle contribution type change
         contributionType.addEventListener('change', () => {
             this.updateContributionForm(
@@ -98,6 +106,9 @@ class ContributionHandler {
             case 'bio':
                 this.createBioForm(container);
                 break;
+            case 'concept':
+                this.createConceptForm(container);
+                break;
             default:
                 container.innerHTML = '<div class="error-message">Unknown contribution type</div>';
         }
@@ -105,10 +116,40 @@ class ContributionHandler {
     
     /**
      * Create form for paper contribution
+     * An existing work (e.g. one added by a co-author) can be picked instead of describing a new one
      * @param {HTMLElement} container - Container for form fields
      */
     createPaperForm(container) {
+        let workOptions = '<option value="">New work (describe below)...</option>';
+        
+        // Add works from database if available
+        if (typeof databaseManager !== 'undefined') {
+            const works = databaseManager.getAllWorks().sort((a, b) => a.title.localeCompare(b.title));
+            
+            works.forEach(work => {
+                if (this.currentAcademic && work.authors.some(author => author.id === this.currentAcademic.id)) {
+                    return; // Skip works already credited to the current academic
+                }
+                
+                const authors = work.authors.map(author => author.name).join(', ');
+                const label = `${work.title}${work.year ? ` (${formatHistoricalYear(work.year, work.approximate)})` : ''} — ${authors}`;
+                workOptions += `<option value="${this._escapeHtml(work.id)}">${this._escapeHtml(label)}</option>`;
+            });
+        }
+        
+        let typeOptions = '<option value="">Unspecified</option>';
+        for (const type in WORK_TYPES) {
+            typeOptions += `<option value="${type}">${WORK_TYPES[type]}</option>`;
+        }
+        
         const formHTML = `
+            <div class="form-group">
+                <label for="paper-work">Existing Work:</label>
+                <select id="paper-work">
+                    ${workOptions}
+                </select>
+            </div>
+            
             <div class="form-group">
                 <label for="paper-title">Paper Title:</label>
                 <input type="text" id="paper-title" placeholder="Enter paper title" required>
@@ -116,7 +157,14 @@ class ContributionHandler {
             
             <div class="form-group">
                 <label for="paper-year">Year:</label>
-                <input type="number" id="paper-year" min="1800" max="${new Date().getFullYear()}" placeholder="Publication year">
+                <input type="text" id="paper-year" placeholder="Publication year, e.g. 1975 or c. 380 BCE">
+            </div>
+            
+            <div class="form-group">
+                <label for="paper-type">Work Type:</label>
+                <select id="paper-type">
+                    ${typeOptions}
+                </select>
             </div>
             
             <div class="form-group">
@@ -124,6 +172,31 @@ class ContributionHandler {
                 <input type="text" id="paper-coauthors" placeholder="Co-author 1, Co-author 2, ...">
             </div>
             
+            <div class="form-group">
+                <label for="paper-publisher">Publisher (optional):</label>
+                <input type="text" id="paper-publisher" placeholder="Publisher or journal">
+            </div>
+            
+            <div class="form-group">
+                <label for="paper-doi">DOI (optional):</label>
+                <input type="text" id="paper-doi" placeholder="10.1000/xyz123">
+            </div>
+            
+            <div class="form-group">
+                <label for="paper-isbn">ISBN (optional):</label>
+                <input type="text" id="paper-isbn" placeholder="978-...">
+            </div>
+            
+            <div class="form-group">
+                <label for="paper-language">Original Language (optional):</label>
+                <input type="text" id="paper-language" placeholder="e.g. French">
+            </div>
+            
+            <div class="form-group">
+                <label for="paper-translations">Translations (optional, one per line):</label>
+                <textarea id="paper-translations" rows="3" placeholder="English: Discipline and Punish (1977)"></textarea>
+            </div>
+            
             <div class="form-group">
                 <label for="paper-url">URL (optional):</label>
                 <input type="url" id="paper-url" placeholder="https://...">
@@ -133,11 +206,36 @@ class ContributionHandler {
         container.innerHTML = formHTML;
     }
     
+    /**
+     * Escape text for use in form markup, both as element content and as an attribute value
+     * @private
+     * @param {*} text - Text such as a title or name
+     * @returns {string} Escaped text
+     */
+    _escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
     /**
      * Create form for event contribution
      * @param {HTMLElement} container - Container for form fields
      */
     createEventForm(container) {
+        // Suggest known institutions so spellings stay consistent
+        let institutionOptions = '';
+        if (typeof databaseManager !== 'undefined') {
+            databaseManager.getAllInstitutions()
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .forEach(institution => {
+                    institutionOptions += `<option value="${this._escapeHtml(institution.name)}"></option>`;
+                });
+        }
+        
         const formHTML = `
             <div class="form-group">
                 <label for="event-title">Event Title:</label>
@@ -146,7 +244,12 @@ class ContributionHandler {
             
             <div class="form-group">
                 <label for="event-year">Year:</label>
-                <input type="number" id="event-year" min="1800" max="${new Date().getFullYear()}" placeholder="Event year">
+                <input type="text" id="event-year" placeholder="Event year or years, e.g. 1969, 1969–1987 or c. 1650">
+            </div>
+            
+            <div class="form-group">
+                <label for="event-end-year">Until Year (optional):</label>
+                <input type="text" id="event-end-year" placeholder="Last year, for positions held over several years">
             </div>
             
             <div class="form-group">
@@ -154,6 +257,19 @@ class ContributionHandler {
                 <input type="text" id="event-location" placeholder="Event location">
             </div>
             
+            <div class="form-group">
+                <label for="event-institution">Institution (optional):</label>
+                <input type="text" id="event-institution" list="event-institution-options" placeholder="e.g. University of Paris VIII">
+                <datalist id="event-institution-options">
+                    ${institutionOptions}
+                </datalist>
+            </div>
+            
+            <div class="form-group">
+                <label for="event-role">Role at the Institution (optional):</label>
+                <input type="text" id="event-role" placeholder="e.g. Professor of Philosophy">
+            </div>
+            
             <div class="form-group">
                 <label for="event-description">Description (optional):</label>
                 <textarea id="event-description" rows="3" placeholder="Event description"></textarea>
@@ -175,14 +291,35 @@ class ContributionHandler {
             const academics = databaseManager.getAllAcademics();
             
             academics.forEach(academic => {
-                if (this.currentAcademic && academic.name === this.currentAcademic.name) {
+                if (this.currentAcademic && academic.id === this.currentAcademic.id) {
                     return; // Skip the current academic
                 }
-                options += `<option value="${academic.name}">${academic.name}</option>`;
+                options += `<option value="${this._escapeHtml(academic.id)}">${this._escapeHtml(academic.name)}</option>`;
             });
         }
         
+        // One option per relationship type and direction, read as "<academic> <label> <connected academic>"
+        let relationshipOptions = '';
+        for (const type in RELATIONSHIP_TYPES) {
+            const definition = RELATIONSHIP_TYPES[type];
+            
+            if (definition.directed) {
+                relationshipOptions += `<option value="${type}:outgoing">${definition.outgoing}</option>`;
+                relationshipOptions += `<option value="${type}:incoming">${definition.incoming}</option>`;
+            } else {
+                const selected = type === DEFAULT_RELATIONSHIP_TYPE ? 'selected' : '';
+                relationshipOptions += `<option value="${type}:mutual" ${selected}>${definition.label}</option>`;
+            }
+        }
+        
         const formHTML = `
+            <div class="form-group">
+                <label for="connection-type">Relationship:</label>
+                <select id="connection-type">
+                    ${relationshipOptions}
+                </select>
+            </div>
+            
             <div class="form-group">
                 <label for="connection-academic">Connected Academic:</label>
                 <select id="connection-academic" required>
@@ -195,6 +332,16 @@ class ContributionHandler {
                 <input type="text" id="connection-new-academic" placeholder="New academic name">
             </div>
             
+            <div class="form-group">
+                <label for="connection-start-year">From Year (optional):</label>
+                <input type="text" id="connection-start-year" placeholder="Start year">
+            </div>
+            
+            <div class="form-group">
+                <label for="connection-end-year">To Year (optional):</label>
+                <input type="text" id="connection-end-year" placeholder="End year">
+            </div>
+            
             <div class="form-group">
                 <label for="connection-description">Connection Description (optional):</label>
                 <textarea id="connection-description" rows="3" placeholder="Describe the connection"></textarea>
@@ -270,7 +417,10 @@ class ContributionHandler {
      * @param {HTMLElement} container - Container for form fields
      */
     createBioForm(container) {
-        const currentBio = this.currentAcademic?.bio || '';
+        const currentBio = this._escapeHtml(this.currentAcademic?.bio || '');
+        const currentAliases = this._escapeHtml((this.currentAcademic?.aliases || []).join(', '));
+        const currentBirthYear = formatHistoricalYear(this.currentAcademic?.birthYear, this.currentAcademic?.birthApproximate);
+        const currentDeathYear = formatHistoricalYear(this.currentAcademic?.deathYear, this.currentAcademic?.deathApproximate);
         
         const formHTML = `
             <div class="form-group">
@@ -278,15 +428,85 @@ class ContributionHandler {
                 <textarea id="bio-text" rows="6" placeholder="Enter biographical information">${currentBio}</textarea>
             </div>
             
+            <div class="form-group">
+                <label for="bio-aliases">Also Known As (optional):</label>
+                <input type="text" id="bio-aliases" value="${currentAliases}" placeholder="Alternative names or spellings, comma separated">
+            </div>
+            
             <div class="form-group">
                 <label for="bio-birth-year">Birth Year (optional):</label>
-                <input type="number" id="bio-birth-year" min="1000" max="${new Date().getFullYear()}" placeholder="Birth year">
+                <input type="text" id="bio-birth-year" value="${currentBirthYear}" placeholder="Birth year, e.g. 1926, c. 1650 or 428 BCE">
             </div>
             
             <div class="form-group">
                 <label for="bio-death-year">Death Year (if applicable):</label>
-                <input type="number" id="bio-death-year" min="1000" max="${new Date().getFullYear()}" placeholder="Death year">
+                <input type="text" id="bio-death-year" value="${currentDeathYear}" placeholder="Death year, e.g. 1984, c. 1700 or 348 BCE">
+            </div>
+        `;
+        
+        container.innerHTML = formHTML;
+    }
+    
+    /**
+     * Create form for concept contribution
+     * The academic is recorded as the concept's originator; key works are chosen from their works
+     * @param {HTMLElement} container - Container for form fields
+     */
+    createConceptForm(container) {
+        let conceptNames = '';
+        let conceptOptions = '';
+        let workOptions = '';
+        
+        if (typeof databaseManager !== 'undefined') {
+            databaseManager.getAllConcepts()
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .forEach(concept => {
+                    const name = this._escapeHtml(concept.name);
+                    conceptNames += `<option value="${name}"></option>`;
+                    conceptOptions += `<option value="${this._escapeHtml(concept.id)}">${name}</option>`;
+                });
+            
+            if (this.currentAcademic) {
+                databaseManager.getWorksByAuthor(this.currentAcademic.id).forEach(work => {
+                    const label = `${work.title}${work.year ? ` (${formatHistoricalYear(work.year, work.approximate)})` : ''}`;
+                    workOptions += `<option value="${this._escapeHtml(work.id)}">${this._escapeHtml(label)}</option>`;
+                });
+            }
+        }
+        
+        let linkFields = '';
+        for (const type in CONCEPT_LINK_TYPES) {
+            linkFields += `
+            <div class="form-group">
+                <label for="concept-${type}">${CONCEPT_LINK_TYPES[type].outgoing} (optional):</label>
+                <select id="concept-${type}" multiple size="4">
+                    ${conceptOptions}
+                </select>
             </div>
+            `;
+        }
+        
+        const formHTML = `
+            <div class="form-group">
+                <label for="concept-name">Concept:</label>
+                <input type="text" id="concept-name" list="concept-name-options" placeholder="e.g. Rhizome" required>
+                <datalist id="concept-name-options">
+                    ${conceptNames}
+                </datalist>
+            </div>
+            
+            <div class="form-group">
+                <label for="concept-definition">Definition:</label>
+                <textarea id="concept-definition" rows="4" placeholder="A short definition of the concept"></textarea>
+            </div>
+            
+            <div class="form-group">
+                <label for="concept-works">Key Works (optional):</label>
+                <select id="concept-works" multiple size="4">
+                    ${workOptions}
+                </select>
+            </div>
+            ${linkFields}
         `;
         
         container.innerHTML = formHTML;
@@ -338,6 +558,9 @@ class ContributionHandler {
                 case 'bio':
                     contributionData = this._validateBioContribution();
                     break;
+                case 'concept':
+                    contributionData = this._validateConceptContribution();
+                    break;
                 default:
                     throw new Error('Unknown contribution type');
             }
@@ -349,6 +572,7 @@ class ContributionHandler {
         // Prepare the submission
         const submission = {
             academicName,
+            academicId: this.currentAcademic ? this.currentAcademic.id : null,
             contributionType,
             contributorName,
             data: contributionData,
@@ -359,44 +583,117 @@ class ContributionHandler {
         this._submitContribution(submission, submitToGitHub);
     }
     
+    /**
+     * Read a year field; years may be approximate ("c. 1650") or BCE ("428 BCE")
+     * @private
+     * @param {HTMLElement} input - Year input
+     * @param {string} label - Field name for error messages
+     * @param {boolean} allowRange - Whether a range such as "1969–1987" is accepted
+     * @returns {Object|null} { year, endYear, approximate }, or null if the field is empty
+     */
+    _readYear(input, label, allowRange = false) {
+        if (!input || !input.value.trim()) {
+            return null;
+        }
+        
+        const parsed = parseYearRange(input.value.trim());
+        
+        if (!parsed || (!allowRange && parsed.endYear !== null) ||
+            (parsed.endYear !== null ? parsed.endYear : parsed.year) > new Date().getFullYear()) {
+            throw new Error(`Invalid ${label} (e.g. 1966, c. 1650 or 428 BCE)`);
+        }
+        
+        return parsed;
+    }
+    
     /**
      * Validate paper contribution
      * @private
      * @returns {Object} - Validated paper data
      */
     _validatePaperContribution() {
+        const workSelect = document.getElementById('paper-work');
         const titleInput = document.getElementById('paper-title');
         const yearInput = document.getElementById('paper-year');
+        const typeSelect = document.getElementById('paper-type');
         const coauthorsInput = document.getElementById('paper-coauthors');
+        const publisherInput = document.getElementById('paper-publisher');
+        const doiInput = document.getElementById('paper-doi');
+        const isbnInput = document.getElementById('paper-isbn');
+        const languageInput = document.getElementById('paper-language');
+        const translationsInput = document.getElementById('paper-translations');
         const urlInput = document.getElementById('paper-url');
         
+        // An existing work only needs the current academic added as an author
+        if (workSelect && workSelect.value && typeof databaseManager !== 'undefined') {
+            const work = databaseManager.getWork(workSelect.value);
+            
+            if (!work) {
+                throw new Error('Selected work not found');
+            }
+            
+            return {
+                type: 'paper',
+                paper: {
+                    workId: work.id,
+                    title: work.title,
+                    year: work.year,
+                    approximate: work.approximate
+                }
+            };
+        }
+        
         if (!titleInput || !titleInput.value.trim()) {
             throw new Error('Paper title is required');
         }
         
         const title = titleInput.value.trim();
-        let year = null;
-        
-        if (yearInput && yearInput.value) {
-            year = parseInt(yearInput.value);
-            
-            if (isNaN(year) || year < 1800 || year > new Date().getFullYear()) {
-                throw new Error('Invalid year');
-            }
-        }
+        const year = this._readYear(yearInput, 'year');
         
         const coauthors = coauthorsInput && coauthorsInput.value 
-            ? coauthorsInput.value.split(',').map(name => name.trim()).filter(name => name)
+            ? coauthorsInput.value.split(',').map(name => name.trim()).filter(name => name).map(name => this._confirmAcademicName(name))
             : [];
-            
+        
         const url = urlInput && urlInput.value ? urlInput.value.trim() : null;
+        const publisher = publisherInput && publisherInput.value.trim() ? publisherInput.value.trim() : null;
+        const language = languageInput && languageInput.value.trim() ? languageInput.value.trim() : null;
+        const workType = typeSelect && WORK_TYPES[typeSelect.value] ? typeSelect.value : null;
+        
+        const doi = doiInput && doiInput.value.trim() ? doiInput.value.trim().replace(/^https?:\/\/(dx\.)?doi\.org\//i, '') : null;
+        if (doi && !/^10\.\d{4,}\/\S+$/.test(doi)) {
+            throw new Error('Invalid DOI (expected something like 10.1000/xyz123)');
+        }
+        
+        const isbn = isbnInput && isbnInput.value.trim() ? isbnInput.value.trim() : null;
+        if (isbn && !/^(\d{9}[\dX]|\d{13})$/i.test(isbn.replace(/[\s-]/g, ''))) {
+            throw new Error('Invalid ISBN (expected 10 or 13 digits)');
+        }
+        
+        // One translation per line: "Language: Title (Year)", language and year optional
+        const translations = translationsInput && translationsInput.value
+            ? translationsInput.value.split('\n').map(line => line.trim()).filter(line => line).map(line => {
+                const match = line.match(/^(?:([^:]+):\s*)?(.+?)(?:\s*\((\d{3,4})\))?$/);
+                return {
+                    language: match[1] ? match[1].trim() : null,
+                    title: match[2].trim(),
+                    year: match[3] ? parseInt(match[3]) : null
+                };
+            })
+            : [];
         
         return {
             type: 'paper',
             paper: {
                 title,
-                year,
+                year: year ? year.year : null,
+                approximate: Boolean(year && year.approximate),
+                workType,
                 coauthors,
+                publisher,
+                doi,
+                isbn,
+                language,
+                translations,
                 url
             }
         };
@@ -410,7 +707,10 @@ class ContributionHandler {
     _validateEventContribution() {
         const titleInput = document.getElementById('event-title');
         const yearInput = document.getElementById('event-year');
+        const endYearInput = document.getElementById('event-end-year');
         const locationInput = document.getElementById('event-location');
+        const institutionInput = document.getElementById('event-institution');
+        const roleInput = document.getElementById('event-role');
         const descriptionInput = document.getElementById('event-description');
         
         if (!titleInput || !titleInput.value.trim()) {
@@ -418,17 +718,20 @@ class ContributionHandler {
         }
         
         const title = titleInput.value.trim();
-        let year = null;
         
-        if (yearInput && yearInput.value) {
-            year = parseInt(yearInput.value);
-            
-            if (isNaN(year) || year < 1800 || year > new Date().getFullYear()) {
-                throw new Error('Invalid year');
-            }
+        // The year field may hold a range; a separate end year takes precedence
+        const years = this._readYear(yearInput, 'year', true);
+        const end = this._readYear(endYearInput, 'end year');
+        const year = years ? years.year : null;
+        const endYear = end ? end.year : (years ? years.endYear : null);
+        
+        if (year !== null && endYear !== null && endYear < year) {
+            throw new Error('End year cannot be before the year');
         }
         
         const location = locationInput && locationInput.value ? locationInput.value.trim() : null;
+        const institution = institutionInput && institutionInput.value.trim() ? institutionInput.value.trim() : null;
+        const role = roleInput && roleInput.value.trim() ? roleInput.value.trim() : null;
         const description = descriptionInput && descriptionInput.value ? descriptionInput.value.trim() : null;
         
         return {
@@ -436,39 +739,96 @@ class ContributionHandler {
             event: {
                 title,
                 year,
+                endYear,
+                approximate: Boolean((years && years.approximate) || (end && end.approximate)),
                 location,
+                institution,
+                role,
                 description
             }
         };
     }
     
+    /**
+     * Settle a typed academic name before it is stored as a reference
+     * References only resolve exact names, so when the name is not in the database but is close to
+     * one that is (e.g. "J. Derrida"), the user is asked whether they meant that academic
+     * @private
+     * @param {string} name - Name as typed
+     * @returns {string} The name of the academic picked, or the typed name for a new academic
+     */
+    _confirmAcademicName(name) {
+        if (typeof databaseManager === 'undefined') {
+            return name;
+        }
+        
+        const academic = databaseManager.getAcademic(name);
+        if (academic) {
+            return academic.name;
+        }
+        
+        const [closest] = databaseManager.findSimilarAcademics(name, 1);
+        
+        if (closest && confirm(`"${name}" is not in the database. Did you mean ${closest.academic.name}?\n\n` +
+            `OK links to ${closest.academic.name}; Cancel adds "${name}" as a new academic.`)) {
+            return closest.academic.name;
+        }
+        
+        return name;
+    }
+    
     /**
      * Validate connection contribution
      * @private
      * @returns {Object} - Validated connection data
      */
     _validateConnectionContribution() {
+        const typeSelect = document.getElementById('connection-type');
         const academicSelect = document.getElementById('connection-academic');
         const newAcademicInput = document.getElementById('connection-new-academic');
+        const startYearInput = document.getElementById('connection-start-year');
+        const endYearInput = document.getElementById('connection-end-year');
         const descriptionInput = document.getElementById('connection-description');
         
         // Either select an existing academic or add a new one
-        let connectedAcademic;
+        let reference;
         
         if (academicSelect && academicSelect.value) {
-            connectedAcademic = academicSelect.value;
+            reference = databaseManager.getAcademicReference(academicSelect.value);
         } else if (newAcademicInput && newAcademicInput.value.trim()) {
-            connectedAcademic = newAcademicInput.value.trim();
+            reference = databaseManager.getAcademicReference(this._confirmAcademicName(newAcademicInput.value.trim()));
         } else {
             throw new Error('Please select or enter a connected academic');
         }
         
+        if (this.currentAcademic && reference.id === this.currentAcademic.id) {
+            throw new Error('An academic cannot be connected to themselves');
+        }
+        
+        const [relationshipType, direction] = typeSelect && typeSelect.value
+            ? typeSelect.value.split(':')
+            : [DEFAULT_RELATIONSHIP_TYPE, 'mutual'];
+        
+        const start = this._readYear(startYearInput, 'start year');
+        const end = this._readYear(endYearInput, 'end year');
+        const startYear = start ? start.year : null;
+        const endYear = end ? end.year : null;
+        
+        if (startYear !== null && endYear !== null && endYear < startYear) {
+            throw new Error('End year cannot be before start year');
+        }
+        
         const description = descriptionInput && descriptionInput.value ? descriptionInput.value.trim() : null;
         
         return {
             type: 'connection',
             connection: {
-                connectedAcademic,
+                connectedAcademic: reference.name,
+                connectedAcademicId: reference.id,
+                relationshipType,
+                direction,
+                startYear,
+                endYear,
                 description
             }
         };
@@ -514,41 +874,81 @@ class ContributionHandler {
         const bioTextarea = document.getElementById('bio-text');
         const birthYearInput = document.getElementById('bio-birth-year');
         const deathYearInput = document.getElementById('bio-death-year');
+        const aliasesInput = document.getElementById('bio-aliases');
         
         if (!bioTextarea || !bioTextarea.value.trim()) {
             throw new Error('Biography text is required');
         }
         
         const bio = bioTextarea.value.trim();
-        let birthYear = null;
-        let deathYear = null;
+        const birth = this._readYear(birthYearInput, 'birth year');
+        const death = this._readYear(deathYearInput, 'death year');
         
-        if (birthYearInput && birthYearInput.value) {
-            birthYear = parseInt(birthYearInput.value);
-            
-            if (isNaN(birthYear) || birthYear < 1000 || birthYear > new Date().getFullYear()) {
-                throw new Error('Invalid birth year');
-            }
+        if (birth && death && death.year < birth.year) {
+            throw new Error('Death year cannot be before birth year');
         }
         
-        if (deathYearInput && deathYearInput.value) {
-            deathYear = parseInt(deathYearInput.value);
-            
-            if (isNaN(deathYear) || deathYear < 1000 || deathYear > new Date().getFullYear()) {
-                throw new Error('Invalid death year');
-            }
-            
-            if (birthYear && deathYear && deathYear < birthYear) {
-                throw new Error('Death year cannot be before birth year');
-            }
-        }
+        // Alternative names, without duplicates
+        const aliases = aliasesInput
+            ? [...new Set(aliasesInput.value.split(',').map(alias => alias.trim()).filter(Boolean))]
+            : [];
         
         return {
             type: 'bio',
             bio: {
                 text: bio,
-                birthYear,
-                deathYear
+                birthYear: birth ? birth.year : null,
+                birthApproximate: Boolean(birth && birth.approximate),
+                deathYear: death ? death.year : null,
+                deathApproximate: Boolean(death && death.approximate),
+                aliases
+            }
+        };
+    }
+    
+    /**
+     * Validate concept contribution
+     * @private
+     * @returns {Object} - Validated concept data
+     */
+    _validateConceptContribution() {
+        const nameInput = document.getElementById('concept-name');
+        const definitionTextarea = document.getElementById('concept-definition');
+        const worksSelect = document.getElementById('concept-works');
+        
+        if (!nameInput || !nameInput.value.trim()) {
+            throw new Error('Concept name is required');
+        }
+        
+        const name = nameInput.value.trim();
+        const definition = definitionTextarea ? definitionTextarea.value.trim() : '';
+        const existing = typeof databaseManager !== 'undefined' ? databaseManager.getConceptByName(name) : null;
+        
+        if (!definition && !(existing && existing.definition)) {
+            throw new Error('A definition is required for a new concept');
+        }
+        
+        const selectedValues = (select) => select
+            ? Array.from(select.selectedOptions).map(option => option.value)
+            : [];
+        
+        const links = [];
+        for (const type in CONCEPT_LINK_TYPES) {
+            selectedValues(document.getElementById(`concept-${type}`)).forEach(id => {
+                if (existing && id === existing.id) {
+                    throw new Error('A concept cannot be linked to itself');
+                }
+                links.push({ id, type });
+            });
+        }
+        
+        return {
+            type: 'concept',
+            concept: {
+                name,
+                definition,
+                keyWorkIds: selectedValues(worksSelect),
+                links
             }
         };
     }
@@ -585,41 +985,25 @@ class ContributionHandler {
             if (!academic) {
                 academic = {
                     name: submission.academicName,
-                    papers: [],
                     events: [],
                     connections: [],
                     taxonomies: {}
                 };
             }
             
-            // Update the academic with the contribution
+            // Update the academic with the contribution; papers and concepts are stored once it is saved
             switch (submission.data.type) {
-                case 'paper':
-                    if (!academic.papers) {
-                        academic.papers = [];
-                    }
-                    academic.papers.push(submission.data.paper);
-                    break;
-                    
                 case 'event':
-                    if (!academic.events) {
-                        academic.events = [];
-                    }
-                    academic.events.push(submission.data.event);
+                    databaseManager.addEvent(academic, submission.data.event);
                     break;
-                    
+                
                 case 'connection':
-                    if (!academic.connections) {
-                        academic.connections = [];
-                    }
-                    
-                    const connectedAcademic = submission.data.connection.connectedAcademic;
-                    
-                    if (!academic.connections.includes(connectedAcademic)) {
-                        academic.connections.push(connectedAcademic);
-                    }
+                    databaseManager.addRelationship(
+                        academic,
+                        databaseManager.relationshipFromSubmission(submission.data.connection)
+                    );
                     break;
-                    
+                
                 case 'taxonomy':
                     if (!academic.taxonomies) {
                         academic.taxonomies = {};
@@ -637,25 +1021,57 @@ class ContributionHandler {
                         });
                     }
                     break;
-                    
+                
                 case 'bio':
                     academic.bio = submission.data.bio.text;
                     
                     if (submission.data.bio.birthYear) {
                         academic.birthYear = submission.data.bio.birthYear;
+                        academic.birthApproximate = Boolean(submission.data.bio.birthApproximate);
                     }
                     
                     if (submission.data.bio.deathYear) {
                         academic.deathYear = submission.data.bio.deathYear;
+                        academic.deathApproximate = Boolean(submission.data.bio.deathApproximate);
                     }
+                    
+                    if (submission.data.bio.aliases) {
+                        academic.aliases = submission.data.bio.aliases;
+                    }
+                    break;
+                
+                case 'concept':
+                    databaseManager.addConceptTheme(academic, submission.data.concept.name);
                     break;
             }
             
             // Save the academic to the database
             let databaseSuccess = false;
+            const works = [];
             
             if (typeof databaseManager !== 'undefined') {
-                databaseSuccess = databaseManager.addOrUpdateAcademic(academic);
+                databaseSuccess = databaseManager.addOrUpdateAcademic(academic, {
+                    source: 'contribution',
+                    contributor: submission.contributorName,
+                    summary: `Added ${submission.data.type} information`
+                });
+                
+                // Record the stable ID assigned to a new academic
+                submission.academicId = academic.id;
+                
+                if (databaseSuccess && submission.data.type === 'paper') {
+                    const work = databaseManager.addWorkContribution(academic.id, submission.data.paper);
+                    
+                    if (work) {
+                        works.push(work);
+                    }
+                    
+                    databaseSuccess = Boolean(work);
+                }
+                
+                if (databaseSuccess && submission.data.type === 'concept') {
+                    databaseSuccess = databaseManager.addConceptContribution(academic, submission.data.concept);
+                }
                 
                 // Add to pending submissions if configured
                 databaseManager.addPendingSubmission(submission);
@@ -665,7 +1081,7 @@ class ContributionHandler {
             let githubSuccess = false;
             
             if (submitToGitHub && typeof githubManager !== 'undefined' && githubManager.isGitHubConnected()) {
-                githubManager.submitAcademicContribution(academic)
+                githubManager.submitAcademicContribution(academic, works)
                     .then(success => {
                         if (success) {
                             contributionResult.innerHTML += '<div class="success-message">Contribution submitted to GitHub successfully.</div>';
@@ -683,6 +1099,15 @@ class ContributionHandler {
             
             if (databaseSuccess) {
                 contributionResult.innerHTML += '<div class="info-message">Academic data updated in the local database.</div>';
+                
+                // addOrUpdateAcademic mirrors the relationship onto the connected academic
+                if (submission.data.type === 'connection') {
+                    const connectedAcademic = databaseManager.getAcademicById(submission.data.connection.connectedAcademicId);
+                    
+                    if (connectedAcademic) {
+                        contributionResult.innerHTML += `<div class="info-message">Connection also added to ${this._escapeHtml(connectedAcademic.name)}'s profile.</div>`;
+                    }
+                }
             }
             
             // Clear the form
@@ -700,7 +1125,8 @@ class ContributionHandler {
                     title: `New Contribution: ${submission.academicName}`,
                     content: `New ${submission.data.type} information added for ${submission.academicName}.`,
                     date: new Date().toISOString(),
-                    type: submission.data.type
+                    type: submission.data.type,
+                    academicId: academic.id
                 });
             }
         } catch (error) {
@@ -3,12 +3,42 @@
  * Handles all data storage, retrieval, and manipulation operations
  */
 
+// Where a revision of an academic record came from
+const REVISION_SOURCES = ['contribution', 'import', 'deepsearch', 'admin'];
+
+// Every this many revisions the full record is stored; the revisions in between store only changed fields
+const REVISION_SNAPSHOT_INTERVAL = 20;
+
+// Quiet period after the last change to academics before bridge and centrality tiles are checked (ms)
+const GRAPH_TILE_DELAY = 2000;
+
 class DatabaseManager {
     constructor() {
         this.academics = {}; // Academic data
         this.noveltyTiles = []; // Recent updates and interesting content
         this.pendingSubmissions = []; // Submissions awaiting approval
-        this.favorites = []; // User favorite academics
+        this.favorites = []; // User favorite academic IDs
+        this.revisions = {}; // Academic ID -> append-only list of revisions
+        this.works = {}; // Work ID -> work shared by its authors
+        this.institutions = {}; // Institution ID -> institution (university, school, ...)
+        this.places = {}; // Place ID -> place (city and country)
+        this.concepts = {}; // Concept ID -> concept (themes such as "Rhizome" with their lineage)
+        this.layouts = {}; // Network view key -> layout name -> saved node positions
+        this.storage = null; // Storage adapter (IndexedDB or localStorage)
+        this._nameIndex = new Map(); // Normalized name or alias -> academic ID
+        this._idNames = new Map(); // Academic ID -> current name
+        this._idNameKeys = new Map(); // Academic ID -> normalized names and aliases in the name index
+        this._worksByAuthor = new Map(); // Academic ID -> Set of IDs of works they authored
+        this.searchIndex = new SearchIndex(); // Full-text index over academic records
+        this._graphAnalytics = null; // Centrality and communities of the connection graph
+        this._graphAnalyticsStale = true; // Whether academics changed since the analytics were computed
+        this._tileAnalytics = null; // Analytics that bridge and centrality tiles were last checked against
+        this._graphTileTimer = null; // Pending check for new bridge and centrality tiles
+        
+        // Resolves once data has been loaded from storage
+        this.ready = new Promise(resolve => {
+            this._resolveReady = resolve;
+        });
         
         // Initialize when the DOM is loaded
         document.addEventListener('DOMContentLoaded', () => {
@@ -17,56 +47,418 @@ class DatabaseManager {
     }
     
     /**
-     * Load all data from localStorage
+     * Load all data from the storage adapter
+     * @returns {Promise<void>}
      */
-    loadData() {
+    async loadData() {
         try {
-            // Load academics
-            const savedAcademics = localStorage.getItem('killphilosophy_academics');
-            if (savedAcademics) {
-                this.academics = JSON.parse(savedAcademics);
+            // Pick IndexedDB if available, otherwise fall back to localStorage
+            if (!this.storage) {
+                this.storage = await createStorageAdapter();
+            }
+            
+            // Upgrade stored data to the current schema version
+            const stored = await this.storage.load();
+            const { data, applied } = migrateData(stored, stored.schemaVersion);
+            
+            if (data.academics) {
+                this.academics = data.academics;
+            }
+            
+            if (data.noveltyTiles) {
+                this.noveltyTiles = data.noveltyTiles;
+            }
+            
+            if (data.pendingSubmissions) {
+                this.pendingSubmissions = data.pendingSubmissions;
+            }
+            
+            if (data.favorites) {
+                this.favorites = data.favorites;
+            }
+            
+            if (data.revisions) {
+                this.revisions = data.revisions;
             }
             
-            // Load novelty tiles
-            const savedNovelties = localStorage.getItem('killphilosophy_novelties');
-            if (savedNovelties) {
-                this.noveltyTiles = JSON.parse(savedNovelties);
+            if (data.works) {
+                this.works = data.works;
             }
             
-            // Load pending submissions
-            const savedSubmissions = localStorage.getItem('killphilosophy_submissions');
-            if (savedSubmissions) {
-                this.pendingSubmissions = JSON.parse(savedSubmissions);
+            if (data.institutions) {
+                this.institutions = data.institutions;
             }
             
-            // Load favorites
-            const savedFavorites = localStorage.getItem('killphilosophy_favorites');
-            if (savedFavorites) {
-                this.favorites = JSON.parse(savedFavorites);
+            if (data.places) {
+                this.places = data.places;
             }
             
-            console.log('Database loaded successfully');
+            if (data.concepts) {
+                this.concepts = data.concepts;
+            }
+            
+            if (data.layouts) {
+                this.layouts = data.layouts;
+            }
+            
+            this._rebuildIndexes();
+            
+            console.log(`Database loaded successfully (${this.storage.name}, schema v${SCHEMA_VERSION})`);
+            
+            // Persist upgraded data
+            if (applied.length > 0 && Object.keys(this.academics).length > 0) {
+                this.saveData();
+            }
             
             // If empty, load some sample data
             if (Object.keys(this.academics).length === 0) {
                 this.loadSampleData();
             }
+            
+            // Records created before history tracking get a baseline revision
+            this._ensureBaselineRevisions();
+            
+            // Report links that only exist on one side; repairing them is offered in the admin panel
+            const oneSided = this.findOneSidedRelationships();
+            if (oneSided.length > 0) {
+                console.warn(`Found ${oneSided.length} one-sided relationships`);
+            }
         } catch (error) {
-            console.error('Error loading data from localStorage:', error);
+            console.error('Error loading data from storage:', error);
+            
+            if (typeof window.displayErrorMessage === 'function') {
+                window.displayErrorMessage(`Could not load the database (${error.message}). Changes will not be saved; reload the page to try again.`, 'database');
+            }
+        } finally {
+            this._resolveReady();
+        }
+        
+        // Bridge and centrality tiles compare later changes with the database as loaded
+        if (typeof setTimeout === 'function') {
+            setTimeout(() => this._ensureTileBaseline(), 0);
         }
     }
     
     /**
-     * Save all data to localStorage
+     * Save all data to storage
+     * @returns {Promise<boolean>} Whether the data was saved
      */
     saveData() {
-        try {
-            localStorage.setItem('killphilosophy_academics', JSON.stringify(this.academics));
-            localStorage.setItem('killphilosophy_novelties', JSON.stringify(this.noveltyTiles));
-            localStorage.setItem('killphilosophy_submissions', JSON.stringify(this.pendingSubmissions));
-            localStorage.setItem('killphilosophy_favorites', JSON.stringify(this.favorites));
-        } catch (error) {
-            console.error('Error saving data to localStorage:', error);
+        if (!this.storage) return Promise.resolve(false);
+        
+        return this._reportSaveErrors(this.storage.saveAll({
+            academics: this.academics,
+            noveltyTiles: this.noveltyTiles,
+            pendingSubmissions: this.pendingSubmissions,
+            favorites: this.favorites,
+            revisions: this.revisions,
+            works: this.works,
+            institutions: this.institutions,
+            places: this.places,
+            concepts: this.concepts,
+            layouts: this.layouts,
+            schemaVersion: SCHEMA_VERSION
+        }), 'the database');
+    }
+    
+    /**
+     * Report a failed write to storage
+     * Writes are not awaited by the methods that change data, so a rejected save is shown to the
+     * user instead of being lost with the change
+     * @private
+     * @param {Promise} save - Pending write
+     * @param {string} what - What is being saved (collection name)
+     * @returns {Promise<boolean>} Whether the write succeeded
+     */
+    _reportSaveErrors(save, what) {
+        return save.then(() => true, error => {
+            console.error(`Error saving ${what} to storage:`, error);
+            
+            if (typeof window.displayErrorMessage === 'function') {
+                window.displayErrorMessage(
+                    `Could not save ${what} (${error && error.message ? error.message : error}). ` +
+                    'Recent changes may be lost when the page is closed; export the database to keep a copy.',
+                    'database'
+                );
+            }
+            
+            return false;
+        });
+    }
+    
+    /**
+     * Save individual academic records to storage
+     * @private
+     * @param {Array} keys - Keys of the academics that changed or were removed
+     * @returns {Promise<boolean>} Whether the records were saved
+     */
+    _saveAcademics(keys) {
+        if (!this.storage) return Promise.resolve(false);
+        
+        return this._reportSaveErrors(this.storage.saveRecords('academics', this.academics, keys), 'academics');
+    }
+    
+    /**
+     * Save the revision logs of individual academics to storage
+     * @private
+     * @param {Array} keys - IDs of the academics whose revision logs changed
+     * @returns {Promise<boolean>} Whether the records were saved
+     */
+    _saveRevisions(keys) {
+        if (!this.storage) return Promise.resolve(false);
+        
+        return this._reportSaveErrors(this.storage.saveRecords('revisions', this.revisions, keys), 'revisions');
+    }
+    
+    /**
+     * Save individual work records to storage
+     * @private
+     * @param {Array} keys - IDs of the works that changed or were removed
+     * @returns {Promise<boolean>} Whether the records were saved
+     */
+    _saveWorks(keys) {
+        if (!this.storage) return Promise.resolve(false);
+        
+        return this._reportSaveErrors(this.storage.saveRecords('works', this.works, keys), 'works');
+    }
+    
+    /**
+     * Save individual institution records to storage
+     * @private
+     * @param {Array} keys - IDs of the institutions that changed
+     * @returns {Promise<boolean>} Whether the records were saved
+     */
+    _saveInstitutions(keys) {
+        if (!this.storage) return Promise.resolve(false);
+        
+        return this._reportSaveErrors(this.storage.saveRecords('institutions', this.institutions, keys), 'institutions');
+    }
+    
+    /**
+     * Save individual place records to storage
+     * @private
+     * @param {Array} keys - IDs of the places that changed
+     * @returns {Promise<boolean>} Whether the records were saved
+     */
+    _savePlaces(keys) {
+        if (!this.storage) return Promise.resolve(false);
+        
+        return this._reportSaveErrors(this.storage.saveRecords('places', this.places, keys), 'places');
+    }
+    
+    /**
+     * Save individual concept records to storage
+     * @private
+     * @param {Array} keys - IDs of the concepts that changed
+     * @returns {Promise<boolean>} Whether the records were saved
+     */
+    _saveConcepts(keys) {
+        if (!this.storage) return Promise.resolve(false);
+        
+        return this._reportSaveErrors(this.storage.saveRecords('concepts', this.concepts, keys), 'concepts');
+    }
+    
+    /**
+     * Save a single non-academic collection to storage
+     * @private
+     * @param {string} collection - Collection name (noveltyTiles, pendingSubmissions, favorites, layouts)
+     * @returns {Promise<boolean>} Whether the records were saved
+     */
+    _saveCollection(collection) {
+        if (!this.storage) return Promise.resolve(false);
+        
+        return this._reportSaveErrors(this.storage.saveCollection(collection, this[collection]), collection);
+    }
+    
+    /**
+     * Rebuild the name lookup, authorship and full-text indexes from the academics and works collections
+     * @private
+     */
+    _rebuildIndexes() {
+        this._nameIndex.clear();
+        this._idNames.clear();
+        this._idNameKeys.clear();
+        this._worksByAuthor.clear();
+        this.searchIndex.clear();
+        
+        for (const id in this.works) {
+            this._indexWork(this.works[id]);
+        }
+        
+        for (const id in this.academics) {
+            this._indexNames(this.academics[id]);
+            this._reindexAcademic(id);
+        }
+    }
+    
+    /**
+     * Update an academic's document in the full-text index, including the works they authored
+     * @private
+     * @param {string} id - Academic ID
+     */
+    _reindexAcademic(id) {
+        this._graphAnalyticsStale = true;
+        
+        if (this.academics[id]) {
+            this.searchIndex.addDocument(id, this.academics[id], this.getWorksByAuthor(id));
+        } else {
+            this.searchIndex.removeDocument(id);
+        }
+    }
+    
+    /**
+     * Record a work's authors in the authorship index
+     * @private
+     * @param {Object} work - Work object
+     */
+    _indexWork(work) {
+        work.authors.forEach(author => {
+            if (!this._worksByAuthor.has(author.id)) {
+                this._worksByAuthor.set(author.id, new Set());
+            }
+            this._worksByAuthor.get(author.id).add(work.id);
+        });
+    }
+    
+    /**
+     * Remove a work from the authorship index
+     * @private
+     * @param {Object} work - Work object
+     */
+    _unindexWork(work) {
+        work.authors.forEach(author => {
+            const workIds = this._worksByAuthor.get(author.id);
+            if (workIds) {
+                workIds.delete(work.id);
+            }
+        });
+    }
+    
+    /**
+     * Record an academic's name and aliases in the lookup index
+     * @private
+     * @param {Object} academic - Academic object (with ID)
+     */
+    _indexNames(academic) {
+        this._unindexNames(academic.id);
+        
+        const keys = [academic.name, ...(academic.aliases || [])]
+            .map(normalizePersonName)
+            .filter(Boolean);
+        
+        keys.forEach(key => this._nameIndex.set(key, academic.id));
+        this._idNameKeys.set(academic.id, keys);
+        this._idNames.set(academic.id, academic.name);
+    }
+    
+    /**
+     * Remove an academic from the lookup index
+     * @private
+     * @param {string} id - Academic ID
+     */
+    _unindexNames(id) {
+        (this._idNameKeys.get(id) || []).forEach(key => {
+            if (this._nameIndex.get(key) === id) {
+                this._nameIndex.delete(key);
+            }
+        });
+        
+        this._idNameKeys.delete(id);
+        this._idNames.delete(id);
+    }
+    
+    /**
+     * Append a revision to an academic's history
+     * Nothing is recorded if the record is unchanged since the last revision. The first revision and
+     * every REVISION_SNAPSHOT_INTERVAL-th one store the full record as snapshot; the others store
+     * only the fields that changed, as changes { set, unset }, so the log stays small.
+     * @private
+     * @param {string} id - Academic ID
+     * @param {Object} details - Revision details (source, contributor, summary)
+     * @returns {boolean} Whether a revision was recorded
+     */
+    _recordRevision(id, details = {}) {
+        const academic = this.academics[id];
+        if (!academic) {
+            return false;
+        }
+        
+        const history = this.revisions[id] || (this.revisions[id] = []);
+        const snapshot = JSON.parse(JSON.stringify(academic));
+        const previous = history[history.length - 1];
+        const revision = {
+            revision: previous ? previous.revision + 1 : 1,
+            timestamp: new Date().toISOString(),
+            source: REVISION_SOURCES.includes(details.source) ? details.source : 'admin',
+            contributor: details.contributor || null,
+            summary: details.summary || null
+        };
+        
+        if (previous) {
+            const before = this._revisionSnapshot(history, history.length - 1);
+            const changes = { set: {}, unset: [] };
+            
+            Object.keys(snapshot).forEach(field => {
+                if (JSON.stringify(before[field]) !== JSON.stringify(snapshot[field])) {
+                    changes.set[field] = snapshot[field];
+                }
+            });
+            changes.unset = Object.keys(before).filter(field => !(field in snapshot));
+            
+            if (Object.keys(changes.set).length === 0 && changes.unset.length === 0) {
+                return false;
+            }
+            
+            if ((revision.revision - 1) % REVISION_SNAPSHOT_INTERVAL !== 0) {
+                revision.changes = changes;
+            }
+        }
+        
+        if (!revision.changes) {
+            revision.snapshot = snapshot;
+        }
+        
+        history.push(revision);
+        
+        return true;
+    }
+    
+    /**
+     * Rebuild an academic's record as of a revision from the nearest full snapshot before it
+     * @private
+     * @param {Array} history - Revisions of the academic, oldest first
+     * @param {number} index - Position of the revision in the history
+     * @returns {Object} Record as of that revision
+     */
+    _revisionSnapshot(history, index) {
+        let start = index;
+        while (start > 0 && !history[start].snapshot) {
+            start--;
+        }
+        
+        const record = JSON.parse(JSON.stringify(history[start].snapshot || {}));
+        
+        for (let i = start + 1; i <= index; i++) {
+            const { set, unset } = history[i].changes;
+            Object.assign(record, JSON.parse(JSON.stringify(set)));
+            unset.forEach(field => delete record[field]);
+        }
+        
+        return record;
+    }
+    
+    /**
+     * Give every academic without a history a baseline revision
+     * @private
+     */
+    _ensureBaselineRevisions() {
+        const changedIds = Object.keys(this.academics).filter(id => (
+            !this.revisions[id] &&
+            this._recordRevision(id, { source: 'import', summary: 'Baseline revision' })
+        ));
+        
+        if (changedIds.length > 0) {
+            this._saveRevisions(changedIds);
         }
     }
     
@@ -80,6 +472,8 @@ class DatabaseManager {
             "michel-foucault": {
                 "name": "Michel Foucault",
                 "bio": "French philosopher, historian of ideas, and social theorist known for his critical studies of social institutions and his work on the history of human sexuality.",
+                "birthYear": 1926,
+                "deathYear": 1984,
                 "taxonomies": {
                     "discipline": ["Philosophy", "History", "Sociology"],
                     "tradition": ["Post-structuralism", "Critical Theory"],
@@ -101,6 +495,8 @@ class DatabaseManager {
             "jacques-derrida": {
                 "name": "Jacques Derrida",
                 "bio": "French philosopher known for developing a form of semiotic analysis known as deconstruction.",
+                "birthYear": 1930,
+                "deathYear": 2004,
                 "taxonomies": {
                     "discipline": ["Philosophy", "Literary Theory"],
                     "tradition": ["Post-structuralism", "Deconstruction"],
@@ -122,6 +518,8 @@ class DatabaseManager {
             "judith-butler": {
                 "name": "Judith Butler",
                 "bio": "American philosopher and gender theorist whose work has influenced political philosophy, ethics, and the fields of feminist, queer, and literary theory.",
+                "birthYear": 1956,
+                "deathYear": null,
                 "taxonomies": {
                     "discipline": ["Philosophy", "Gender Studies", "Literary Theory"],
                     "tradition": ["Post-structuralism", "Feminist Theory", "Queer Theory"],
@@ -143,6 +541,8 @@ class DatabaseManager {
             "gilles-deleuze": {
                 "name": "Gilles Deleuze",
                 "bio": "French philosopher who, from the early 1960s until his death in 1995, wrote on philosophy, literature, film, and fine art.",
+                "birthYear": 1925,
+                "deathYear": 1995,
                 "taxonomies": {
                     "discipline": ["Philosophy", "Literary Theory"],
                     "tradition": ["Post-structuralism", "Continental Philosophy"],
@@ -164,6 +564,8 @@ class DatabaseManager {
             "donna-haraway": {
                 "name": "Donna Haraway",
                 "bio": "American scholar in the field of science and technology studies, a feminist, and a professor in the History of Consciousness Department at the University of California, Santa Cruz.",
+                "birthYear": 1944,
+                "deathYear": null,
                 "taxonomies": {
                     "discipline": ["Philosophy", "Science and Technology Studies", "Feminist Theory"],
                     "tradition": ["Feminist Theory", "Post-humanism"],
@@ -184,8 +586,56 @@ class DatabaseManager {
             }
         };
         
-        // Add sample academics to database
-        this.academics = sampleAcademics;
+        // Sample data is written in the original shape and upgraded like any stored data
+        const sampleData = migrateData({ academics: sampleAcademics }, 1).data;
+        this.academics = sampleData.academics;
+        this.works = sampleData.works;
+        this.institutions = sampleData.institutions;
+        this.places = sampleData.places;
+        this.concepts = sampleData.concepts;
+        
+        // Describe some of the concepts created from the sample themes
+        const sampleConcepts = {
+            "rhizome": {
+                "definition": "A model of thought and organization without a center, hierarchy or fixed order, in which any point can connect to any other.",
+                "originator": "gilles-deleuze",
+                "keyWorkIds": ["a-thousand-plateaus"],
+                "links": [{ "id": "difference", "name": "Difference", "type": "derived-from" }]
+            },
+            "governmentality": {
+                "definition": "The organized practices and rationalities through which subjects are governed, extending beyond the state to the conduct of conduct.",
+                "originator": "michel-foucault",
+                "keyWorkIds": [],
+                "links": [{ "id": "power", "name": "Power", "type": "derived-from" }]
+            },
+            "performativity": {
+                "definition": "The idea that gender and identity are produced through the repeated performance of norms rather than expressing an inner essence.",
+                "originator": "judith-butler",
+                "keyWorkIds": ["gender-trouble", "bodies-that-matter"],
+                "links": [
+                    { "id": "discipline", "name": "Discipline", "type": "derived-from" },
+                    { "id": "identity", "name": "Identity", "type": "critiques" }
+                ]
+            },
+            "cyborg": {
+                "definition": "A hybrid of machine and organism used to challenge the boundaries between human and animal, organism and machine, and nature and culture.",
+                "originator": "donna-haraway",
+                "keyWorkIds": ["a-cyborg-manifesto"],
+                "links": [{ "id": "identity", "name": "Identity", "type": "critiques" }]
+            }
+        };
+        
+        for (const id in sampleConcepts) {
+            if (this.concepts[id]) {
+                const { originator, ...details } = sampleConcepts[id];
+                this.concepts[id] = normalizeConcept({
+                    ...this.concepts[id],
+                    ...details,
+                    originator: { id: originator, name: this.academics[originator].name }
+                });
+            }
+        }
+        this._rebuildIndexes();
         
         // Add sample novelty tiles
         this.noveltyTiles = [
@@ -224,125 +674,1877 @@ class DatabaseManager {
     }
     
     /**
-     * Get a specific academic by name
-     * @param {string} name - Academic name
+     * Get a specific academic by ID
+     * @param {string} id - Academic ID
      * @returns {Object|null} Academic object or null if not found
      */
-    getAcademic(name) {
-        // Try exact match
-        for (const key in this.academics) {
-            if (this.academics[key].name === name) {
-                return this.academics[key];
-            }
+    getAcademicById(id) {
+        return (id && this.academics[id]) || null;
+    }
+    
+    /**
+     * Get a specific academic by ID, name or alias
+     * Names are compared without case, accents or punctuation ("felix guattari" finds "Félix Guattari")
+     * @param {string} nameOrId - Academic ID, name or alias
+     * @returns {Object|null} Academic object or null if not found
+     */
+    getAcademic(nameOrId) {
+        if (!nameOrId) {
+            return null;
         }
         
-        // Try case-insensitive match
-        const nameLower = name.toLowerCase();
-        for (const key in this.academics) {
-            if (this.academics[key].name.toLowerCase() === nameLower) {
-                return this.academics[key];
-            }
+        // Try ID
+        if (this.academics[nameOrId]) {
+            return this.academics[nameOrId];
         }
         
-        return null;
+        // Try name and aliases
+        const id = this._nameIndex.get(normalizePersonName(nameOrId));
+        return id ? this.academics[id] : null;
     }
     
     /**
-     * Search academics by criteria
-     * @param {Object} criteria - Search criteria
-     * @returns {Array} Array of matching academic objects
+     * Find academics whose name or an alias is close to the given name
+     * @param {string} name - Name as typed (may be misspelled or abbreviated)
+     * @param {number} limit - Maximum number of results
+     * @returns {Array} Matches { academic, distance, matchedName }, closest first
      */
-    searchAcademics(criteria) {
-        if (!criteria || Object.keys(criteria).length === 0) {
-            return this.getAllAcademics();
-        }
+    findSimilarAcademics(name, limit = 5) {
+        const matches = [];
         
-        return this.getAllAcademics().filter(academic => {
-            // Check each criterion
-            for (const key in criteria) {
-                const value = criteria[key];
-                
-                // Name search
-                if (key === 'name') {
-                    if (!academic.name.toLowerCase().includes(value.toLowerCase())) {
-                        return false;
-                    }
-                    continue;
-                }
-                
-                // Bio search
-                if (key === 'bio') {
-                    if (!academic.bio || !academic.bio.toLowerCase().includes(value.toLowerCase())) {
-                        return false;
-                    }
-                    continue;
+        this.getAllAcademics().forEach(academic => {
+            let best = null;
+            
+            [academic.name, ...(academic.aliases || [])].forEach(candidate => {
+                const distance = nameDistance(name, candidate);
+                if (distance !== null && (!best || distance < best.distance)) {
+                    best = { academic, distance, matchedName: candidate };
                 }
+            });
+            
+            if (best) {
+                matches.push(best);
+            }
+        });
+        
+        return matches
+            .sort((a, b) => a.distance - b.distance || a.academic.name.localeCompare(b.academic.name))
+            .slice(0, limit);
+    }
+    
+    /**
+     * Suggest academics for a partially typed name
+     * Names and aliases containing the text come first (those starting with it before the rest),
+     * followed by fuzzy matches
+     * @param {string} text - Text typed so far
+     * @param {number} limit - Maximum number of suggestions
+     * @returns {Array} Suggestions { academic, matchedName }
+     */
+    suggestAcademics(text, limit = 5) {
+        const query = normalizePersonName(text);
+        if (!query) {
+            return [];
+        }
+        
+        const suggestions = [];
+        
+        this.getAllAcademics().forEach(academic => {
+            let best = null;
+            
+            [academic.name, ...(academic.aliases || [])].forEach(candidate => {
+                const normalized = normalizePersonName(candidate);
+                const position = normalized.indexOf(query);
+                const rank = position === 0 ? 0 : (position > 0 && normalized[position - 1] === ' ' ? 1 : 2);
                 
-                // Taxonomy search
-                if (academic.taxonomies && academic.taxonomies[key]) {
-                    // If value is an array, check if any taxonomy value is in the criteria array
-                    if (Array.isArray(value)) {
-                        if (!value.some(v => academic.taxonomies[key].includes(v))) {
-                            return false;
-                        }
-                    } 
-                    // Otherwise check if the taxonomy includes the value
-                    else if (!academic.taxonomies[key].includes(value)) {
-                        return false;
-                    }
-                } else {
-                    return false;
+                if (position !== -1 && (!best || rank < best.rank)) {
+                    best = { academic, matchedName: candidate, rank };
                 }
+            });
+            
+            if (best) {
+                suggestions.push(best);
             }
+        });
+        
+        suggestions.sort((a, b) => a.rank - b.rank || a.academic.name.localeCompare(b.academic.name));
+        
+        if (suggestions.length < limit) {
+            this.findSimilarAcademics(text, limit).forEach(match => {
+                if (!suggestions.some(suggestion => suggestion.academic === match.academic)) {
+                    suggestions.push({ academic: match.academic, matchedName: match.matchedName });
+                }
+            });
+        }
+        
+        return suggestions.slice(0, limit).map(({ academic, matchedName }) => ({ academic, matchedName }));
+    }
+    
+    /**
+     * Build a reference to an academic for use in connections
+     * Only an exact ID, name or alias is resolved: a close name may well be someone else ("Karl Barth"
+     * is not Karl Marx), so callers offer fuzzy matches to the user first. Academics that are not in
+     * the database get the ID they will have once added.
+     * @param {string} nameOrId - Academic ID or name
+     * @returns {Object} Reference with id and name
+     */
+    getAcademicReference(nameOrId) {
+        const academic = this.getAcademic(nameOrId);
+        
+        if (academic) {
+            return { id: academic.id, name: academic.name };
+        }
+        
+        return { id: academicKeyFromName(nameOrId), name: nameOrId };
+    }
+    
+    /**
+     * Get the academic a connection refers to
+     * References to academics added later under another ID are resolved by their exact name or alias
+     * @param {Object} connection - Connection reference
+     * @returns {Object|null} Academic object or null if not in the database
+     */
+    resolveConnection(connection) {
+        if (!connection) {
+            return null;
+        }
+        
+        return this.getAcademicById(connection.id) || this.getAcademic(connection.name);
+    }
+    
+    /**
+     * Check whether an academic is connected to another academic
+     * @param {Object} academic - Academic object
+     * @param {string} id - ID of the other academic
+     * @returns {boolean} Connection status
+     */
+    isConnected(academic, id) {
+        return !!(academic && academic.connections && academic.connections.some(connection => connection.id === id));
+    }
+    
+    /**
+     * Add a typed relationship to an academic, updating an existing one of the same type and direction
+     * The academic is modified in place; call addOrUpdateAcademic to save it
+     * @param {Object} academic - Academic object
+     * @param {Object} relationship - Relationship with id, name, type, direction, startYear, endYear, description
+     * @returns {Object} The stored relationship
+     */
+    addRelationship(academic, relationship) {
+        if (!academic.connections) {
+            academic.connections = [];
+        }
+        
+        const normalized = normalizeRelationship(relationship);
+        const existing = academic.connections.find(connection =>
+            connection.id === normalized.id &&
+            connection.type === normalized.type &&
+            connection.direction === normalized.direction
+        );
+        
+        if (existing) {
+            // Keep previously known details that the new relationship leaves out
+            existing.name = normalized.name;
+            existing.startYear = normalized.startYear || existing.startYear;
+            existing.endYear = normalized.endYear || existing.endYear;
+            existing.description = normalized.description || existing.description;
+            return existing;
+        }
+        
+        academic.connections.push(normalized);
+        return normalized;
+    }
+    
+    /**
+     * Check whether an academic holds the reciprocal of a relationship
+     * @private
+     * @param {Object} target - Academic the relationship points at
+     * @param {Object} relationship - Relationship held by the owner
+     * @param {Object} owner - Academic holding the relationship
+     * @returns {boolean} Whether the reciprocal exists
+     */
+    _hasReciprocal(target, relationship, owner) {
+        const reciprocal = reciprocalRelationship(relationship, owner);
+        
+        return (target.connections || []).some(connection =>
+            connection.id === owner.id &&
+            connection.type === reciprocal.type &&
+            connection.direction === reciprocal.direction
+        );
+    }
+    
+    /**
+     * Make an academic's relationships bidirectional
+     * Pushes the academic's relationships to the academics they point at and, when pull is set,
+     * also adds relationships that others already hold towards this academic
+     * @private
+     * @param {Object} academic - Academic object
+     * @param {boolean} pull - Whether to also copy relationships pointing at this academic
+     * @returns {Array} IDs of academics that were changed
+     */
+    _syncReciprocalRelationships(academic, pull = false) {
+        const changedIds = new Set();
+        
+        (academic.connections || []).forEach(relationship => {
+            const target = this.getAcademicById(relationship.id);
+            
+            if (target && target.id !== academic.id && !this._hasReciprocal(target, relationship, academic)) {
+                this.addRelationship(target, reciprocalRelationship(relationship, academic));
+                changedIds.add(target.id);
+            }
+        });
+        
+        if (pull) {
+            this.getAllAcademics().forEach(other => {
+                if (other.id === academic.id) return;
+                
+                (other.connections || []).forEach(relationship => {
+                    if (relationship.id === academic.id && !this._hasReciprocal(academic, relationship, other)) {
+                        this.addRelationship(academic, reciprocalRelationship(relationship, other));
+                        changedIds.add(academic.id);
+                    }
+                });
+            });
+        }
+        
+        return Array.from(changedIds);
+    }
+    
+    /**
+     * Remove the reciprocals of relationships an academic no longer holds
+     * @private
+     * @param {Object} academic - Academic object with its new relationships
+     * @param {Array} previousConnections - The academic's relationships before the change
+     * @returns {Array} IDs of academics that were changed
+     */
+    _removeReciprocalRelationships(academic, previousConnections) {
+        const changedIds = new Set();
+        const relationshipKey = relationship => `${relationship.id}|${relationship.type}|${relationship.direction}`;
+        const currentKeys = new Set((academic.connections || []).map(relationshipKey));
+        
+        previousConnections.forEach(relationship => {
+            const target = this.getAcademicById(relationship.id);
+            
+            if (!target || target.id === academic.id || currentKeys.has(relationshipKey(relationship))) {
+                return;
+            }
+            
+            const reciprocal = reciprocalRelationship(relationship, academic);
+            const remaining = (target.connections || []).filter(connection => !(
+                connection.id === academic.id &&
+                connection.type === reciprocal.type &&
+                connection.direction === reciprocal.direction
+            ));
+            
+            if (remaining.length !== (target.connections || []).length) {
+                target.connections = remaining;
+                changedIds.add(target.id);
+            }
+        });
+        
+        return Array.from(changedIds);
+    }
+    
+    /**
+     * Find relationships whose target academic does not hold the reciprocal relationship
+     * Relationships pointing at academics that are not in the database are ignored
+     * @returns {Array} One-sided links with academic, target and relationship
+     */
+    findOneSidedRelationships() {
+        const oneSided = [];
+        
+        this.getAllAcademics().forEach(academic => {
+            (academic.connections || []).forEach(relationship => {
+                const target = this.getAcademicById(relationship.id);
+                
+                if (target && target.id !== academic.id && !this._hasReciprocal(target, relationship, academic)) {
+                    oneSided.push({
+                        academic: { id: academic.id, name: academic.name },
+                        target: { id: target.id, name: target.name },
+                        relationship
+                    });
+                }
+            });
+        });
+        
+        return oneSided;
+    }
+    
+    /**
+     * Add the missing reciprocal of every one-sided relationship
+     * @returns {number} Number of academics that were updated
+     */
+    repairOneSidedRelationships() {
+        const changedIds = new Set();
+        
+        this.getAllAcademics().forEach(academic => {
+            this._syncReciprocalRelationships(academic).forEach(id => changedIds.add(id));
+        });
+        
+        if (changedIds.size > 0) {
+            const ids = Array.from(changedIds);
+            const revisedIds = ids.filter(id => this._recordRevision(id, {
+                source: 'admin',
+                summary: 'Added reciprocal relationships'
+            }));
+            
+            this._saveAcademics(ids);
+            this._saveRevisions(revisedIds);
+        }
+        
+        return changedIds.size;
+    }
+    
+    /**
+     * Build a relationship from the connection data of a contribution
+     * @param {Object} connection - Submission connection data
+     * @returns {Object} Relationship object
+     */
+    relationshipFromSubmission(connection) {
+        const reference = connection.connectedAcademicId
+            ? { id: connection.connectedAcademicId, name: connection.connectedAcademic }
+            : this.getAcademicReference(connection.connectedAcademic);
+        
+        return normalizeRelationship({
+            ...reference,
+            type: connection.relationshipType,
+            direction: connection.direction,
+            startYear: connection.startYear,
+            endYear: connection.endYear,
+            description: connection.description
+        });
+    }
+    
+    /**
+     * Generate a unique ID for a new academic
+     * @private
+     * @param {string} name - Academic name
+     * @returns {string} Unused academic ID
+     */
+    _generateAcademicId(name) {
+        const base = academicKeyFromName(name);
+        let id = base;
+        let suffix = 2;
+        
+        while (this.academics[id]) {
+            id = `${base}-${suffix++}`;
+        }
+        
+        return id;
+    }
+    
+    /**
+     * Search academics by criteria
+     * Besides name, bio and taxonomy categories, criteria may name an institution or place (by ID or
+     * name) and a year, e.g. { institution: 'Paris VIII', year: 1970 } for who was at Paris VIII in 1970,
+     * and a year or range the academic was alive in, e.g. { alive: 1968 } or { alive: 'c. 470–399 BCE' }
+     * @param {Object} criteria - Search criteria
+     * @returns {Array} Array of matching academic objects
+     */
+    searchAcademics(criteria) {
+        if (!criteria || Object.keys(criteria).length === 0) {
+            return this.getAllAcademics();
+        }
+        
+        const affiliationCriteria = this._affiliationCriteria(criteria);
+        const alive = criteria.alive !== undefined ? parseYearRange(criteria.alive) : null;
+        
+        if (criteria.alive !== undefined && !alive) {
+            console.warn(`Invalid year for "alive": ${criteria.alive}`);
+            return [];
+        }
+        
+        return this.getAllAcademics().filter(academic => {
+            if (affiliationCriteria && !this._matchesAffiliationCriteria(academic, affiliationCriteria)) {
+                return false;
+            }
+            
+            if (alive && !isAliveIn(academic, alive.year, alive.endYear === null ? alive.year : alive.endYear)) {
+                return false;
+            }
+            
+            // Check each criterion
+            for (const key in criteria) {
+                const value = criteria[key];
+                
+                // Affiliation and lifespan criteria are checked above
+                if (['institution', 'place', 'year', 'alive'].includes(key)) {
+                    continue;
+                }
+                
+                // Name search
+                if (key === 'name') {
+                    if (!academic.name.toLowerCase().includes(value.toLowerCase())) {
+                        return false;
+                    }
+                    continue;
+                }
+                
+                // Bio search
+                if (key === 'bio') {
+                    if (!academic.bio || !academic.bio.toLowerCase().includes(value.toLowerCase())) {
+                        return false;
+                    }
+                    continue;
+                }
+                
+                // Taxonomy search
+                if (academic.taxonomies && academic.taxonomies[key]) {
+                    // If value is an array, check if any taxonomy value is in the criteria array
+                    if (Array.isArray(value)) {
+                        if (!value.some(v => academic.taxonomies[key].includes(v))) {
+                            return false;
+                        }
+                    } 
+                    // Otherwise check if the taxonomy includes the value
+                    else if (!academic.taxonomies[key].includes(value)) {
+                        return false;
+                    }
+                } else {
+                    return false;
+                }
+            }
+            
+            return true;
+        });
+    }
+    
+    /**
+     * Find academics by exact name or by a taxonomy value through the storage indexes
+     * Falls back to searchAcademics while no storage is open
+     * @param {string} field - 'name' or a taxonomy category
+     * @param {string} value - Exact name or taxonomy value
+     * @returns {Promise<Array>} Matching academic objects
+     */
+    async findAcademicsByIndex(field, value) {
+        if (!this.storage) {
+            return this.searchAcademics({ [field]: value })
+                .filter(academic => field !== 'name' || academic.name === value);
+        }
+        
+        const keys = field === 'name'
+            ? await this.storage.findKeysByName(value)
+            : await this.storage.findKeysByTaxonomy(field, value);
+        
+        return keys.map(key => this.academics[key]).filter(Boolean);
+    }
+    
+    /**
+     * Resolve the institution, place and year criteria of a search
+     * @private
+     * @param {Object} criteria - Search criteria
+     * @returns {Object|null} { institutionIds, placeIds, year } (null where not given), or null if
+     *                        the criteria do not involve affiliations
+     */
+    _affiliationCriteria(criteria) {
+        if (criteria.institution === undefined && criteria.place === undefined && criteria.year === undefined) {
+            return null;
+        }
+        
+        const year = parseInt(criteria.year, 10);
+        
+        return {
+            institutionIds: criteria.institution !== undefined
+                ? this.findInstitutions(criteria.institution).map(institution => institution.id)
+                : null,
+            placeIds: criteria.place !== undefined
+                ? this.findPlaces(criteria.place).map(place => place.id)
+                : null,
+            year: isNaN(year) ? null : year
+        };
+    }
+    
+    /**
+     * Check an academic against resolved affiliation criteria
+     * An affiliation matches if it is with one of the institutions, at one of the places and held in
+     * the year; events at one of the places in that year match a place criterion too
+     * @private
+     * @param {Object} academic - Academic object
+     * @param {Object} criteria - Criteria from _affiliationCriteria
+     * @returns {boolean} Whether the academic matches
+     */
+    _matchesAffiliationCriteria(academic, { institutionIds, placeIds, year }) {
+        const inYear = (startYear, endYear) => year === null || (
+            (startYear === null || year >= startYear) && (endYear === null || year <= endYear)
+        );
+        
+        const affiliationMatches = (academic.affiliations || []).some(affiliation => {
+            const institution = this.institutions[affiliation.institutionId];
+            
+            return (!institutionIds || institutionIds.includes(affiliation.institutionId)) &&
+                (!placeIds || (institution && placeIds.includes(institution.placeId))) &&
+                inYear(affiliation.startYear, affiliation.endYear);
+        });
+        
+        if (affiliationMatches || institutionIds || !placeIds) {
+            return affiliationMatches;
+        }
+        
+        return (academic.events || []).some(event => (
+            placeIds.includes(event.placeId) && inYear(event.year, event.endYear || event.year)
+        ));
+    }
+    
+    /**
+     * Search names, bios, taxonomies, papers and events with the full-text index
+     * @param {string} query - Free-text query
+     * @param {number} limit - Maximum number of results (optional)
+     * @returns {Array} Results { academic, score, matchedTerms }, best first
+     */
+    fullTextSearch(query, limit) {
+        return this.searchIndex.search(query, limit)
+            .filter(result => this.academics[result.id])
+            .map(result => ({
+                academic: this.academics[result.id],
+                score: result.score,
+                matchedTerms: result.matchedTerms
+            }));
+    }
+    
+    /**
+     * Search academics with a structured query
+     * e.g. discipline:Philosophy AND (theme:Power OR theme:Ethics) -era:Ancient year:1960..1980
+     * @param {string} query - Query text
+     * @returns {Array} Matching academics
+     * @throws {QuerySyntaxError} If the query is malformed
+     */
+    queryAcademics(query) {
+        const expression = parseQuery(query);
+        return this.getAllAcademics().filter(academic => (
+            evaluateQuery(expression, academic, this.getWorksByAuthor(academic.id))
+        ));
+    }
+    
+    /**
+     * Build the graph of the relationships between academics in the database
+     * @returns {ConnectionGraph} Connection graph
+     */
+    getConnectionGraph() {
+        return ConnectionGraph.fromAcademics(this.getAllAcademics(), connection => this.resolveConnection(connection));
+    }
+    
+    /**
+     * Get the centrality metrics, communities and bridge academics of the connection graph
+     * Computed on first use and again after academics change
+     * @returns {Object} Result of analyzeConnectionGraph
+     */
+    getGraphAnalytics() {
+        if (this._graphAnalyticsStale || !this._graphAnalytics) {
+            this._graphAnalytics = analyzeConnectionGraph(this.getConnectionGraph());
+            this._graphAnalyticsStale = false;
+        }
+        
+        return this._graphAnalytics;
+    }
+    
+    /**
+     * Take the analytics that later bridge and centrality tiles are compared with, unless there are some
+     * Runs after loading and, failing that, before the first write, so the tiles of that write are not lost
+     * @private
+     */
+    _ensureTileBaseline() {
+        if (this._tileAnalytics) {
+            return;
+        }
+        
+        try {
+            this._tileAnalytics = this.getGraphAnalytics();
+        } catch (error) {
+            console.error('Error analyzing the connection graph:', error);
+        }
+    }
+    
+    /**
+     * Check for new bridge and centrality tiles once a batch of changes has settled
+     * The graph is analyzed after GRAPH_TILE_DELAY without further changes rather than on every
+     * write, since a full analysis of a large database takes seconds.
+     * @private
+     */
+    _scheduleGraphNoveltyTiles() {
+        if (typeof setTimeout !== 'function') {
+            return;
+        }
+        
+        clearTimeout(this._graphTileTimer);
+        
+        this._graphTileTimer = setTimeout(() => {
+            this._graphTileTimer = null;
+            
+            try {
+                const analytics = this.getGraphAnalytics();
+                
+                if (this._tileAnalytics) {
+                    this._addGraphNoveltyTiles(this._tileAnalytics, analytics);
+                }
+                
+                this._tileAnalytics = analytics;
+            } catch (error) {
+                console.error('Error checking graph novelty tiles:', error);
+            }
+        }, GRAPH_TILE_DELAY);
+    }
+    
+    /**
+     * Rank academics by a graph metric
+     * @param {string} metric - Metric in GRAPH_METRICS (degree, betweenness, pageRank, clustering)
+     * @param {number} limit - Maximum number of academics (optional)
+     * @returns {Array} Entries { academic, degree, betweenness, pageRank, clustering, community,
+     *                  communityLabel, bridge }, highest first
+     */
+    getMostCentralAcademics(metric = 'pageRank', limit = Infinity) {
+        const analytics = this.getGraphAnalytics();
+        
+        return Array.from(analytics.metrics.entries())
+            .filter(([id]) => this.academics[id])
+            .map(([id, metrics]) => ({
+                academic: this.academics[id],
+                ...metrics,
+                communityLabel: analytics.communities[metrics.community].label
+            }))
+            .sort((a, b) => b[metric] - a[metric] || a.academic.name.localeCompare(b.academic.name))
+            .slice(0, limit);
+    }
+    
+    /**
+     * Add novelty tiles for academics who became bridges between communities, or the most central
+     * thinker, since the previous analytics
+     * @private
+     * @param {Object} previous - Analytics before the change
+     * @param {Object} analytics - Analytics after the change
+     */
+    _addGraphNoveltyTiles(previous, analytics) {
+        analytics.bridges.filter(id => !previous.bridges.includes(id)).forEach(id => {
+            const academic = this.academics[id];
+            const communities = new Set([analytics.metrics.get(id).community]);
+            (academic.connections || []).forEach(connection => {
+                const connected = this.resolveConnection(connection);
+                if (connected && analytics.metrics.has(connected.id)) {
+                    communities.add(analytics.metrics.get(connected.id).community);
+                }
+            });
+            
+            this.addNoveltyTile({
+                title: `New Bridge: ${academic.name}`,
+                content: `${academic.name} now links ${Array.from(communities).map(index => analytics.communities[index].label).join(', ')}.`,
+                type: 'bridge',
+                academicId: id
+            });
+        });
+        
+        // Most central by PageRank
+        const top = metrics => Array.from(metrics.keys())
+            .reduce((best, id) => (best === null || metrics.get(id).pageRank > metrics.get(best).pageRank ? id : best), null);
+        
+        const previousTop = top(previous.metrics);
+        const currentTop = top(analytics.metrics);
+        
+        if (previousTop !== currentTop && this.academics[previousTop] && this.academics[currentTop]) {
+            const name = this.academics[currentTop].name;
+            
+            this.addNoveltyTile({
+                title: `Most Central Thinker: ${name}`,
+                content: `${name} has overtaken ${this.academics[previousTop].name} as the most central thinker in the connection graph.`,
+                type: 'centrality',
+                academicId: currentTop
+            });
+        }
+    }
+    
+    /**
+     * Find how two academics are connected
+     * @param {string} from - Name or ID of the first academic
+     * @param {string} to - Name or ID of the second academic
+     * @param {Object} options - count (number of paths, shortest first), types (allowed relationship
+     *                           types), all (every path up to maxLength relationships)
+     * @returns {Object|null} { from, to, paths } (paths is empty if they are not connected), or null
+     *                        if either academic is not in the database
+     */
+    findPaths(from, to, options = {}) {
+        const source = this.getAcademic(from);
+        const target = this.getAcademic(to);
+        
+        if (!source || !target) {
+            console.warn(`Cannot find a path: "${source ? to : from}" is not in the database`);
+            return null;
+        }
+        
+        const graph = this.getConnectionGraph();
+        const types = options.types && options.types.length > 0 ? options.types : null;
+        let paths;
+        
+        if (options.all) {
+            paths = graph.allPaths(source.id, target.id, { types, maxLength: options.maxLength });
+        } else if (options.count > 1) {
+            paths = graph.kShortestPaths(source.id, target.id, options.count, { types });
+        } else {
+            const path = graph.shortestPath(source.id, target.id, { types });
+            paths = path ? [path] : [];
+        }
+        
+        return { from: source, to: target, paths };
+    }
+    
+    /**
+     * Add or update an academic
+     * Academics without an ID are matched by name or given a new ID. Connections may be
+     * given as names and are stored as references; renames are propagated to every reference.
+     * Relationships are mirrored onto the academics they point at, and every changed record
+     * gets a new revision in its history. A legacy papers list is moved into the works collection.
+     * @param {Object} academic - Academic object
+     * @param {Object} revision - Revision details: source (contribution, import, deepsearch, admin),
+     *                            contributor and summary
+     * @returns {boolean} Success indicator
+     */
+    addOrUpdateAcademic(academic, revision = {}) {
+        if (!academic || !academic.name) {
+            return false;
+        }
+        
+        try {
+            // Analytics before the change, for the bridge and centrality tiles; normally taken after loading
+            this._ensureTileBaseline();
+            
+            // Resolve the stable ID
+            if (!academic.id) {
+                const existing = this.getAcademic(academic.name);
+                academic.id = existing ? existing.id : this._generateAcademicId(academic.name);
+            }
+            
+            const id = academic.id;
+            const previousName = this._idNames.get(id);
+            
+            // Relationships as last saved; callers often edit the stored record in place, so the
+            // latest revision is used when the record itself has already changed
+            const stored = this.academics[id];
+            const history = this.revisions[id] || [];
+            const previousRecord = stored && stored !== academic
+                ? stored
+                : (history.length > 0 ? this._revisionSnapshot(history, history.length - 1) : null);
+            const previousConnections = previousRecord ? previousRecord.connections || [] : [];
+            
+            // Papers are kept as works, not on the academic record
+            const papers = Array.isArray(academic.papers) ? academic.papers : [];
+            delete academic.papers;
+            
+            // Store connections as typed relationship references
+            academic.connections = (academic.connections || []).map(connection => normalizeRelationship(
+                typeof connection === 'string' ? this.getAcademicReference(connection) : connection
+            ));
+            
+            // Add or update the academic
+            academic.aliases = (academic.aliases || []).filter(alias => alias && alias !== academic.name);
+            
+            this.academics[id] = academic;
+            this._indexNames(academic);
+            
+            const changedIds = [id];
+            
+            if (previousName && previousName !== academic.name) {
+                changedIds.push(...this._propagateRename(id, academic.name));
+            }
+            
+            // New academics take over works credited to them under another spelling
+            if (!previousName) {
+                this._claimWorks(academic);
+            }
+            
+            // Every theme is a concept
+            this._ensureThemeConcepts(academic);
+            
+            // Keep relationships bidirectional: removed links are taken off the other academic too, and
+            // new academics also pick up links others hold to them
+            [
+                ...this._removeReciprocalRelationships(academic, previousConnections),
+                ...this._syncReciprocalRelationships(academic, !previousName)
+            ].forEach(changedId => {
+                if (!changedIds.includes(changedId)) {
+                    changedIds.push(changedId);
+                }
+            });
+            
+            // Keep the full-text index current
+            changedIds.forEach(changedId => this._reindexAcademic(changedId));
+            
+            // Record history for the academic and every record changed along with it
+            const revisedIds = changedIds.filter(changedId => this._recordRevision(changedId, changedId === id
+                ? revision
+                : { ...revision, summary: `Updated through changes to ${academic.name}` }
+            ));
+            
+            // Save only the changed records
+            this._saveAcademics(changedIds);
+            this._saveRevisions(revisedIds);
+            
+            papers.forEach(paper => {
+                const normalized = normalizePaper(paper);
+                
+                if (!normalized || !this.addWorkContribution(id, normalized)) {
+                    console.warn(`Paper ${JSON.stringify(paper)} of ${academic.name} could not be added as a work`);
+                }
+            });
+            
+            // New bridges and central thinkers are looked for once the changes settle
+            this._scheduleGraphNoveltyTiles();
+            
+            return true;
+        } catch (error) {
+            console.error('Error adding/updating academic:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Get the revision history of an academic
+     * @param {string} id - Academic ID
+     * @returns {Array} Revisions, oldest first; use getRevision for a revision's full record
+     */
+    getRevisions(id) {
+        return this.revisions[id] || [];
+    }
+    
+    /**
+     * Get a single revision of an academic
+     * @param {string} id - Academic ID
+     * @param {number} revisionNumber - Revision number (1-based)
+     * @returns {Object|null} Revision with the full record as snapshot, or null if not found
+     */
+    getRevision(id, revisionNumber) {
+        const history = this.getRevisions(id);
+        const index = history.findIndex(revision => revision.revision === revisionNumber);
+        
+        if (index === -1) {
+            return null;
+        }
+        
+        const { changes, ...revision } = history[index];
+        return { ...revision, snapshot: this._revisionSnapshot(history, index) };
+    }
+    
+    /**
+     * Compare two revisions of an academic
+     * @param {string} id - Academic ID
+     * @param {number} fromRevision - Older revision number
+     * @param {number} toRevision - Newer revision number
+     * @returns {Array|null} Changes, or null if a revision does not exist. Scalar fields are reported
+     *                       as { field, before, after } and list fields as { field, added, removed }
+     */
+    diffRevisions(id, fromRevision, toRevision) {
+        const from = this.getRevision(id, fromRevision);
+        const to = this.getRevision(id, toRevision);
+        
+        if (!from || !to) {
+            return null;
+        }
+        
+        return this._diffSnapshots(from.snapshot, to.snapshot);
+    }
+    
+    /**
+     * Compare the current record of an academic with a revision
+     * @param {string} id - Academic ID
+     * @param {number} revisionNumber - Revision number
+     * @returns {Array|null} Changes restoring the revision would make, as returned by diffRevisions,
+     *                       or null if the academic or revision does not exist
+     */
+    diffWithRevision(id, revisionNumber) {
+        const revision = this.getRevision(id, revisionNumber);
+        
+        if (!this.academics[id] || !revision) {
+            return null;
+        }
+        
+        return this._diffSnapshots(this.academics[id], { ...revision.snapshot, id });
+    }
+    
+    /**
+     * Compute the changes between two academic snapshots
+     * @private
+     * @param {Object} before - Older snapshot
+     * @param {Object} after - Newer snapshot
+     * @returns {Array} Changes
+     */
+    _diffSnapshots(before, after) {
+        const changes = [];
+        
+        const diffList = (field, beforeList, afterList) => {
+            const beforeKeys = beforeList.map(item => JSON.stringify(item));
+            const afterKeys = afterList.map(item => JSON.stringify(item));
+            const added = afterList.filter((item, i) => !beforeKeys.includes(afterKeys[i]));
+            const removed = beforeList.filter((item, i) => !afterKeys.includes(beforeKeys[i]));
+            
+            if (added.length > 0 || removed.length > 0) {
+                changes.push({ field, added, removed });
+            }
+        };
+        
+        const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+        
+        fields.forEach(field => {
+            if (field === 'taxonomies') {
+                const beforeTaxonomies = before.taxonomies || {};
+                const afterTaxonomies = after.taxonomies || {};
+                const categories = new Set([...Object.keys(beforeTaxonomies), ...Object.keys(afterTaxonomies)]);
+                
+                categories.forEach(category => {
+                    diffList(`taxonomies.${category}`, beforeTaxonomies[category] || [], afterTaxonomies[category] || []);
+                });
+            } else if (Array.isArray(before[field]) || Array.isArray(after[field])) {
+                diffList(field, before[field] || [], after[field] || []);
+            } else if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+                changes.push({
+                    field,
+                    before: before[field] === undefined ? null : before[field],
+                    after: after[field] === undefined ? null : after[field]
+                });
+            }
+        });
+        
+        return changes;
+    }
+    
+    /**
+     * Restore an academic to an older revision
+     * The restore is itself recorded as a new revision, so it can be undone too
+     * @param {string} id - Academic ID
+     * @param {number} revisionNumber - Revision to restore
+     * @param {string} contributor - Name of the person restoring (optional)
+     * @returns {boolean} Success indicator
+     */
+    restoreRevision(id, revisionNumber, contributor = null) {
+        const revision = this.getRevision(id, revisionNumber);
+        if (!revision) {
+            return false;
+        }
+        
+        const restored = JSON.parse(JSON.stringify(revision.snapshot));
+        restored.id = id;
+        
+        return this.addOrUpdateAcademic(restored, {
+            source: 'admin',
+            contributor,
+            summary: `Restored revision ${revisionNumber}`
+        });
+    }
+    
+    /**
+     * Update the name stored in every reference to a renamed academic
+     * @private
+     * @param {string} id - Academic ID
+     * @param {string} name - New name
+     * @returns {Array} IDs of other academics whose connections were updated
+     */
+    _propagateRename(id, name) {
+        const changedIds = [];
+        
+        for (const otherId in this.academics) {
+            if (otherId === id) continue;
+            
+            let changed = false;
+            (this.academics[otherId].connections || []).forEach(connection => {
+                if (connection.id === id && connection.name !== name) {
+                    connection.name = name;
+                    changed = true;
+                }
+            });
+            
+            if (changed) {
+                changedIds.push(otherId);
+            }
+        }
+        
+        let submissionsChanged = false;
+        this.pendingSubmissions.forEach(submission => {
+            if (submission.academicId === id && submission.academicName !== name) {
+                submission.academicName = name;
+                submissionsChanged = true;
+            }
+            
+            const connection = submission.data.connection;
+            if (connection && connection.connectedAcademicId === id && connection.connectedAcademic !== name) {
+                connection.connectedAcademic = name;
+                submissionsChanged = true;
+            }
+        });
+        
+        if (submissionsChanged) {
+            this._saveCollection('pendingSubmissions');
+        }
+        
+        const changedWorkIds = this.getWorksByAuthor(id)
+            .filter(work => work.authors.some(author => author.id === id && author.name !== name))
+            .map(work => {
+                work.authors.forEach(author => {
+                    if (author.id === id) {
+                        author.name = name;
+                    }
+                });
+                return work.id;
+            });
+        
+        if (changedWorkIds.length > 0) {
+            this._saveWorks(changedWorkIds);
+        }
+        
+        const changedConceptIds = this.getAllConcepts()
+            .filter(concept => concept.originator && concept.originator.id === id && concept.originator.name !== name)
+            .map(concept => {
+                concept.originator.name = name;
+                return concept.id;
+            });
+        
+        if (changedConceptIds.length > 0) {
+            this._saveConcepts(changedConceptIds);
+        }
+        
+        console.log(`Renamed academic ${id} to "${name}" in ${changedIds.length} connected records`);
+        return changedIds;
+    }
+    
+    /**
+     * Delete an academic
+     * References to the academic are kept so they resolve again if it is re-added; its revision
+     * history is deleted with it, as there is no record left to restore it onto
+     * @param {string} nameOrId - Academic ID or name
+     * @returns {boolean} Success indicator
+     */
+    deleteAcademic(nameOrId) {
+        const academic = this.getAcademic(nameOrId);
+        if (!academic) {
+            return false;
+        }
+        
+        delete this.academics[academic.id];
+        delete this.revisions[academic.id];
+        this._unindexNames(academic.id);
+        this.searchIndex.removeDocument(academic.id);
+        this._graphAnalyticsStale = true;
+        this._saveAcademics([academic.id]);
+        this._saveRevisions([academic.id]);
+        
+        return true;
+    }
+    
+    /**
+     * Get all works as an array
+     * @returns {Array} Array of work objects
+     */
+    getAllWorks() {
+        return Object.values(this.works);
+    }
+    
+    /**
+     * Get a specific work by ID
+     * @param {string} id - Work ID
+     * @returns {Object|null} Work object or null if not found
+     */
+    getWork(id) {
+        return this.works[id] || null;
+    }
+    
+    /**
+     * Get the works an academic authored or co-authored
+     * @param {string} academicId - Academic ID
+     * @returns {Array} Work objects, newest first
+     */
+    getWorksByAuthor(academicId) {
+        return Array.from(this._worksByAuthor.get(academicId) || [])
+            .map(workId => this.works[workId])
+            .filter(Boolean)
+            .sort((a, b) => (b.year || 0) - (a.year || 0));
+    }
+    
+    /**
+     * Find a work by title, ignoring case and accents
+     * @param {string} title - Work title
+     * @param {number} year - Publication year (optional; works without a year still match)
+     * @returns {Object|null} Work object or null if not found
+     */
+    findWork(title, year = null) {
+        const key = workKeyFromTitle(title);
+        
+        return this.getAllWorks().find(work => (
+            workKeyFromTitle(work.title) === key && (!year || !work.year || work.year === year)
+        )) || null;
+    }
+    
+    /**
+     * Generate a unique ID for a new work
+     * @private
+     * @param {string} title - Work title
+     * @returns {string} Unused work ID
+     */
+    _generateWorkId(title) {
+        const base = workKeyFromTitle(title);
+        let id = base;
+        let suffix = 2;
+        
+        while (this.works[id]) {
+            id = `${base}-${suffix++}`;
+        }
+        
+        return id;
+    }
+    
+    /**
+     * Add or update a work
+     * Authors may be given as names and are stored as references; the full-text index of every
+     * author gained or lost is updated
+     * @param {Object} work - Work object
+     * @returns {boolean} Success indicator
+     */
+    addOrUpdateWork(work) {
+        if (!work || !work.title) {
+            return false;
+        }
+        
+        try {
+            if (!work.id) {
+                work.id = this._generateWorkId(work.title);
+            }
+            
+            const seen = new Set();
+            const normalized = normalizeWork({
+                ...work,
+                authors: (work.authors || [])
+                    .map(author => (typeof author === 'string' ? this.getAcademicReference(author) : author))
+                    .filter(author => {
+                        if (!author || seen.has(author.id)) return false;
+                        seen.add(author.id);
+                        return true;
+                    })
+            });
+            
+            const previous = this.works[work.id];
+            if (previous) {
+                this._unindexWork(previous);
+            }
+            
+            this.works[work.id] = normalized;
+            this._indexWork(normalized);
+            
+            const authorIds = new Set([...(previous ? previous.authors : []), ...normalized.authors].map(author => author.id));
+            authorIds.forEach(authorId => this._reindexAcademic(authorId));
+            
+            this._saveWorks([work.id]);
+            
+            return true;
+        } catch (error) {
+            console.error('Error adding/updating work:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Credit an academic with a contributed paper
+     * The contribution either picks an existing work by ID or describes a new one; a new work with
+     * the same title as an existing one is merged into it, so co-authors share a single record
+     * @param {string} academicId - Academic ID
+     * @param {Object} paper - Contributed paper (workId, or title, year, coauthors and work details)
+     * @returns {Object|null} The work, or null on failure
+     */
+    addWorkContribution(academicId, paper) {
+        const academic = this.academics[academicId];
+        if (!academic || !paper) {
+            return null;
+        }
+        
+        const { workId, coauthors, ...details } = paper;
+        const existing = (workId && this.works[workId]) || (details.title ? this.findWork(details.title, details.year) : null);
+        
+        if (!existing && !details.title) {
+            return null;
+        }
+        
+        const work = existing ? JSON.parse(JSON.stringify(existing)) : { ...details, authors: [] };
+        
+        // Fill in details the existing record lacks
+        if (existing) {
+            if (!work.year && details.year) {
+                work.approximate = Boolean(details.approximate);
+            }
+            
+            ['year', 'workType', 'doi', 'isbn', 'publisher', 'language', 'url'].forEach(field => {
+                if (!work[field] && details[field]) {
+                    work[field] = details[field];
+                }
+            });
+            
+            (details.translations || []).forEach(translation => {
+                if (!work.translations.some(other => other.language === translation.language && other.title === translation.title)) {
+                    work.translations.push(translation);
+                }
+            });
+        }
+        
+        work.authors.push({ id: academic.id, name: academic.name }, ...(coauthors || []));
+        
+        return this.addOrUpdateWork(work) ? this.works[work.id] : null;
+    }
+    
+    /**
+     * Point work authorships recorded under another spelling at a newly added academic
+     * Only references to academics missing from the database are taken over
+     * @private
+     * @param {Object} academic - Newly added academic
+     */
+    _claimWorks(academic) {
+        const names = new Set([academic.name, ...(academic.aliases || [])].map(normalizePersonName));
+        const changedWorkIds = [];
+        
+        this.getAllWorks().forEach(work => {
+            const claimed = work.authors.filter(author => (
+                author.id !== academic.id && !this.academics[author.id] && names.has(normalizePersonName(author.name))
+            ));
+            
+            if (claimed.length === 0 || work.authors.some(author => author.id === academic.id)) {
+                return;
+            }
+            
+            this._unindexWork(work);
+            claimed.forEach(author => {
+                author.id = academic.id;
+                author.name = academic.name;
+            });
+            this._indexWork(work);
+            changedWorkIds.push(work.id);
+        });
+        
+        if (changedWorkIds.length > 0) {
+            this._saveWorks(changedWorkIds);
+        }
+    }
+    
+    /**
+     * Get all institutions as an array
+     * @returns {Array} Array of institution objects
+     */
+    getAllInstitutions() {
+        return Object.values(this.institutions);
+    }
+    
+    /**
+     * Get a specific institution by ID
+     * @param {string} id - Institution ID
+     * @returns {Object|null} Institution object or null if not found
+     */
+    getInstitution(id) {
+        return this.institutions[id] || null;
+    }
+    
+    /**
+     * Find institutions by ID or by part of their name or aliases, ignoring case and accents
+     * e.g. "Paris VIII" finds "University of Paris VIII"
+     * @param {string} nameOrId - Institution ID or (partial) name
+     * @returns {Array} Matching institutions
+     */
+    findInstitutions(nameOrId) {
+        if (this.institutions[nameOrId]) {
+            return [this.institutions[nameOrId]];
+        }
+        
+        const query = normalizePersonName(nameOrId);
+        if (!query) {
+            return [];
+        }
+        
+        return this.getAllInstitutions().filter(institution => (
+            [institution.name, ...institution.aliases].some(name => normalizePersonName(name).includes(query))
+        ));
+    }
+    
+    /**
+     * Get the institution with a name, creating it if needed
+     * Names are compared without case, accents and punctuation, so spelling variants share a record
+     * @param {string} name - Institution name
+     * @param {string} placeId - ID of the place the institution is in (optional)
+     * @returns {Object} Institution object
+     */
+    getOrCreateInstitution(name, placeId = null) {
+        const key = normalizePersonName(name);
+        const existing = this.getAllInstitutions().find(other => (
+            [other.name, ...other.aliases].some(otherName => normalizePersonName(otherName) === key)
+        ));
+        
+        if (existing) {
+            if (!existing.placeId && placeId) {
+                existing.placeId = placeId;
+                this._saveInstitutions([existing.id]);
+            }
+            return existing;
+        }
+        
+        const base = keyFromText(name, 'institution');
+        let id = base;
+        let suffix = 2;
+        
+        while (this.institutions[id]) {
+            id = `${base}-${suffix++}`;
+        }
+        
+        this.institutions[id] = normalizeInstitution({ id, name, aliases: [], placeId });
+        this._saveInstitutions([id]);
+        
+        return this.institutions[id];
+    }
+    
+    /**
+     * Get all places as an array
+     * @returns {Array} Array of place objects
+     */
+    getAllPlaces() {
+        return Object.values(this.places);
+    }
+    
+    /**
+     * Get a specific place by ID
+     * @param {string} id - Place ID
+     * @returns {Object|null} Place object or null if not found
+     */
+    getPlace(id) {
+        return this.places[id] || null;
+    }
+    
+    /**
+     * Find places by ID or by part of their name ("Paris" or "Paris, France")
+     * @param {string} nameOrId - Place ID or (partial) name
+     * @returns {Array} Matching places
+     */
+    findPlaces(nameOrId) {
+        if (this.places[nameOrId]) {
+            return [this.places[nameOrId]];
+        }
+        
+        const query = normalizePersonName(nameOrId);
+        if (!query) {
+            return [];
+        }
+        
+        return this.getAllPlaces().filter(place => (
+            normalizePersonName([place.name, place.country].filter(Boolean).join(' ')).includes(query)
+        ));
+    }
+    
+    /**
+     * Get the place with a name such as "Paris, France", creating it if needed
+     * @param {string} name - Place name
+     * @returns {Object} Place object
+     */
+    getOrCreatePlace(name) {
+        const place = placeFromName(name);
+        const key = normalizePersonName([place.name, place.country].filter(Boolean).join(' '));
+        const existing = this.getAllPlaces().find(other => (
+            normalizePersonName([other.name, other.country].filter(Boolean).join(' ')) === key
+        ));
+        
+        if (existing) {
+            return existing;
+        }
+        
+        place.id = keyFromText(name, 'place');
+        this.places[place.id] = place;
+        this._savePlaces([place.id]);
+        
+        return place;
+    }
+    
+    /**
+     * Add an event to an academic, linking it to its institution and place
+     * The institution and place are read from the event's title and location unless given
+     * explicitly (event.institution); events at an institution extend the academic's affiliation
+     * with it. The academic still has to be saved with addOrUpdateAcademic.
+     * @param {Object} academic - Academic object
+     * @param {Object} event - Event with title, year and location, and optionally endYear,
+     *                         institution (name) and role
+     */
+    addEvent(academic, event) {
+        const { institution: institutionName, role, ...details } = event;
+        const parsed = parseEventAffiliation(event);
+        
+        const place = parsed.place ? this.getOrCreatePlace(parsed.place) : null;
+        const name = institutionName || parsed.institution;
+        const institution = name ? this.getOrCreateInstitution(name, place ? place.id : null) : null;
+        
+        const linked = {
+            ...details,
+            institutionId: institution ? institution.id : null,
+            placeId: place ? place.id : null
+        };
+        
+        academic.events = [...(academic.events || []), linked];
+        
+        if (institution) {
+            academic.affiliations = addEventToAffiliations(academic.affiliations || [], linked, institution, role || parsed.role);
+        }
+    }
+    
+    /**
+     * Get all concepts as an array
+     * @returns {Array} Array of concept objects
+     */
+    getAllConcepts() {
+        return Object.values(this.concepts);
+    }
+    
+    /**
+     * Get a specific concept by ID
+     * @param {string} id - Concept ID
+     * @returns {Object|null} Concept object or null if not found
+     */
+    getConcept(id) {
+        return this.concepts[id] || null;
+    }
+    
+    /**
+     * Get a concept by name, ignoring case and accents (e.g. the theme "Rhizome")
+     * @param {string} name - Concept name
+     * @returns {Object|null} Concept object or null if not found
+     */
+    getConceptByName(name) {
+        const key = conceptKeyFromName(name);
+        
+        return this.concepts[key] ||
+            this.getAllConcepts().find(concept => conceptKeyFromName(concept.name) === key) ||
+            null;
+    }
+    
+    /**
+     * Add or update a concept
+     * The originator may be given as an academic name and links as concept names; both are stored
+     * as references
+     * @param {Object} concept - Concept object
+     * @returns {boolean} Success indicator
+     */
+    addOrUpdateConcept(concept) {
+        if (!concept || !concept.name) {
+            return false;
+        }
+        
+        try {
+            if (!concept.id) {
+                const existing = this.getConceptByName(concept.name);
+                concept.id = existing ? existing.id : conceptKeyFromName(concept.name);
+            }
+            
+            const originator = typeof concept.originator === 'string'
+                ? this.getAcademicReference(concept.originator)
+                : concept.originator;
+            
+            const links = (concept.links || []).map(link => {
+                const target = this.getConcept(link.id) || this.getConceptByName(link.name || link.id);
+                return target ? { ...link, id: target.id, name: target.name } : link;
+            }).filter(link => link.id !== concept.id);
+            
+            this.concepts[concept.id] = normalizeConcept({ ...concept, originator, links });
+            this._saveConcepts([concept.id]);
+            
+            return true;
+        } catch (error) {
+            console.error('Error adding/updating concept:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Get the links between a concept and other concepts, in both directions
+     * @param {string} id - Concept ID
+     * @returns {Object} { outgoing, incoming }; incoming links are held by other concepts and
+     *                   refer to them by id and name
+     */
+    getConceptLinks(id) {
+        const concept = this.concepts[id];
+        
+        const incoming = [];
+        this.getAllConcepts().forEach(other => {
+            other.links.forEach(link => {
+                if (link.id === id) {
+                    incoming.push({ id: other.id, name: other.name, type: link.type });
+                }
+            });
+        });
+        
+        return { outgoing: concept ? concept.links : [], incoming };
+    }
+    
+    /**
+     * Credit an academic with a contributed concept
+     * The academic becomes the originator (unless one is already recorded) and the concept is added
+     * to their themes; the definition, key works and links fill in or extend an existing concept
+     * @param {Object} academic - Academic object (saved, with ID)
+     * @param {Object} contribution - Concept contribution (name, definition, keyWorkIds, links)
+     * @returns {boolean} Success indicator
+     */
+    addConceptContribution(academic, contribution) {
+        const existing = this.getConceptByName(contribution.name);
+        const concept = existing ? JSON.parse(JSON.stringify(existing)) : { name: contribution.name, keyWorkIds: [], links: [] };
+        
+        if (!concept.originator) {
+            concept.originator = { id: academic.id, name: academic.name };
+        }
+        
+        if (contribution.definition) {
+            concept.definition = contribution.definition;
+        }
+        
+        concept.keyWorkIds = [...new Set([...concept.keyWorkIds, ...(contribution.keyWorkIds || [])])];
+        
+        (contribution.links || []).forEach(link => {
+            if (!concept.links.some(other => other.id === link.id && other.type === link.type)) {
+                concept.links.push(link);
+            }
+        });
+        
+        return this.addOrUpdateConcept(concept);
+    }
+    
+    /**
+     * Add a concept to an academic's themes, under the concept's recorded name if it has one
+     * The academic is modified in place; the caller saves it with addOrUpdateAcademic
+     * @param {Object} academic - Academic object
+     * @param {string} name - Concept name
+     * @returns {string} The theme as added
+     */
+    addConceptTheme(academic, name) {
+        const existing = this.getConceptByName(name);
+        const theme = existing ? existing.name : name;
+        
+        if (!academic.taxonomies) {
+            academic.taxonomies = {};
+        }
+        
+        if (!academic.taxonomies.theme) {
+            academic.taxonomies.theme = [];
+        }
+        
+        if (!academic.taxonomies.theme.some(value => conceptKeyFromName(value) === conceptKeyFromName(theme))) {
+            academic.taxonomies.theme.push(theme);
+        }
+        
+        return theme;
+    }
+    
+    /**
+     * Create concept records for any of an academic's themes that do not have one yet
+     * @private
+     * @param {Object} academic - Academic object
+     */
+    _ensureThemeConcepts(academic) {
+        const themes = (academic.taxonomies && academic.taxonomies.theme) || [];
+        const createdIds = [];
+        
+        themes.forEach(theme => {
+            if (!this.getConceptByName(theme)) {
+                const id = conceptKeyFromName(theme);
+                this.concepts[id] = normalizeConcept({ id, name: theme });
+                createdIds.push(id);
+            }
+        });
+        
+        if (createdIds.length > 0) {
+            this._saveConcepts(createdIds);
+        }
+    }
+    
+    /**
+     * Find pairs of academics that are likely the same person
+     * Pairs are scored on name similarity (including aliases and initials), shared works and
+     * shared connections. Only academics whose surnames (or aliases' surnames) start with the same
+     * letter are compared.
+     * @param {number} minScore - Minimum score for a pair to be reported (0-1)
+     * @returns {Array} Candidates { academic, duplicate, score, reasons }, most likely first
+     */
+    findDuplicateCandidates(minScore = 0.5) {
+        const academics = this.getAllAcademics();
+        const candidates = [];
+        
+        // Normalized names, work titles and connections of each academic, computed once
+        const records = academics.map(academic => {
+            const names = [academic.name, ...(academic.aliases || [])].map(normalizePersonName).filter(name => name);
+            
+            return {
+                academic,
+                names,
+                works: new Set(this.getWorksByAuthor(academic.id).map(work => workKeyFromTitle(work.title))),
+                connections: new Set((academic.connections || []).map(connection => connection.id))
+            };
+        });
+        
+        // Group academics by the initial of each of their surnames
+        const blocks = new Map();
+        records.forEach((record, index) => {
+            new Set(record.names.map(name => name.split(' ').pop()[0])).forEach(initial => {
+                if (!blocks.has(initial)) {
+                    blocks.set(initial, []);
+                }
+                blocks.get(initial).push(index);
+            });
+        });
+        
+        const compared = new Set();
+        
+        blocks.forEach(indexes => {
+            for (let i = 0; i < indexes.length; i++) {
+                for (let j = i + 1; j < indexes.length; j++) {
+                    const pairKey = `${indexes[i]}|${indexes[j]}`;
+                    if (compared.has(pairKey)) {
+                        continue;
+                    }
+                    compared.add(pairKey);
+                    
+                    const candidate = this._scoreDuplicatePair(records[indexes[i]], records[indexes[j]]);
+                    if (candidate.score >= minScore) {
+                        candidates.push(candidate);
+                    }
+                }
+            }
+        });
+        
+        return candidates.sort((x, y) => y.score - x.score);
+    }
+    
+    /**
+     * Score how likely two academics are the same person
+     * Exact names, initials and dropped middle names ("Gayatri Spivak" for "Gayatri Chakravorty
+     * Spivak") are strong enough on their own; spelling variants need shared works or connections.
+     * @private
+     * @param {Object} a - Record with academic, normalized names, work title keys and connection IDs
+     * @param {Object} b - Record for the other academic
+     * @returns {Object} Candidate { academic, duplicate, score, reasons }
+     */
+    _scoreDuplicatePair(a, b) {
+        const reasons = [];
+        
+        // Closest pair of names or aliases, in either direction
+        let distance = null;
+        a.names.forEach(nameA => {
+            b.names.forEach(nameB => {
+                [nameDistance(nameA, nameB), nameDistance(nameB, nameA)].forEach(value => {
+                    if (value !== null && (distance === null || value < distance)) {
+                        distance = value;
+                    }
+                });
+            });
+        });
+        
+        let nameScore = 0;
+        if (distance === 0) {
+            nameScore = 1;
+            reasons.push('Same name');
+        } else if (distance === 0.5) {
+            nameScore = 0.9;
+            reasons.push('Matching names');
+        } else if (distance !== null) {
+            nameScore = 1 / (1 + distance);
+            reasons.push('Similar names');
+        }
+        
+        const sharedWorks = Array.from(a.works).filter(title => b.works.has(title)).length;
+        if (sharedWorks > 0) {
+            reasons.push(`${sharedWorks} shared work${sharedWorks === 1 ? '' : 's'}`);
+        }
+        
+        const sharedConnections = Array.from(a.connections)
+            .filter(id => id !== a.academic.id && id !== b.academic.id && b.connections.has(id)).length;
+        if (sharedConnections > 0) {
+            reasons.push(`${sharedConnections} shared connection${sharedConnections === 1 ? '' : 's'}`);
+        }
+        
+        // Shared works count most, but only alongside similar names: co-authors share works
+        // and colleagues share connections
+        const score = nameScore > 0
+            ? Math.min(1, nameScore * 0.6 + Math.min(sharedWorks, 2) * 0.2 + Math.min(sharedConnections, 2) * 0.1)
+            : 0;
+        
+        return { academic: a.academic, duplicate: b.academic, score, reasons };
+    }
+    
+    /**
+     * Combine two academic records
+     * Scalar fields come from the record chosen for each field; lists are merged without duplicates
+     * and the name that is not kept becomes an alias
+     * @private
+     * @param {Object} keep - Record that survives
+     * @param {Object} remove - Record being merged into it
+     * @param {Object} choices - Field name -> 'keep' or 'remove' for name, bio, birthYear and deathYear
+     * @returns {Object} Merged record with the surviving ID
+     */
+    _mergeRecords(keep, remove, choices) {
+        const merged = JSON.parse(JSON.stringify({ ...remove, ...keep }));
+        merged.id = keep.id;
+        
+        ['name', 'bio', 'birthYear', 'deathYear'].forEach(field => {
+            const [chosen, other] = choices[field] === 'remove' ? [remove, keep] : [keep, remove];
+            const value = chosen[field] !== undefined && chosen[field] !== null && chosen[field] !== ''
+                ? chosen[field]
+                : other[field];
             
-            return true;
+            merged[field] = value === undefined ? null : value;
+            
+            // Approximate years keep their qualifier
+            if (field === 'birthYear' || field === 'deathYear') {
+                const flag = field === 'birthYear' ? 'birthApproximate' : 'deathApproximate';
+                merged[flag] = Boolean(value === chosen[field] ? chosen[flag] : other[flag]);
+            }
+        });
+        
+        merged.aliases = [...new Set([keep.name, remove.name, ...(keep.aliases || []), ...(remove.aliases || [])])]
+            .filter(alias => alias && normalizePersonName(alias) !== normalizePersonName(merged.name));
+        
+        merged.taxonomies = {};
+        [keep.taxonomies || {}, remove.taxonomies || {}].forEach(taxonomies => {
+            for (const category in taxonomies) {
+                merged.taxonomies[category] = [...new Set([...(merged.taxonomies[category] || []), ...taxonomies[category]])];
+            }
         });
+        
+        // Events and connections listed on both records are combined, filling in missing details
+        const mergeList = (listA, listB, keyOf) => {
+            const items = new Map();
+            [...(listA || []), ...(listB || [])].forEach(item => {
+                const key = keyOf(item);
+                items.set(key, items.has(key) ? { ...item, ...items.get(key) } : { ...item });
+            });
+            return Array.from(items.values());
+        };
+        
+        merged.events = mergeList(keep.events, remove.events, event => `${normalizePersonName(event.title)}|${event.year || ''}`);
+        merged.affiliations = mergeList(keep.affiliations, remove.affiliations, affiliation => affiliation.institutionId);
+        merged.connections = mergeList(keep.connections, remove.connections,
+            connection => `${connection.id}|${connection.type}|${connection.direction}`)
+            .filter(connection => connection.id !== keep.id && connection.id !== remove.id);
+        
+        return merged;
     }
     
     /**
-     * Add or update an academic
-     * @param {Object} academic - Academic object
+     * Merge a duplicate academic into another record
+     * The duplicate is deleted and every reference to it (connections, work authorships, concept
+     * originators, favorites, novelty tiles, pending submissions and saved layouts) is rewritten to
+     * point at the surviving record
+     * @param {string} keepId - ID of the record that survives
+     * @param {string} removeId - ID of the duplicate
+     * @param {Object} choices - Field name -> 'keep' or 'remove' for name, bio, birthYear and deathYear
+     * @param {string} contributor - Name of the person merging (optional)
      * @returns {boolean} Success indicator
      */
-    addOrUpdateAcademic(academic) {
-        if (!academic || !academic.name) {
+    mergeAcademics(keepId, removeId, choices = {}, contributor = null) {
+        const keep = this.academics[keepId];
+        const remove = this.academics[removeId];
+        
+        if (!keep || !remove || keepId === removeId) {
             return false;
         }
         
         try {
-            // Generate a key from the name
-            const key = academic.name.toLowerCase().replace(/\s+/g, '-').replace(/[^\w-]/g, '');
+            const merged = this._mergeRecords(keep, remove, choices);
             
-            // Add or update the academic
-            this.academics[key] = academic;
+            // Remove the duplicate; its history ends here, the merge is recorded on the surviving record
+            delete this.academics[removeId];
+            delete this.revisions[removeId];
+            this._unindexNames(removeId);
+            this.searchIndex.removeDocument(removeId);
             
-            // Save data
-            this.saveData();
+            // Point connections held by other academics at the surviving record
+            const changedIds = [];
+            
+            this.getAllAcademics().forEach(academic => {
+                if (academic.id === keepId || !this.isConnected(academic, removeId)) {
+                    return;
+                }
+                
+                const seen = new Set();
+                academic.connections = academic.connections
+                    .map(connection => (connection.id === removeId
+                        ? { ...connection, id: keepId, name: merged.name }
+                        : connection))
+                    .filter(connection => {
+                        const key = `${connection.id}|${connection.type}|${connection.direction}`;
+                        if (seen.has(key)) return false;
+                        seen.add(key);
+                        return true;
+                    });
+                
+                changedIds.push(academic.id);
+            });
+            
+            // Credit the duplicate's works to the surviving record
+            const changedWorkIds = this.getWorksByAuthor(removeId).map(work => {
+                this._unindexWork(work);
+                
+                const seen = new Set();
+                work.authors = work.authors
+                    .map(author => (author.id === removeId ? { id: keepId, name: merged.name } : author))
+                    .filter(author => {
+                        if (seen.has(author.id)) return false;
+                        seen.add(author.id);
+                        return true;
+                    });
+                
+                this._indexWork(work);
+                return work.id;
+            });
+            
+            // Concepts the duplicate originated
+            const changedConceptIds = this.getAllConcepts()
+                .filter(concept => concept.originator && concept.originator.id === removeId)
+                .map(concept => {
+                    concept.originator = { id: keepId, name: merged.name };
+                    return concept.id;
+                });
             
+            // Favorites, novelty tiles and pending submissions
+            this.favorites = [...new Set(this.favorites.map(id => (id === removeId ? keepId : id)))];
+            
+            this.noveltyTiles.forEach(tile => {
+                if (tile.academicId === removeId) {
+                    tile.academicId = keepId;
+                }
+            });
+            
+            this.pendingSubmissions.forEach(submission => {
+                if (submission.academicId === removeId) {
+                    submission.academicId = keepId;
+                    submission.academicName = merged.name;
+                }
+                
+                const connection = submission.data.connection;
+                if (connection && connection.connectedAcademicId === removeId) {
+                    connection.connectedAcademicId = keepId;
+                    connection.connectedAcademic = merged.name;
+                }
+            });
+            
+            // Saved layouts: node positions, and the layouts of the duplicate's own network
+            this._mergeLayouts(keepId, removeId);
+            
+            // Save the merged record through the usual path (indexes, reciprocal relationships, history)
+            this.addOrUpdateAcademic(merged, {
+                source: 'admin',
+                contributor,
+                summary: `Merged duplicate record "${remove.name}"`
+            });
+            
+            changedIds.forEach(id => this._reindexAcademic(id));
+            const revisedIds = changedIds.filter(id => this._recordRevision(id, {
+                source: 'admin',
+                contributor,
+                summary: `Reference to "${remove.name}" merged into "${merged.name}"`
+            }));
+            
+            this._saveAcademics([removeId, ...changedIds]);
+            this._saveRevisions([removeId, ...revisedIds]);
+            this._saveWorks(changedWorkIds);
+            this._saveConcepts(changedConceptIds);
+            this._saveCollection('favorites');
+            this._saveCollection('noveltyTiles');
+            this._saveCollection('pendingSubmissions');
+            this._saveCollection('layouts');
+            
+            console.log(`Merged academic ${removeId} into ${keepId} (${changedIds.length} references rewritten)`);
             return true;
         } catch (error) {
-            console.error('Error adding/updating academic:', error);
+            console.error('Error merging academics:', error);
             return false;
         }
     }
     
-    /**
-     * Delete an academic
-     * @param {string} name - Academic name
-     * @returns {boolean} Success indicator
-     */
-    deleteAcademic(name) {
-        for (const key in this.academics) {
-            if (this.academics[key].name === name) {
-                delete this.academics[key];
-                this.saveData();
-                return true;
-            }
-        }
-        
-        return false;
-    }
-    
     /**
      * Get all taxonomy categories with their values
      * @returns {Object} Taxonomy categories
@@ -380,7 +2582,7 @@ class DatabaseManager {
     
     /**
      * Get user favorites
-     * @returns {Array} Array of favorite academic names
+     * @returns {Array} Array of favorite academic IDs
      */
     getFavorites() {
         return this.favorites;
@@ -388,17 +2590,17 @@ class DatabaseManager {
     
     /**
      * Add an academic to favorites
-     * @param {string} name - Academic name
+     * @param {string} id - Academic ID
      * @returns {boolean} Success indicator
      */
-    addToFavorites(name) {
-        if (!name || this.favorites.includes(name)) {
+    addToFavorites(id) {
+        if (!id || this.favorites.includes(id)) {
             return false;
         }
         
         try {
-            this.favorites.push(name);
-            this.saveData();
+            this.favorites.push(id);
+            this._saveCollection('favorites');
             return true;
         } catch (error) {
             console.error('Error adding to favorites:', error);
@@ -408,18 +2610,18 @@ class DatabaseManager {
     
     /**
      * Remove an academic from favorites
-     * @param {string} name - Academic name
+     * @param {string} id - Academic ID
      * @returns {boolean} Success indicator
      */
-    removeFromFavorites(name) {
-        const index = this.favorites.indexOf(name);
+    removeFromFavorites(id) {
+        const index = this.favorites.indexOf(id);
         if (index === -1) {
             return false;
         }
         
         try {
             this.favorites.splice(index, 1);
-            this.saveData();
+            this._saveCollection('favorites');
             return true;
         } catch (error) {
             console.error('Error removing from favorites:', error);
@@ -427,6 +2629,127 @@ class DatabaseManager {
         }
     }
     
+    /**
+     * Get the layouts saved for a network view
+     * @param {string} viewKey - View key (e.g. "academic:<id>", "search:<query>", "path:<from>|<to>" or "full")
+     * @returns {Array} Layouts { name, viewKey, positions, date }, most recent first
+     */
+    getLayouts(viewKey) {
+        return Object.values(this.layouts[viewKey] || {})
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+    
+    /**
+     * Get a saved layout
+     * @param {string} viewKey - View key
+     * @param {string} name - Layout name
+     * @returns {Object|null} Layout or null if not found
+     */
+    getLayout(viewKey, name) {
+        return (this.layouts[viewKey] && this.layouts[viewKey][name]) || null;
+    }
+    
+    /**
+     * Save the node positions of a network view under a name, replacing a layout of the same name
+     * @param {string} viewKey - View key
+     * @param {string} name - Layout name
+     * @param {Object} positions - Node ID -> { x, y, pinned }
+     * @returns {Object|null} The saved layout, or null if the input is invalid
+     */
+    saveLayout(viewKey, name, positions) {
+        const layoutName = typeof name === 'string' ? name.trim() : '';
+        
+        if (!viewKey || !layoutName || !positions || typeof positions !== 'object') {
+            return null;
+        }
+        
+        try {
+            const layout = {
+                name: layoutName,
+                viewKey,
+                positions: {},
+                date: new Date().toISOString()
+            };
+            
+            for (const id in positions) {
+                const { x, y, pinned } = positions[id];
+                if (Number.isFinite(x) && Number.isFinite(y)) {
+                    layout.positions[id] = { x: Math.round(x * 10) / 10, y: Math.round(y * 10) / 10, pinned: !!pinned };
+                }
+            }
+            
+            if (!this.layouts[viewKey]) {
+                this.layouts[viewKey] = {};
+            }
+            
+            this.layouts[viewKey][layoutName] = layout;
+            this._saveCollection('layouts');
+            
+            return layout;
+        } catch (error) {
+            console.error('Error saving layout:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Delete a saved layout
+     * @param {string} viewKey - View key
+     * @param {string} name - Layout name
+     * @returns {boolean} Success indicator
+     */
+    deleteLayout(viewKey, name) {
+        if (!this.getLayout(viewKey, name)) {
+            return false;
+        }
+        
+        try {
+            delete this.layouts[viewKey][name];
+            
+            if (Object.keys(this.layouts[viewKey]).length === 0) {
+                delete this.layouts[viewKey];
+            }
+            
+            this._saveCollection('layouts');
+            return true;
+        } catch (error) {
+            console.error('Error deleting layout:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Point saved layouts at the surviving record of a merge
+     * Positions of the duplicate's node move to the surviving node unless it has its own, and layouts of
+     * the duplicate's network join those of the surviving academic (without replacing any)
+     * @private
+     * @param {string} keepId - ID of the record that survives
+     * @param {string} removeId - ID of the duplicate
+     */
+    _mergeLayouts(keepId, removeId) {
+        for (const viewKey in this.layouts) {
+            Object.values(this.layouts[viewKey]).forEach(layout => {
+                if (layout.positions[removeId]) {
+                    if (!layout.positions[keepId]) {
+                        layout.positions[keepId] = layout.positions[removeId];
+                    }
+                    delete layout.positions[removeId];
+                }
+            });
+        }
+        
+        const removedView = `academic:${removeId}`;
+        const keptView = `academic:${keepId}`;
+        
+        if (this.layouts[removedView]) {
+            this.layouts[keptView] = { ...this.layouts[removedView], ...this.layouts[keptView] };
+            Object.values(this.layouts[keptView]).forEach(layout => {
+                layout.viewKey = keptView;
+            });
+            delete this.layouts[removedView];
+        }
+    }
+    
     /**
      * Get recent novelty tiles
      * @param {number} count - Number of tiles to get
@@ -466,7 +2789,7 @@ class DatabaseManager {
             }
             
             // Save data
-            this.saveData();
+            this._saveCollection('noveltyTiles');
             
             return true;
         } catch (error) {
@@ -490,7 +2813,7 @@ class DatabaseManager {
             this.pendingSubmissions.push(submission);
             
             // Save data
-            this.saveData();
+            this._saveCollection('pendingSubmissions');
             
             return true;
         } catch (error) {
@@ -526,14 +2849,15 @@ class DatabaseManager {
                 submission.contributionType === 'event' ||
                 submission.contributionType === 'connection' ||
                 submission.contributionType === 'taxonomy' ||
-                submission.contributionType === 'bio') {
+                submission.contributionType === 'bio' ||
+                submission.contributionType === 'concept') {
                 
                 // Get or create the academic
-                let academic = this.getAcademic(submission.academicName);
+                let academic = this.getAcademicById(submission.academicId) || this.getAcademic(submission.academicName);
                 if (!academic) {
                     academic = {
+                        id: submission.academicId,
                         name: submission.academicName,
-                        papers: [],
                         events: [],
                         connections: [],
                         taxonomies: {}
@@ -541,31 +2865,14 @@ class DatabaseManager {
                 }
                 
                 // Update the academic with the submission data
+                // Papers and concepts are stored once the academic is saved
                 switch (submission.data.type) {
-                    case 'paper':
-                        if (!academic.papers) {
-                            academic.papers = [];
-                        }
-                        academic.papers.push(submission.data.paper);
-                        break;
-                    
                     case 'event':
-                        if (!academic.events) {
-                            academic.events = [];
-                        }
-                        academic.events.push(submission.data.event);
+                        this.addEvent(academic, submission.data.event);
                         break;
                     
                     case 'connection':
-                        if (!academic.connections) {
-                            academic.connections = [];
-                        }
-                        
-                        const connectedAcademic = submission.data.connection.connectedAcademic;
-                        
-                        if (!academic.connections.includes(connectedAcademic)) {
-                            academic.connections.push(connectedAcademic);
-                        }
+                        this.addRelationship(academic, this.relationshipFromSubmission(submission.data.connection));
                         break;
                     
                     case 'taxonomy':
@@ -591,23 +2898,46 @@ class DatabaseManager {
                         
                         if (submission.data.bio.birthYear) {
                             academic.birthYear = submission.data.bio.birthYear;
+                            academic.birthApproximate = Boolean(submission.data.bio.birthApproximate);
                         }
                         
                         if (submission.data.bio.deathYear) {
                             academic.deathYear = submission.data.bio.deathYear;
+                            academic.deathApproximate = Boolean(submission.data.bio.deathApproximate);
+                        }
+                        
+                        if (submission.data.bio.aliases) {
+                            academic.aliases = submission.data.bio.aliases;
                         }
                         break;
+                    
+                    case 'concept':
+                        this.addConceptTheme(academic, submission.data.concept.name);
+                        break;
                 }
                 
                 // Save the academic
-                this.addOrUpdateAcademic(academic);
+                this.addOrUpdateAcademic(academic, {
+                    source: 'contribution',
+                    contributor: submission.contributorName,
+                    summary: `Approved ${submission.data.type} contribution`
+                });
+                
+                if (submission.data.type === 'paper') {
+                    this.addWorkContribution(academic.id, submission.data.paper);
+                }
+                
+                if (submission.data.type === 'concept') {
+                    this.addConceptContribution(academic, submission.data.concept);
+                }
                 
                 // Add a novelty tile
                 this.addNoveltyTile({
                     title: `New Contribution: ${submission.academicName}`,
                     content: `New ${submission.data.type} information approved for ${submission.academicName}.`,
                     date: new Date().toISOString(),
-                    type: submission.data.type
+                    type: submission.data.type,
+                    academicId: academic.id
                 });
             }
             
@@ -615,7 +2945,7 @@ class DatabaseManager {
             this.pendingSubmissions.splice(index, 1);
             
             // Save data
-            this.saveData();
+            this._saveCollection('pendingSubmissions');
             
             return true;
         } catch (error) {
@@ -639,7 +2969,7 @@ class DatabaseManager {
             this.pendingSubmissions.splice(index, 1);
             
             // Save data
-            this.saveData();
+            this._saveCollection('pendingSubmissions');
             
             return true;
         } catch (error) {
@@ -655,10 +2985,17 @@ class DatabaseManager {
     exportDatabase() {
         try {
             return JSON.stringify({
+                schemaVersion: SCHEMA_VERSION,
                 academics: this.academics,
                 noveltyTiles: this.noveltyTiles,
                 pendingSubmissions: this.pendingSubmissions,
-                favorites: this.favorites
+                favorites: this.favorites,
+                revisions: this.revisions,
+                works: this.works,
+                institutions: this.institutions,
+                places: this.places,
+                concepts: this.concepts,
+                layouts: this.layouts
             }, null, 2);
         } catch (error) {
             console.error('Error exporting database:', error);
@@ -668,12 +3005,19 @@ class DatabaseManager {
     
     /**
      * Import database from JSON
+     * Older exports are upgraded through the schema migrations before being applied
      * @param {string} json - JSON string to import
      * @returns {boolean} Success indicator
      */
     importDatabase(json) {
         try {
-            const data = JSON.parse(json);
+            const parsed = JSON.parse(json);
+            
+            if (!parsed || typeof parsed !== 'object') {
+                throw new Error('Import data must be a JSON object');
+            }
+            
+            const { data } = migrateData(parsed, parsed.schemaVersion);
             
             if (data.academics) {
                 this.academics = data.academics;
@@ -691,6 +3035,54 @@ class DatabaseManager {
                 this.favorites = data.favorites;
             }
             
+            // Imported histories replace local ones for the same academics
+            if (data.revisions) {
+                Object.assign(this.revisions, data.revisions);
+            }
+            
+            // Histories of academics the import does not contain are dropped
+            Object.keys(this.revisions).forEach(id => {
+                if (!this.academics[id]) {
+                    delete this.revisions[id];
+                }
+            });
+            
+            if (data.works) {
+                this.works = data.works;
+            }
+            
+            if (data.institutions) {
+                this.institutions = data.institutions;
+            }
+            
+            if (data.places) {
+                this.places = data.places;
+            }
+            
+            if (data.concepts) {
+                this.concepts = data.concepts;
+            }
+            
+            // Imported layouts replace local ones of the same name
+            if (data.layouts) {
+                for (const viewKey in data.layouts) {
+                    this.layouts[viewKey] = { ...this.layouts[viewKey], ...data.layouts[viewKey] };
+                }
+            }
+            
+            this._rebuildIndexes();
+            
+            // The imported graph is the new baseline for bridge and centrality tiles
+            this._tileAnalytics = null;
+            
+            // Imported relationships are made bidirectional before saving
+            this.getAllAcademics().forEach(academic => this._syncReciprocalRelationships(academic));
+            
+            // Record the import in each academic's history
+            Object.keys(this.academics).forEach(id => {
+                this._recordRevision(id, { source: 'import', summary: 'Imported from database file' });
+            });
+            
             this.saveData();
             
             return true;
@@ -710,6 +3102,16 @@ class DatabaseManager {
             this.noveltyTiles = [];
             this.pendingSubmissions = [];
             this.favorites = [];
+            this.revisions = {};
+            this.works = {};
+            this.institutions = {};
+            this.places = {};
+            this.concepts = {};
+            this.layouts = {};
+            this._rebuildIndexes();
+            
+            // An empty database has nothing to compare new bridges against
+            this._tileAnalytics = null;
             
             this.saveData();
             
@@ -822,71 +3224,329 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
     
-    // Display pending submissions
-    const pendingSubmissionsContainer = document.getElementById('pending-submissions');
-    if (pendingSubmissionsContainer) {
-        const submissions = databaseManager.getPendingSubmissions();
-        
-        if (submissions.length === 0) {
-            pendingSubmissionsContainer.innerHTML = '<div class="info-message">No pending submissions</div>';
-        } else {
-            pendingSubmissionsContainer.innerHTML = '';
-            
-            submissions.forEach((submission, index) => {
-                const submissionElement = document.createElement('div');
-                submissionElement.className = 'submission-item';
-                
-                const submissionHeader = document.createElement('h4');
-                submissionHeader.textContent = `${submission.academicName} - ${submission.contributionType}`;
-                submissionElement.appendChild(submissionHeader);
-                
-                const submissionDetails = document.createElement('div');
-                submissionDetails.className = 'submission-details';
-                submissionDetails.innerHTML = `
-                    <p>Type: ${submission.data.type}</p>
-                    <p>Contributor: ${submission.contributorName || 'Anonymous'}</p>
-                    <p>Date: ${new Date(submission.timestamp).toLocaleString()}</p>
-                `;
-                submissionElement.appendChild(submissionDetails);
-                
-                const submissionActions = document.createElement('div');
-                submissionActions.className = 'submission-actions';
-                
-                const approveButton = document.createElement('button');
-                approveButton.className = 'admin-btn approve-btn';
-                approveButton.textContent = 'Approve';
-                approveButton.addEventListener('click', () => {
-                    const success = databaseManager.approvePendingSubmission(index);
+    // Display pending submissions once stored data has loaded
+    databaseManager.ready.then(() => {
+        const pendingSubmissionsContainer = document.getElementById('pending-submissions');
+        if (pendingSubmissionsContainer) {
+            const submissions = databaseManager.getPendingSubmissions();
+            
+            if (submissions.length === 0) {
+                pendingSubmissionsContainer.innerHTML = '<div class="info-message">No pending submissions</div>';
+            } else {
+                pendingSubmissionsContainer.innerHTML = '';
+                
+                submissions.forEach((submission, index) => {
+                    const submissionElement = document.createElement('div');
+                    submissionElement.className = 'submission-item';
                     
-                    if (success) {
-                        submissionElement.remove();
+                    const submissionHeader = document.createElement('h4');
+                    submissionHeader.textContent = `${submission.academicName} - ${submission.contributionType}`;
+                    submissionElement.appendChild(submissionHeader);
+                    
+                    const submissionDetails = document.createElement('div');
+                    submissionDetails.className = 'submission-details';
+                    submissionDetails.innerHTML = `
+                        <p>Type: ${submission.data.type}</p>
+                        <p>Contributor: ${submission.contributorName || 'Anonymous'}</p>
+                        <p>Date: ${new Date(submission.timestamp).toLocaleString()}</p>
+                    `;
+                    submissionElement.appendChild(submissionDetails);
+                    
+                    const submissionActions = document.createElement('div');
+                    submissionActions.className = 'submission-actions';
+                    
+                    const approveButton = document.createElement('button');
+                    approveButton.className = 'admin-btn approve-btn';
+                    approveButton.textContent = 'Approve';
+                    approveButton.addEventListener('click', () => {
+                        const success = databaseManager.approvePendingSubmission(index);
                         
-                        if (pendingSubmissionsContainer.childElementCount === 0) {
-                            pendingSubmissionsContainer.innerHTML = '<div class="info-message">No pending submissions</div>';
+                        if (success) {
+                            submissionElement.remove();
+                            
+                            if (pendingSubmissionsContainer.childElementCount === 0) {
+                                pendingSubmissionsContainer.innerHTML = '<div class="info-message">No pending submissions</div>';
+                            }
                         }
-                    }
-                });
-                submissionActions.appendChild(approveButton);
-                
-                const rejectButton = document.createElement('button');
-                rejectButton.className = 'admin-btn reject-btn';
-                rejectButton.textContent = 'Reject';
-                rejectButton.addEventListener('click', () => {
-                    const success = databaseManager.rejectPendingSubmission(index);
+                    });
+                    submissionActions.appendChild(approveButton);
                     
-                    if (success) {
-                        submissionElement.remove();
+                    const rejectButton = document.createElement('button');
+                    rejectButton.className = 'admin-btn reject-btn';
+                    rejectButton.textContent = 'Reject';
+                    rejectButton.addEventListener('click', () => {
+                        const success = databaseManager.rejectPendingSubmission(index);
                         
-                        if (pendingSubmissionsContainer.childElementCount === 0) {
-                            pendingSubmissionsContainer.innerHTML = '<div class="info-message">No pending submissions</div>';
+                        if (success) {
+                            submissionElement.remove();
+                            
+                            if (pendingSubmissionsContainer.childElementCount === 0) {
+                                pendingSubmissionsContainer.innerHTML = '<div class="info-message">No pending submissions</div>';
+                            }
                         }
-                    }
+                    });
+                    submissionActions.appendChild(rejectButton);
+                    
+                    submissionElement.appendChild(submissionActions);
+                    pendingSubmissionsContainer.appendChild(submissionElement);
+                });
+            }
+        }
+    });
+    
+    // Report one-sided relationships and offer to repair them
+    databaseManager.ready.then(() => {
+        const adminContent = document.querySelector('.admin-content');
+        if (!adminContent) return;
+        
+        const section = document.createElement('div');
+        section.className = 'admin-section relationship-check';
+        
+        const header = document.createElement('h3');
+        header.textContent = 'One-sided Relationships';
+        section.appendChild(header);
+        
+        const results = document.createElement('div');
+        results.className = 'relationship-check-results';
+        section.appendChild(results);
+        
+        const renderOneSided = () => {
+            const oneSided = databaseManager.findOneSidedRelationships();
+            results.innerHTML = '';
+            
+            if (oneSided.length === 0) {
+                results.innerHTML = '<div class="info-message">All relationships are bidirectional</div>';
+                return;
+            }
+            
+            const list = document.createElement('ul');
+            list.className = 'one-sided-list';
+            
+            oneSided.forEach(link => {
+                const item = document.createElement('li');
+                item.textContent = `${link.academic.name} → ${link.target.name} (${describeRelationship(link.relationship)}): missing on ${link.target.name}`;
+                list.appendChild(item);
+            });
+            
+            results.appendChild(list);
+            
+            const repairButton = document.createElement('button');
+            repairButton.className = 'admin-btn repair-btn';
+            repairButton.textContent = `Repair ${oneSided.length} Relationships`;
+            repairButton.addEventListener('click', () => {
+                const updated = databaseManager.repairOneSidedRelationships();
+                renderOneSided();
+                
+                const successMessage = document.createElement('div');
+                successMessage.className = 'success-message';
+                successMessage.textContent = `Repaired relationships on ${updated} academics.`;
+                section.insertBefore(successMessage, results);
+                
+                setTimeout(() => {
+                    successMessage.remove();
+                }, 5000);
+            });
+            results.appendChild(repairButton);
+        };
+        
+        const checkButton = document.createElement('button');
+        checkButton.className = 'admin-btn';
+        checkButton.textContent = 'Check Relationships';
+        checkButton.addEventListener('click', renderOneSided);
+        section.insertBefore(checkButton, results);
+        
+        adminContent.appendChild(section);
+        renderOneSided();
+    });
+    
+    // Find likely duplicate academics and merge them
+    databaseManager.ready.then(() => {
+        const adminContent = document.querySelector('.admin-content');
+        if (!adminContent) return;
+        
+        const section = document.createElement('div');
+        section.className = 'admin-section duplicate-check';
+        
+        const header = document.createElement('h3');
+        header.textContent = 'Duplicate Academics';
+        section.appendChild(header);
+        
+        const results = document.createElement('div');
+        results.className = 'duplicate-check-results';
+        section.appendChild(results);
+        
+        const showMessage = (className, text) => {
+            const message = document.createElement('div');
+            message.className = className;
+            message.textContent = text;
+            section.insertBefore(message, results);
+            
+            setTimeout(() => {
+                message.remove();
+            }, 5000);
+        };
+        
+        const formatList = (field, academic) => {
+            switch (field) {
+                case 'taxonomies':
+                    return Object.entries(academic.taxonomies || {})
+                        .filter(([, values]) => values.length > 0)
+                        .map(([category, values]) => `${category}: ${values.join(', ')}`);
+                case 'works':
+                case 'events':
+                    return (field === 'works' ? databaseManager.getWorksByAuthor(academic.id) : academic.events || [])
+                        .map(item => (item.year ? `${item.title} (${item.year})` : item.title));
+                case 'connections':
+                    return (academic.connections || []).map(connection => `${describeRelationship(connection)}: ${connection.name}`);
+                case 'affiliations':
+                    return (academic.affiliations || []).map(formatAffiliation);
+                default:
+                    return academic[field] || [];
+            }
+        };
+        
+        // Side-by-side comparison; scalar fields are picked per field, lists are combined
+        const renderMergeScreen = (keep, remove) => {
+            results.innerHTML = '';
+            
+            const table = document.createElement('table');
+            table.className = 'merge-table';
+            
+            const headerRow = document.createElement('tr');
+            ['Field', `${keep.name} (kept)`, `${remove.name} (merged in)`].forEach(text => {
+                const cell = document.createElement('th');
+                cell.textContent = text;
+                headerRow.appendChild(cell);
+            });
+            table.appendChild(headerRow);
+            
+            const choices = {};
+            
+            ['name', 'bio', 'birthYear', 'deathYear'].forEach(field => {
+                const row = document.createElement('tr');
+                
+                const label = document.createElement('td');
+                label.textContent = field;
+                row.appendChild(label);
+                
+                const isEmpty = value => value === undefined || value === null || value === '';
+                choices[field] = isEmpty(keep[field]) && !isEmpty(remove[field]) ? 'remove' : 'keep';
+                
+                [['keep', keep], ['remove', remove]].forEach(([side, academic]) => {
+                    const cell = document.createElement('td');
+                    const option = document.createElement('label');
+                    
+                    const radio = document.createElement('input');
+                    radio.type = 'radio';
+                    radio.name = `merge-${field}`;
+                    radio.value = side;
+                    radio.checked = choices[field] === side;
+                    radio.addEventListener('change', () => {
+                        choices[field] = side;
+                    });
+                    
+                    option.appendChild(radio);
+                    const text = field === 'birthYear' || field === 'deathYear'
+                        ? formatHistoricalYear(academic[field], academic[field === 'birthYear' ? 'birthApproximate' : 'deathApproximate'])
+                        : academic[field];
+                    option.appendChild(document.createTextNode(` ${isEmpty(academic[field]) ? '(empty)' : text}`));
+                    cell.appendChild(option);
+                    row.appendChild(cell);
                 });
-                submissionActions.appendChild(rejectButton);
                 
-                submissionElement.appendChild(submissionActions);
-                pendingSubmissionsContainer.appendChild(submissionElement);
+                table.appendChild(row);
             });
-        }
-    }
+            
+            ['aliases', 'taxonomies', 'works', 'events', 'affiliations', 'connections'].forEach(field => {
+                const row = document.createElement('tr');
+                row.className = 'merge-combined';
+                
+                const label = document.createElement('td');
+                label.textContent = `${field} (combined)`;
+                row.appendChild(label);
+                
+                [keep, remove].forEach(academic => {
+                    const cell = document.createElement('td');
+                    const items = formatList(field, academic);
+                    cell.textContent = items.length > 0 ? items.join('; ') : '(none)';
+                    row.appendChild(cell);
+                });
+                
+                table.appendChild(row);
+            });
+            
+            results.appendChild(table);
+            
+            const actions = document.createElement('div');
+            actions.className = 'admin-actions';
+            
+            const swapButton = document.createElement('button');
+            swapButton.className = 'admin-btn';
+            swapButton.textContent = 'Swap Records';
+            swapButton.addEventListener('click', () => renderMergeScreen(remove, keep));
+            actions.appendChild(swapButton);
+            
+            const mergeButton = document.createElement('button');
+            mergeButton.className = 'admin-btn merge-btn';
+            mergeButton.textContent = 'Merge Records';
+            mergeButton.addEventListener('click', () => {
+                if (!confirm(`Merge "${remove.name}" into "${keep.name}"? "${remove.name}" will be removed and every reference to it updated.`)) {
+                    return;
+                }
+                
+                if (databaseManager.mergeAcademics(keep.id, remove.id, choices)) {
+                    renderCandidates();
+                    showMessage('success-message', `Merged "${remove.name}" into "${keep.name}".`);
+                } else {
+                    showMessage('error-message', 'Merge failed. See the console for details.');
+                }
+            });
+            actions.appendChild(mergeButton);
+            
+            const cancelButton = document.createElement('button');
+            cancelButton.className = 'admin-btn';
+            cancelButton.textContent = 'Cancel';
+            cancelButton.addEventListener('click', () => renderCandidates());
+            actions.appendChild(cancelButton);
+            
+            results.appendChild(actions);
+        };
+        
+        const renderCandidates = () => {
+            const candidates = databaseManager.findDuplicateCandidates();
+            results.innerHTML = '';
+            
+            if (candidates.length === 0) {
+                results.innerHTML = '<div class="info-message">No likely duplicates found</div>';
+                return;
+            }
+            
+            const list = document.createElement('ul');
+            list.className = 'duplicate-list';
+            
+            candidates.forEach(candidate => {
+                const item = document.createElement('li');
+                item.textContent = `${candidate.academic.name} ↔ ${candidate.duplicate.name} ` +
+                    `(${Math.round(candidate.score * 100)}%: ${candidate.reasons.join(', ')}) `;
+                
+                const reviewButton = document.createElement('button');
+                reviewButton.className = 'admin-btn';
+                reviewButton.textContent = 'Review & Merge';
+                reviewButton.addEventListener('click', () => renderMergeScreen(candidate.academic, candidate.duplicate));
+                item.appendChild(reviewButton);
+                
+                list.appendChild(item);
+            });
+            
+            results.appendChild(list);
+        };
+        
+        const findButton = document.createElement('button');
+        findButton.className = 'admin-btn';
+        findButton.textContent = 'Find Duplicates';
+        findButton.addEventListener('click', renderCandidates);
+        section.insertBefore(findButton, results);
+        
+        adminContent.appendChild(section);
+    });
 });
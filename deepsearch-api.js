@@ -158,85 +158,13 @@ class DeepSearchAPI {
         // Simulate API call with a delay
         return new Promise((resolve) => {
             setTimeout(() => {
-                // Get academics from database manager
-                let academics = [];
+                // Rank academics with the full-text index (BM25 over names, bios, taxonomies, works and events)
+                let matches = [];
                 if (typeof databaseManager !== 'undefined') {
-                    academics = databaseManager.getAllAcademics();
+                    matches = databaseManager.fullTextSearch(query);
                 }
                 
-                // Process the query to find relevant keywords
-                const keywords = query.toLowerCase()
-                    .split(/\s+/)
-                    .filter(word => word.length > 3)
-                    .map(word => word.replace(/[^\w]/g, ''));
-                
-                console.log('Extracted keywords:', keywords);
-                
-                // Find matching academics
-                const matches = [];
-                
-                // Score each academic based on the query
-                academics.forEach(academic => {
-                    let score = 0;
-                    
-                    // Check name match
-                    const nameLower = academic.name.toLowerCase();
-                    const nameMatch = keywords.some(keyword => nameLower.includes(keyword));
-                    if (nameMatch) score += 5;
-                    
-                    // Check bio match
-                    if (academic.bio) {
-                        const bioLower = academic.bio.toLowerCase();
-                        keywords.forEach(keyword => {
-                            if (bioLower.includes(keyword)) score += 2;
-                        });
-                    }
-                    
-                    // Check taxonomy match
-                    if (academic.taxonomies) {
-                        for (const category in academic.taxonomies) {
-                            const values = academic.taxonomies[category];
-                            if (values && Array.isArray(values)) {
-                                values.forEach(value => {
-                                    const valueLower = value.toLowerCase();
-                                    keywords.forEach(keyword => {
-                                        if (valueLower.includes(keyword)) score += 3;
-                                    });
-                                });
-                            }
-                        }
-                    }
-                    
-                    // Check papers and events match
-                    if (academic.papers) {
-                        academic.papers.forEach(paper => {
-                            const titleLower = paper.title.toLowerCase();
-                            keywords.forEach(keyword => {
-                                if (titleLower.includes(keyword)) score += 1;
-                            });
-                        });
-                    }
-                    
-                    if (academic.events) {
-                        academic.events.forEach(event => {
-                            const titleLower = event.title.toLowerCase();
-                            keywords.forEach(keyword => {
-                                if (titleLower.includes(keyword)) score += 1;
-                            });
-                        });
-                    }
-                    
-                    // Add to matches if score is above threshold
-                    if (score > 0) {
-                        matches.push({
-                            academic,
-                            score
-                        });
-                    }
-                });
-                
-                // Sort matches by score
-                matches.sort((a, b) => b.score - a.score);
+                console.log(`Full-text index returned ${matches.length} matches`);
                 
                 // Generate connections between top matches
                 const connections = [];
@@ -248,8 +176,8 @@ class DeepSearchAPI {
                         
                         // Check for direct connection
                         const isDirectlyConnected = 
-                            academicA.connections?.includes(academicB.name) || 
-                            academicB.connections?.includes(academicA.name);
+                            databaseManager.isConnected(academicA, academicB.id) || 
+                            databaseManager.isConnected(academicB, academicA.id);
                         
                         // Generate a synthetic connection based on shared taxonomies
                         const sharedTaxonomies = [];
@@ -289,7 +217,7 @@ class DeepSearchAPI {
                     timestamp: new Date().toISOString(),
                     matches: matches.slice(0, 10).map(match => ({
                         name: match.academic.name,
-                        score: match.score,
+                        score: Number(match.score.toFixed(3)),
                         relevance: (match.score / Math.max(...matches.map(m => m.score)) * 100).toFixed(1) + '%'
                     })),
                     connections: connections.sort((a, b) => b.strength - a.strength),
@@ -485,7 +413,6 @@ The most relevant academic is ${matches[0]?.academic.name || 'none'}.`
             bio: `This academic was found through a DeepSearch query: "${results.query}"`,
             taxonomies,
             connections: connectionNames,
-            papers: [],
             events: []
         };
         
@@ -657,29 +584,33 @@ document.addEventListener('DOMContentLoaded', () => {
                     
                     // Add matches section
                     if (results.matches && results.matches.length > 0) {
-                        const matchesHeader = document.createElement('h4');
-                        matchesHeader.textContent = 'Top Matches';
-                        deepSearchResults.appendChild(matchesHeader);
-                        
-                        const matchesList = document.createElement('ul');
+                        const matchesList = document.createElement('div');
                         matchesList.className = 'matches-list';
+                        deepSearchResults.appendChild(matchesList);
                         
-                        results.matches.forEach(match => {
-                            const matchItem = document.createElement('li');
-                            matchItem.className = 'match-item';
-                            matchItem.innerHTML = `<strong>${match.name}</strong> (Relevance: ${match.relevance})`;
-                            
-                            // Add click handler to view academic
-                            matchItem.addEventListener('click', () => {
-                                if (typeof handleSearch === 'function') {
-                                    handleSearch(match.name);
+                        // Matches already in the database get full result rows
+                        const matchesView = new SearchResultsView(matchesList, {
+                            onOpen: (academic, entry) => {
+                                if (academic) {
+                                    hideSearchResults();
+                                    displayAcademic(academic);
+                                    hideAllSections();
+                                    document.getElementById('results-container').style.display = 'block';
+                                } else if (typeof handleSearch === 'function') {
+                                    handleSearch(entry.name);
                                 }
-                            });
-                            
-                            matchesList.appendChild(matchItem);
+                            }
                         });
                         
-                        deepSearchResults.appendChild(matchesList);
+                        matchesView.show(results.matches.map(match => ({
+                            academic: typeof databaseManager !== 'undefined' ? databaseManager.getAcademic(match.name) : null,
+                            name: match.name,
+                            score: match.score,
+                            relevance: match.relevance
+                        })), {
+                            title: 'Top Matches',
+                            terms: query.split(/\s+/).filter(word => word.length > 3)
+                        });
                     }
                     
                     // Add connections section
@@ -731,7 +662,7 @@ document.addEventListener('DOMContentLoaded', () => {
                                 container.style.display = 'block';
                                 
                                 // Visualize the network
-                                visualizeNetwork(networkData, `Network for "${query}"`);
+                                visualizeNetwork(networkData, `Network for "${query}"`, { viewKey: `search:${query}` });
                             }
                         });
                         
@@ -750,7 +681,10 @@ document.addEventListener('DOMContentLoaded', () => {
                             
                             saveButton.addEventListener('click', () => {
                                 if (typeof databaseManager !== 'undefined') {
-                                    const success = databaseManager.addOrUpdateAcademic(academicData);
+                                    const success = databaseManager.addOrUpdateAcademic(academicData, {
+                                        source: 'deepsearch',
+                                        summary: `Saved from DeepSearch query "${results.query}"`
+                                    });
                                     
                                     if (success) {
                                         const successMessage = document.createElement('div');
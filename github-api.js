@@ -421,12 +421,32 @@ class GitHubAPIManager {
         }
     }
     
+    /**
+     * Read a JSON data file from the repository
+     * @private
+     * @param {string} path - Path of the file in the repository
+     * @returns {Promise<Object>} - { data, sha }; data is empty and sha blank if the file does not exist
+     */
+    async _getDataFile(path) {
+        try {
+            const fileData = await this._makeRequest(`/repos/${this.repoOwner}/${this.repoName}/contents/${path}`);
+            
+            return { data: JSON.parse(decodeURIComponent(escape(atob(fileData.content)))), sha: fileData.sha };
+        } catch (error) {
+            // File might not exist yet, create it
+            this._log(`${path} not found, will create new file`, 'info');
+            return { data: {}, sha: '' };
+        }
+    }
+    
     /**
      * Submit academic data to GitHub
+     * The academic and the works changed with them go into one pull request
      * @param {Object} academic - Academic data
+     * @param {Array} works - Work records added or changed by the contribution (optional)
      * @returns {Promise<boolean>} - Success indicator
      */
-    async submitAcademicContribution(academic) {
+    async submitAcademicContribution(academic, works = []) {
         try {
             if (!this.isConnected) {
                 throw new Error('GitHub repository not connected');
@@ -436,31 +456,23 @@ class GitHubAPIManager {
                 throw new Error('Invalid academic data');
             }
             
-            const normalizedName = academic.name.toLowerCase().replace(/\s+/g, '-').replace(/[^\w-]/g, '');
-            
-            // Get current academics.json file
-            let academicsData = {};
-            let fileSha = '';
-            
-            try {
-                const fileData = await this._makeRequest(`/repos/${this.repoOwner}/${this.repoName}/contents/data/academics.json`);
-                fileSha = fileData.sha;
-                
-                // Decode the content
-                const content = atob(fileData.content);
-                academicsData = JSON.parse(content);
-            } catch (error) {
-                // File might not exist yet, create it
-                this._log('academics.json not found, will create new file', 'info');
+            const normalizedName = academic.id || academicKeyFromName(academic.name);
+            
+            // Add or update the academic entry, and the entries of their works
+            const files = [{
+                path: 'data/academics.json',
+                entries: { [normalizedName]: academic },
+                message: `Add/update academic: ${academic.name}`
+            }];
+            
+            if (works.length > 0) {
+                files.push({
+                    path: 'data/works.json',
+                    entries: Object.fromEntries(works.map(work => [work.id, work])),
+                    message: `Add/update works of ${academic.name}`
+                });
             }
             
-            // Add or update the academic entry
-            academicsData[normalizedName] = academic;
-            
-            // Prepare the file content
-            const content = JSON.stringify(academicsData, null, 2);
-            const base64Content = btoa(unescape(encodeURIComponent(content)));
-            
             // Create branch for the contribution
             const branchName = `contribution/${normalizedName}-${Date.now()}`;
             
@@ -480,23 +492,29 @@ class GitHubAPIManager {
                 })
             });
             
-            // Update the file in the new branch
-            const updateEndpoint = `/repos/${this.repoOwner}/${this.repoName}/contents/data/academics.json`;
-            
-            await this._makeRequest(updateEndpoint, {
-                method: 'PUT',
-                body: JSON.stringify({
-                    message: `Add/update academic: ${academic.name}`,
-                    content: base64Content,
-                    branch: branchName,
-                    sha: fileSha || undefined
-                })
-            });
+            // Update the files in the new branch
+            for (const file of files) {
+                const { data, sha } = await this._getDataFile(file.path);
+                const content = JSON.stringify({ ...data, ...file.entries }, null, 2);
+                
+                await this._makeRequest(`/repos/${this.repoOwner}/${this.repoName}/contents/${file.path}`, {
+                    method: 'PUT',
+                    body: JSON.stringify({
+                        message: file.message,
+                        content: btoa(unescape(encodeURIComponent(content))),
+                        branch: branchName,
+                        sha: sha || undefined
+                    })
+                });
+            }
             
             // Create a pull request
+            const workTitles = works.map(work => `- ${work.title}${work.year ? ` (${work.year})` : ''}`).join('\n');
+            
             await this.createPullRequest(
                 `Add/update academic: ${academic.name}`,
-                `This PR adds or updates information for ${academic.name}.`,
+                `This PR adds or updates information for ${academic.name}.` +
+                    (workTitles ? `\n\nWorks added or updated:\n${workTitles}` : ''),
                 branchName,
                 defaultBranch
             );
@@ -0,0 +1,269 @@
+/**
+ * Graph Analytics for KillPhilosophy
+ * Centrality (degree, betweenness, PageRank), clustering coefficients, communities (label propagation)
+ * and bridge academics over a ConnectionGraph
+ */
+
+// PageRank parameters
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_MAX_ITERATIONS = 100;
+const PAGERANK_TOLERANCE = 1e-6;
+
+// Rounds of label propagation before giving up on convergence
+const COMMUNITY_MAX_ITERATIONS = 20;
+
+// Metrics shown in the "most central thinkers" table and usable for node size, with their labels
+const GRAPH_METRICS = {
+    degree: 'Connections',
+    betweenness: 'Betweenness',
+    pageRank: 'PageRank',
+    clustering: 'Clustering'
+};
+
+/**
+ * Count the academics each academic is linked to
+ * @param {ConnectionGraph} graph - Connection graph
+ * @returns {Map} Academic ID -> degree
+ */
+function computeDegrees(graph) {
+    const degrees = new Map();
+    graph.adjacency.forEach((neighbors, id) => degrees.set(id, neighbors.size));
+    return degrees;
+}
+
+/**
+ * Betweenness centrality (Brandes' algorithm): how often an academic lies on the shortest paths
+ * between two others, normalized to 0..1
+ * @param {ConnectionGraph} graph - Connection graph
+ * @returns {Map} Academic ID -> betweenness
+ */
+function computeBetweenness(graph) {
+    const ids = Array.from(graph.adjacency.keys());
+    const betweenness = new Map(ids.map(id => [id, 0]));
+    
+    ids.forEach(source => {
+        const stack = [];
+        const predecessors = new Map(ids.map(id => [id, []]));
+        const pathCounts = new Map(ids.map(id => [id, 0]));
+        const distances = new Map([[source, 0]]);
+        const queue = [source];
+        
+        pathCounts.set(source, 1);
+        
+        while (queue.length > 0) {
+            const current = queue.shift();
+            stack.push(current);
+            
+            graph.adjacency.get(current).forEach((links, next) => {
+                if (!distances.has(next)) {
+                    distances.set(next, distances.get(current) + 1);
+                    queue.push(next);
+                }
+                
+                if (distances.get(next) === distances.get(current) + 1) {
+                    pathCounts.set(next, pathCounts.get(next) + pathCounts.get(current));
+                    predecessors.get(next).push(current);
+                }
+            });
+        }
+        
+        // Walk back from the farthest academics, passing each one's share to its predecessors
+        const dependencies = new Map(ids.map(id => [id, 0]));
+        
+        while (stack.length > 0) {
+            const current = stack.pop();
+            
+            predecessors.get(current).forEach(previous => {
+                const share = pathCounts.get(previous) / pathCounts.get(current) * (1 + dependencies.get(current));
+                dependencies.set(previous, dependencies.get(previous) + share);
+            });
+            
+            if (current !== source) {
+                betweenness.set(current, betweenness.get(current) + dependencies.get(current));
+            }
+        }
+    });
+    
+    // Every pair was counted from both ends
+    const pairs = (ids.length - 1) * (ids.length - 2);
+    betweenness.forEach((value, id) => betweenness.set(id, pairs > 0 ? value / pairs : 0));
+    
+    return betweenness;
+}
+
+/**
+ * PageRank over the relationships
+ * Directed relationships pass rank from the student, the influenced or the critic to the teacher,
+ * the influence or the critiqued; undirected ones pass it both ways
+ * @param {ConnectionGraph} graph - Connection graph
+ * @returns {Map} Academic ID -> PageRank (summing to 1)
+ */
+function computePageRank(graph) {
+    const ids = Array.from(graph.adjacency.keys());
+    const count = ids.length;
+    const outgoing = new Map(ids.map(id => [id, []]));
+    
+    graph.links.forEach(link => {
+        outgoing.get(link.source).push(link.target);
+        if (!link.directed) {
+            outgoing.get(link.target).push(link.source);
+        }
+    });
+    
+    let ranks = new Map(ids.map(id => [id, 1 / count]));
+    
+    for (let iteration = 0; iteration < PAGERANK_MAX_ITERATIONS && count > 0; iteration++) {
+        // Academics without outgoing relationships spread their rank over everyone
+        let dangling = 0;
+        outgoing.forEach((targets, id) => {
+            if (targets.length === 0) {
+                dangling += ranks.get(id);
+            }
+        });
+        
+        const base = (1 - PAGERANK_DAMPING) / count + PAGERANK_DAMPING * dangling / count;
+        const next = new Map(ids.map(id => [id, base]));
+        
+        outgoing.forEach((targets, id) => {
+            const share = PAGERANK_DAMPING * ranks.get(id) / targets.length;
+            targets.forEach(target => next.set(target, next.get(target) + share));
+        });
+        
+        const change = ids.reduce((total, id) => total + Math.abs(next.get(id) - ranks.get(id)), 0);
+        ranks = next;
+        
+        if (change < PAGERANK_TOLERANCE) {
+            break;
+        }
+    }
+    
+    return ranks;
+}
+
+/**
+ * Local clustering coefficient: the share of an academic's connections who are connected to each other
+ * @param {ConnectionGraph} graph - Connection graph
+ * @returns {Map} Academic ID -> clustering coefficient (0 with fewer than two connections)
+ */
+function computeClustering(graph) {
+    const clustering = new Map();
+    
+    graph.adjacency.forEach((neighbors, id) => {
+        const others = Array.from(neighbors.keys());
+        let linked = 0;
+        
+        for (let i = 0; i < others.length; i++) {
+            for (let j = i + 1; j < others.length; j++) {
+                if (graph.adjacency.get(others[i]).has(others[j])) {
+                    linked++;
+                }
+            }
+        }
+        
+        const possible = others.length * (others.length - 1) / 2;
+        clustering.set(id, possible > 0 ? linked / possible : 0);
+    });
+    
+    return clustering;
+}
+
+/**
+ * Detect communities by label propagation
+ * Each academic repeatedly takes the label most common among their connections (keeping their own on
+ * a tie, else the smallest), visiting academics in ID order so the result is the same on every run
+ * @param {ConnectionGraph} graph - Connection graph
+ * @returns {Array} Communities as arrays of academic IDs, largest first
+ */
+function detectCommunities(graph) {
+    const ids = Array.from(graph.adjacency.keys()).sort();
+    const labels = new Map(ids.map(id => [id, id]));
+    
+    for (let iteration = 0; iteration < COMMUNITY_MAX_ITERATIONS; iteration++) {
+        let changed = false;
+        
+        ids.forEach(id => {
+            const counts = new Map();
+            graph.adjacency.get(id).forEach((links, neighbor) => {
+                const label = labels.get(neighbor);
+                counts.set(label, (counts.get(label) || 0) + 1);
+            });
+            
+            if (counts.size === 0) {
+                return;
+            }
+            
+            const best = Math.max(...counts.values());
+            const candidates = Array.from(counts.keys()).filter(label => counts.get(label) === best).sort();
+            const label = candidates.includes(labels.get(id)) ? labels.get(id) : candidates[0];
+            
+            if (label !== labels.get(id)) {
+                labels.set(id, label);
+                changed = true;
+            }
+        });
+        
+        if (!changed) {
+            break;
+        }
+    }
+    
+    const communities = new Map();
+    labels.forEach((label, id) => {
+        if (!communities.has(label)) {
+            communities.set(label, []);
+        }
+        communities.get(label).push(id);
+    });
+    
+    return Array.from(communities.values()).sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+}
+
+/**
+ * Compute every metric of a connection graph
+ * Bridge academics lie on shortest paths between others and are connected to more than one community.
+ * Each community is named after its member with the highest PageRank.
+ * @param {ConnectionGraph} graph - Connection graph
+ * @returns {Object} { metrics: Map of academic ID -> { degree, betweenness, pageRank, clustering,
+ *                   community, bridge }, communities: [{ index, label, members }], bridges: IDs by
+ *                   betweenness }
+ */
+function analyzeConnectionGraph(graph) {
+    const degrees = computeDegrees(graph);
+    const betweenness = computeBetweenness(graph);
+    const pageRanks = computePageRank(graph);
+    const clustering = computeClustering(graph);
+    
+    const communities = detectCommunities(graph).map((members, index) => {
+        const central = members.reduce((best, id) => (pageRanks.get(id) > pageRanks.get(best) ? id : best));
+        return { index, label: `${graph.names.get(central)}'s circle`, members };
+    });
+    
+    const communityOf = new Map();
+    communities.forEach(community => community.members.forEach(id => communityOf.set(id, community.index)));
+    
+    const metrics = new Map();
+    
+    graph.adjacency.forEach((neighbors, id) => {
+        const reached = new Set([communityOf.get(id)]);
+        neighbors.forEach((links, neighbor) => reached.add(communityOf.get(neighbor)));
+        
+        metrics.set(id, {
+            degree: degrees.get(id),
+            betweenness: betweenness.get(id),
+            pageRank: pageRanks.get(id),
+            clustering: clustering.get(id),
+            community: communityOf.get(id),
+            bridge: reached.size > 1 && betweenness.get(id) > 0
+        });
+    });
+    
+    const bridges = Array.from(metrics.keys())
+        .filter(id => metrics.get(id).bridge)
+        .sort((a, b) => metrics.get(b).betweenness - metrics.get(a).betweenness);
+    
+    return { metrics, communities, bridges };
+}
+
+// Make graph analytics globally available
+window.GRAPH_METRICS = GRAPH_METRICS;
+window.analyzeConnectionGraph = analyzeConnectionGraph;
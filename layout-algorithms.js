@@ -0,0 +1,321 @@
+/**
+ * Layout Algorithms for KillPhilosophy
+ * Target positions for the network arrangements other than force-directed: hierarchical lineage
+ * (teachers and influences above their students), radial rings by hop distance, and clusters by
+ * taxonomy value. The force layout then pulls each node towards its target, so nodes can still be
+ * dragged and pinned.
+ */
+
+// Arrangements offered by the layout switcher, with the forces that replace NETWORK_FORCES'
+// (target: strength of the pull towards each node's target; linkStrength: 0 leaves links drawn
+// but without pull)
+const NETWORK_ARRANGEMENTS = {
+    force: { label: 'Force-directed', forces: {} },
+    hierarchical: { label: 'Hierarchical lineage', forces: { target: 0.8, charge: -30, linkStrength: 0 } },
+    radial: { label: 'Radial', forces: { target: 0.6, charge: -60, linkStrength: 0.05 } },
+    clusters: { label: 'Taxonomy clusters', forces: { target: 0.3, charge: -20, linkStrength: 0 } }
+};
+
+// Relationship types that make up lineages: the student or influenced academic is drawn below
+const LINEAGE_LINK_TYPES = ['student-of', 'influenced-by'];
+
+// Space kept free around the arrangements (in pixels)
+const ARRANGEMENT_MARGIN = 40;
+
+// Smallest distance between neighbors in a row of the hierarchy before it wraps (in pixels)
+const ARRANGEMENT_NODE_SPACING = 40;
+
+// Passes of the ordering heuristic that keeps lineage links from crossing
+const ARRANGEMENT_ORDERING_SWEEPS = 4;
+
+/**
+ * Get the node ID at one end of a link
+ * @param {string|Object} end - Link source or target (an ID or a node object)
+ * @returns {string} Node ID
+ */
+function linkEndpointId(end) {
+    return typeof end === 'object' ? end.id : end;
+}
+
+/**
+ * Hierarchical lineage: each academic one row below their lowest teacher or influence
+ * Links that would close a cycle are ignored, and academics without any lineage link are set apart
+ * on the bottom row. Rows are ordered to keep lineage links short and wrap when they get too long.
+ * @param {Array} nodes - Node data
+ * @param {Array} links - Link data
+ * @param {number} width - Width of the view
+ * @param {number} height - Height of the view
+ * @returns {Map} Node ID -> { x, y }
+ */
+function hierarchicalTargets(nodes, links, width, height) {
+    const parents = new Map(nodes.map(d => [d.id, []]));
+    const neighbors = new Map(nodes.map(d => [d.id, []]));
+    
+    links.forEach(link => {
+        const source = linkEndpointId(link.source);
+        const target = linkEndpointId(link.target);
+        
+        if (link.directed && LINEAGE_LINK_TYPES.includes(link.type) && source !== target &&
+            parents.has(source) && parents.has(target)) {
+            parents.get(source).push(target);
+            neighbors.get(source).push(target);
+            neighbors.get(target).push(source);
+        }
+    });
+    
+    // Longest chain of teachers above each academic
+    const ranks = new Map();
+    const visiting = new Set();
+    
+    const rankOf = id => {
+        if (ranks.has(id)) return ranks.get(id);
+        
+        visiting.add(id);
+        const rank = parents.get(id)
+            .filter(parent => !visiting.has(parent))
+            .reduce((highest, parent) => Math.max(highest, rankOf(parent) + 1), 0);
+        visiting.delete(id);
+        
+        ranks.set(id, rank);
+        return rank;
+    };
+    
+    const ordered = [...nodes].sort((a, b) => String(a.name || a.id).localeCompare(String(b.name || b.id)));
+    const lineage = ordered.filter(d => neighbors.get(d.id).length > 0);
+    const apart = ordered.filter(d => neighbors.get(d.id).length === 0);
+    
+    lineage.forEach(d => rankOf(d.id));
+    
+    const layers = [];
+    lineage.forEach(d => {
+        const rank = ranks.get(d.id);
+        (layers[rank] = layers[rank] || []).push(d.id);
+    });
+    
+    if (apart.length > 0) {
+        layers.push(apart.map(d => d.id));
+    }
+    
+    orderLayers(layers.filter(Boolean), neighbors);
+    
+    // Rows wrap onto extra lines when they would be too crowded
+    const usableWidth = width - 2 * ARRANGEMENT_MARGIN;
+    const perLine = Math.max(1, Math.floor(usableWidth / ARRANGEMENT_NODE_SPACING));
+    const lines = layers.filter(Boolean).flatMap(layer => {
+        const chunks = [];
+        for (let i = 0; i < layer.length; i += perLine) {
+            chunks.push(layer.slice(i, i + perLine));
+        }
+        return chunks;
+    });
+    
+    const lineHeight = lines.length > 1 ? (height - 2 * ARRANGEMENT_MARGIN) / (lines.length - 1) : 0;
+    const targets = new Map();
+    
+    lines.forEach((line, row) => line.forEach((id, i) => {
+        targets.set(id, {
+            x: ARRANGEMENT_MARGIN + usableWidth * (i + 0.5) / line.length,
+            y: lines.length > 1 ? ARRANGEMENT_MARGIN + row * lineHeight : height / 2
+        });
+    }));
+    
+    return targets;
+}
+
+/**
+ * Order the rows of a hierarchy by the mean position of each node's neighbors (barycenter heuristic),
+ * sweeping down and up a few times
+ * @param {Array} layers - Rows of node IDs (reordered in place)
+ * @param {Map} neighbors - Node ID -> IDs linked to it
+ */
+function orderLayers(layers, neighbors) {
+    const position = new Map();
+    const place = layer => layer.forEach((id, i) => position.set(id, (i + 0.5) / layer.length));
+    
+    layers.forEach(place);
+    
+    for (let sweep = 0; sweep < ARRANGEMENT_ORDERING_SWEEPS; sweep++) {
+        const sequence = sweep % 2 === 0 ? layers : [...layers].reverse();
+        
+        sequence.forEach(layer => {
+            const barycenter = new Map(layer.map(id => {
+                const placed = neighbors.get(id).filter(other => position.has(other));
+                return [id, placed.length > 0
+                    ? placed.reduce((total, other) => total + position.get(other), 0) / placed.length
+                    : position.get(id)];
+            }));
+            
+            layer.sort((a, b) => barycenter.get(a) - barycenter.get(b));
+            place(layer);
+        });
+    }
+}
+
+/**
+ * Radial: the main academics in the middle, others on rings by hop distance from them
+ * Each ring is ordered by the angle of the nodes linking it to the ring inside it; nodes not
+ * connected to the middle go on an outer ring
+ * @param {Array} nodes - Node data
+ * @param {Array} links - Link data
+ * @param {number} width - Width of the view
+ * @param {number} height - Height of the view
+ * @returns {Map} Node ID -> { x, y }
+ */
+function radialTargets(nodes, links, width, height) {
+    const targets = new Map();
+    
+    if (nodes.length === 0) {
+        return targets;
+    }
+    
+    const neighbors = new Map(nodes.map(d => [d.id, []]));
+    
+    links.forEach(link => {
+        const source = linkEndpointId(link.source);
+        const target = linkEndpointId(link.target);
+        
+        if (neighbors.has(source) && neighbors.has(target) && source !== target) {
+            neighbors.get(source).push(target);
+            neighbors.get(target).push(source);
+        }
+    });
+    
+    // The main academics, or else the best connected one
+    let centers = nodes.filter(d => d.group === 'main').map(d => d.id);
+    if (centers.length === 0) {
+        centers = [nodes.reduce((best, d) => (neighbors.get(d.id).length > neighbors.get(best.id).length ? d : best)).id];
+    }
+    
+    // Hop distances, breadth first
+    const hops = new Map(centers.map(id => [id, 0]));
+    const queue = [...centers];
+    
+    while (queue.length > 0) {
+        const current = queue.shift();
+        neighbors.get(current).forEach(next => {
+            if (!hops.has(next)) {
+                hops.set(next, hops.get(current) + 1);
+                queue.push(next);
+            }
+        });
+    }
+    
+    const reached = Math.max(...hops.values());
+    const rings = [];
+    
+    nodes.forEach(d => {
+        const ring = hops.has(d.id) ? hops.get(d.id) : reached + 1;
+        (rings[ring] = rings[ring] || []).push(d.id);
+    });
+    
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const ringSpacing = (Math.min(width, height) / 2 - ARRANGEMENT_MARGIN) / Math.max(1, rings.length - 1);
+    const angles = new Map();
+    
+    rings.forEach((ring, index) => {
+        if (!ring) return;
+        
+        // Circular mean of the angles of the neighbors already placed
+        const angleOf = id => {
+            const placed = neighbors.get(id).filter(other => angles.has(other));
+            if (placed.length === 0) return Infinity;
+            
+            const sin = placed.reduce((total, other) => total + Math.sin(angles.get(other)), 0);
+            const cos = placed.reduce((total, other) => total + Math.cos(angles.get(other)), 0);
+            return (Math.atan2(sin, cos) + 2 * Math.PI) % (2 * Math.PI);
+        };
+        
+        const preferred = new Map(ring.map(id => [id, angleOf(id)]));
+        ring.sort((a, b) => (preferred.get(a) === preferred.get(b) ? 0 : preferred.get(a) - preferred.get(b)));
+        
+        // Several main academics share a small inner circle
+        const radius = index === 0 ? (ring.length > 1 ? ringSpacing / 2 : 0) : index * ringSpacing;
+        
+        // Turned so the first node lies towards its neighbors
+        const offset = Number.isFinite(preferred.get(ring[0])) ? preferred.get(ring[0]) : 0;
+        
+        ring.forEach((id, i) => {
+            const angle = offset + 2 * Math.PI * i / ring.length;
+            angles.set(id, angle);
+            targets.set(id, { x: centerX + radius * Math.cos(angle), y: centerY + radius * Math.sin(angle) });
+        });
+    });
+    
+    return targets;
+}
+
+/**
+ * Taxonomy clusters: nodes sharing a value gather around a point of a grid, largest clusters first
+ * @param {Array} nodes - Node data
+ * @param {Function} keyOf - Node data -> cluster key (e.g. its discipline)
+ * @param {number} width - Width of the view
+ * @param {number} height - Height of the view
+ * @returns {Map} Node ID -> { x, y }
+ */
+function clusterTargets(nodes, keyOf, width, height) {
+    const clusters = new Map();
+    
+    nodes.forEach(d => {
+        const key = keyOf(d);
+        if (!clusters.has(key)) {
+            clusters.set(key, []);
+        }
+        clusters.get(key).push(d.id);
+    });
+    
+    const ordered = Array.from(clusters.entries())
+        .sort((a, b) => b[1].length - a[1].length || String(a[0]).localeCompare(String(b[0])));
+    
+    const columns = Math.max(1, Math.ceil(Math.sqrt(ordered.length * width / height)));
+    const rows = Math.max(1, Math.ceil(ordered.length / columns));
+    const cellWidth = (width - 2 * ARRANGEMENT_MARGIN) / columns;
+    const cellHeight = (height - 2 * ARRANGEMENT_MARGIN) / rows;
+    const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+    const targets = new Map();
+    
+    ordered.forEach(([key, ids], index) => {
+        const centerX = ARRANGEMENT_MARGIN + cellWidth * (index % columns + 0.5);
+        const centerY = ARRANGEMENT_MARGIN + cellHeight * (Math.floor(index / columns) + 0.5);
+        
+        // Sunflower spiral, so every cluster is a round patch
+        const spacing = Math.min(cellWidth, cellHeight) / 2 / Math.sqrt(ids.length + 1);
+        
+        ids.forEach((id, i) => {
+            const radius = spacing * Math.sqrt(i + 0.5);
+            targets.set(id, {
+                x: centerX + radius * Math.cos(i * goldenAngle),
+                y: centerY + radius * Math.sin(i * goldenAngle)
+            });
+        });
+    });
+    
+    return targets;
+}
+
+/**
+ * Compute the target positions of an arrangement
+ * @param {string} arrangement - Key of NETWORK_ARRANGEMENTS
+ * @param {Array} nodes - Node data
+ * @param {Array} links - Link data
+ * @param {number} width - Width of the view
+ * @param {number} height - Height of the view
+ * @param {Object} options - clusterKey: node data -> cluster key, for 'clusters'
+ * @returns {Map|null} Node ID -> { x, y }, or null for the force-directed layout
+ */
+function arrangeNetwork(arrangement, nodes, links, width, height, options = {}) {
+    switch (arrangement) {
+        case 'hierarchical':
+            return hierarchicalTargets(nodes, links, width, height);
+        case 'radial':
+            return radialTargets(nodes, links, width, height);
+        case 'clusters':
+            return clusterTargets(nodes, options.clusterKey || (d => d.group), width, height);
+        default:
+            return null;
+    }
+}
+
+// Make the layout algorithms globally available
+window.NETWORK_ARRANGEMENTS = NETWORK_ARRANGEMENTS;
+window.arrangeNetwork = arrangeNetwork;
@@ -0,0 +1,136 @@
+/**
+ * Name Matching for KillPhilosophy
+ * Fuzzy matching of academic names: accent folding, initials ("J. Derrida") and edit distance ("Derida")
+ */
+
+/**
+ * Normalize a person's name for comparison
+ * Accents are folded and punctuation removed, so "Félix Guattari" and "felix  guattari" are equal
+ * @param {string} name - Name
+ * @returns {string} Normalized name
+ */
+function normalizePersonName(name) {
+    return foldDiacritics(name || '')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Edit distance between two strings (insertions, deletions, substitutions and transpositions)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Stop early and return max + 1 once the distance is known to exceed this
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+    
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMinimum = i;
+        
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            
+            if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+            }
+            
+            rowMinimum = Math.min(rowMinimum, current[j]);
+        }
+        
+        if (rowMinimum > max) {
+            return max + 1;
+        }
+        
+        previousPrevious = previous;
+        previous = current;
+    }
+    
+    return previous[b.length];
+}
+
+/**
+ * Number of edits tolerated for a query of a given length
+ * @param {string} query - Normalized query
+ * @returns {number} Maximum edit distance
+ */
+function maxNameEdits(query) {
+    if (query.length <= 4) return 1;
+    if (query.length <= 8) return 2;
+    return 3;
+}
+
+/**
+ * Check whether a query abbreviates a name with initials, e.g. "J. Derrida" or "G Deleuze"
+ * The last names must be equal; every other query word must start a given name, in order
+ * @param {string} query - Normalized query
+ * @param {string} name - Normalized name
+ * @returns {boolean} Whether the query is an abbreviation of the name
+ */
+function matchesInitials(query, name) {
+    const queryWords = query.split(' ');
+    const nameWords = name.split(' ');
+    
+    if (queryWords.length < 2 || nameWords.length < 2 || queryWords[queryWords.length - 1] !== nameWords[nameWords.length - 1]) {
+        return false;
+    }
+    
+    const givenNames = nameWords.slice(0, -1);
+    let position = 0;
+    
+    return queryWords.slice(0, -1).every(word => {
+        while (position < givenNames.length && !givenNames[position].startsWith(word)) {
+            position++;
+        }
+        return position++ < givenNames.length;
+    });
+}
+
+/**
+ * How far a query is from a name
+ * 0 is an exact match; initials score 0.5; a single-word query is also compared with each
+ * word of the name (so "Derida" finds "Jacques Derrida"), at a 0.5 penalty
+ * @param {string} query - Name as typed
+ * @param {string} name - Academic name or alias
+ * @returns {number|null} Distance, or null if the names are too far apart
+ */
+function nameDistance(query, name) {
+    const normalizedQuery = normalizePersonName(query);
+    const normalizedName = normalizePersonName(name);
+    
+    if (!normalizedQuery || !normalizedName) {
+        return null;
+    }
+    
+    if (normalizedQuery === normalizedName) {
+        return 0;
+    }
+    
+    if (matchesInitials(normalizedQuery, normalizedName)) {
+        return 0.5;
+    }
+    
+    const max = maxNameEdits(normalizedQuery);
+    let distance = editDistance(normalizedQuery, normalizedName, max);
+    
+    if (!normalizedQuery.includes(' ')) {
+        normalizedName.split(' ').forEach(word => {
+            distance = Math.min(distance, editDistance(normalizedQuery, word, max) + 0.5);
+        });
+    }
+    
+    return distance <= max ? distance : null;
+}
+
+// Make name matching globally available
+window.normalizePersonName = normalizePersonName;
+window.editDistance = editDistance;
+window.nameDistance = nameDistance;
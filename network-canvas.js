@@ -0,0 +1,395 @@
+/**
+ * Canvas Network Renderer for KillPhilosophy
+ * Draws large networks on a single canvas instead of one SVG element per node, link and label,
+ * with the same drag, zoom, click, tooltip and highlighting behavior as the SVG view
+ */
+
+// Labels are culled when their text would be smaller than this on screen (in pixels)
+const CANVAS_LABEL_MIN_FONT_SIZE = 7;
+
+// Size of the screen grid used to keep labels from overlapping (in pixels)
+const CANVAS_LABEL_CELL_SIZE = 8;
+
+// Label font size in network units, as in the SVG view
+const CANVAS_LABEL_FONT_SIZE = 12;
+
+class NetworkCanvasRenderer {
+    /**
+     * Create the canvas and its interactions
+     * The SVG of the visualization stays on top of the canvas for the legend, without taking pointer events
+     * @param {HTMLElement} container - Visualization container
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     */
+    constructor(container, width, height) {
+        this.transform = d3.zoomIdentity; // Current pan and zoom
+        this.hovered = null; // Node under the pointer
+        this.highlight = null; // { nodeIds, isHighlightedLink } while connections or a path are highlighted
+        this.frame = null; // Pending animation frame
+        
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'network-canvas';
+        this.canvas.tabIndex = 0; // Focusable for keyboard users
+        this.canvas.setAttribute('aria-label', 'Network visualization of academic connections');
+        container.insertBefore(this.canvas, container.firstChild);
+        
+        if (getComputedStyle(container).position === 'static') {
+            container.style.position = 'relative';
+        }
+        
+        if (networkSvg) {
+            networkSvg
+                .style('position', 'absolute')
+                .style('left', '0')
+                .style('top', '0')
+                .style('pointer-events', 'none');
+        }
+        
+        this.context = this.canvas.getContext('2d');
+        this.resize(width, height);
+        this._bindEvents();
+    }
+    
+    /**
+     * Resize the canvas, keeping it sharp on high-density screens
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     */
+    resize(width, height) {
+        const ratio = window.devicePixelRatio || 1;
+        
+        this.width = width;
+        this.height = height;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        
+        this.requestDraw();
+    }
+    
+    /**
+     * Remove the canvas and give the SVG its pointer events back
+     */
+    destroy() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        
+        this.canvas.remove();
+        hideTooltip();
+        
+        if (networkSvg) {
+            networkSvg
+                .style('position', null)
+                .style('left', null)
+                .style('top', null)
+                .style('pointer-events', null);
+        }
+    }
+    
+    /**
+     * Attach drag, zoom, click, hover and keyboard handlers
+     * @private
+     */
+    _bindEvents() {
+        const canvas = d3.select(this.canvas);
+        
+        // Dragging a node takes precedence over panning, so the drag behavior is added first.
+        // The subject wraps the node so drag positions stay in screen coordinates.
+        canvas.call(d3.drag()
+            .container(this.canvas)
+            .subject(event => {
+                const node = this.nodeAt(...this.transform.invert([event.x, event.y]));
+                return node ? { node } : null;
+            })
+            .on('start', event => dragStarted(event, event.subject.node))
+            .on('drag', event => {
+                const [x, y] = this.transform.invert([event.x, event.y]);
+                dragged({ x, y }, event.subject.node);
+                this.requestDraw();
+            })
+            .on('end', event => dragEnded(event, event.subject.node)));
+        
+        // Double-clicking a node pins it rather than zooming in
+        this.zoom = d3.zoom()
+            .scaleExtent([0.1, 4])
+            .filter(event => (!event.ctrlKey || event.type === 'wheel') && !event.button &&
+                !(event.type === 'dblclick' && this._eventNode(event)))
+            .on('zoom', event => {
+                this.transform = event.transform;
+                this.requestDraw();
+            });
+        
+        canvas.call(this.zoom);
+        
+        this.canvas.addEventListener('click', event => {
+            const node = this._eventNode(event);
+            if (node) {
+                clicked(event, node);
+            }
+        });
+        
+        this.canvas.addEventListener('dblclick', event => {
+            const node = this._eventNode(event);
+            if (node) {
+                doubleClicked(event, node);
+            }
+        });
+        
+        this.canvas.addEventListener('mousemove', event => {
+            const node = this._eventNode(event);
+            
+            if (node !== this.hovered) {
+                this.hovered = node;
+                this.canvas.style.cursor = node ? 'pointer' : '';
+                this.requestDraw();
+            }
+            
+            if (node) {
+                showTooltip(event, node);
+            } else {
+                hideTooltip();
+            }
+        });
+        
+        this.canvas.addEventListener('mouseleave', () => {
+            this.hovered = null;
+            hideTooltip();
+            this.requestDraw();
+        });
+        
+        this.canvas.addEventListener('keydown', handleNetworkKeydown);
+    }
+    
+    /**
+     * Find the node under a mouse event
+     * @private
+     * @param {Event} event - Mouse event
+     * @returns {Object|null} Node data
+     */
+    _eventNode(event) {
+        return this.nodeAt(...this.transform.invert(d3.pointer(event, this.canvas)));
+    }
+    
+    /**
+     * Find the topmost node at a position
+     * @param {number} x - X in network coordinates
+     * @param {number} y - Y in network coordinates
+     * @returns {Object|null} Node data
+     */
+    nodeAt(x, y) {
+        const nodes = networkData ? networkData.nodes : [];
+        
+        for (let i = nodes.length - 1; i >= 0; i--) {
+            const node = nodes[i];
+            const radius = (node.radius || 10) + 2;
+            
+            if ((node.x - x) ** 2 + (node.y - y) ** 2 <= radius * radius) {
+                return node;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Pan so a node is in the middle of the view
+     * @param {Object} node - Node data
+     */
+    centerOn(node) {
+        d3.select(this.canvas).transition().duration(500)
+            .call(this.zoom.translateTo, node.x, node.y);
+    }
+    
+    /**
+     * Dim every node and link outside a highlighted set
+     * @param {Set} nodeIds - IDs of the highlighted nodes
+     * @param {Function} isHighlightedLink - Link data -> whether the link is highlighted
+     */
+    setHighlight(nodeIds, isHighlightedLink) {
+        this.highlight = { nodeIds, isHighlightedLink };
+        this.requestDraw();
+    }
+    
+    /**
+     * Draw on the next animation frame, once however often it is requested
+     */
+    requestDraw() {
+        if (this.frame === null) {
+            this.frame = requestAnimationFrame(() => {
+                this.frame = null;
+                this.draw();
+            });
+        }
+    }
+    
+    /**
+     * Draw the network
+     */
+    draw() {
+        const context = this.context;
+        const ratio = this.canvas.width / this.width;
+        const { k, x, y } = this.transform;
+        
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, this.width, this.height);
+        
+        if (!networkData) {
+            return;
+        }
+        
+        context.translate(x, y);
+        context.scale(k, k);
+        
+        // Part of the network in view, with a margin for labels
+        const [left, top] = this.transform.invert([-100, -20]);
+        const [right, bottom] = this.transform.invert([this.width + 20, this.height + 20]);
+        const inView = d => d.x >= left && d.x <= right && d.y >= top && d.y <= bottom;
+        
+        networkData.links.forEach(link => {
+            if (typeof link.source === 'object' && (inView(link.source) || inView(link.target))) {
+                this._drawLink(link);
+            }
+        });
+        
+        networkData.nodes.forEach(node => {
+            if (inView(node)) {
+                this._drawNode(node);
+            }
+        });
+        
+        this._drawLabels(networkData.nodes.filter(inView));
+        
+        context.globalAlpha = 1;
+    }
+    
+    /**
+     * Draw a link, with an arrowhead at the target if it is directed
+     * @private
+     * @param {Object} link - Link data
+     */
+    _drawLink(link) {
+        const context = this.context;
+        const style = linkStyle(link);
+        const dash = link.dashed ? '5,5' : style.dash;
+        
+        context.globalAlpha = this.highlight ? (this.highlight.isHighlightedLink(link) ? 1 : 0.1) : 0.6;
+        context.strokeStyle = style.color;
+        context.lineWidth = Math.sqrt(link.value || 1) * 2;
+        context.setLineDash(dash && dash !== 'none' ? dash.split(',').map(Number) : []);
+        
+        context.beginPath();
+        context.moveTo(link.source.x, link.source.y);
+        context.lineTo(link.target.x, link.target.y);
+        context.stroke();
+        
+        if (!link.directed) {
+            return;
+        }
+        
+        const dx = link.target.x - link.source.x;
+        const dy = link.target.y - link.source.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        
+        if (length === 0) {
+            return;
+        }
+        
+        // Tip at the edge of the target node
+        const ux = dx / length;
+        const uy = dy / length;
+        const offset = (link.target.radius || 10) + 2;
+        const tipX = link.target.x - ux * offset;
+        const tipY = link.target.y - uy * offset;
+        
+        context.setLineDash([]);
+        context.fillStyle = style.color;
+        context.beginPath();
+        context.moveTo(tipX, tipY);
+        context.lineTo(tipX - ux * 8 - uy * 4, tipY - uy * 8 + ux * 4);
+        context.lineTo(tipX - ux * 8 + uy * 4, tipY - uy * 8 - ux * 4);
+        context.closePath();
+        context.fill();
+    }
+    
+    /**
+     * Draw a node; stubs are drawn faint, hovered or selected nodes get a white outline and pinned
+     * nodes a yellow one
+     * @private
+     * @param {Object} node - Node data
+     */
+    _drawNode(node) {
+        const context = this.context;
+        const opacity = this.highlight && !this.highlight.nodeIds.has(node.id) ? 0.2 : 1;
+        
+        context.globalAlpha = opacity * (node.stub ? 0.3 : 1);
+        context.fillStyle = networkColorOf(node);
+        context.beginPath();
+        context.arc(node.x, node.y, node.radius || (node.group === 'main' ? 15 : 10), 0, 2 * Math.PI);
+        context.fill();
+        
+        if (node === this.hovered || node.selected || node.fixed) {
+            context.globalAlpha = opacity;
+            context.setLineDash([]);
+            context.strokeStyle = node === this.hovered || node.selected ? '#fff' : NETWORK_PINNED_COLOR;
+            context.lineWidth = 2;
+            context.stroke();
+        }
+    }
+    
+    /**
+     * Draw the labels that fit (level of detail)
+     * The hovered, selected, main and highlighted nodes are always labeled. Other labels are left out
+     * while something is highlighted, when zoomed out too far to read them, or where they would
+     * overlap a label already drawn; larger nodes are labeled first.
+     * @private
+     * @param {Array} nodes - Nodes in view
+     */
+    _drawLabels(nodes) {
+        const context = this.context;
+        const { k, x, y } = this.transform;
+        const occupied = new Set();
+        const readable = CANVAS_LABEL_FONT_SIZE * k >= CANVAS_LABEL_MIN_FONT_SIZE;
+        
+        const forced = node => node === this.hovered || node.selected || node.group === 'main' ||
+            (this.highlight && this.highlight.nodeIds.has(node.id));
+        
+        const ordered = nodes
+            .filter(node => forced(node) || (readable && !this.highlight))
+            .sort((a, b) => (forced(b) - forced(a)) || ((b.radius || 10) - (a.radius || 10)));
+        
+        context.font = `${CANVAS_LABEL_FONT_SIZE}px monospace`;
+        
+        ordered.forEach(node => {
+            const text = node.name || node.id;
+            
+            // Screen box of the label, in grid cells
+            const screenX = (node.x + 15) * k + x;
+            const screenY = (node.y + 4) * k + y;
+            const width = context.measureText(text).width * k;
+            const height = CANVAS_LABEL_FONT_SIZE * k;
+            
+            const cells = [];
+            for (let column = Math.floor(screenX / CANVAS_LABEL_CELL_SIZE); column <= Math.floor((screenX + width) / CANVAS_LABEL_CELL_SIZE); column++) {
+                for (let row = Math.floor((screenY - height) / CANVAS_LABEL_CELL_SIZE); row <= Math.floor(screenY / CANVAS_LABEL_CELL_SIZE); row++) {
+                    cells.push(`${column},${row}`);
+                }
+            }
+            
+            if (!forced(node) && cells.some(cell => occupied.has(cell))) {
+                return;
+            }
+            
+            cells.forEach(cell => occupied.add(cell));
+            
+            context.globalAlpha = 1;
+            context.fillStyle = node.stub ? NETWORK_UNKNOWN_COLOR : '#0f0';
+            context.fillText(text, node.x + 15, node.y + 4);
+        });
+    }
+}
+
+// Make the canvas renderer globally available
+window.NetworkCanvasRenderer = NetworkCanvasRenderer;
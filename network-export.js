@@ -0,0 +1,522 @@
+/**
+ * Network Export for KillPhilosophy
+ * Saves the network shown as an SVG picture (with inlined styles and the legend), a PNG at a chosen
+ * resolution, or a standalone HTML page that can still be panned, zoomed and rearranged offline.
+ * Everything is generated in the browser from networkData, whichever renderer draws it.
+ */
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Computed style properties copied onto the legend and markers, so exports look the same without the page's CSS
+const SVG_EXPORT_STYLE_PROPERTIES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+    'opacity', 'font-family', 'font-size', 'font-weight'
+];
+
+// Resolutions offered for PNG exports (multiples of the size on screen)
+const PNG_EXPORT_SCALES = [1, 2, 4];
+
+// Background of exported pictures, matching the terminal look of the app
+const NETWORK_EXPORT_BACKGROUND = '#000';
+
+/**
+ * Create an SVG element with attributes
+ * @private
+ * @param {string} tag - Element name
+ * @param {Object} attributes - Attribute name -> value (null and undefined values are left out)
+ * @returns {SVGElement} The element
+ */
+function createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NAMESPACE, tag);
+    
+    for (const name in attributes) {
+        if (attributes[name] !== null && attributes[name] !== undefined) {
+            element.setAttribute(name, attributes[name]);
+        }
+    }
+    
+    return element;
+}
+
+/**
+ * Clone an element of the live visualization, writing its computed styles into style attributes
+ * @private
+ * @param {Element} source - Element to clone
+ * @returns {Element} Clone with inlined styles
+ */
+function cloneWithInlineStyles(source) {
+    const clone = source.cloneNode(true);
+    const sources = [source, ...source.querySelectorAll('*')];
+    const clones = [clone, ...clone.querySelectorAll('*')];
+    
+    sources.forEach((element, i) => {
+        const computed = getComputedStyle(element);
+        const declarations = SVG_EXPORT_STYLE_PROPERTIES
+            .map(property => [property, computed.getPropertyValue(property)])
+            .filter(([, value]) => value && value !== 'normal')
+            .map(([property, value]) => `${property}: ${value}`);
+        
+        if (declarations.length > 0) {
+            clones[i].setAttribute('style', declarations.join('; '));
+        }
+    });
+    
+    return clone;
+}
+
+/**
+ * Get the title of the visualization shown
+ * @returns {string} Title
+ */
+function getNetworkTitle() {
+    const title = document.querySelector('#visualization-container .visualization-title');
+    return title ? title.textContent : 'Network';
+}
+
+/**
+ * Build a standalone SVG of the network shown at its current layout, without zoom or highlighting
+ * Nodes, links and labels carry data attributes (data-id, data-source, data-target) for the HTML viewer
+ * @returns {SVGElement|null} Detached SVG element, or null if no network is shown
+ */
+function buildNetworkSvg() {
+    if (!networkData || networkData.nodes.length === 0) {
+        return null;
+    }
+    
+    const svg = createSvgElement('svg', {
+        class: 'network-export',
+        width: networkWidth,
+        height: networkHeight,
+        viewBox: `0 0 ${networkWidth} ${networkHeight}`,
+        'font-family': 'monospace'
+    });
+    
+    const title = createSvgElement('title');
+    title.textContent = getNetworkTitle();
+    svg.appendChild(title);
+    
+    svg.appendChild(createSvgElement('rect', {
+        x: 0,
+        y: 0,
+        width: networkWidth,
+        height: networkHeight,
+        fill: NETWORK_EXPORT_BACKGROUND
+    }));
+    
+    // Arrowheads and the legend come from the live SVG, which draws them for both renderers
+    const liveDefs = networkSvg ? networkSvg.select('defs').node() : null;
+    if (liveDefs) {
+        svg.appendChild(cloneWithInlineStyles(liveDefs));
+    }
+    
+    const links = createSvgElement('g', { class: 'links' });
+    
+    networkData.links.forEach(link => {
+        if (typeof link.source !== 'object' || typeof link.target !== 'object') return;
+        
+        const style = linkStyle(link);
+        const dash = link.dashed ? '5,5' : style.dash;
+        const line = createSvgElement('line', {
+            'data-source': link.source.id,
+            'data-target': link.target.id,
+            x1: link.source.x,
+            y1: link.source.y,
+            x2: link.target.x,
+            y2: link.target.y,
+            stroke: style.color,
+            'stroke-opacity': 0.6,
+            'stroke-width': Math.sqrt(link.value || 1) * 2,
+            'stroke-dasharray': dash && dash !== 'none' ? dash : null,
+            'marker-end': link.directed
+                ? (RELATIONSHIP_LINK_STYLES[link.type] ? `url(#arrowhead-${link.type})` : 'url(#arrowhead)')
+                : null
+        });
+        
+        if (link.label) {
+            const label = createSvgElement('title');
+            label.textContent = link.label;
+            line.appendChild(label);
+        }
+        
+        links.appendChild(line);
+    });
+    
+    const nodes = createSvgElement('g', { class: 'nodes' });
+    const labels = createSvgElement('g', { class: 'labels', 'font-size': '12px' });
+    
+    networkData.nodes.forEach(node => {
+        const circle = createSvgElement('circle', {
+            'data-id': node.id,
+            cx: node.x,
+            cy: node.y,
+            r: node.radius || (node.group === 'main' ? 15 : 10),
+            fill: networkColorOf(node),
+            'fill-opacity': node.stub ? 0.3 : 1
+        });
+        
+        const name = createSvgElement('title');
+        name.textContent = node.name || node.id;
+        circle.appendChild(name);
+        nodes.appendChild(circle);
+        
+        const label = createSvgElement('text', {
+            'data-id': node.id,
+            x: node.x,
+            y: node.y,
+            dx: 15,
+            dy: 4,
+            fill: node.stub ? NETWORK_UNKNOWN_COLOR : '#0f0'
+        });
+        label.textContent = node.name || node.id;
+        labels.appendChild(label);
+    });
+    
+    svg.appendChild(links);
+    svg.appendChild(nodes);
+    svg.appendChild(labels);
+    
+    const liveLegend = networkSvg ? networkSvg.select('g.legend').node() : null;
+    if (liveLegend) {
+        svg.appendChild(cloneWithInlineStyles(liveLegend));
+    }
+    
+    return svg;
+}
+
+/**
+ * Serialize the network shown as an SVG document
+ * @returns {string|null} SVG markup, or null if no network is shown
+ */
+function serializeNetworkSvg() {
+    const svg = buildNetworkSvg();
+    return svg ? `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}` : null;
+}
+
+/**
+ * Offer a file for download
+ * @private
+ * @param {Blob} blob - File contents
+ * @param {string} extension - File extension, added to a name made from the visualization title
+ */
+function downloadNetworkFile(blob, extension) {
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${keyFromText(getNetworkTitle(), 'network')}.${extension}`;
+    a.click();
+    
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Download the network shown as an SVG file
+ * @returns {boolean} Success indicator
+ */
+function exportNetworkSvg() {
+    try {
+        const markup = serializeNetworkSvg();
+        if (!markup) {
+            return false;
+        }
+        
+        downloadNetworkFile(new Blob([markup], { type: 'image/svg+xml' }), 'svg');
+        return true;
+    } catch (error) {
+        console.error('Error exporting SVG:', error);
+        return false;
+    }
+}
+
+/**
+ * Download the network shown as a PNG file, rasterized from the SVG export
+ * @param {number} scale - Resolution as a multiple of the size on screen
+ * @returns {Promise<boolean>} Success indicator
+ */
+async function exportNetworkPng(scale = 2) {
+    const markup = serializeNetworkSvg();
+    if (!markup) {
+        return false;
+    }
+    
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    
+    try {
+        const image = new Image();
+        await new Promise((resolve, reject) => {
+            image.onload = resolve;
+            image.onerror = () => reject(new Error('The SVG could not be rasterized'));
+            image.src = url;
+        });
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(networkWidth * scale);
+        canvas.height = Math.round(networkHeight * scale);
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+        
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) {
+            throw new Error('The canvas could not be encoded');
+        }
+        
+        downloadNetworkFile(blob, 'png');
+        return true;
+    } catch (error) {
+        console.error('Error exporting PNG:', error);
+        return false;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Interactive viewer embedded in standalone HTML exports, where it runs on its own
+ * Drag the background to pan, scroll to zoom, drag nodes to move them, and hover a node to
+ * highlight its connections
+ * @private
+ */
+function standaloneNetworkViewer() {
+    const svg = document.querySelector('svg.network-export');
+    const data = JSON.parse(document.getElementById('network-data').textContent);
+    const view = svg.viewBox.baseVal;
+    const nodes = new Map(data.nodes.map(node => [node.id, node]));
+    const circles = Array.from(svg.querySelectorAll('circle[data-id]'));
+    const labels = Array.from(svg.querySelectorAll('text[data-id]'));
+    const lines = Array.from(svg.querySelectorAll('line[data-source]'));
+    let dragging = null;
+    
+    // Pointer position in SVG coordinates
+    const toSvg = event => {
+        const point = svg.createSVGPoint();
+        point.x = event.clientX;
+        point.y = event.clientY;
+        return point.matrixTransform(svg.getScreenCTM().inverse());
+    };
+    
+    // Move a node with its label and links
+    const moveNode = (id, x, y) => {
+        circles.filter(circle => circle.dataset.id === id).forEach(circle => {
+            circle.setAttribute('cx', x);
+            circle.setAttribute('cy', y);
+        });
+        labels.filter(label => label.dataset.id === id).forEach(label => {
+            label.setAttribute('x', x);
+            label.setAttribute('y', y);
+        });
+        lines.forEach(line => {
+            if (line.dataset.source === id) {
+                line.setAttribute('x1', x);
+                line.setAttribute('y1', y);
+            }
+            if (line.dataset.target === id) {
+                line.setAttribute('x2', x);
+                line.setAttribute('y2', y);
+            }
+        });
+    };
+    
+    // Dim everything outside a node's connections (none to reset)
+    const highlight = id => {
+        const connected = new Set([id]);
+        lines.forEach(line => {
+            if (line.dataset.source === id) connected.add(line.dataset.target);
+            if (line.dataset.target === id) connected.add(line.dataset.source);
+        });
+        
+        circles.concat(labels).forEach(element => {
+            element.style.opacity = id && !connected.has(element.dataset.id) ? 0.2 : '';
+        });
+        lines.forEach(line => {
+            line.style.opacity = id && line.dataset.source !== id && line.dataset.target !== id ? 0.1 : '';
+        });
+    };
+    
+    svg.addEventListener('pointerdown', event => {
+        const id = event.target.dataset ? event.target.dataset.id : null;
+        dragging = id && nodes.has(id) ? { id } : { start: toSvg(event) };
+        svg.setPointerCapture(event.pointerId);
+    });
+    
+    svg.addEventListener('pointermove', event => {
+        if (!dragging) return;
+        
+        const point = toSvg(event);
+        
+        if (dragging.id) {
+            moveNode(dragging.id, point.x, point.y);
+        } else {
+            view.x -= point.x - dragging.start.x;
+            view.y -= point.y - dragging.start.y;
+        }
+    });
+    
+    svg.addEventListener('pointerup', () => {
+        dragging = null;
+    });
+    
+    svg.addEventListener('wheel', event => {
+        event.preventDefault();
+        
+        const point = toSvg(event);
+        const factor = event.deltaY > 0 ? 1.1 : 1 / 1.1;
+        
+        view.x = point.x - (point.x - view.x) * factor;
+        view.y = point.y - (point.y - view.y) * factor;
+        view.width *= factor;
+        view.height *= factor;
+    }, { passive: false });
+    
+    circles.forEach(circle => {
+        circle.addEventListener('pointerenter', () => highlight(circle.dataset.id));
+        circle.addEventListener('pointerleave', () => highlight(null));
+    });
+}
+
+/**
+ * Build a standalone HTML page showing the network shown, with its data embedded
+ * The page needs no scripts or styles from elsewhere
+ * @returns {string|null} HTML, or null if no network is shown
+ */
+function buildNetworkHtml() {
+    const svg = buildNetworkSvg();
+    if (!svg) {
+        return null;
+    }
+    
+    svg.setAttribute('width', '100%');
+    svg.setAttribute('height', '100%');
+    
+    const title = getNetworkTitle().replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    
+    // Current networkData, with links by node ID
+    const data = {
+        title: getNetworkTitle(),
+        exported: new Date().toISOString(),
+        nodes: networkData.nodes.map(node => ({
+            id: node.id,
+            name: node.name,
+            group: node.group,
+            x: node.x,
+            y: node.y,
+            radius: node.radius,
+            color: networkColorOf(node),
+            stub: !!node.stub,
+            pinned: !!node.fixed
+        })),
+        links: networkData.links
+            .filter(link => typeof link.source === 'object' && typeof link.target === 'object')
+            .map(link => ({
+                source: link.source.id,
+                target: link.target.id,
+                type: link.type,
+                directed: !!link.directed,
+                label: link.label
+            }))
+    };
+    
+    // Keep the embedded JSON from closing its script element
+    const json = JSON.stringify(data).replace(/</g, '\\u003c');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${title}</title>
+<style>
+    html, body { margin: 0; height: 100%; background: ${NETWORK_EXPORT_BACKGROUND}; color: #0f0; font-family: monospace; }
+    h1 { position: absolute; margin: 0; right: 20px; top: 20px; font-size: 14px; pointer-events: none; }
+    svg { display: block; cursor: grab; touch-action: none; }
+    circle { cursor: pointer; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+${new XMLSerializer().serializeToString(svg)}
+<script type="application/json" id="network-data">${json}</script>
+<script>
+(${standaloneNetworkViewer.toString()})();
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Download the network shown as a standalone interactive HTML file
+ * @returns {boolean} Success indicator
+ */
+function exportNetworkHtml() {
+    try {
+        const html = buildNetworkHtml();
+        if (!html) {
+            return false;
+        }
+        
+        downloadNetworkFile(new Blob([html], { type: 'text/html' }), 'html');
+        return true;
+    } catch (error) {
+        console.error('Error exporting HTML:', error);
+        return false;
+    }
+}
+
+/**
+ * Add the export actions to the visualization container: SVG, PNG at a chosen resolution, and HTML
+ * @param {HTMLElement} container - Visualization container
+ */
+function addNetworkExportControls(container) {
+    const panel = document.createElement('div');
+    panel.className = 'network-filters network-export';
+    
+    const addButton = (text, title, onClick) => {
+        const button = document.createElement('button');
+        button.className = 'action-btn';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        panel.appendChild(button);
+    };
+    
+    addButton('Export SVG', 'Download the network as an SVG picture', () => {
+        if (!exportNetworkSvg() && typeof displayErrorMessage === 'function') {
+            displayErrorMessage('Failed to export the network as SVG', 'visualization');
+        }
+    });
+    
+    const field = document.createElement('label');
+    field.className = 'network-filter';
+    field.textContent = 'PNG size: ';
+    
+    const select = document.createElement('select');
+    PNG_EXPORT_SCALES.forEach(scale => {
+        const option = document.createElement('option');
+        option.value = scale;
+        option.textContent = `${scale}× (${Math.round(networkWidth * scale)} × ${Math.round(networkHeight * scale)})`;
+        option.selected = scale === 2;
+        select.appendChild(option);
+    });
+    
+    field.appendChild(select);
+    panel.appendChild(field);
+    
+    addButton('Export PNG', 'Download the network as a PNG picture', async () => {
+        if (!(await exportNetworkPng(Number(select.value))) && typeof displayErrorMessage === 'function') {
+            displayErrorMessage('Failed to export the network as PNG', 'visualization');
+        }
+    });
+    
+    addButton('Export HTML', 'Download the network as an interactive page that works offline', () => {
+        if (!exportNetworkHtml() && typeof displayErrorMessage === 'function') {
+            displayErrorMessage('Failed to export the network as HTML', 'visualization');
+        }
+    });
+    
+    container.appendChild(panel);
+}
+
+// Make the network exports globally available
+window.buildNetworkSvg = buildNetworkSvg;
+window.exportNetworkSvg = exportNetworkSvg;
+window.exportNetworkPng = exportNetworkPng;
+window.exportNetworkHtml = exportNetworkHtml;
+window.addNetworkExportControls = addNetworkExportControls;
@@ -0,0 +1,170 @@
+/**
+ * Force Layout Worker for KillPhilosophy
+ * Runs the d3 force simulation of a network off the main thread and streams node positions back.
+ * Messages in: start, update (optionally with new forces), fix, alpha, alphaTarget, restart and stop
+ * (see NetworkLayoutWorker).
+ * Messages out: tick (positions as a Float64Array of x, y pairs in node order, and progress) and end.
+ */
+
+let simulation = null;
+let layoutNodes = [];
+let layoutWidth = 0;
+let layoutHeight = 0;
+
+/**
+ * Share of the layout done, from the simulation's cooling
+ * @returns {number} Progress from 0 to 1
+ */
+function layoutProgress() {
+    return Math.max(0, Math.min(1, Math.log(simulation.alpha()) / Math.log(simulation.alphaMin())));
+}
+
+/**
+ * Send the node positions to the main thread
+ */
+function postPositions() {
+    const positions = new Float64Array(layoutNodes.length * 2);
+    
+    layoutNodes.forEach((d, i) => {
+        // Keep nodes inside the boundaries
+        d.x = Math.max(d.radius, Math.min(layoutWidth - d.radius, d.x));
+        d.y = Math.max(d.radius, Math.min(layoutHeight - d.radius, d.y));
+        
+        positions[i * 2] = d.x;
+        positions[i * 2 + 1] = d.y;
+    });
+    
+    self.postMessage({ type: 'tick', positions, progress: layoutProgress() }, [positions.buffer]);
+}
+
+/**
+ * Set the forces of the simulation
+ * With a target strength, nodes are pulled towards their targetX and targetY instead of the center
+ * @param {Array} links - Links by node index
+ * @param {Object} forces - linkDistance, linkStrength (optional), charge, collisionPadding and target (optional)
+ */
+function applyLayoutForces(links, forces) {
+    const link = d3.forceLink(links).distance(forces.linkDistance);
+    if (typeof forces.linkStrength === 'number') {
+        link.strength(forces.linkStrength);
+    }
+    
+    const targeted = d => (typeof d.targetX === 'number' ? forces.target : 0);
+    
+    simulation
+        .force('link', link)
+        .force('charge', d3.forceManyBody().strength(forces.charge))
+        .force('center', forces.target ? null : d3.forceCenter(layoutWidth / 2, layoutHeight / 2))
+        .force('collision', d3.forceCollide().radius(d => d.radius + forces.collisionPadding))
+        .force('x', forces.target ? d3.forceX(d => (typeof d.targetX === 'number' ? d.targetX : d.x)).strength(targeted) : null)
+        .force('y', forces.target ? d3.forceY(d => (typeof d.targetY === 'number' ? d.targetY : d.y)).strength(targeted) : null);
+}
+
+/**
+ * Turn nodes from a message into simulation nodes, keeping the state of nodes already laid out
+ * @param {Array} nodes - Nodes { x, y, fx, fy, radius, targetX, targetY } in order
+ * @returns {Array} Simulation nodes
+ */
+function toLayoutNodes(nodes) {
+    return nodes.map((node, i) => Object.assign(layoutNodes[i] || {}, {
+        x: typeof node.x === 'number' ? node.x : undefined,
+        y: typeof node.y === 'number' ? node.y : undefined,
+        fx: node.fx,
+        fy: node.fy,
+        radius: node.radius,
+        targetX: node.targetX,
+        targetY: node.targetY
+    }));
+}
+
+/**
+ * Run the simulation to the end without streaming, reporting progress as it goes
+ */
+function precomputeLayout() {
+    const ticks = Math.ceil(Math.log(simulation.alphaMin()) / Math.log(1 - simulation.alphaDecay()));
+    
+    for (let i = 0; i < ticks; i++) {
+        simulation.tick();
+        
+        if (i % 10 === 0) {
+            self.postMessage({ type: 'progress', progress: i / ticks });
+        }
+    }
+    
+    postPositions();
+    self.postMessage({ type: 'end' });
+}
+
+// Handlers for the messages from NetworkLayoutWorker
+const LAYOUT_MESSAGE_HANDLERS = {
+    start(message) {
+        if (typeof d3 === 'undefined') {
+            importScripts(message.d3Url);
+        }
+        
+        layoutWidth = message.width;
+        layoutHeight = message.height;
+        layoutNodes = toLayoutNodes(message.nodes);
+        
+        simulation = d3.forceSimulation(layoutNodes)
+            .on('tick', postPositions)
+            .on('end', () => self.postMessage({ type: 'end' }));
+        
+        applyLayoutForces(message.links, message.forces);
+        
+        if (message.precompute) {
+            simulation.stop();
+            precomputeLayout();
+        }
+    },
+    
+    update(message) {
+        layoutNodes = toLayoutNodes(message.nodes);
+        simulation.nodes(layoutNodes);
+        
+        if (message.forces) {
+            applyLayoutForces(message.links, message.forces);
+        } else {
+            simulation.force('link').links(message.links);
+        }
+        
+        simulation.alpha(message.alpha).restart();
+    },
+    
+    fix(message) {
+        const node = layoutNodes[message.index];
+        if (node) {
+            node.fx = message.fx;
+            node.fy = message.fy;
+        }
+    },
+    
+    alpha(message) {
+        simulation.alpha(message.value);
+    },
+    
+    alphaTarget(message) {
+        simulation.alphaTarget(message.value);
+    },
+    
+    restart() {
+        simulation.restart();
+    },
+    
+    stop() {
+        if (simulation) {
+            simulation.stop();
+        }
+        self.close();
+    }
+};
+
+self.onmessage = (event) => {
+    const handler = LAYOUT_MESSAGE_HANDLERS[event.data.type];
+    
+    if (handler) {
+        handler(event.data);
+    } else {
+        console.warn(`Unknown layout message: ${event.data.type}`);
+    }
+};
@@ -0,0 +1,204 @@
+/**
+ * Network Layout for KillPhilosophy
+ * Runs the force layout of a network in a Web Worker (network-layout-worker.js) so the page stays
+ * responsive while large networks settle. NetworkLayoutWorker stands in for the d3 simulation:
+ * it copies the streamed positions onto the nodes and forwards drags and pins to the worker.
+ */
+
+// The worker script sits next to this one
+const NETWORK_LAYOUT_WORKER_URL = document.currentScript && document.currentScript.src
+    ? new URL('network-layout-worker.js', document.currentScript.src).href
+    : 'network-layout-worker.js';
+
+// Where the worker loads D3 from when the page's own copy cannot be found
+const NETWORK_LAYOUT_D3_URL = 'https://d3js.org/d3.v7.min.js';
+
+class NetworkLayoutWorker {
+    /**
+     * Start laying out a network in a worker
+     * Links are resolved to their node objects, as d3.forceLink would do
+     * @param {Array} nodes - Node data
+     * @param {Array} links - Link data (source and target may be IDs or node objects)
+     * @param {Object} options - width, height, forces ({ linkDistance, charge, collisionPadding, and
+     *                           linkStrength and target for arrangements }),
+     *                           precompute (lay the network out completely before the first tick),
+     *                           onTick, onProgress (0 to 1), onEnd and onError callbacks
+     * @throws {Error} If the worker cannot be created
+     */
+    constructor(nodes, links, options) {
+        this.nodes = nodes;
+        this.links = links;
+        this.options = options;
+        this.stopped = false;
+        
+        this.worker = new Worker(NETWORK_LAYOUT_WORKER_URL);
+        this.worker.onmessage = event => this._receive(event.data);
+        this.worker.onerror = event => {
+            event.preventDefault();
+            this.stop();
+            
+            if (typeof options.onError === 'function') {
+                options.onError(new Error(event.message || 'Layout worker failed'));
+            }
+        };
+        
+        // The d3 script the page loaded, for the worker to import
+        const d3Script = document.querySelector('script[src*="d3"]');
+        
+        this.worker.postMessage({
+            type: 'start',
+            ...this._serialize(),
+            width: options.width,
+            height: options.height,
+            forces: options.forces,
+            precompute: !!options.precompute,
+            d3Url: d3Script ? d3Script.src : NETWORK_LAYOUT_D3_URL
+        });
+    }
+    
+    /**
+     * Index the nodes and resolve the links, then describe both for the worker
+     * @private
+     * @returns {Object} { nodes, links } with links by node index
+     */
+    _serialize() {
+        const byId = new Map(this.nodes.map((d, i) => {
+            d.index = i;
+            return [d.id, d];
+        }));
+        
+        this.links.forEach(link => {
+            if (typeof link.source !== 'object') link.source = byId.get(link.source);
+            if (typeof link.target !== 'object') link.target = byId.get(link.target);
+        });
+        
+        return {
+            nodes: this.nodes.map(d => ({
+                x: d.x,
+                y: d.y,
+                fx: d.fx,
+                fy: d.fy,
+                radius: d.radius || 10,
+                targetX: d.targetX,
+                targetY: d.targetY
+            })),
+            links: this.links
+                .filter(link => link.source && link.target)
+                .map(link => ({ source: link.source.index, target: link.target.index }))
+        };
+    }
+    
+    /**
+     * Handle a message from the worker
+     * @private
+     * @param {Object} message - Message data
+     */
+    _receive(message) {
+        if (this.stopped) {
+            return;
+        }
+        
+        const { onTick, onProgress, onEnd } = this.options;
+        
+        switch (message.type) {
+            case 'tick':
+                this.nodes.forEach((d, i) => {
+                    d.x = message.positions[i * 2];
+                    d.y = message.positions[i * 2 + 1];
+                });
+                
+                if (typeof onTick === 'function') onTick();
+                if (typeof onProgress === 'function') onProgress(message.progress);
+                break;
+            
+            case 'progress':
+                if (typeof onProgress === 'function') onProgress(message.progress);
+                break;
+            
+            case 'end':
+                if (typeof onProgress === 'function') onProgress(1);
+                if (typeof onEnd === 'function') onEnd();
+                break;
+        }
+    }
+    
+    /**
+     * Send a message to the worker
+     * @private
+     * @param {Object} message - Message data
+     * @returns {NetworkLayoutWorker} This layout, for chaining like a d3 simulation
+     */
+    _post(message) {
+        if (!this.stopped) {
+            this.worker.postMessage(message);
+        }
+        return this;
+    }
+    
+    /**
+     * Fix a node where it is (fx and fy), or release it when they are null
+     * @param {Object} node - Node data
+     * @returns {NetworkLayoutWorker} This layout
+     */
+    fix(node) {
+        return this._post({ type: 'fix', index: node.index, fx: node.fx, fy: node.fy });
+    }
+    
+    /**
+     * Replace the nodes and links, e.g. after expanding a node, and reheat the layout
+     * @param {Array} nodes - Node data (existing nodes first, in the same order)
+     * @param {Array} links - Link data
+     * @param {number} alpha - Heat to restart with
+     * @param {Object|null} forces - New forces, e.g. for another arrangement (null keeps them)
+     * @returns {NetworkLayoutWorker} This layout
+     */
+    update(nodes, links, alpha = 0.3, forces = null) {
+        this.nodes = nodes;
+        this.links = links;
+        
+        if (forces) {
+            this.options.forces = forces;
+        }
+        
+        return this._post({ type: 'update', ...this._serialize(), alpha, forces });
+    }
+    
+    /**
+     * Set the simulation's heat
+     * @param {number} value - Alpha
+     * @returns {NetworkLayoutWorker} This layout
+     */
+    alpha(value) {
+        return this._post({ type: 'alpha', value });
+    }
+    
+    /**
+     * Set the heat the simulation settles towards, e.g. to keep it running while a node is dragged
+     * @param {number} value - Alpha target
+     * @returns {NetworkLayoutWorker} This layout
+     */
+    alphaTarget(value) {
+        return this._post({ type: 'alphaTarget', value });
+    }
+    
+    /**
+     * Restart the simulation's timer
+     * @returns {NetworkLayoutWorker} This layout
+     */
+    restart() {
+        return this._post({ type: 'restart' });
+    }
+    
+    /**
+     * Stop the layout and end the worker
+     * @returns {NetworkLayoutWorker} This layout
+     */
+    stop() {
+        this._post({ type: 'stop' });
+        this.stopped = true;
+        return this;
+    }
+}
+
+// Make the worker layout globally available
+window.NetworkLayoutWorker = NetworkLayoutWorker;
@@ -12,6 +12,65 @@ let networkData = null;
 let networkLinks = null;
 let networkNodes = null;
 let networkLabels = null;
+let networkColorOf = null; // Node data -> fill color, set by visualizeNetwork
+let networkDepth = 1; // Hops shown around the academic in visualizeAcademic
+let networkCanvas = null; // NetworkCanvasRenderer while a large network is drawn on a canvas
+let networkViewKey = null; // Key of the view shown, under which its layouts are saved
+let networkArrangement = 'force'; // Arrangement of the network, a key of NETWORK_ARRANGEMENTS
+
+// Link styles for typed relationships between academics
+const RELATIONSHIP_LINK_STYLES = {
+    'student-of': { color: '#0f0', dash: 'none' },
+    'influenced-by': { color: '#9f0', dash: '8,4' },
+    'critiqued': { color: '#fc0', dash: '2,4' },
+    'co-authored': { color: '#0ff', dash: 'none' },
+    'debated': { color: '#f60', dash: '6,2,2,2' },
+    'associated': { color: '#0a0', dash: 'none' },
+    'affiliated': { color: '#0cf', dash: '3,3' } // Academic to institution
+};
+
+// Link type used between academics and the institutions they were affiliated with
+const AFFILIATION_LINK_TYPE = 'affiliated';
+
+// Institution nodes share the graph with academics, so their IDs are prefixed
+const INSTITUTION_NODE_PREFIX = 'institution:';
+
+// Node groups of the default color scale, as listed in the legend
+const NETWORK_GROUP_LEGEND = [
+    { text: 'Main Academic', group: 'main' },
+    { text: 'Direct Connection', group: 'connection' },
+    { text: 'Related Academic', group: 'related' },
+    { text: 'Search Match', group: 'match' },
+    { text: 'Institution', group: 'institution' },
+    { text: 'Not in Database', group: 'stub' }
+];
+
+// Forces of the network layout, shared with the layout worker
+const NETWORK_FORCES = {
+    linkDistance: 100,
+    charge: -400,
+    collisionPadding: 5
+};
+
+// Outline of pinned nodes (selected and hovered nodes are outlined in white)
+const NETWORK_PINNED_COLOR = '#ff0';
+
+// Networks with more nodes than this are drawn on a canvas instead of as SVG elements
+const NETWORK_CANVAS_THRESHOLD = 300;
+
+// Largest number of hops visualizeAcademic shows around an academic
+const NETWORK_MAX_DEPTH = 4;
+
+// Taxonomy categories the full graph can be colored by
+const NETWORK_COLOR_CATEGORIES = ['discipline', 'tradition'];
+
+// Palette for coloring nodes by taxonomy value; academics without a value are grey
+const NETWORK_CATEGORY_COLORS = ['#0f0', '#0cf', '#ff0', '#f60', '#f0f', '#9f0', '#09f', '#fc0', '#f66', '#6ff', '#c9f', '#fff'];
+const NETWORK_UNKNOWN_COLOR = '#555';
+const NETWORK_UNKNOWN_LABEL = 'Unknown';
+
+// Filters of the last full graph, so the panel keeps its state between redraws
+let fullNetworkFilters = null;
 
 /**
  * Initialize the network visualization container
@@ -47,20 +106,13 @@ function initializeNetworkVisualization() {
         .attr('tabindex', '0') // Make SVG focusable for keyboard users
         .attr('aria-label', 'Network visualization of academic connections');
     
-    // Add marker for arrows on directed links
-    networkSvg.append('defs').append('marker')
-        .attr('id', 'arrowhead')
-        .attr('viewBox', '-0 -5 10 10') // Adjusted viewBox for better arrow appearance
-        .attr('refX', 20)
-        .attr('refY', 0)
-        .attr('orient', 'auto')
-        .attr('markerWidth', 6)
-        .attr('markerHeight', 6)
-        .attr('xoverflow', 'visible')
-        .append('svg:path')
-        .attr('d', 'M 0,-5 L 10 ,0 L 0,5')
-        .attr('fill', '#0f0')
-        .style('stroke', 'none');
+    // Add markers for arrows on directed links, one per relationship color
+    const defs = networkSvg.append('defs');
+    addArrowheadMarker(defs, 'arrowhead', '#0f0');
+    
+    for (const type in RELATIONSHIP_LINK_STYLES) {
+        addArrowheadMarker(defs, `arrowhead-${type}`, RELATIONSHIP_LINK_STYLES[type].color);
+    }
     
     // Add zoom behavior
     const zoom = d3.zoom()
@@ -85,12 +137,164 @@ function initializeNetworkVisualization() {
     console.log('Network visualization initialized');
 }
 
+/**
+ * Add an arrowhead marker definition
+ * @param {Object} defs - D3 selection of the SVG defs element
+ * @param {string} id - Marker ID
+ * @param {string} color - Arrow fill color
+ */
+function addArrowheadMarker(defs, id, color) {
+    defs.append('marker')
+        .attr('id', id)
+        .attr('viewBox', '-0 -5 10 10') // Adjusted viewBox for better arrow appearance
+        .attr('refX', 20)
+        .attr('refY', 0)
+        .attr('orient', 'auto')
+        .attr('markerWidth', 6)
+        .attr('markerHeight', 6)
+        .attr('xoverflow', 'visible')
+        .append('svg:path')
+        .attr('d', 'M 0,-5 L 10 ,0 L 0,5')
+        .attr('fill', color)
+        .style('stroke', 'none');
+}
+
+/**
+ * Build a link for a typed relationship
+ * Directed relationships point from the acting academic, e.g. student to teacher
+ * @param {string} ownerId - ID of the academic that holds the relationship
+ * @param {Object} relationship - Relationship object
+ * @returns {Object} Link data
+ */
+function relationshipToLink(ownerId, relationship) {
+    const incoming = relationship.direction === 'incoming';
+    
+    return {
+        source: incoming ? relationship.id : ownerId,
+        target: incoming ? ownerId : relationship.id,
+        value: 1,
+        type: relationship.type,
+        directed: relationship.direction !== 'mutual',
+        label: typeof describeRelationship === 'function'
+            ? describeRelationship({ ...relationship, direction: 'outgoing' })
+            : relationship.type
+    };
+}
+
+/**
+ * Key identifying a link, so relationships stored on both academics are drawn once
+ * @param {Object} link - Link data (source and target may be IDs or node objects)
+ * @returns {string} Link key
+ */
+function networkLinkKey(link) {
+    const source = typeof link.source === 'object' ? link.source.id : link.source;
+    const target = typeof link.target === 'object' ? link.target.id : link.target;
+    
+    return link.directed
+        ? `${source}|${target}|${link.type}`
+        : `${[source, target].sort().join('|')}|${link.type}`;
+}
+
+/**
+ * Add an academic's relationships to a network
+ * Connected academics missing from the network are added as nodes at the given hop, unless hop
+ * is null, in which case only links to nodes already present are added. Connections that are not
+ * in the database become stub nodes, which cannot be expanded further.
+ * @param {Object} academic - Academic whose relationships are added
+ * @param {Map} nodes - Nodes by ID (modified)
+ * @param {Array} links - Links (modified)
+ * @param {Set} linkKeys - Keys of the links present (modified)
+ * @param {number|null} hop - Distance of new nodes from the main academic
+ * @returns {Array} Academics added as nodes (stubs are not included)
+ */
+function addRelationshipsToNetwork(academic, nodes, links, linkKeys, hop = null) {
+    const added = [];
+    
+    (academic.connections || []).forEach(connection => {
+        // References saved under another spelling ("J. Derrida") share the resolved academic's node
+        const connected = typeof databaseManager !== 'undefined' ? databaseManager.resolveConnection(connection) : null;
+        const id = connected ? connected.id : connection.id;
+        
+        if (id === academic.id) {
+            return;
+        }
+        
+        if (!nodes.has(id)) {
+            if (hop === null) {
+                return;
+            }
+            
+            nodes.set(id, {
+                id,
+                name: connected ? connected.name : connection.name,
+                group: connected ? (hop === 1 ? 'connection' : 'related') : 'stub',
+                hop,
+                stub: !connected,
+                expanded: false,
+                radius: hop === 1 ? 10 : 8
+            });
+            
+            if (connected) {
+                added.push(connected);
+            }
+        }
+        
+        const link = relationshipToLink(academic.id, { ...connection, id });
+        const key = networkLinkKey(link);
+        
+        if (!linkKeys.has(key)) {
+            linkKeys.add(key);
+            links.push(link);
+        }
+    });
+    
+    if (nodes.has(academic.id) && hop !== null) {
+        nodes.get(academic.id).expanded = true;
+    }
+    
+    return added;
+}
+
+/**
+ * Build the network around an academic, up to a number of hops
+ * Links between academics at the outermost hop are included too
+ * @param {Object} academic - Academic at the center
+ * @param {number} depth - Number of hops (1 to NETWORK_MAX_DEPTH)
+ * @returns {Object} { nodes (Map by ID), links }
+ */
+function buildEgoNetwork(academic, depth = 1) {
+    const nodes = new Map();
+    const links = [];
+    const linkKeys = new Set();
+    
+    nodes.set(academic.id, {
+        id: academic.id,
+        name: academic.name,
+        group: 'main',
+        hop: 0,
+        stub: false,
+        expanded: false,
+        radius: 15
+    });
+    
+    let frontier = [academic];
+    
+    for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+        frontier = frontier.flatMap(current => addRelationshipsToNetwork(current, nodes, links, linkKeys, hop));
+    }
+    
+    // Links among the outermost academics, without adding anyone new
+    frontier.forEach(current => addRelationshipsToNetwork(current, nodes, links, linkKeys, null));
+    
+    return { nodes, links };
+}
+
 /**
  * Handle keyboard navigation in the network visualization
  * @param {Event} event - Keyboard event
  */
 function handleNetworkKeydown(event) {
-    if (!networkNodes || !networkData || networkData.nodes.length === 0) return;
+    if (!networkData || networkData.nodes.length === 0) return;
     
     // Find the currently selected node
     const selectedIndex = networkData.nodes.findIndex(d => d.selected);
@@ -114,16 +318,15 @@ function handleNetworkKeydown(event) {
             // Select the currently focused node
             event.preventDefault();
             if (selectedIndex >= 0) {
-                const node = networkData.nodes[selectedIndex];
-                highlightConnections(node);
-                
-                // Attempt to display academic info if available
-                if (typeof displayAcademic === 'function' && typeof databaseManager !== 'undefined') {
-                    const academic = databaseManager.getAcademic(node.id);
-                    if (academic) {
-                        displayAcademic(academic);
-                    }
-                }
+                activateNetworkNode(networkData.nodes[selectedIndex]);
+            }
+            return;
+        case 'p':
+        case 'P':
+            // Pin or unpin the focused node
+            event.preventDefault();
+            if (selectedIndex >= 0) {
+                togglePinNode(networkData.nodes[selectedIndex]);
             }
             return;
         default:
@@ -138,9 +341,15 @@ function handleNetworkKeydown(event) {
         // Set new selection
         networkData.nodes[newIndex].selected = true;
         
-        // Update visual appearance
-        networkNodes.attr('stroke', d => d.selected ? '#fff' : 'none')
-                   .attr('stroke-width', d => d.selected ? 2 : 0);
+        // Update visual appearance; the canvas outlines the selected node and pans to it itself
+        if (networkCanvas) {
+            networkCanvas.requestDraw();
+            networkCanvas.centerOn(networkData.nodes[newIndex]);
+            return;
+        }
+        
+        networkNodes.attr('stroke', networkNodeStroke)
+                   .attr('stroke-width', d => networkNodeStroke(d) === 'none' ? 0 : 2);
         
         // Ensure the selected node is visible
         if (networkSimulation) {
@@ -160,234 +369,1209 @@ function handleNetworkKeydown(event) {
 }
 
 /**
- * Visualize an academic's connections
- * @param {Object} academic - Academic object
+ * Visualize an academic's connections
+ * @param {Object} academic - Academic object
+ * @param {number} depth - Number of hops to show (1 to NETWORK_MAX_DEPTH); defaults to the last used
+ */
+function visualizeAcademic(academic, depth = networkDepth) {
+    if (!academic || !academic.name) {
+        console.error('Invalid academic data for visualization');
+        return;
+    }
+    
+    networkDepth = Math.max(1, Math.min(NETWORK_MAX_DEPTH, parseInt(depth, 10) || 1));
+    
+    console.log(`Visualizing network for ${academic.name} (${networkDepth} hop${networkDepth === 1 ? '' : 's'})`);
+    
+    // Prepare the data
+    const { nodes, links } = buildEgoNetwork(academic, networkDepth);
+    
+    addInstitutionNodes(academic, nodes, links);
+    
+    // Visualize the network; nodes can be clicked to expand it further
+    visualizeNetwork({ nodes: Array.from(nodes.values()), links, expandable: true }, `Network for ${academic.name}`,
+        { viewKey: `academic:${academic.id}` });
+    
+    const container = document.getElementById('visualization-container');
+    if (container && networkSvg) {
+        addNetworkDepthControl(container, academic);
+    }
+}
+
+/**
+ * Add the hop count control of an academic's network
+ * @param {HTMLElement} container - Visualization container
+ * @param {Object} academic - Academic at the center of the network
+ */
+function addNetworkDepthControl(container, academic) {
+    const panel = document.createElement('div');
+    panel.className = 'network-filters';
+    
+    const field = document.createElement('label');
+    field.className = 'network-filter';
+    field.textContent = 'Depth: ';
+    
+    const select = document.createElement('select');
+    for (let depth = 1; depth <= NETWORK_MAX_DEPTH; depth++) {
+        const option = document.createElement('option');
+        option.value = depth;
+        option.textContent = `${depth} hop${depth === 1 ? '' : 's'}`;
+        option.selected = depth === networkDepth;
+        select.appendChild(option);
+    }
+    
+    select.addEventListener('change', () => visualizeAcademic(academic, select.value));
+    field.appendChild(select);
+    panel.appendChild(field);
+    
+    const hint = document.createElement('span');
+    hint.className = 'network-filter-hint';
+    hint.textContent = 'Click a node to expand its connections';
+    panel.appendChild(hint);
+    
+    container.appendChild(panel);
+}
+
+/**
+ * Pull an academic node's connections into the running network
+ * New nodes start next to the expanded node and the simulation is reheated rather than restarted,
+ * so the rest of the layout stays where it is
+ * @param {Object} node - Node data
+ * @returns {number} Number of nodes added
+ */
+function expandNetworkNode(node) {
+    if (!networkData || !networkData.expandable || !networkSimulation || node.stub || node.expanded ||
+        node.group === 'institution' || typeof databaseManager === 'undefined') {
+        return 0;
+    }
+    
+    const academic = databaseManager.getAcademicById(node.id);
+    if (!academic) {
+        return 0;
+    }
+    
+    const nodes = new Map(networkData.nodes.map(d => [d.id, d]));
+    const linkKeys = new Set(networkData.links.map(networkLinkKey));
+    const links = [];
+    
+    const added = addRelationshipsToNetwork(academic, nodes, links, linkKeys, (node.hop || 0) + 1);
+    node.expanded = true;
+    
+    // Link the new academics to everyone already shown
+    added.forEach(other => addRelationshipsToNetwork(other, nodes, links, linkKeys, null));
+    
+    const newNodes = Array.from(nodes.values()).slice(networkData.nodes.length);
+    
+    newNodes.forEach(d => {
+        d.x = node.x + (Math.random() - 0.5) * 40;
+        d.y = node.y + (Math.random() - 0.5) * 40;
+    });
+    
+    if (newNodes.length === 0 && links.length === 0) {
+        return 0;
+    }
+    
+    networkData.nodes.push(...newNodes);
+    networkData.links.push(...links);
+    
+    // Draw the new links, nodes and labels (the canvas draws everything on each tick)
+    const networkContainer = networkSvg.select('g.network-container');
+    
+    if (!networkCanvas) {
+        networkLinks = networkLinks.merge(styleNetworkLinks(
+            networkContainer.select('g.links').selectAll('line').data(networkData.links).enter().append('line')
+        ));
+        
+        networkNodes = networkNodes.merge(styleNetworkNodes(
+            networkContainer.select('g.nodes').selectAll('circle').data(networkData.nodes).enter().append('circle')
+        ));
+        
+        networkLabels = networkLabels.merge(styleNetworkLabels(
+            networkContainer.select('g.labels').selectAll('text').data(networkData.nodes).enter().append('text')
+        ));
+    }
+    
+    // Arrangements other than force-directed are computed again with the new nodes
+    if (networkArrangement !== 'force') {
+        assignNetworkTargets(networkData.nodes, networkData.links);
+    }
+    
+    if (typeof NetworkLayoutWorker === 'function' && networkSimulation instanceof NetworkLayoutWorker) {
+        networkSimulation.update(networkData.nodes, networkData.links, 0.3);
+    } else {
+        networkSimulation.nodes(networkData.nodes);
+        networkSimulation.force('link').links(networkData.links);
+        networkSimulation.alpha(0.3).restart();
+    }
+    
+    console.log(`Expanded ${node.name}: ${newNodes.length} nodes and ${links.length} links added`);
+    
+    return newNodes.length;
+}
+
+/**
+ * Visualize the paths found between two academics, highlighting the shortest
+ * Every relationship among the academics on the paths is drawn, and a panel lists the paths
+ * as text; choosing one highlights it
+ * @param {Object} result - Result of databaseManager.findPaths
+ */
+function visualizePaths(result) {
+    if (!result || result.paths.length === 0) {
+        console.error('No paths to visualize');
+        return;
+    }
+    
+    const nodes = new Map();
+    const links = [];
+    const linkKeys = new Set();
+    
+    result.paths.forEach(path => path.ids.forEach((id, i) => {
+        if (!nodes.has(id)) {
+            const endpoint = id === result.from.id || id === result.to.id;
+            
+            nodes.set(id, {
+                id,
+                name: path.names[i],
+                group: endpoint ? 'main' : 'connection',
+                radius: endpoint ? 15 : 10
+            });
+        }
+    }));
+    
+    nodes.forEach(node => {
+        const academic = databaseManager.getAcademicById(node.id);
+        if (academic) {
+            addRelationshipsToNetwork(academic, nodes, links, linkKeys, null);
+        }
+    });
+    
+    const shortest = result.paths[0];
+    const title = `Path from ${result.from.name} to ${result.to.name}: ` +
+        `${shortest.length} step${shortest.length === 1 ? '' : 's'}`;
+    
+    visualizeNetwork({ nodes: Array.from(nodes.values()), links }, title,
+        { viewKey: `path:${result.from.id}|${result.to.id}` });
+    highlightPath(shortest);
+    
+    const container = document.getElementById('visualization-container');
+    if (container && networkSvg) {
+        addPathList(container, result.paths);
+    }
+}
+
+/**
+ * Add the list of paths found; choosing one highlights it
+ * @param {HTMLElement} container - Visualization container
+ * @param {Array} paths - Paths from ConnectionGraph, shortest first
+ */
+function addPathList(container, paths) {
+    const panel = document.createElement('div');
+    panel.className = 'network-filters network-paths';
+    
+    paths.forEach((path, i) => {
+        const button = document.createElement('button');
+        button.className = i === 0 ? 'network-path selected' : 'network-path';
+        button.textContent = `${path.length}: ${describePath(path)}`;
+        
+        button.addEventListener('click', () => {
+            panel.querySelectorAll('.network-path').forEach(other => other.classList.remove('selected'));
+            button.classList.add('selected');
+            highlightPath(path);
+        });
+        
+        panel.appendChild(button);
+    });
+    
+    container.appendChild(panel);
+}
+
+/**
+ * Build the network of every academic in the database
+ * Filters narrow it down: an academic must have the taxonomy value and era given, and when
+ * relationship types are given only those links are drawn and academics without one are left out
+ * @param {Object} filters - { category, value, era, relationshipTypes, colorBy, sizeBy, precompute } (all optional)
+ * @returns {Object} Network data with nodes and links; nodes carry the colorKey for a taxonomy colorBy
+ */
+function buildFullNetwork(filters = {}) {
+    if (typeof databaseManager === 'undefined') {
+        return { nodes: [], links: [] };
+    }
+    
+    const hasValue = (academic, category, value) => (
+        (academic.taxonomies && academic.taxonomies[category] || []).includes(value)
+    );
+    
+    const academics = databaseManager.getAllAcademics().filter(academic => (
+        (!filters.category || !filters.value || hasValue(academic, filters.category, filters.value)) &&
+        (!filters.era || hasValue(academic, 'era', filters.era))
+    ));
+    
+    const includedIds = new Set(academics.map(academic => academic.id));
+    const relationshipTypes = filters.relationshipTypes && filters.relationshipTypes.length > 0
+        ? filters.relationshipTypes
+        : null;
+    
+    // Relationships are stored on both academics; draw each once
+    const links = new Map();
+    
+    academics.forEach(academic => {
+        (academic.connections || []).forEach(connection => {
+            const connected = databaseManager.resolveConnection(connection);
+            
+            if (!connected || !includedIds.has(connected.id) || connected.id === academic.id) {
+                return;
+            }
+            
+            if (relationshipTypes && !relationshipTypes.includes(connection.type)) {
+                return;
+            }
+            
+            const link = relationshipToLink(academic.id, { ...connection, id: connected.id });
+            const key = networkLinkKey(link);
+            
+            if (!links.has(key)) {
+                links.set(key, link);
+            }
+        });
+    });
+    
+    // Number of relationships drawn for each academic
+    const degrees = new Map();
+    links.forEach(link => {
+        degrees.set(link.source, (degrees.get(link.source) || 0) + 1);
+        degrees.set(link.target, (degrees.get(link.target) || 0) + 1);
+    });
+    
+    const colorBy = NETWORK_COLOR_CATEGORIES.includes(filters.colorBy) ? filters.colorBy : null;
+    
+    const nodes = academics
+        .filter(academic => !relationshipTypes || degrees.has(academic.id))
+        .map(academic => {
+            const values = colorBy && academic.taxonomies ? academic.taxonomies[colorBy] || [] : [];
+            
+            return {
+                id: academic.id,
+                name: academic.name,
+                group: 'connection',
+                colorKey: values.length > 0 ? values[0] : NETWORK_UNKNOWN_LABEL,
+                radius: 8 + Math.min(degrees.get(academic.id) || 0, 8)
+            };
+        });
+    
+    return { nodes, links: Array.from(links.values()) };
+}
+
+/**
+ * Visualize every academic and relationship in the database, with a filter panel
+ * @param {Object} filters - { category, value, era, relationshipTypes, colorBy }; defaults to the
+ *                           filters last used, colored by discipline
+ */
+function visualizeFullNetwork(filters = fullNetworkFilters || { colorBy: 'discipline' }) {
+    fullNetworkFilters = filters;
+    
+    const data = buildFullNetwork(filters);
+    const title = `Full network: ${data.nodes.length} academics, ${data.links.length} relationships`;
+    
+    visualizeNetwork(data, title, {
+        colorBy: filters.colorBy,
+        sizeBy: filters.sizeBy,
+        precompute: filters.precompute,
+        viewKey: 'full'
+    });
+    
+    const container = document.getElementById('visualization-container');
+    if (container && networkSvg) {
+        addFullNetworkFilters(container, filters);
+    }
+}
+
+/**
+ * Add the filter panel of the full network
+ * Every change redraws the network with the new filters
+ * @param {HTMLElement} container - Visualization container
+ * @param {Object} filters - Current filters
+ */
+function addFullNetworkFilters(container, filters) {
+    const panel = document.createElement('div');
+    panel.className = 'network-filters';
+    
+    const taxonomies = databaseManager.getAllTaxonomyCategories();
+    
+    const addSelect = (label, options, selected, onChange) => {
+        const field = document.createElement('label');
+        field.className = 'network-filter';
+        field.textContent = `${label}: `;
+        
+        const select = document.createElement('select');
+        options.forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            option.selected = value === (selected || '');
+            select.appendChild(option);
+        });
+        
+        select.addEventListener('change', () => onChange(select.value));
+        field.appendChild(select);
+        panel.appendChild(field);
+    };
+    
+    const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+    const redraw = changes => visualizeFullNetwork({ ...filters, ...changes });
+    
+    // Taxonomy category, then a value within it
+    const categories = Object.keys(taxonomies).filter(category => category !== 'era');
+    addSelect('Category', [['', 'Any'], ...categories.map(category => [category, capitalize(category)])],
+        filters.category, category => redraw({ category: category || null, value: null }));
+    
+    if (filters.category && taxonomies[filters.category]) {
+        addSelect('Value', [['', 'Any'], ...taxonomies[filters.category].map(value => [value, value])],
+            filters.value, value => redraw({ value: value || null }));
+    }
+    
+    addSelect('Era', [['', 'Any'], ...(taxonomies.era || []).map(era => [era, era])],
+        filters.era, era => redraw({ era: era || null }));
+    
+    addSelect('Color by', [...NETWORK_COLOR_CATEGORIES.map(category => [category, capitalize(category)]), ['community', 'Community']],
+        filters.colorBy, colorBy => redraw({ colorBy }));
+    
+    // Node size: relationships drawn, or a centrality metric over the whole database
+    const sizeMetrics = typeof GRAPH_METRICS !== 'undefined' ? Object.entries(GRAPH_METRICS) : [];
+    addSelect('Size by', [['', 'Connections shown'], ...sizeMetrics],
+        filters.sizeBy, sizeBy => redraw({ sizeBy: sizeBy || null }));
+    
+    // Relationship types; none checked shows them all
+    const types = document.createElement('fieldset');
+    types.className = 'network-filter network-filter-types';
+    
+    const legend = document.createElement('legend');
+    legend.textContent = 'Connections';
+    types.appendChild(legend);
+    
+    const selectedTypes = filters.relationshipTypes || [];
+    
+    for (const type in RELATIONSHIP_TYPES) {
+        const option = document.createElement('label');
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = type;
+        checkbox.checked = selectedTypes.includes(type);
+        checkbox.addEventListener('change', () => {
+            const relationshipTypes = checkbox.checked
+                ? [...selectedTypes, type]
+                : selectedTypes.filter(other => other !== type);
+            redraw({ relationshipTypes });
+        });
+        
+        option.appendChild(checkbox);
+        option.appendChild(document.createTextNode(` ${RELATIONSHIP_TYPES[type].label || RELATIONSHIP_TYPES[type].outgoing}`));
+        types.appendChild(option);
+    }
+    
+    panel.appendChild(types);
+    
+    // Lay large networks out before drawing them, rather than watching them settle
+    const precompute = document.createElement('label');
+    precompute.className = 'network-filter';
+    
+    const precomputeCheckbox = document.createElement('input');
+    precomputeCheckbox.type = 'checkbox';
+    precomputeCheckbox.checked = !!filters.precompute;
+    precomputeCheckbox.addEventListener('change', () => redraw({ precompute: precomputeCheckbox.checked }));
+    
+    precompute.appendChild(precomputeCheckbox);
+    precompute.appendChild(document.createTextNode(' Precompute layout'));
+    panel.appendChild(precompute);
+    
+    container.appendChild(panel);
+}
+
+/**
+ * Add the institutions an academic was affiliated with to a network
+ * Other academics in the network are linked to those institutions too, so colleagues show up
+ * @param {Object} academic - Academic at the center of the network
+ * @param {Map} nodes - Nodes by ID (modified)
+ * @param {Array} links - Links (modified)
+ */
+function addInstitutionNodes(academic, nodes, links) {
+    (academic.affiliations || []).forEach(affiliation => {
+        const nodeId = INSTITUTION_NODE_PREFIX + affiliation.institutionId;
+        
+        if (!nodes.has(nodeId)) {
+            nodes.set(nodeId, {
+                id: nodeId,
+                name: affiliation.institution,
+                group: 'institution',
+                radius: 8
+            });
+        }
+    });
+    
+    nodes.forEach(node => {
+        if (node.group === 'institution') return;
+        
+        const member = node.id === academic.id
+            ? academic
+            : (typeof databaseManager !== 'undefined' ? databaseManager.getAcademicById(node.id) : null);
+        
+        ((member && member.affiliations) || []).forEach(affiliation => {
+            const nodeId = INSTITUTION_NODE_PREFIX + affiliation.institutionId;
+            
+            if (nodes.has(nodeId)) {
+                links.push({
+                    source: node.id,
+                    target: nodeId,
+                    value: 1,
+                    type: AFFILIATION_LINK_TYPE,
+                    directed: false,
+                    label: formatAffiliation(affiliation)
+                });
+            }
+        });
+    });
+}
+
+/**
+ * List the academics affiliated with an institution node
+ * @param {Object} node - Institution node data
+ */
+function showInstitutionAcademics(node) {
+    if (typeof searchByTaxonomy === 'function') {
+        searchByTaxonomy({ institution: node.name });
+    }
+}
+
+/**
+ * Visualize a network
+ * @param {Object} data - Network data with nodes and links
+ * @param {string} title - Visualization title
+ * @param {Object} options - colorBy: taxonomy category to color nodes by (using each node's
+ *                           colorKey) instead of the node group; renderer: 'svg' or 'canvas' (by
+ *                           default, networks above NETWORK_CANVAS_THRESHOLD nodes use the canvas);
+ *                           layout: 'worker' (default) or 'main' thread; precompute: lay the network
+ *                           out completely before drawing it; viewKey: key under which layouts of
+ *                           the view are saved (its most recent layout is restored, or layoutName);
+ *                           arrangement: a key of NETWORK_ARRANGEMENTS (defaults to the last used)
+ */
+function visualizeNetwork(data, title = 'Network Visualization', options = {}) {
+    // Validate data
+    if (!data || !data.nodes || !data.links) {
+        console.error('Invalid network data');
+        return;
+    }
+    
+    console.log(`Visualizing network with ${data.nodes.length} nodes and ${data.links.length} links`);
+    
+    applyGraphMetrics(data.nodes, options);
+    
+    // Make sure the visualization container is initialized
+    if (!networkSvg) {
+        initializeNetworkVisualization();
+        
+        if (!networkSvg) {
+            console.error('Failed to initialize network visualization');
+            return;
+        }
+    }
+    
+    // Get the container
+    const container = document.getElementById('visualization-container');
+    if (!container) {
+        console.warn('Visualization container not found');
+        return;
+    }
+    
+    // Make the container visible
+    container.style.display = 'block';
+    
+    // Reset zoom
+    networkSvg.transition().duration(750).call(
+        d3.zoom().transform,
+        d3.zoomIdentity
+    );
+    
+    // Update container size in case it has changed
+    networkWidth = container.clientWidth;
+    networkHeight = container.clientHeight;
+    
+    networkSvg.attr('width', networkWidth)
+              .attr('height', networkHeight);
+    
+    // Store the data
+    networkData = data;
+    networkViewKey = options.viewKey || null;
+    
+    // Add title; the views add their panels again after drawing
+    container.querySelector('.visualization-title')?.remove();
+    container.querySelectorAll('.network-filters').forEach(panel => panel.remove());
+    const titleElement = document.createElement('h3');
+    titleElement.className = 'visualization-title';
+    titleElement.textContent = title;
+    container.appendChild(titleElement);
+    
+    // Add close button if not already present
+    if (!container.querySelector('.close-visualization-btn')) {
+        const closeButton = document.createElement('button');
+        closeButton.className = 'close-visualization-btn';
+        closeButton.innerHTML = '×';
+        closeButton.title = 'Close visualization';
+        closeButton.setAttribute('aria-label', 'Close visualization');
+        closeButton.addEventListener('click', () => {
+            container.style.display = 'none';
+        });
+        container.appendChild(closeButton);
+    }
+    
+    // Clear previous visualization
+    const networkContainer = networkSvg.select('g.network-container');
+    networkContainer.selectAll('*').remove();
+    
+    if (networkSimulation) {
+        networkSimulation.stop();
+        showLayoutProgress(1);
+    }
+    
+    if (networkCanvas) {
+        networkCanvas.destroy();
+        networkCanvas = null;
+    }
+    
+    // Create a color scale based on node groups, or on a taxonomy category
+    let color;
+    let colorOf;
+    let legendItems;
+    
+    if (options.colorBy) {
+        const values = Array.from(new Set(data.nodes.map(d => d.colorKey)))
+            .filter(value => value !== NETWORK_UNKNOWN_LABEL)
+            .sort();
+        
+        color = d3.scaleOrdinal()
+            .domain([...values, NETWORK_UNKNOWN_LABEL])
+            .range([...values.map((value, i) => NETWORK_CATEGORY_COLORS[i % NETWORK_CATEGORY_COLORS.length]), NETWORK_UNKNOWN_COLOR]);
+        colorOf = d => color(d.colorKey);
+        legendItems = color.domain()
+            .filter(value => data.nodes.some(d => d.colorKey === value))
+            .map(value => ({ text: value, group: value }));
+    } else {
+        color = d3.scaleOrdinal()
+            .domain(['main', 'connection', 'related', 'match', 'institution', 'stub'])
+            .range(['#0f0', '#0a0', '#050', '#0c0', '#0cf', NETWORK_UNKNOWN_COLOR]);
+        colorOf = d => color(d.group);
+        legendItems = NETWORK_GROUP_LEGEND;
+    }
+    
+    networkColorOf = colorOf;
+    
+    // Large networks are drawn on a canvas, as one SVG element per node, link and label gets too slow
+    const useCanvas = options.renderer
+        ? options.renderer === 'canvas'
+        : data.nodes.length > NETWORK_CANVAS_THRESHOLD;
+    
+    if (useCanvas && typeof NetworkCanvasRenderer === 'function') {
+        networkLinks = null;
+        networkNodes = null;
+        networkLabels = null;
+        networkCanvas = new NetworkCanvasRenderer(container, networkWidth, networkHeight);
+    } else {
+        // Create links
+        networkLinks = styleNetworkLinks(networkContainer.append('g')
+            .attr('class', 'links')
+            .selectAll('line')
+            .data(data.links)
+            .enter()
+            .append('line'));
+        
+        // Create nodes
+        networkNodes = styleNetworkNodes(networkContainer.append('g')
+            .attr('class', 'nodes')
+            .selectAll('circle')
+            .data(data.nodes)
+            .enter()
+            .append('circle'));
+        
+        // Add labels to nodes
+        networkLabels = styleNetworkLabels(networkContainer.append('g')
+            .attr('class', 'labels')
+            .selectAll('text')
+            .data(data.nodes)
+            .enter()
+            .append('text'));
+    }
+    
+    // Start from a saved layout of the view when there is one, rather than from random positions
+    const layout = networkViewKey && typeof databaseManager !== 'undefined'
+        ? (options.layoutName ? databaseManager.getLayout(networkViewKey, options.layoutName) : databaseManager.getLayouts(networkViewKey)[0])
+        : null;
+    
+    if (layout) {
+        placeNetworkNodes(data.nodes, layout);
+    }
+    
+    // Arrangements other than force-directed give each node a target, where it starts out
+    if (options.arrangement && typeof NETWORK_ARRANGEMENTS !== 'undefined' && NETWORK_ARRANGEMENTS[options.arrangement]) {
+        networkArrangement = options.arrangement;
+    }
+    
+    const forces = assignNetworkTargets(data.nodes, data.links);
+    
+    data.nodes.forEach(d => {
+        if (typeof d.x !== 'number' && typeof d.targetX === 'number') {
+            d.x = d.targetX;
+            d.y = d.targetY;
+        }
+    });
+    
+    // Create force simulation; a restored layout is kept as it is instead of being laid out again
+    networkSimulation = createNetworkSimulation(data, { ...options, forces, precompute: layout ? false : options.precompute });
+    
+    if (layout) {
+        networkSimulation.alpha(0);
+    }
+    
+    // Add legend
+    addNetworkLegend(networkContainer, color, data.links, legendItems);
+    
+    if (typeof NETWORK_ARRANGEMENTS !== 'undefined') {
+        addNetworkArrangementControl(container);
+    }
+    
+    if (networkViewKey && typeof databaseManager !== 'undefined') {
+        addNetworkLayoutControls(container, networkViewKey, layout);
+    }
+    
+    if (typeof addNetworkExportControls === 'function') {
+        addNetworkExportControls(container);
+    }
+    
+    console.log('Network visualization created');
+}
+
+/**
+ * Start the force layout of a network
+ * The layout runs in a Web Worker when possible so the page stays responsive while large networks
+ * settle; otherwise, or if the worker fails, it runs on the main thread
+ * @param {Object} data - Network data with nodes and links
+ * @param {Object} options - layout ('worker' or 'main'), precompute and forces (defaults to NETWORK_FORCES)
+ * @returns {Object} The d3 simulation, or a NetworkLayoutWorker standing in for it
+ */
+function createNetworkSimulation(data, options = {}) {
+    const forces = options.forces || NETWORK_FORCES;
+    
+    // Main-thread simulation, also used when the worker cannot run
+    const mainThreadSimulation = () => {
+        const simulation = d3.forceSimulation(data.nodes)
+            .on('tick', ticked);
+        
+        setNetworkForces(simulation, data.links, forces);
+        
+        if (options.precompute) {
+            simulation.stop();
+            simulation.tick(Math.ceil(Math.log(simulation.alphaMin()) / Math.log(1 - simulation.alphaDecay())));
+            ticked();
+        }
+        
+        return simulation;
+    };
+    
+    if (options.layout === 'main' || typeof NetworkLayoutWorker !== 'function' || typeof Worker === 'undefined') {
+        return mainThreadSimulation();
+    }
+    
+    let layout = null;
+    
+    try {
+        layout = new NetworkLayoutWorker(data.nodes, data.links, {
+            width: networkWidth,
+            height: networkHeight,
+            forces,
+            precompute: !!options.precompute,
+            onTick: ticked,
+            onProgress: showLayoutProgress,
+            onError: error => {
+                console.error('Layout worker failed, laying out on the main thread:', error);
+                showLayoutProgress(1);
+                
+                if (networkSimulation === layout) {
+                    networkSimulation = mainThreadSimulation();
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Layout worker unavailable, laying out on the main thread:', error);
+        return mainThreadSimulation();
+    }
+    
+    showLayoutProgress(0);
+    return layout;
+}
+
+/**
+ * Set the forces of a main-thread simulation, as the layout worker does for its own
+ * With a target strength, nodes are pulled towards their targetX and targetY instead of the center
+ * @param {Object} simulation - D3 force simulation
+ * @param {Array} links - Link data
+ * @param {Object} forces - NETWORK_FORCES, with an arrangement's linkStrength and target
+ */
+function setNetworkForces(simulation, links, forces) {
+    const link = d3.forceLink(links).id(d => d.id).distance(forces.linkDistance);
+    if (typeof forces.linkStrength === 'number') {
+        link.strength(forces.linkStrength);
+    }
+    
+    const targeted = d => (typeof d.targetX === 'number' ? forces.target : 0);
+    
+    simulation
+        .force('link', link)
+        .force('charge', d3.forceManyBody().strength(forces.charge))
+        .force('center', forces.target ? null : d3.forceCenter(networkWidth / 2, networkHeight / 2))
+        .force('collision', d3.forceCollide().radius(d => (d.radius || 10) + forces.collisionPadding))
+        .force('x', forces.target ? d3.forceX(d => (typeof d.targetX === 'number' ? d.targetX : d.x)).strength(targeted) : null)
+        .force('y', forces.target ? d3.forceY(d => (typeof d.targetY === 'number' ? d.targetY : d.y)).strength(targeted) : null);
+}
+
+/**
+ * Give each node the target position of the current arrangement (none for force-directed)
+ * @param {Array} nodes - Node data (modified)
+ * @param {Array} links - Link data
+ * @returns {Object} Forces of the arrangement
+ */
+function assignNetworkTargets(nodes, links) {
+    const arrangement = typeof NETWORK_ARRANGEMENTS !== 'undefined' ? NETWORK_ARRANGEMENTS[networkArrangement] : null;
+    const targets = arrangement
+        ? arrangeNetwork(networkArrangement, nodes, links, networkWidth, networkHeight, { clusterKey: networkClusterKey })
+        : null;
+    
+    nodes.forEach(d => {
+        const target = targets ? targets.get(d.id) : null;
+        d.targetX = target ? target.x : null;
+        d.targetY = target ? target.y : null;
+    });
+    
+    return { ...NETWORK_FORCES, ...(arrangement ? arrangement.forces : {}) };
+}
+
+/**
+ * Get the taxonomy value a node is clustered by: the value it is colored by, or else the
+ * academic's first discipline
+ * @param {Object} node - Node data
+ * @returns {string} Cluster key
+ */
+function networkClusterKey(node) {
+    if (node.colorKey) {
+        return node.colorKey;
+    }
+    
+    const academic = typeof databaseManager !== 'undefined' && !node.stub ? databaseManager.getAcademicById(node.id) : null;
+    const disciplines = academic && academic.taxonomies ? academic.taxonomies.discipline : null;
+    
+    return disciplines && disciplines.length > 0 ? disciplines[0] : NETWORK_UNKNOWN_LABEL;
+}
+
+/**
+ * Rearrange the network shown, moving the nodes to their new places
+ * @param {string} arrangement - Key of NETWORK_ARRANGEMENTS
  */
-function visualizeAcademic(academic) {
-    if (!academic || !academic.name) {
-        console.error('Invalid academic data for visualization');
+function setNetworkArrangement(arrangement) {
+    if (typeof NETWORK_ARRANGEMENTS === 'undefined' || !NETWORK_ARRANGEMENTS[arrangement]) {
         return;
     }
     
-    console.log(`Visualizing network for ${academic.name}`);
+    networkArrangement = arrangement;
     
-    // Prepare the data
-    const nodes = [];
-    const links = [];
+    if (!networkData || !networkSimulation) return;
     
-    // Add the main academic
-    nodes.push({
-        id: academic.name,
-        group: 'main',
-        radius: 15
-    });
+    const forces = assignNetworkTargets(networkData.nodes, networkData.links);
     
-    // Process connections if available
-    if (academic.connections && academic.connections.length > 0) {
-        // Add connection nodes
-        academic.connections.forEach(connection => {
-            nodes.push({
-                id: connection,
-                group: 'connection',
-                radius: 10
-            });
-            
-            // Add link from main academic to connection
-            links.push({
-                source: academic.name,
-                target: connection,
-                value: 1
-            });
-        });
-        
-        // If database manager is available, add connections between other academics
-        if (typeof databaseManager !== 'undefined') {
-            // Check for connections between the connections
-            for (let i = 0; i < academic.connections.length; i++) {
-                const academicA = databaseManager.getAcademic(academic.connections[i]);
-                
-                if (academicA && academicA.connections) {
-                    for (let j = i + 1; j < academic.connections.length; j++) {
-                        const connectionB = academic.connections[j];
-                        
-                        // Check if academicA is connected to connectionB
-                        if (academicA.connections.includes(connectionB)) {
-                            // Add link between these connections
-                            links.push({
-                                source: academic.connections[i],
-                                target: connectionB,
-                                value: 0.5,
-                                dashed: true
-                            });
-                        }
-                    }
-                }
-            }
-        }
+    if (typeof NetworkLayoutWorker === 'function' && networkSimulation instanceof NetworkLayoutWorker) {
+        networkSimulation.update(networkData.nodes, networkData.links, 1, forces);
+    } else {
+        setNetworkForces(networkSimulation, networkData.links, forces);
+        networkSimulation.alpha(1).restart();
     }
     
-    // Visualize the network
-    visualizeNetwork({ nodes, links }, `Network for ${academic.name}`);
+    console.log(`Arranged network: ${NETWORK_ARRANGEMENTS[arrangement].label}`);
 }
 
 /**
- * Visualize a network
- * @param {Object} data - Network data with nodes and links
- * @param {string} title - Visualization title
+ * Add the layout switcher: force-directed, hierarchical lineage, radial or taxonomy clusters
+ * @param {HTMLElement} container - Visualization container
  */
-function visualizeNetwork(data, title = 'Network Visualization') {
-    // Validate data
-    if (!data || !data.nodes || !data.links) {
-        console.error('Invalid network data');
+function addNetworkArrangementControl(container) {
+    const panel = document.createElement('div');
+    panel.className = 'network-filters network-arrangements';
+    
+    const field = document.createElement('label');
+    field.className = 'network-filter';
+    field.textContent = 'Arrange: ';
+    
+    const select = document.createElement('select');
+    for (const arrangement in NETWORK_ARRANGEMENTS) {
+        const option = document.createElement('option');
+        option.value = arrangement;
+        option.textContent = NETWORK_ARRANGEMENTS[arrangement].label;
+        option.selected = arrangement === networkArrangement;
+        select.appendChild(option);
+    }
+    
+    select.addEventListener('change', () => setNetworkArrangement(select.value));
+    field.appendChild(select);
+    panel.appendChild(field);
+    
+    container.appendChild(panel);
+}
+
+/**
+ * Show how far the layout has got, removing the indicator once it is done
+ * @param {number} progress - Share of the layout done, from 0 to 1
+ */
+function showLayoutProgress(progress) {
+    const container = document.getElementById('visualization-container');
+    if (!container) return;
+    
+    let indicator = container.querySelector('.network-progress');
+    
+    if (progress >= 1) {
+        if (indicator) {
+            indicator.remove();
+        }
         return;
     }
     
-    console.log(`Visualizing network with ${data.nodes.length} nodes and ${data.links.length} links`);
+    if (!indicator) {
+        indicator = document.createElement('div');
+        indicator.className = 'network-progress';
+        indicator.setAttribute('role', 'progressbar');
+        indicator.setAttribute('aria-valuemin', '0');
+        indicator.setAttribute('aria-valuemax', '100');
+        container.appendChild(indicator);
+    }
     
-    // Make sure the visualization container is initialized
-    if (!networkSvg) {
-        initializeNetworkVisualization();
+    const percent = Math.round(progress * 100);
+    indicator.setAttribute('aria-valuenow', String(percent));
+    indicator.textContent = `Computing layout... ${percent}%`;
+}
+
+/**
+ * Fix a node at a position, or release it, in whichever simulation runs the layout
+ * @param {Object} node - Node data
+ * @param {number|null} x - X to fix the node at (null to release it)
+ * @param {number|null} y - Y to fix the node at (null to release it)
+ */
+function fixNetworkNode(node, x, y) {
+    node.fx = x;
+    node.fy = y;
+    
+    if (typeof NetworkLayoutWorker === 'function' && networkSimulation instanceof NetworkLayoutWorker) {
+        networkSimulation.fix(node);
+    }
+}
+
+/**
+ * Pin a node where it is, or unpin it
+ * Pinned nodes stay in place until they are unpinned, and are saved as pinned in layouts
+ * @param {Object} node - Node data
+ */
+function togglePinNode(node) {
+    node.fixed = !node.fixed;
+    
+    if (node.fixed) {
+        fixNetworkNode(node, node.x, node.y);
+    } else {
+        fixNetworkNode(node, null, null);
         
-        if (!networkSvg) {
-            console.error('Failed to initialize network visualization');
-            return;
+        // Let the node settle among its neighbors again
+        if (networkSimulation) {
+            networkSimulation.alpha(0.1).restart();
         }
     }
     
-    // Get the container
-    const container = document.getElementById('visualization-container');
-    if (!container) {
-        console.warn('Visualization container not found');
-        return;
+    if (networkCanvas) {
+        networkCanvas.requestDraw();
+    } else if (networkNodes) {
+        networkNodes.attr('stroke', networkNodeStroke)
+                    .attr('stroke-width', d => networkNodeStroke(d) === 'none' ? 0 : 2);
     }
+}
+
+/**
+ * Get the outline color of a node: white when selected, yellow when pinned
+ * @param {Object} node - Node data
+ * @returns {string} Stroke color, or 'none'
+ */
+function networkNodeStroke(node) {
+    if (node.selected) return '#fff';
+    return node.fixed ? NETWORK_PINNED_COLOR : 'none';
+}
+
+/**
+ * Get the positions of the nodes shown, to save as a layout
+ * @returns {Object} Node ID -> { x, y, pinned }
+ */
+function getNetworkPositions() {
+    const positions = {};
     
-    // Make the container visible
-    container.style.display = 'block';
+    (networkData ? networkData.nodes : []).forEach(d => {
+        positions[d.id] = { x: d.x, y: d.y, pinned: !!d.fixed };
+    });
     
-    // Reset zoom
-    networkSvg.transition().duration(750).call(
-        d3.zoom().transform,
-        d3.zoomIdentity
-    );
+    return positions;
+}
+
+/**
+ * Move nodes to the positions of a saved layout, pinning those saved as pinned
+ * Nodes the layout does not include are left where they are
+ * @param {Array} nodes - Node data (modified)
+ * @param {Object} layout - Saved layout
+ * @returns {number} Number of nodes placed
+ */
+function placeNetworkNodes(nodes, layout) {
+    let placed = 0;
     
-    // Update container size in case it has changed
-    networkWidth = container.clientWidth;
-    networkHeight = container.clientHeight;
+    nodes.forEach(d => {
+        const position = layout.positions[d.id];
+        if (!position) return;
+        
+        d.x = position.x;
+        d.y = position.y;
+        d.vx = 0;
+        d.vy = 0;
+        d.fixed = !!position.pinned;
+        d.fx = d.fixed ? position.x : null;
+        d.fy = d.fixed ? position.y : null;
+        placed++;
+    });
     
-    networkSvg.attr('width', networkWidth)
-              .attr('height', networkHeight);
+    return placed;
+}
+
+/**
+ * Restore a saved layout in the network shown
+ * @param {Object} layout - Saved layout
+ */
+function applyNetworkLayout(layout) {
+    if (!networkData || !networkSimulation || !layout) return;
     
-    // Store the data
-    networkData = data;
+    const placed = placeNetworkNodes(networkData.nodes, layout);
     
-    // Add title
-    container.querySelector('.visualization-title')?.remove();
-    const titleElement = document.createElement('h3');
-    titleElement.className = 'visualization-title';
-    titleElement.textContent = title;
-    container.appendChild(titleElement);
+    // Hold the layout still rather than letting the forces move it again
+    if (typeof NetworkLayoutWorker === 'function' && networkSimulation instanceof NetworkLayoutWorker) {
+        networkSimulation.update(networkData.nodes, networkData.links, 0);
+    } else {
+        networkSimulation.alpha(0);
+    }
     
-    // Add close button if not already present
-    if (!container.querySelector('.close-visualization-btn')) {
-        const closeButton = document.createElement('button');
-        closeButton.className = 'close-visualization-btn';
-        closeButton.innerHTML = '×';
-        closeButton.title = 'Close visualization';
-        closeButton.setAttribute('aria-label', 'Close visualization');
-        closeButton.addEventListener('click', () => {
-            container.style.display = 'none';
+    ticked();
+    
+    if (networkNodes) {
+        networkNodes.attr('stroke', networkNodeStroke)
+                    .attr('stroke-width', d => networkNodeStroke(d) === 'none' ? 0 : 2);
+    }
+    
+    console.log(`Restored layout "${layout.name}" (${placed} of ${networkData.nodes.length} nodes placed)`);
+}
+
+/**
+ * Add the panel to save the layout of a view under a name, and to restore or delete saved layouts
+ * @param {HTMLElement} container - Visualization container
+ * @param {string} viewKey - View key
+ * @param {Object|null} current - Layout restored when the view was drawn
+ */
+function addNetworkLayoutControls(container, viewKey, current) {
+    const panel = document.createElement('div');
+    panel.className = 'network-filters network-layouts';
+    
+    const field = document.createElement('label');
+    field.className = 'network-filter';
+    field.textContent = 'Layout: ';
+    
+    const select = document.createElement('select');
+    field.appendChild(select);
+    panel.appendChild(field);
+    
+    // List the saved layouts, selecting one by name
+    const listLayouts = selected => {
+        select.innerHTML = '';
+        
+        const unsaved = document.createElement('option');
+        unsaved.value = '';
+        unsaved.textContent = 'Unsaved';
+        select.appendChild(unsaved);
+        
+        databaseManager.getLayouts(viewKey).forEach(layout => {
+            const option = document.createElement('option');
+            option.value = layout.name;
+            option.textContent = layout.name;
+            option.selected = layout.name === selected;
+            select.appendChild(option);
         });
-        container.appendChild(closeButton);
+    };
+    
+    listLayouts(current ? current.name : null);
+    
+    select.addEventListener('change', () => {
+        if (select.value) {
+            applyNetworkLayout(databaseManager.getLayout(viewKey, select.value));
+        }
+    });
+    
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'network-layout-name';
+    nameInput.placeholder = 'Layout name';
+    nameInput.setAttribute('aria-label', 'Layout name');
+    nameInput.value = current ? current.name : '';
+    panel.appendChild(nameInput);
+    
+    const saveButton = document.createElement('button');
+    saveButton.className = 'action-btn';
+    saveButton.textContent = 'Save Layout';
+    saveButton.addEventListener('click', () => {
+        const layout = databaseManager.saveLayout(viewKey, nameInput.value, getNetworkPositions());
+        
+        if (layout) {
+            listLayouts(layout.name);
+        } else {
+            nameInput.focus();
+        }
+    });
+    panel.appendChild(saveButton);
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.className = 'action-btn';
+    deleteButton.textContent = 'Delete';
+    deleteButton.addEventListener('click', () => {
+        if (select.value && databaseManager.deleteLayout(viewKey, select.value)) {
+            listLayouts(null);
+        }
+    });
+    panel.appendChild(deleteButton);
+    
+    const hint = document.createElement('span');
+    hint.className = 'network-filter-hint';
+    hint.textContent = 'Double-click a node or press P to pin it';
+    panel.appendChild(hint);
+    
+    container.appendChild(panel);
+}
+
+/**
+ * Size and color nodes by the graph analytics of the whole database
+ * @param {Array} nodes - Node data (modified)
+ * @param {Object} options - sizeBy (a metric in GRAPH_METRICS) and colorBy ('community' colors by community)
+ */
+function applyGraphMetrics(nodes, options) {
+    const sizeBy = typeof GRAPH_METRICS !== 'undefined' && GRAPH_METRICS[options.sizeBy] ? options.sizeBy : null;
+    
+    if ((!sizeBy && options.colorBy !== 'community') || typeof databaseManager === 'undefined') {
+        return;
     }
     
-    // Clear previous visualization
-    const networkContainer = networkSvg.select('g.network-container');
-    networkContainer.selectAll('*').remove();
+    const analytics = databaseManager.getGraphAnalytics();
+    const largest = sizeBy
+        ? Math.max(0, ...nodes.map(d => (analytics.metrics.has(d.id) ? analytics.metrics.get(d.id)[sizeBy] : 0)))
+        : 0;
     
-    // Create a color scale based on node groups
-    const color = d3.scaleOrdinal()
-        .domain(['main', 'connection', 'related', 'match'])
-        .range(['#0f0', '#0a0', '#050', '#0c0']);
-    
-    // Create links
-    networkLinks = networkContainer.append('g')
-        .attr('class', 'links')
-        .selectAll('line')
-        .data(data.links)
-        .enter()
-        .append('line')
-        .attr('stroke', '#0a0')
+    nodes.forEach(d => {
+        const metrics = analytics.metrics.get(d.id);
+        
+        if (options.colorBy === 'community') {
+            d.colorKey = metrics ? analytics.communities[metrics.community].label : NETWORK_UNKNOWN_LABEL;
+        }
+        
+        if (metrics && largest > 0) {
+            d.radius = 6 + 14 * metrics[sizeBy] / largest;
+        }
+    });
+}
+
+/**
+ * Style newly entered network links
+ * @param {Object} links - D3 selection of entered link lines
+ * @returns {Object} The selection
+ */
+function styleNetworkLinks(links) {
+    links
+        .attr('stroke', d => linkStyle(d).color)
         .attr('stroke-opacity', 0.6)
         .attr('stroke-width', d => Math.sqrt(d.value) * 2)
-        .attr('stroke-dasharray', d => d.dashed ? '5,5' : 'none')
-        .attr('class', 'network-link')
-        .attr('marker-end', d => d.directed ? 'url(#arrowhead)' : '');
-    
-    // Create nodes
-    networkNodes = networkContainer.append('g')
-        .attr('class', 'nodes')
-        .selectAll('circle')
-        .data(data.nodes)
-        .enter()
-        .append('circle')
+        .attr('stroke-dasharray', d => d.dashed ? '5,5' : linkStyle(d).dash)
+        .attr('class', d => d.type ? `network-link relationship-${d.type}` : 'network-link')
+        .attr('marker-end', d => {
+            if (!d.directed) return '';
+            return RELATIONSHIP_LINK_STYLES[d.type] ? `url(#arrowhead-${d.type})` : 'url(#arrowhead)';
+        });
+    
+    // Show relationship labels on hover
+    links.filter(d => d.label)
+        .append('title')
+        .text(d => d.label);
+    
+    return links;
+}
+
+/**
+ * Style newly entered network nodes; stubs (academics not in the database) are drawn hollow
+ * @param {Object} nodes - D3 selection of entered node circles
+ * @returns {Object} The selection
+ */
+function styleNetworkNodes(nodes) {
+    return nodes
         .attr('r', d => d.radius || (d.group === 'main' ? 15 : 10))
-        .attr('fill', d => color(d.group))
-        .attr('stroke', 'none')
-        .attr('class', 'network-node')
+        .attr('fill', networkColorOf)
+        .attr('fill-opacity', d => d.stub ? 0.3 : 1)
+        .attr('stroke', networkNodeStroke)
+        .attr('stroke-width', d => networkNodeStroke(d) === 'none' ? 0 : 2)
+        .attr('stroke-dasharray', d => d.stub ? '2,2' : null)
+        .attr('class', d => d.stub ? 'network-node network-stub' : 'network-node')
         .attr('tabindex', -1) // Make nodes focusable programmatically
         .call(d3.drag()
             .on('start', dragStarted)
             .on('drag', dragged)
             .on('end', dragEnded))
         .on('click', clicked)
+        .on('dblclick', doubleClicked)
         .on('mouseover', mouseOver)
         .on('mouseout', mouseOut);
-    
-    // Add labels to nodes
-    networkLabels = networkContainer.append('g')
-        .attr('class', 'labels')
-        .selectAll('text')
-        .data(data.nodes)
-        .enter()
-        .append('text')
-        .text(d => d.id)
+}
+
+/**
+ * Style newly entered network labels
+ * @param {Object} labels - D3 selection of entered label texts
+ * @returns {Object} The selection
+ */
+function styleNetworkLabels(labels) {
+    return labels
+        .text(d => d.name || d.id)
         .attr('font-size', '12px')
         .attr('dx', 15)
         .attr('dy', 4)
-        .attr('fill', '#0f0')
+        .attr('fill', d => d.stub ? NETWORK_UNKNOWN_COLOR : '#0f0')
         .attr('class', 'network-label');
-    
-    // Create force simulation
-    networkSimulation = d3.forceSimulation(data.nodes)
-        .force('link', d3.forceLink(data.links).id(d => d.id).distance(100))
-        .force('charge', d3.forceManyBody().strength(-400))
-        .force('center', d3.forceCenter(networkWidth / 2, networkHeight / 2))
-        .force('collision', d3.forceCollide().radius(d => (d.radius || 10) + 5))
-        .on('tick', ticked);
-    
-    // Add legend
-    addNetworkLegend(networkContainer, color);
-    
-    console.log('Network visualization created');
+}
+
+/**
+ * Get the stroke style of a link
+ * @param {Object} link - Link data
+ * @returns {Object} Style with color and dash pattern
+ */
+function linkStyle(link) {
+    return RELATIONSHIP_LINK_STYLES[link.type] || { color: '#0a0', dash: 'none' };
 }
 
 /**
  * Add a legend to the network visualization
  * @param {Object} container - D3 selection of the container
  * @param {Function} colorScale - D3 color scale function
+ * @param {Array} links - Links shown, used to list the relationship types present
+ * @param {Array} legendItems - Node colors to list ({ text, group }, group being the color scale key)
  */
-function addNetworkLegend(container, colorScale) {
+function addNetworkLegend(container, colorScale, links = [], legendItems = NETWORK_GROUP_LEGEND) {
     const legend = container.append('g')
         .attr('class', 'legend')
         .attr('transform', 'translate(20, 20)');
     
-    const legendItems = [
-        { text: 'Main Academic', group: 'main' },
-        { text: 'Direct Connection', group: 'connection' },
-        { text: 'Related Academic', group: 'related' },
-        { text: 'Search Match', group: 'match' }
-    ];
-    
     // Add legend items
     legendItems.forEach((item, i) => {
         const legendItem = legend.append('g')
@@ -405,6 +1589,31 @@ function addNetworkLegend(container, colorScale) {
             .text(item.text);
     });
     
+    // Add relationship types present in the network
+    const relationshipTypes = Array.from(new Set(links.map(link => link.type)))
+        .filter(type => RELATIONSHIP_LINK_STYLES[type]);
+    
+    relationshipTypes.forEach((type, i) => {
+        const style = RELATIONSHIP_LINK_STYLES[type];
+        const definition = typeof RELATIONSHIP_TYPES !== 'undefined' ? RELATIONSHIP_TYPES[type] : null;
+        const legendItem = legend.append('g')
+            .attr('transform', `translate(0, ${(legendItems.length + i) * 20})`);
+        
+        legendItem.append('line')
+            .attr('x1', -6)
+            .attr('x2', 6)
+            .attr('stroke', style.color)
+            .attr('stroke-width', 2)
+            .attr('stroke-dasharray', style.dash);
+        
+        legendItem.append('text')
+            .attr('x', 15)
+            .attr('y', 4)
+            .attr('font-size', '12px')
+            .attr('fill', style.color)
+            .text(definition ? (definition.label || definition.outgoing) : (type === AFFILIATION_LINK_TYPE ? 'Affiliated with' : type));
+    });
+    
     // Add background to make legend more readable
     const bbox = legend.node().getBBox();
     legend.insert('rect', ':first-child')
@@ -421,6 +1630,17 @@ function addNetworkLegend(container, colorScale) {
  * Handle force-directed layout ticks
  */
 function ticked() {
+    // Keep nodes inside the boundaries
+    networkData.nodes.forEach(d => {
+        d.x = Math.max(d.radius || 10, Math.min(networkWidth - (d.radius || 10), d.x));
+        d.y = Math.max(d.radius || 10, Math.min(networkHeight - (d.radius || 10), d.y));
+    });
+    
+    if (networkCanvas) {
+        networkCanvas.requestDraw();
+        return;
+    }
+    
     // Update link positions
     networkLinks
         .attr('x1', d => d.source.x)
@@ -428,14 +1648,10 @@ function ticked() {
         .attr('x2', d => d.target.x)
         .attr('y2', d => d.target.y);
     
-    // Update node positions with boundary constraints
+    // Update node positions
     networkNodes
-        .attr('cx', d => {
-            return d.x = Math.max(d.radius || 10, Math.min(networkWidth - (d.radius || 10), d.x));
-        })
-        .attr('cy', d => {
-            return d.y = Math.max(d.radius || 10, Math.min(networkHeight - (d.radius || 10), d.y));
-        });
+        .attr('cx', d => d.x)
+        .attr('cy', d => d.y);
     
     // Update label positions
     networkLabels
@@ -454,26 +1670,61 @@ function clicked(event, d) {
     
     console.log(`Node clicked: ${d.id}`);
     
+    if (!activateNetworkNode(d)) {
+        return;
+    }
+    
+    // Fix the node position
+    fixNetworkNode(d, d.x, d.y);
+    
+    // Clear the fixed position after a delay to allow movement again, unless the node was pinned
+    setTimeout(() => {
+        if (!d.fixed) {
+            fixNetworkNode(d, null, null);
+        }
+    }, 3000);
+}
+
+/**
+ * Handle double click on node: pin or unpin it
+ * @param {Event} event - Double click event
+ * @param {Object} d - Node data
+ */
+function doubleClicked(event, d) {
+    // Keep the zoom behavior from zooming in
+    event.stopPropagation();
+    event.preventDefault();
+    
+    togglePinNode(d);
+}
+
+/**
+ * Open a node, from a click or the keyboard
+ * Institutions list their academics; academics are expanded in ego networks and displayed
+ * @param {Object} node - Node data
+ * @returns {boolean} Whether the node is an academic
+ */
+function activateNetworkNode(node) {
     // Highlight connections
-    highlightConnections(d);
+    highlightConnections(node);
+    
+    // Institutions list the academics affiliated with them
+    if (node.group === 'institution') {
+        showInstitutionAcademics(node);
+        return false;
+    }
+    
+    expandNetworkNode(node);
     
     // Attempt to display academic info if available
     if (typeof displayAcademic === 'function' && typeof databaseManager !== 'undefined') {
-        const academic = databaseManager.getAcademic(d.id);
+        const academic = databaseManager.getAcademic(node.id);
         if (academic) {
             displayAcademic(academic);
         }
     }
     
-    // Fix the node position
-    d.fx = d.x;
-    d.fy = d.y;
-    
-    // Clear the fixed position after a delay to allow movement again
-    setTimeout(() => {
-        d.fx = null;
-        d.fy = null;
-    }, 3000);
+    return true;
 }
 
 /**
@@ -481,15 +1732,10 @@ function clicked(event, d) {
  * @param {Object} node - Node data
  */
 function highlightConnections(node) {
-    if (!networkLinks || !networkNodes || !networkLabels) return;
+    if (!networkData) return;
     
     console.log(`Highlighting connections for ${node.id}`);
     
-    // Reset all node and link appearances
-    networkNodes.attr('opacity', 1);
-    networkLinks.attr('stroke-opacity', 0.6);
-    networkLabels.attr('opacity', 1);
-    
     // Get connected nodes
     const connectedNodeIds = new Set();
     
@@ -497,7 +1743,7 @@ function highlightConnections(node) {
     connectedNodeIds.add(node.id);
     
     // Add directly connected nodes
-    networkLinks.each(function(d) {
+    networkData.links.forEach(d => {
         if (d.source.id === node.id) {
             connectedNodeIds.add(d.target.id);
         } else if (d.target.id === node.id) {
@@ -505,14 +1751,37 @@ function highlightConnections(node) {
         }
     });
     
-    // Highlight nodes and links
-    networkNodes.attr('opacity', d => connectedNodeIds.has(d.id) ? 1 : 0.2);
+    applyNetworkHighlight(connectedNodeIds, d => d.source.id === node.id || d.target.id === node.id);
+}
+
+/**
+ * Highlight a path between two academics, in the same way as a node's connections
+ * @param {Object} path - Path from ConnectionGraph
+ */
+function highlightPath(path) {
+    if (!networkData) return;
     
-    networkLinks.attr('stroke-opacity', d => 
-        (d.source.id === node.id || d.target.id === node.id) ? 1 : 0.1
-    );
+    const linkKeys = new Set(path.steps.flatMap(step => step.links.map(networkLinkKey)));
     
-    networkLabels.attr('opacity', d => connectedNodeIds.has(d.id) ? 1 : 0.2);
+    applyNetworkHighlight(new Set(path.ids), d => linkKeys.has(networkLinkKey(d)));
+}
+
+/**
+ * Dim every node and link outside a highlighted set
+ * @param {Set} nodeIds - IDs of the highlighted nodes
+ * @param {Function} isHighlightedLink - Link data -> whether the link is highlighted
+ */
+function applyNetworkHighlight(nodeIds, isHighlightedLink) {
+    if (networkCanvas) {
+        networkCanvas.setHighlight(nodeIds, isHighlightedLink);
+        return;
+    }
+    
+    if (!networkNodes || !networkLinks || !networkLabels) return;
+    
+    networkNodes.attr('opacity', d => nodeIds.has(d.id) ? 1 : 0.2);
+    networkLinks.attr('stroke-opacity', d => isHighlightedLink(d) ? 1 : 0.1);
+    networkLabels.attr('opacity', d => nodeIds.has(d.id) ? 1 : 0.2);
 }
 
 /**
@@ -538,8 +1807,8 @@ function mouseOver(event, d) {
 function mouseOut(event, d) {
     // Reset node appearance
     d3.select(this)
-        .attr('stroke', d.selected ? '#fff' : 'none')
-        .attr('stroke-width', d.selected ? 2 : 0);
+        .attr('stroke', networkNodeStroke(d))
+        .attr('stroke-width', networkNodeStroke(d) === 'none' ? 0 : 2);
     
     // Hide tooltip
     hideTooltip();
@@ -576,7 +1845,7 @@ function showTooltip(event, d) {
     }
     
     // Get academic information if available
-    let tooltipContent = `<div><strong>${d.id}</strong></div>`;
+    let tooltipContent = `<div><strong>${d.name || d.id}</strong></div>`;
     
     if (typeof databaseManager !== 'undefined') {
         const academic = databaseManager.getAcademic(d.id);
@@ -590,9 +1859,27 @@ function showTooltip(event, d) {
             if (academic.connections) {
                 tooltipContent += `<div>Connections: ${academic.connections.length}</div>`;
             }
+            
+            const metrics = typeof databaseManager.getGraphAnalytics === 'function'
+                ? databaseManager.getGraphAnalytics().metrics.get(academic.id)
+                : null;
+            
+            if (metrics && metrics.bridge) {
+                tooltipContent += '<div>Bridge between communities</div>';
+            }
+            
+            if (networkData && networkData.expandable && !d.expanded) {
+                tooltipContent += '<div>Click to expand</div>';
+            }
         }
     }
     
+    if (d.stub) {
+        tooltipContent += '<div>Not in the database (stub)</div>';
+    }
+    
+    tooltipContent += d.fixed ? '<div>Pinned (double-click to unpin)</div>' : '<div>Double-click to pin</div>';
+    
     // Set tooltip content
     tooltip.innerHTML = tooltipContent;
     
@@ -623,8 +1910,7 @@ function dragStarted(event, d) {
     if (!networkSimulation) return;
     
     if (!event.active) networkSimulation.alphaTarget(0.3).restart();
-    d.fx = d.x;
-    d.fy = d.y;
+    fixNetworkNode(d, d.x, d.y);
 }
 
 /**
@@ -633,8 +1919,7 @@ function dragStarted(event, d) {
  * @param {Object} d - Node data
  */
 function dragged(event, d) {
-    d.fx = event.x;
-    d.fy = event.y;
+    fixNetworkNode(d, event.x, event.y);
 }
 
 /**
@@ -647,14 +1932,17 @@ function dragEnded(event, d) {
     
     if (!event.active) networkSimulation.alphaTarget(0);
     
-    // Only remove fixed position if not selected
+    // Only remove fixed position if not pinned
     if (!d.fixed) {
-        d.fx = null;
-        d.fy = null;
+        fixNetworkNode(d, null, null);
     }
 }
 
 // Make functions globally available
 window.initializeNetworkVisualization = initializeNetworkVisualization;
 window.visualizeAcademic = visualizeAcademic;
+window.buildEgoNetwork = buildEgoNetwork;
 window.visualizeNetwork = visualizeNetwork;
+window.buildFullNetwork = buildFullNetwork;
+window.visualizeFullNetwork = visualizeFullNetwork;
+window.visualizePaths = visualizePaths;
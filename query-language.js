@@ -0,0 +1,359 @@
+/**
+ * Query Language for KillPhilosophy
+ * Parses structured terminal searches such as
+ * discipline:Philosophy AND (theme:Power OR theme:Ethics) -era:Ancient year:1960..1980 coauthor:Guattari
+ * alive:1968 born:500bce..300bce
+ * and evaluates them against academic records
+ */
+
+/**
+ * Error raised for malformed queries
+ * The position is the character offset in the query where the problem was found
+ */
+class QuerySyntaxError extends Error {
+    constructor(message, position) {
+        super(position === undefined ? message : `${message} at position ${position + 1}`);
+        this.name = 'QuerySyntaxError';
+        this.position = position;
+    }
+}
+
+// Fields whose value is a year or a year range (1960..1980, 1960.., ..1980, 428bce, -428)
+const QUERY_YEAR_FIELDS = ['year', 'born', 'died', 'alive'];
+
+/**
+ * Check whether a year falls within a term's range
+ * @param {number} year - Year to check
+ * @param {Object} term - Term with from/to bounds (either may be null)
+ * @returns {boolean} Whether the year is in range
+ */
+function yearInRange(year, term) {
+    if (typeof year !== 'number') {
+        return false;
+    }
+    
+    return (term.from === null || year >= term.from) && (term.to === null || year <= term.to);
+}
+
+/**
+ * Check whether a span of years overlaps a term's range
+ * @param {number} startYear - First year of the span
+ * @param {number|null} endYear - Last year of the span (null for a single year)
+ * @param {Object} term - Term with from/to bounds (either may be null)
+ * @returns {boolean} Whether any year of the span is in range
+ */
+function yearSpanInRange(startYear, endYear, term) {
+    if (typeof startYear !== 'number') {
+        return false;
+    }
+    
+    const end = typeof endYear === 'number' ? endYear : startYear;
+    return (term.from === null || end >= term.from) && (term.to === null || startYear <= term.to);
+}
+
+/**
+ * Substring match ignoring case and accents
+ * @param {string} text - Text to search
+ * @param {string} value - Value to look for (already folded)
+ * @returns {boolean} Whether the text contains the value
+ */
+function textContains(text, value) {
+    return typeof text === 'string' && foldDiacritics(text).includes(value);
+}
+
+/**
+ * Matchers for the fields the query language understands
+ * Each is called with the academic, the term and the works the academic authored.
+ * Any other field is treated as a taxonomy category (discipline, theme, ...)
+ */
+const QUERY_FIELD_MATCHERS = {
+    name: (academic, term) => [academic.name, ...(academic.aliases || [])].some(name => textContains(name, term.value)),
+    bio: (academic, term) => textContains(academic.bio, term.value),
+    taxonomy: (academic, term) => Object.values(academic.taxonomies || {}).some(values => (
+        values.some(value => foldDiacritics(value) === term.value)
+    )),
+    year: (academic, term, works) => [...works, ...(academic.events || [])].some(item => (
+        yearSpanInRange(item.year, item.endYear, term)
+    )),
+    born: (academic, term) => yearInRange(academic.birthYear, term),
+    died: (academic, term) => yearInRange(academic.deathYear, term),
+    alive: (academic, term) => isAliveIn(academic, term.from, term.to),
+    paper: (academic, term, works) => works.some(work => (
+        [work, ...(work.translations || [])].some(version => textContains(version.title, term.value))
+    )),
+    coauthor: (academic, term, works) => works.some(work => (
+        work.authors.some(author => author.id !== academic.id && textContains(author.name, term.value))
+    )),
+    event: (academic, term) => (academic.events || []).some(event => (
+        textContains(event.title, term.value) || textContains(event.location, term.value)
+    )),
+    institution: (academic, term) => (academic.affiliations || []).some(affiliation => (
+        textContains(affiliation.institution, term.value)
+    )),
+    connection: (academic, term) => (academic.connections || []).some(connection => (
+        textContains(connection.name, term.value)
+    )),
+    relationship: (academic, term) => (academic.connections || []).some(connection => connection.type === term.value)
+};
+
+/**
+ * Split a query into tokens
+ * Tokens are parentheses, the operators AND / OR / NOT (or a leading "-"), and terms.
+ * A term is a bare word or field:value; values may be quoted to include spaces.
+ * @param {string} input - Query text
+ * @returns {Array} Tokens with type, position and (for terms) field and value
+ */
+function tokenizeQuery(input) {
+    const tokens = [];
+    let i = 0;
+    
+    while (i < input.length) {
+        const ch = input[i];
+        
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        
+        if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch === '(' ? 'lparen' : 'rparen', position: i });
+            i++;
+            continue;
+        }
+        
+        // "-term" negates the term that follows
+        if (ch === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+            tokens.push({ type: 'not', position: i });
+            i++;
+            continue;
+        }
+        
+        const start = i;
+        let field = null;
+        let value = '';
+        let quoted = false;
+        
+        while (i < input.length && !/[\s()]/.test(input[i])) {
+            if (input[i] === '"') {
+                const end = input.indexOf('"', i + 1);
+                if (end === -1) {
+                    throw new QuerySyntaxError('Unterminated quote', i);
+                }
+                
+                value += input.slice(i + 1, end);
+                quoted = true;
+                i = end + 1;
+            } else if (input[i] === ':' && field === null && value !== '' && !quoted) {
+                field = value.toLowerCase();
+                value = '';
+                i++;
+            } else {
+                value += input[i];
+                i++;
+            }
+        }
+        
+        if (field === null && !quoted && ['AND', 'OR', 'NOT'].includes(value)) {
+            tokens.push({ type: value.toLowerCase(), position: start });
+        } else if (field !== null && value === '') {
+            throw new QuerySyntaxError(`Missing value for "${field}"`, start);
+        } else {
+            tokens.push({ type: 'term', field, value, position: start });
+        }
+    }
+    
+    return tokens;
+}
+
+/**
+ * Parse a query into an expression tree
+ * Precedence, from loosest to tightest: OR, AND (also implied between adjacent terms), NOT.
+ * Nodes are { type: 'or' | 'and', clauses }, { type: 'not', clause } and
+ * { type: 'term', field, value, from, to }.
+ * @param {string} input - Query text
+ * @param {Array} taxonomyCategories - Taxonomy categories accepted as fields
+ * @returns {Object} Expression tree
+ * @throws {QuerySyntaxError} If the query is malformed or uses an unknown field
+ */
+function parseQuery(input, taxonomyCategories = TAXONOMY_CATEGORIES) {
+    const tokens = tokenizeQuery(input || '');
+    let index = 0;
+    
+    if (tokens.length === 0) {
+        throw new QuerySyntaxError('Empty query');
+    }
+    
+    const peek = () => tokens[index];
+    
+    const describe = (token) => {
+        if (!token) return 'end of query';
+        if (token.type === 'lparen') return '"("';
+        if (token.type === 'rparen') return '")"';
+        return `"${token.type.toUpperCase()}"`;
+    };
+    
+    const parseTerm = (token) => {
+        const term = { type: 'term', field: token.field, value: foldDiacritics(token.value), from: null, to: null };
+        
+        if (term.field === null) {
+            return term;
+        }
+        
+        if (QUERY_YEAR_FIELDS.includes(term.field)) {
+            const match = token.value.match(/^(-?\d+(?:bce|bc|ce|ad)?)?(?:\.\.(-?\d+(?:bce|bc|ce|ad)?)?)?$/i);
+            const isRange = token.value.includes('..');
+            const from = match && match[1] ? toYear(match[1]) : null;
+            const to = match && match[2] ? toYear(match[2]) : null;
+            
+            if (!match || (!match[1] && !match[2]) || (match[1] && from === null) || (match[2] && to === null)) {
+                throw new QuerySyntaxError(`Invalid year "${token.value}" for "${term.field}"`, token.position);
+            }
+            
+            term.from = from;
+            term.to = isRange ? to : from;
+            
+            if (term.from !== null && term.to !== null && term.to < term.from) {
+                throw new QuerySyntaxError(`Year range "${token.value}" ends before it starts`, token.position);
+            }
+        } else if (!QUERY_FIELD_MATCHERS[term.field] && !taxonomyCategories.includes(term.field)) {
+            throw new QuerySyntaxError(`Unknown field "${term.field}"`, token.position);
+        }
+        
+        return term;
+    };
+    
+    const parseUnary = () => {
+        const token = peek();
+        
+        if (!token) {
+            throw new QuerySyntaxError('Unexpected end of query', input.length);
+        }
+        
+        if (token.type === 'not') {
+            index++;
+            return { type: 'not', clause: parseUnary() };
+        }
+        
+        if (token.type === 'lparen') {
+            index++;
+            const expression = parseOr();
+            
+            if (!peek() || peek().type !== 'rparen') {
+                throw new QuerySyntaxError(`Expected ")" but found ${describe(peek())}`, peek() ? peek().position : input.length);
+            }
+            
+            index++;
+            return expression;
+        }
+        
+        if (token.type === 'term') {
+            index++;
+            return parseTerm(token);
+        }
+        
+        throw new QuerySyntaxError(`Unexpected ${describe(token)}`, token.position);
+    };
+    
+    const parseAnd = () => {
+        const clauses = [parseUnary()];
+        
+        while (peek() && ['and', 'not', 'lparen', 'term'].includes(peek().type)) {
+            if (peek().type === 'and') {
+                index++;
+            }
+            clauses.push(parseUnary());
+        }
+        
+        return clauses.length === 1 ? clauses[0] : { type: 'and', clauses };
+    };
+    
+    const parseOr = () => {
+        const clauses = [parseAnd()];
+        
+        while (peek() && peek().type === 'or') {
+            index++;
+            clauses.push(parseAnd());
+        }
+        
+        return clauses.length === 1 ? clauses[0] : { type: 'or', clauses };
+    };
+    
+    const expression = parseOr();
+    
+    if (index < tokens.length) {
+        throw new QuerySyntaxError(`Unexpected ${describe(peek())}`, peek().position);
+    }
+    
+    return expression;
+}
+
+/**
+ * Evaluate an expression tree against an academic
+ * Bare terms match the academic's name or aliases
+ * @param {Object} expression - Expression tree from parseQuery
+ * @param {Object} academic - Academic object
+ * @param {Array} works - Works the academic authored
+ * @returns {boolean} Whether the academic matches
+ */
+function evaluateQuery(expression, academic, works = []) {
+    switch (expression.type) {
+        case 'and':
+            return expression.clauses.every(clause => evaluateQuery(clause, academic, works));
+        
+        case 'or':
+            return expression.clauses.some(clause => evaluateQuery(clause, academic, works));
+        
+        case 'not':
+            return !evaluateQuery(expression.clause, academic, works);
+        
+        case 'term': {
+            const field = expression.field || 'name';
+            
+            if (QUERY_FIELD_MATCHERS[field]) {
+                return QUERY_FIELD_MATCHERS[field](academic, expression, works);
+            }
+            
+            const values = (academic.taxonomies && academic.taxonomies[field]) || [];
+            return values.some(value => foldDiacritics(value) === expression.value);
+        }
+        
+        default:
+            return false;
+    }
+}
+
+/**
+ * Collect the values of the positive (non-negated) text terms in an expression tree
+ * Used to highlight and rank matches; year ranges are left out
+ * @param {Object} expression - Expression tree from parseQuery
+ * @returns {Array} Term values
+ */
+function getQueryTerms(expression) {
+    switch (expression.type) {
+        case 'and':
+        case 'or':
+            return expression.clauses.flatMap(getQueryTerms);
+        
+        case 'term':
+            return QUERY_YEAR_FIELDS.includes(expression.field) ? [] : [expression.value];
+        
+        default:
+            return [];
+    }
+}
+
+/**
+ * Check whether a search should be treated as a structured query rather than a name
+ * @param {string} input - Search text
+ * @returns {boolean} Whether the text uses fields, operators, negation or grouping
+ */
+function isStructuredQuery(input) {
+    return /(^|[\s(])-?[A-Za-z]+:|[()]|(^|\s)-\S|\s(AND|OR|NOT)\s|^NOT\s/.test(input || '');
+}
+
+// Make the query language globally available
+window.QuerySyntaxError = QuerySyntaxError;
+window.parseQuery = parseQuery;
+window.evaluateQuery = evaluateQuery;
+window.getQueryTerms = getQueryTerms;
+window.isStructuredQuery = isStructuredQuery;
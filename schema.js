@@ -0,0 +1,1151 @@
+/**
+ * Data Schema for KillPhilosophy
+ * Schema versioning and the ordered migrations that upgrade stored or imported data
+ */
+
+// Current version of the stored data schema
+const SCHEMA_VERSION = 8;
+
+/**
+ * Relationship types between academics
+ * Directed types are read from the owning academic: an outgoing "student-of" on A pointing
+ * at B means A was a student of B; the same relationship seen from B is incoming.
+ */
+const RELATIONSHIP_TYPES = {
+    'student-of': { directed: true, outgoing: 'Student of', incoming: 'Teacher of' },
+    'influenced-by': { directed: true, outgoing: 'Influenced by', incoming: 'Influenced' },
+    'critiqued': { directed: true, outgoing: 'Critiqued', incoming: 'Critiqued by' },
+    'co-authored': { directed: false, label: 'Co-authored with' },
+    'debated': { directed: false, label: 'Debated' },
+    'associated': { directed: false, label: 'Associated with' }
+};
+
+// Standard taxonomy categories of an academic
+const TAXONOMY_CATEGORIES = ['discipline', 'tradition', 'era', 'methodology', 'theme'];
+
+// Relationship type used for connections that predate typed relationships
+const DEFAULT_RELATIONSHIP_TYPE = 'associated';
+
+// Kinds of work an academic can be credited with
+const WORK_TYPES = {
+    book: 'Book',
+    article: 'Article',
+    chapter: 'Chapter',
+    lecture: 'Lecture'
+};
+
+/**
+ * Link types between concepts, read from the concept holding the link: an outgoing "derived-from"
+ * on A pointing at B means A was derived from B
+ */
+const CONCEPT_LINK_TYPES = {
+    'derived-from': { outgoing: 'Derived from', incoming: 'Developed into' },
+    'critiques': { outgoing: 'Critiques', incoming: 'Critiqued by' }
+};
+
+// Words that mark an event title or location as naming an institution (matched without accents)
+const INSTITUTION_NAME_PATTERN = /\b(universit\w*|college|ecole|institut\w*|school|academ\w*|seminary|conservatoire)\b/i;
+
+/**
+ * Turn text into a URL-safe key
+ * Accents are folded first so "Félix Guattari" becomes "felix-guattari"
+ * @param {string} text - Text to convert
+ * @param {string} fallback - Key used when nothing usable is left
+ * @returns {string} Key
+ */
+function keyFromText(text, fallback) {
+    const key = String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim()
+        .replace(/\s+/g, '-')
+        .replace(/[^\w-]/g, '');
+    
+    return key || fallback;
+}
+
+/**
+ * Generate a key for an academic from their name
+ * @param {string} name - Academic name
+ * @returns {string} Key
+ */
+function academicKeyFromName(name) {
+    return keyFromText(name, 'academic');
+}
+
+/**
+ * Generate a key for a work from its title
+ * @param {string} title - Work title
+ * @returns {string} Key
+ */
+function workKeyFromTitle(title) {
+    return keyFromText(title, 'work');
+}
+
+/**
+ * Coerce a value into an array of trimmed, non-empty strings
+ * @param {*} value - String, array or anything else
+ * @returns {Array} Array of strings
+ */
+function toStringArray(value) {
+    if (typeof value === 'string') {
+        value = value.split(',');
+    }
+    
+    if (!Array.isArray(value)) {
+        return [];
+    }
+    
+    return value
+        .filter(item => typeof item === 'string' || typeof item === 'number')
+        .map(item => String(item).trim())
+        .filter(item => item);
+}
+
+// Longest assumed lifespan, used when only one of an academic's birth and death years is known
+const MAXIMUM_LIFESPAN = 100;
+
+/**
+ * Parse a historical year
+ * Years are integers with BCE years negative (there is no year 0), so "428 BCE" is -428.
+ * Approximate years are written "c. 1650", "ca. 1650", "circa 1650", "~1650" or "1650?"
+ * @param {*} value - Year as a number or text
+ * @returns {Object|null} { year, approximate }, or null if the value is not a year
+ */
+function parseHistoricalYear(value) {
+    if (typeof value === 'number') {
+        return Number.isInteger(value) && value !== 0 ? { year: value, approximate: false } : null;
+    }
+    
+    if (typeof value !== 'string') {
+        return null;
+    }
+    
+    // Dots are dropped so "c. 1650" and "428 B.C." read like "c 1650" and "428 BC"
+    const match = value.trim().replace(/\./g, '').replace(/\s+/g, ' ')
+        .match(/^(c|ca|circa|~)?\s*(-?\d{1,4})\s*(\?)?\s*(bce|bc|ce|ad)?$/i);
+    
+    if (!match) {
+        return null;
+    }
+    
+    const number = parseInt(match[2], 10);
+    const isBCE = /^bc/i.test(match[4] || '');
+    
+    if (number === 0 || (isBCE && number < 0)) {
+        return null;
+    }
+    
+    return {
+        year: isBCE ? -number : number,
+        approximate: Boolean(match[1] || match[3])
+    };
+}
+
+/**
+ * Parse a year or a year range such as "1960–1980", "1960-1980", "c. 470–399 BCE" or "1960..1980"
+ * An era written only after the last year applies to both ("470–399 BCE")
+ * @param {*} value - Year or range as a number or text
+ * @returns {Object|null} { year, endYear, approximate } (endYear is null for a single year), or
+ *                        null if the value is not a year or the range ends before it starts
+ */
+function parseYearRange(value) {
+    // Split on dashes between years, but not on the minus sign of a negative year
+    const parts = typeof value === 'string'
+        ? value.trim().split(/\s*(?:–|—|\.\.|\s-\s|(?<=\d)-(?=\d)|\bto\b)\s*/i)
+        : [value];
+    
+    if (parts.length === 1) {
+        const single = parseHistoricalYear(parts[0]);
+        return single ? { year: single.year, endYear: null, approximate: single.approximate } : null;
+    }
+    
+    if (parts.length !== 2) {
+        return null;
+    }
+    
+    const start = parseHistoricalYear(parts[0]);
+    const end = parseHistoricalYear(parts[1]);
+    
+    if (!start || !end) {
+        return null;
+    }
+    
+    if (end.year < 0 && start.year > 0 && !/(bce|bc|ce|ad)\.?$/i.test(parts[0].replace(/\./g, ''))) {
+        start.year = -start.year;
+    }
+    
+    if (end.year < start.year) {
+        return null;
+    }
+    
+    return {
+        year: start.year,
+        endYear: end.year === start.year ? null : end.year,
+        approximate: start.approximate || end.approximate
+    };
+}
+
+/**
+ * Coerce a year-like value (1966, "1966", "c. 1650", "428 BCE") into an integer or null
+ * @param {*} value - Year value
+ * @returns {number|null} Year
+ */
+function toYear(value) {
+    const parsed = parseHistoricalYear(value);
+    return parsed ? parsed.year : null;
+}
+
+/**
+ * Format a historical year for display
+ * @param {number} year - Year (negative for BCE)
+ * @param {boolean} approximate - Whether the year is approximate
+ * @returns {string} e.g. "1966", "c. 1650" or "428 BCE"; empty if there is no year
+ */
+function formatHistoricalYear(year, approximate = false) {
+    if (typeof year !== 'number') {
+        return '';
+    }
+    
+    const text = year < 0 ? `${-year} BCE` : `${year}`;
+    return approximate ? `c. ${text}` : text;
+}
+
+/**
+ * Format a year range for display
+ * @param {number} startYear - First year (negative for BCE)
+ * @param {number} endYear - Last year (optional)
+ * @param {boolean} approximate - Whether the years are approximate
+ * @returns {string} e.g. "1969–1987", "c. 470–399 BCE" or "4 BCE–65 CE"
+ */
+function formatYearRange(startYear, endYear, approximate = false) {
+    if (typeof startYear !== 'number') {
+        return formatHistoricalYear(endYear, approximate);
+    }
+    
+    if (typeof endYear !== 'number' || endYear === startYear) {
+        return formatHistoricalYear(startYear, approximate);
+    }
+    
+    const prefix = approximate ? 'c. ' : '';
+    
+    if (endYear < 0) {
+        return `${prefix}${-startYear}–${-endYear} BCE`;
+    }
+    
+    return startYear < 0
+        ? `${prefix}${-startYear} BCE–${endYear} CE`
+        : `${prefix}${startYear}–${endYear}`;
+}
+
+/**
+ * Format an academic's lifespan
+ * @param {Object} academic - Academic with birthYear, deathYear and their approximate flags
+ * @returns {string} e.g. "1926–1984", "c. 428–348 BCE", "b. 1956" or an empty string
+ */
+function formatLifespan(academic) {
+    const { birthYear, deathYear } = academic;
+    const birth = formatHistoricalYear(birthYear, academic.birthApproximate);
+    const death = formatHistoricalYear(deathYear, academic.deathApproximate);
+    
+    if (birth && death) {
+        if (deathYear < 0) {
+            return `${birth.replace(/ BCE$/, '')}–${death}`;
+        }
+        
+        return birthYear < 0 ? `${birth}–${death} CE` : `${birth}–${death}`;
+    }
+    
+    if (birth) {
+        return `b. ${birth}`;
+    }
+    
+    return death ? `d. ${death}` : '';
+}
+
+/**
+ * Check whether an academic was alive at some point in a year range
+ * When only the birth or the death year is known, the lifespan is assumed to be at most
+ * MAXIMUM_LIFESPAN years; academics with neither are never matched
+ * @param {Object} academic - Academic with birthYear and deathYear
+ * @param {number|null} from - First year of the range (null for no lower bound)
+ * @param {number|null} to - Last year of the range (null for no upper bound; defaults to from)
+ * @returns {boolean} Whether the lifespan overlaps the range
+ */
+function isAliveIn(academic, from, to = from) {
+    const birthYear = typeof academic.birthYear === 'number' ? academic.birthYear : null;
+    const deathYear = typeof academic.deathYear === 'number' ? academic.deathYear : null;
+    
+    if (birthYear === null && deathYear === null) {
+        return false;
+    }
+    
+    const start = birthYear !== null ? birthYear : deathYear - MAXIMUM_LIFESPAN;
+    const end = deathYear !== null ? deathYear : birthYear + MAXIMUM_LIFESPAN;
+    
+    return (from === null || end >= from) && (to === null || start <= to);
+}
+
+/**
+ * Normalize a paper entry
+ * @param {*} paper - Paper object or title string
+ * @returns {Object|null} Paper object or null if unusable
+ */
+function normalizePaper(paper) {
+    if (typeof paper === 'string') {
+        paper = { title: paper };
+    }
+    
+    if (!paper || typeof paper !== 'object' || !paper.title) {
+        return null;
+    }
+    
+    const year = parseHistoricalYear(paper.year);
+    
+    return {
+        ...paper,
+        title: String(paper.title),
+        year: year ? year.year : null,
+        approximate: Boolean(paper.approximate || (year && year.approximate)),
+        coauthors: toStringArray(paper.coauthors)
+    };
+}
+
+/**
+ * Normalize a work record
+ * Authors are references ({ id, name }) to academics, who need not be in the database yet
+ * @param {Object} work - Work object
+ * @returns {Object|null} Work object or null if unusable
+ */
+function normalizeWork(work) {
+    if (!work || typeof work !== 'object' || !work.title) {
+        return null;
+    }
+    
+    const optionalText = value => (value ? String(value).trim() || null : null);
+    const year = parseHistoricalYear(work.year);
+    
+    return {
+        ...work,
+        title: String(work.title).trim(),
+        year: year ? year.year : null,
+        approximate: Boolean(work.approximate || (year && year.approximate)),
+        workType: WORK_TYPES[work.workType] ? work.workType : null,
+        authors: (Array.isArray(work.authors) ? work.authors : [])
+            .filter(author => author && author.id)
+            .map(author => ({ id: String(author.id), name: author.name ? String(author.name) : String(author.id) })),
+        doi: optionalText(work.doi),
+        isbn: optionalText(work.isbn),
+        publisher: optionalText(work.publisher),
+        language: optionalText(work.language),
+        translations: (Array.isArray(work.translations) ? work.translations : [])
+            .filter(translation => translation && translation.title)
+            .map(translation => ({
+                ...translation,
+                title: String(translation.title).trim(),
+                language: optionalText(translation.language),
+                year: toYear(translation.year)
+            }))
+    };
+}
+
+/**
+ * Generate a key for a concept from its name
+ * @param {string} name - Concept name
+ * @returns {string} Key
+ */
+function conceptKeyFromName(name) {
+    return keyFromText(name, 'concept');
+}
+
+/**
+ * Normalize a concept record
+ * The originator is a reference ({ id, name }) to an academic; links point at other concepts
+ * @param {Object} concept - Concept object
+ * @returns {Object|null} Concept object or null if unusable
+ */
+function normalizeConcept(concept) {
+    if (!concept || typeof concept !== 'object' || !concept.name) {
+        return null;
+    }
+    
+    const originator = concept.originator && concept.originator.id
+        ? { id: String(concept.originator.id), name: String(concept.originator.name || concept.originator.id) }
+        : null;
+    
+    return {
+        ...concept,
+        name: String(concept.name).trim(),
+        definition: typeof concept.definition === 'string' ? concept.definition : '',
+        originator,
+        keyWorkIds: toStringArray(concept.keyWorkIds),
+        links: (Array.isArray(concept.links) ? concept.links : [])
+            .filter(link => link && link.id && CONCEPT_LINK_TYPES[link.type])
+            .map(link => ({ id: String(link.id), name: String(link.name || link.id), type: link.type }))
+    };
+}
+
+/**
+ * Get the human-readable label of a link between concepts
+ * @param {Object} link - Concept link
+ * @param {boolean} incoming - Whether the link is seen from the concept it points at
+ * @returns {string} Label, e.g. "Derived from" or "Critiqued by"
+ */
+function describeConceptLink(link, incoming = false) {
+    const definition = CONCEPT_LINK_TYPES[link.type];
+    if (!definition) {
+        return link.type;
+    }
+    
+    return incoming ? definition.incoming : definition.outgoing;
+}
+
+/**
+ * Normalize an institution record
+ * @param {Object} institution - Institution object
+ * @returns {Object|null} Institution object or null if unusable
+ */
+function normalizeInstitution(institution) {
+    if (!institution || typeof institution !== 'object' || !institution.name) {
+        return null;
+    }
+    
+    return {
+        ...institution,
+        name: String(institution.name).trim(),
+        aliases: toStringArray(institution.aliases),
+        placeId: institution.placeId ? String(institution.placeId) : null
+    };
+}
+
+/**
+ * Normalize a place record
+ * @param {Object} place - Place object
+ * @returns {Object|null} Place object or null if unusable
+ */
+function normalizePlace(place) {
+    if (!place || typeof place !== 'object' || !place.name) {
+        return null;
+    }
+    
+    return {
+        ...place,
+        name: String(place.name).trim(),
+        country: place.country ? String(place.country).trim() : null
+    };
+}
+
+/**
+ * Normalize an affiliation of an academic with an institution
+ * @param {Object} affiliation - Affiliation with at least institutionId and institution (name)
+ * @returns {Object} Affiliation with institutionId, institution, role, startYear and endYear
+ */
+function normalizeAffiliation(affiliation) {
+    return {
+        ...affiliation,
+        institutionId: String(affiliation.institutionId),
+        institution: String(affiliation.institution || affiliation.institutionId),
+        role: affiliation.role ? String(affiliation.role).trim() : null,
+        startYear: toYear(affiliation.startYear),
+        endYear: toYear(affiliation.endYear)
+    };
+}
+
+/**
+ * Check whether a name refers to an institution rather than a place
+ * @param {string} name - Name to check
+ * @returns {boolean} Whether the name looks like an institution
+ */
+function isInstitutionName(name) {
+    return typeof name === 'string' &&
+        INSTITUTION_NAME_PATTERN.test(name.normalize('NFD').replace(/[\u0300-\u036f]/g, ''));
+}
+
+/**
+ * Work out the institution, place and role described by a free-text event
+ * The institution is taken from the title ("Teaching at the University of Paris VIII") or the
+ * location ("University of California, Berkeley"); a location that is not an institution is a place
+ * @param {Object} event - Event with title and location
+ * @returns {Object} { institution, place, role }, each a string or null
+ */
+function parseEventAffiliation(event) {
+    const atMatch = (event.title || '').match(/^(.*?)\s+at\s+(?:the\s+)?(.+)$/i);
+    const fromTitle = atMatch && isInstitutionName(atMatch[2]) ? atMatch[2].trim() : null;
+    const locationIsInstitution = isInstitutionName(event.location);
+    
+    return {
+        institution: fromTitle || (locationIsInstitution ? event.location.trim() : null),
+        place: event.location && !locationIsInstitution ? event.location.trim() : null,
+        role: fromTitle ? atMatch[1].trim() : (event.title ? String(event.title).trim() : null)
+    };
+}
+
+/**
+ * Split a place name such as "Paris, France" into a place record
+ * @param {string} name - Place name
+ * @returns {Object} Place with name and country
+ */
+function placeFromName(name) {
+    const parts = name.split(',').map(part => part.trim()).filter(Boolean);
+    
+    return normalizePlace({
+        name: parts.length > 1 ? parts.slice(0, -1).join(', ') : name,
+        country: parts.length > 1 ? parts[parts.length - 1] : null
+    });
+}
+
+/**
+ * Extend an academic's affiliations with an event at an institution
+ * An existing affiliation with the institution is widened to cover the event's years; otherwise a
+ * new affiliation is added
+ * @param {Array} affiliations - Current affiliations (not modified)
+ * @param {Object} event - Event with institutionId, year and optional endYear
+ * @param {Object} institution - Institution record (needs id and name)
+ * @param {string} role - Role held, used for new affiliations or ones without a role
+ * @returns {Array} Updated affiliations
+ */
+function addEventToAffiliations(affiliations, event, institution, role = null) {
+    const startYear = toYear(event.year);
+    const endYear = toYear(event.endYear) || startYear;
+    const existing = affiliations.find(affiliation => affiliation.institutionId === institution.id);
+    
+    if (!existing) {
+        return [...affiliations, normalizeAffiliation({
+            institutionId: institution.id,
+            institution: institution.name,
+            role,
+            startYear,
+            endYear
+        })];
+    }
+    
+    const years = [existing.startYear, existing.endYear, startYear, endYear].filter(year => year !== null);
+    
+    return affiliations.map(affiliation => (affiliation === existing
+        ? normalizeAffiliation({
+            ...affiliation,
+            role: affiliation.role || role,
+            startYear: years.length > 0 ? Math.min(...years) : null,
+            endYear: years.length > 0 ? Math.max(...years) : null
+        })
+        : affiliation));
+}
+
+/**
+ * Normalize an event entry
+ * @param {*} event - Event object or title string
+ * @returns {Object|null} Event object or null if unusable
+ */
+function normalizeEvent(event) {
+    if (typeof event === 'string') {
+        event = { title: event };
+    }
+    
+    if (!event || typeof event !== 'object' || !event.title) {
+        return null;
+    }
+    
+    // Stored years may be ranges ("1960-1980") or approximate ("c. 1650")
+    const range = parseYearRange(event.year);
+    
+    return {
+        ...event,
+        title: String(event.title),
+        year: range ? range.year : null,
+        endYear: toYear(event.endYear) || (range ? range.endYear : null),
+        approximate: Boolean(event.approximate || (range && range.approximate)),
+        location: event.location ? String(event.location) : null
+    };
+}
+
+/**
+ * Normalize an academic record
+ * @param {Object} academic - Academic object
+ * @returns {Object|null} Academic object or null if unusable
+ */
+function normalizeAcademic(academic) {
+    if (!academic || typeof academic !== 'object' || !academic.name) {
+        return null;
+    }
+    
+    const taxonomies = {};
+    if (academic.taxonomies && typeof academic.taxonomies === 'object') {
+        for (const category in academic.taxonomies) {
+            taxonomies[category] = toStringArray(academic.taxonomies[category]);
+        }
+    }
+    
+    return {
+        ...academic,
+        name: String(academic.name).trim(),
+        aliases: toStringArray(academic.aliases),
+        bio: typeof academic.bio === 'string' ? academic.bio : '',
+        taxonomies,
+        papers: (Array.isArray(academic.papers) ? academic.papers : []).map(normalizePaper).filter(Boolean),
+        events: (Array.isArray(academic.events) ? academic.events : []).map(normalizeEvent).filter(Boolean),
+        connections: toStringArray(academic.connections)
+    };
+}
+
+/**
+ * Normalize a relationship to another academic
+ * Unknown types fall back to the default type; undirected types always have a mutual direction
+ * @param {Object} relationship - Relationship with at least id and name
+ * @returns {Object} Relationship with id, name, type, direction, startYear, endYear and description
+ */
+function normalizeRelationship(relationship) {
+    const type = RELATIONSHIP_TYPES[relationship.type] ? relationship.type : DEFAULT_RELATIONSHIP_TYPE;
+    let direction = 'mutual';
+    
+    if (RELATIONSHIP_TYPES[type].directed) {
+        direction = relationship.direction === 'incoming' ? 'incoming' : 'outgoing';
+    }
+    
+    return {
+        ...relationship,
+        type,
+        direction,
+        startYear: toYear(relationship.startYear),
+        endYear: toYear(relationship.endYear),
+        description: relationship.description ? String(relationship.description) : null
+    };
+}
+
+/**
+ * Build the reciprocal of a relationship, as held by the other academic
+ * Undirected relationships are mirrored as-is; directed ones swap direction (student of -> teacher of)
+ * @param {Object} relationship - Relationship held by the owner
+ * @param {Object} owner - Academic holding the relationship (needs id and name)
+ * @returns {Object} Relationship pointing back at the owner
+ */
+function reciprocalRelationship(relationship, owner) {
+    const directions = { outgoing: 'incoming', incoming: 'outgoing', mutual: 'mutual' };
+    
+    return normalizeRelationship({
+        id: owner.id,
+        name: owner.name,
+        type: relationship.type,
+        direction: directions[relationship.direction] || 'mutual',
+        startYear: relationship.startYear,
+        endYear: relationship.endYear,
+        description: relationship.description
+    });
+}
+
+/**
+ * Get the human-readable label of a relationship from its owner's point of view
+ * @param {Object} relationship - Relationship object
+ * @returns {string} Label, e.g. "Student of" or "Critiqued by"
+ */
+function describeRelationship(relationship) {
+    const definition = RELATIONSHIP_TYPES[relationship.type] || RELATIONSHIP_TYPES[DEFAULT_RELATIONSHIP_TYPE];
+    
+    if (!definition.directed) {
+        return definition.label;
+    }
+    
+    return relationship.direction === 'incoming' ? definition.incoming : definition.outgoing;
+}
+
+/**
+ * Format the year range of a relationship
+ * @param {Object} relationship - Relationship object
+ * @returns {string} Year range such as "1965–1970", "from 1965", "until 1970" or an empty string
+ */
+function formatRelationshipYears(relationship) {
+    const { startYear, endYear } = relationship;
+    
+    if (startYear && endYear) {
+        return formatYearRange(startYear, endYear);
+    }
+    
+    if (startYear) {
+        return `from ${formatHistoricalYear(startYear)}`;
+    }
+    
+    return endYear ? `until ${formatHistoricalYear(endYear)}` : '';
+}
+
+/**
+ * Format an affiliation for display
+ * @param {Object} affiliation - Affiliation object
+ * @returns {string} e.g. "Teaching, University of Paris VIII (1969–1987)"
+ */
+function formatAffiliation(affiliation) {
+    const years = formatRelationshipYears(affiliation);
+    const text = affiliation.role ? `${affiliation.role}, ${affiliation.institution}` : affiliation.institution;
+    
+    return years ? `${text} (${years})` : text;
+}
+
+/**
+ * Ordered list of schema migrations
+ * Each migration upgrades data from `version - 1` to `version` and returns the new data
+ */
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Normalize unversioned academics, novelty tiles, submissions and favorites',
+        migrate(data) {
+            const migrated = { ...data };
+            
+            // Academics may have been stored as an array in older exports
+            if (data.academics) {
+                let academics = data.academics;
+                if (Array.isArray(academics)) {
+                    academics = academics.reduce((result, academic) => {
+                        if (academic && academic.name) {
+                            result[academicKeyFromName(String(academic.name))] = academic;
+                        }
+                        return result;
+                    }, {});
+                }
+                
+                migrated.academics = {};
+                for (const key in academics) {
+                    const academic = normalizeAcademic(academics[key]);
+                    if (academic) {
+                        migrated.academics[key] = academic;
+                    }
+                }
+            }
+            
+            if (data.noveltyTiles) {
+                migrated.noveltyTiles = (Array.isArray(data.noveltyTiles) ? data.noveltyTiles : [])
+                    .filter(tile => tile && tile.title && tile.content)
+                    .map(tile => ({
+                        ...tile,
+                        date: tile.date && !isNaN(new Date(tile.date)) ? tile.date : new Date().toISOString()
+                    }));
+            }
+            
+            if (data.pendingSubmissions) {
+                migrated.pendingSubmissions = (Array.isArray(data.pendingSubmissions) ? data.pendingSubmissions : [])
+                    .filter(submission => submission && submission.academicName && submission.data && submission.data.type);
+            }
+            
+            if (data.favorites) {
+                migrated.favorites = toStringArray(data.favorites);
+            }
+            
+            return migrated;
+        }
+    },
+    {
+        version: 2,
+        description: 'Give academics stable IDs and store connections, favorites and novelty tiles as ID references',
+        migrate(data) {
+            const migrated = { ...data };
+            const academics = data.academics || {};
+            
+            // Map lowercase names to the keys they are stored under
+            const idsByName = new Map();
+            for (const key in academics) {
+                idsByName.set(academics[key].name.toLowerCase(), academics[key].id || key);
+            }
+            
+            const idForName = name => idsByName.get(name.toLowerCase()) || academicKeyFromName(name);
+            
+            if (data.academics) {
+                migrated.academics = {};
+                for (const key in academics) {
+                    const academic = academics[key];
+                    migrated.academics[key] = {
+                        ...academic,
+                        id: key,
+                        connections: (academic.connections || []).map(connection => (
+                            typeof connection === 'string'
+                                ? { id: idForName(connection), name: connection }
+                                : connection
+                        ))
+                    };
+                }
+            }
+            
+            if (data.favorites) {
+                migrated.favorites = Array.from(new Set(data.favorites.map(idForName)));
+            }
+            
+            // Tiles named their academic in the title ("New Contribution: Judith Butler"); link the
+            // ones naming an academic in the database
+            if (data.noveltyTiles) {
+                migrated.noveltyTiles = data.noveltyTiles.map(tile => {
+                    if (tile.academicId) {
+                        return tile;
+                    }
+                    
+                    const name = tile.academicName || String(tile.title || '').split(': ').slice(1).join(': ');
+                    const academicId = name ? idsByName.get(name.trim().toLowerCase()) : undefined;
+                    
+                    return academicId ? { ...tile, academicId } : tile;
+                });
+            }
+            
+            if (data.pendingSubmissions) {
+                migrated.pendingSubmissions = data.pendingSubmissions.map(submission => {
+                    const upgraded = {
+                        ...submission,
+                        academicId: submission.academicId || idForName(submission.academicName)
+                    };
+                    
+                    const connection = submission.data.connection;
+                    if (submission.data.type === 'connection' && connection && !connection.connectedAcademicId) {
+                        upgraded.data = {
+                            ...submission.data,
+                            connection: {
+                                ...connection,
+                                connectedAcademicId: idForName(connection.connectedAcademic)
+                            }
+                        };
+                    }
+                    
+                    return upgraded;
+                });
+            }
+            
+            return migrated;
+        }
+    },
+    {
+        version: 3,
+        description: 'Turn connections into typed, directed relationships',
+        migrate(data) {
+            const migrated = { ...data };
+            
+            if (data.academics) {
+                migrated.academics = {};
+                for (const key in data.academics) {
+                    const academic = data.academics[key];
+                    migrated.academics[key] = {
+                        ...academic,
+                        connections: (academic.connections || []).map(normalizeRelationship)
+                    };
+                }
+            }
+            
+            if (data.pendingSubmissions) {
+                migrated.pendingSubmissions = data.pendingSubmissions.map(submission => {
+                    if (submission.data.type !== 'connection' || !submission.data.connection) {
+                        return submission;
+                    }
+                    
+                    const connection = submission.data.connection;
+                    return {
+                        ...submission,
+                        data: {
+                            ...submission.data,
+                            connection: {
+                                ...connection,
+                                relationshipType: connection.relationshipType || DEFAULT_RELATIONSHIP_TYPE,
+                                direction: connection.direction || 'mutual'
+                            }
+                        }
+                    };
+                });
+            }
+            
+            return migrated;
+        }
+    },
+    {
+        version: 4,
+        description: 'Add alternative names (aliases) to academics',
+        migrate(data) {
+            const migrated = { ...data };
+            
+            if (data.academics) {
+                migrated.academics = {};
+                for (const key in data.academics) {
+                    const academic = data.academics[key];
+                    migrated.academics[key] = {
+                        ...academic,
+                        aliases: toStringArray(academic.aliases).filter(alias => alias !== academic.name)
+                    };
+                }
+            }
+            
+            return migrated;
+        }
+    },
+    {
+        version: 5,
+        description: 'Move papers into a shared works collection linked to their authors by ID',
+        migrate(data) {
+            const migrated = { ...data };
+            
+            if (!data.academics) {
+                return migrated;
+            }
+            
+            const works = { ...(data.works || {}) };
+            
+            // Map name keys to academic references, so co-author names become IDs
+            const referencesByName = new Map();
+            for (const key in data.academics) {
+                const academic = data.academics[key];
+                const reference = { id: academic.id || key, name: academic.name };
+                [academic.name, ...(academic.aliases || [])].forEach(name => {
+                    referencesByName.set(academicKeyFromName(name), reference);
+                });
+            }
+            
+            const referenceForName = name => (
+                referencesByName.get(academicKeyFromName(name)) || { id: academicKeyFromName(name), name }
+            );
+            
+            // The same paper listed by each of its authors becomes a single work
+            const workIds = new Map();
+            for (const id in works) {
+                workIds.set(`${workKeyFromTitle(works[id].title)}|${works[id].year || ''}`, id);
+            }
+            
+            migrated.academics = {};
+            for (const key in data.academics) {
+                const { papers, ...academic } = data.academics[key];
+                const owner = { id: academic.id || key, name: academic.name };
+                
+                (papers || []).forEach(paper => {
+                    const paperKey = `${workKeyFromTitle(paper.title)}|${paper.year || ''}`;
+                    let workId = workIds.get(paperKey);
+                    
+                    if (!workId) {
+                        const { coauthors, ...details } = paper;
+                        const base = workKeyFromTitle(paper.title);
+                        let suffix = 2;
+                        
+                        workId = base;
+                        while (works[workId]) {
+                            workId = `${base}-${suffix++}`;
+                        }
+                        
+                        works[workId] = normalizeWork({ ...details, id: workId, authors: [] });
+                        workIds.set(paperKey, workId);
+                    }
+                    
+                    const work = works[workId];
+                    [owner, ...toStringArray(paper.coauthors).map(referenceForName)].forEach(author => {
+                        if (!work.authors.some(existing => existing.id === author.id)) {
+                            work.authors.push(author);
+                        }
+                    });
+                });
+                
+                migrated.academics[key] = academic;
+            }
+            
+            migrated.works = works;
+            
+            return migrated;
+        }
+    },
+    {
+        version: 6,
+        description: 'Derive institutions, places and affiliation timelines from event locations',
+        migrate(data) {
+            const migrated = { ...data };
+            
+            if (!data.academics) {
+                return migrated;
+            }
+            
+            const institutions = { ...(data.institutions || {}) };
+            const places = { ...(data.places || {}) };
+            
+            // Spelling variants that fold to the same key share a record
+            const institutionIdFor = (name, placeId) => {
+                const id = keyFromText(name, 'institution');
+                if (!institutions[id]) {
+                    institutions[id] = normalizeInstitution({ id, name, aliases: [], placeId });
+                } else if (!institutions[id].placeId && placeId) {
+                    institutions[id].placeId = placeId;
+                }
+                return id;
+            };
+            
+            const placeIdFor = name => {
+                const id = keyFromText(name, 'place');
+                if (!places[id]) {
+                    places[id] = { ...placeFromName(name), id };
+                }
+                return id;
+            };
+            
+            migrated.academics = {};
+            for (const key in data.academics) {
+                const academic = data.academics[key];
+                const roles = new Map();
+                
+                const events = (academic.events || []).map(event => {
+                    const parsed = parseEventAffiliation(event);
+                    const placeId = parsed.place ? placeIdFor(parsed.place) : null;
+                    const institutionId = parsed.institution ? institutionIdFor(parsed.institution, placeId) : null;
+                    const linked = { ...event, institutionId, placeId };
+                    
+                    roles.set(linked, parsed.role);
+                    return linked;
+                });
+                
+                // Oldest first, so an affiliation's role comes from the event that started it
+                const affiliations = events
+                    .filter(event => event.institutionId)
+                    .sort((a, b) => (a.year || 0) - (b.year || 0))
+                    .reduce((list, event) => (
+                        addEventToAffiliations(list, event, institutions[event.institutionId], roles.get(event))
+                    ), academic.affiliations || []);
+                
+                migrated.academics[key] = { ...academic, events, affiliations };
+            }
+            
+            migrated.institutions = institutions;
+            migrated.places = places;
+            
+            return migrated;
+        }
+    },
+    {
+        version: 7,
+        description: 'Create concept records for taxonomy themes',
+        migrate(data) {
+            const migrated = { ...data };
+            
+            if (!data.academics) {
+                return migrated;
+            }
+            
+            const concepts = { ...(data.concepts || {}) };
+            
+            for (const key in data.academics) {
+                const themes = (data.academics[key].taxonomies && data.academics[key].taxonomies.theme) || [];
+                
+                themes.forEach(theme => {
+                    const id = conceptKeyFromName(theme);
+                    if (!concepts[id]) {
+                        concepts[id] = normalizeConcept({ id, name: theme });
+                    }
+                });
+            }
+            
+            migrated.concepts = concepts;
+            
+            return migrated;
+        }
+    },
+    {
+        version: 8,
+        description: 'Parse approximate and BCE years in lifespans, events and works',
+        migrate(data) {
+            const migrated = { ...data };
+            
+            if (data.academics) {
+                migrated.academics = {};
+                
+                for (const key in data.academics) {
+                    const academic = data.academics[key];
+                    const birth = parseHistoricalYear(academic.birthYear);
+                    const death = parseHistoricalYear(academic.deathYear);
+                    
+                    migrated.academics[key] = {
+                        ...academic,
+                        birthYear: birth ? birth.year : null,
+                        birthApproximate: Boolean(birth && birth.approximate),
+                        deathYear: death ? death.year : null,
+                        deathApproximate: Boolean(death && death.approximate),
+                        events: (academic.events || []).map(event => {
+                            const range = parseYearRange(event.year);
+                            
+                            return {
+                                ...event,
+                                year: range ? range.year : null,
+                                endYear: toYear(event.endYear) || (range ? range.endYear : null),
+                                approximate: Boolean(event.approximate || (range && range.approximate))
+                            };
+                        })
+                    };
+                }
+            }
+            
+            if (data.works) {
+                migrated.works = {};
+                
+                for (const id in data.works) {
+                    const work = data.works[id];
+                    const year = parseHistoricalYear(work.year);
+                    
+                    migrated.works[id] = {
+                        ...work,
+                        year: year ? year.year : null,
+                        approximate: Boolean(work.approximate || (year && year.approximate))
+                    };
+                }
+            }
+            
+            return migrated;
+        }
+    }
+];
+
+/**
+ * Upgrade data to the current schema version
+ * @param {Object} data - Data with academics, works, noveltyTiles, pendingSubmissions and favorites
+ * @param {number} fromVersion - Schema version the data was written with (0 if unversioned)
+ * @returns {Object} Result with the upgraded data and the list of applied migration versions
+ */
+function migrateData(data, fromVersion = 0) {
+    const version = parseInt(fromVersion, 10) || 0;
+    
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`Data schema version ${version} is newer than supported version ${SCHEMA_VERSION}`);
+    }
+    
+    let migrated = { ...data };
+    const applied = [];
+    
+    SCHEMA_MIGRATIONS
+        .filter(migration => migration.version > version)
+        .sort((a, b) => a.version - b.version)
+        .forEach(migration => {
+            migrated = migration.migrate(migrated);
+            applied.push(migration.version);
+            console.log(`Applied schema migration ${migration.version}: ${migration.description}`);
+        });
+    
+    migrated.schemaVersion = SCHEMA_VERSION;
+    
+    return { data: migrated, applied };
+}
+
+// Make schema helpers globally available
+window.SCHEMA_VERSION = SCHEMA_VERSION;
+window.SCHEMA_MIGRATIONS = SCHEMA_MIGRATIONS;
+window.RELATIONSHIP_TYPES = RELATIONSHIP_TYPES;
+window.DEFAULT_RELATIONSHIP_TYPE = DEFAULT_RELATIONSHIP_TYPE;
+window.TAXONOMY_CATEGORIES = TAXONOMY_CATEGORIES;
+window.WORK_TYPES = WORK_TYPES;
+window.CONCEPT_LINK_TYPES = CONCEPT_LINK_TYPES;
+window.normalizeRelationship = normalizeRelationship;
+window.reciprocalRelationship = reciprocalRelationship;
+window.describeRelationship = describeRelationship;
+window.formatRelationshipYears = formatRelationshipYears;
+window.parseHistoricalYear = parseHistoricalYear;
+window.parseYearRange = parseYearRange;
+window.toYear = toYear;
+window.formatHistoricalYear = formatHistoricalYear;
+window.formatYearRange = formatYearRange;
+window.formatLifespan = formatLifespan;
+window.isAliveIn = isAliveIn;
+window.formatAffiliation = formatAffiliation;
+window.normalizeInstitution = normalizeInstitution;
+window.normalizePlace = normalizePlace;
+window.parseEventAffiliation = parseEventAffiliation;
+window.placeFromName = placeFromName;
+window.addEventToAffiliations = addEventToAffiliations;
+window.keyFromText = keyFromText;
+window.academicKeyFromName = academicKeyFromName;
+window.workKeyFromTitle = workKeyFromTitle;
+window.conceptKeyFromName = conceptKeyFromName;
+window.normalizeConcept = normalizeConcept;
+window.describeConceptLink = describeConceptLink;
+window.normalizeAcademic = normalizeAcademic;
+window.normalizeWork = normalizeWork;
+window.migrateData = migrateData;
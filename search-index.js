@@ -0,0 +1,261 @@
+/**
+ * Full-text Search Index for KillPhilosophy
+ * Incremental inverted index over names, taxonomies, bios, works and events with
+ * diacritic folding, light stemming and BM25 ranking
+ */
+
+// Weight of each field when counting term frequencies; name (and alias) matches count most
+const SEARCH_FIELD_WEIGHTS = {
+    name: 3,
+    taxonomies: 2,
+    works: 1.5,
+    events: 1,
+    bio: 1
+};
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Words too common to be worth indexing
+const SEARCH_STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'de', 'for', 'from', 'his', 'her', 'in', 'is',
+    'it', 'la', 'le', 'of', 'on', 'or', 'the', 'their', 'to', 'was', 'were', 'which', 'with'
+]);
+
+// Suffixes removed by the stemmer, longest first; each maps to its replacement
+const STEM_SUFFIXES = [
+    ['ational', 'ate'], ['ization', 'ize'], ['fulness', 'ful'], ['iveness', 'ive'],
+    ['ations', 'ate'], ['ation', 'ate'], ['ities', ''], ['ness', ''], ['ment', ''],
+    ['ical', 'ic'], ['isms', ''], ['ists', ''], ['ism', ''], ['ist', ''], ['ity', ''],
+    ['ing', ''], ['ies', 'y'], ['ied', 'y'], ['ed', ''], ['ly', ''], ['s', '']
+];
+
+/**
+ * Fold diacritics and special letters so "Collège" matches "College"
+ * @param {string} text - Text to fold
+ * @returns {string} Folded, lowercased text
+ */
+function foldDiacritics(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/ß/g, 'ss')
+        .replace(/æ/g, 'ae')
+        .replace(/œ/g, 'oe')
+        .replace(/ø/g, 'o')
+        .replace(/ł/g, 'l');
+}
+
+/**
+ * Reduce a word to its stem with a light suffix-stripping stemmer
+ * e.g. "critiques" and "critique" share a stem, as do "structuralism" and "structuralist"
+ * @param {string} word - Folded, lowercased word
+ * @returns {string} Stem
+ */
+function stemWord(word) {
+    if (word.length <= 3 || /^\d+$/.test(word)) {
+        return word;
+    }
+    
+    for (const [suffix, replacement] of STEM_SUFFIXES) {
+        if (word.endsWith(suffix)) {
+            const stem = word.slice(0, -suffix.length) + replacement;
+            
+            // Keep "ss" endings (e.g. "class") and stems that would get too short
+            if (stem.length >= 3 && !(suffix === 's' && /(ss|us|is)$/.test(word))) {
+                return stem;
+            }
+        }
+    }
+    
+    return word;
+}
+
+/**
+ * Split text into folded, stemmed index terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array} Terms, in order, including duplicates
+ */
+function tokenizeText(text) {
+    if (!text) {
+        return [];
+    }
+    
+    return foldDiacritics(text)
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token && !SEARCH_STOP_WORDS.has(token))
+        .map(stemWord);
+}
+
+class SearchIndex {
+    constructor() {
+        this.postings = new Map(); // Term -> Map of document ID -> weighted term frequency
+        this.documents = new Map(); // Document ID -> { terms: Map of term -> frequency, length }
+        this.totalLength = 0;
+    }
+    
+    /**
+     * Number of indexed documents
+     * @returns {number} Document count
+     */
+    get size() {
+        return this.documents.size;
+    }
+    
+    /**
+     * Remove every document
+     */
+    clear() {
+        this.postings.clear();
+        this.documents.clear();
+        this.totalLength = 0;
+    }
+    
+    /**
+     * Collect the weighted term frequencies of an academic
+     * @private
+     * @param {Object} academic - Academic object
+     * @param {Array} works - Works the academic authored
+     * @returns {Map} Term -> weighted frequency
+     */
+    _academicTerms(academic, works) {
+        const terms = new Map();
+        
+        const addText = (text, weight) => {
+            tokenizeText(text).forEach(term => {
+                terms.set(term, (terms.get(term) || 0) + weight);
+            });
+        };
+        
+        addText(academic.name, SEARCH_FIELD_WEIGHTS.name);
+        (academic.aliases || []).forEach(alias => addText(alias, SEARCH_FIELD_WEIGHTS.name));
+        addText(academic.bio, SEARCH_FIELD_WEIGHTS.bio);
+        
+        Object.values(academic.taxonomies || {}).forEach(values => {
+            values.forEach(value => addText(value, SEARCH_FIELD_WEIGHTS.taxonomies));
+        });
+        
+        // Translated titles are indexed too, so "Surveiller et punir" finds Foucault
+        works.forEach(work => {
+            addText(work.title, SEARCH_FIELD_WEIGHTS.works);
+            (work.translations || []).forEach(translation => addText(translation.title, SEARCH_FIELD_WEIGHTS.works));
+        });
+        
+        (academic.events || []).forEach(event => {
+            addText(event.title, SEARCH_FIELD_WEIGHTS.events);
+            addText(event.location, SEARCH_FIELD_WEIGHTS.events);
+        });
+        
+        (academic.affiliations || []).forEach(affiliation => {
+            addText(affiliation.institution, SEARCH_FIELD_WEIGHTS.events);
+        });
+        
+        return terms;
+    }
+    
+    /**
+     * Add or replace the document for an academic
+     * @param {string} id - Academic ID
+     * @param {Object} academic - Academic object
+     * @param {Array} works - Works the academic authored
+     */
+    addDocument(id, academic, works = []) {
+        this.removeDocument(id);
+        
+        const terms = this._academicTerms(academic, works);
+        let length = 0;
+        
+        terms.forEach((frequency, term) => {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+            }
+            this.postings.get(term).set(id, frequency);
+            length += frequency;
+        });
+        
+        this.documents.set(id, { terms, length });
+        this.totalLength += length;
+    }
+    
+    /**
+     * Remove the document for an academic
+     * @param {string} id - Academic ID
+     */
+    removeDocument(id) {
+        const entry = this.documents.get(id);
+        if (!entry) {
+            return;
+        }
+        
+        entry.terms.forEach((frequency, term) => {
+            const posting = this.postings.get(term);
+            posting.delete(id);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+            }
+        });
+        
+        this.totalLength -= entry.length;
+        this.documents.delete(id);
+    }
+    
+    /**
+     * Search the index
+     * The last query word also matches as a prefix, so results update while typing
+     * @param {string} query - Free-text query
+     * @param {number} limit - Maximum number of results (optional)
+     * @returns {Array} Results { id, score, matchedTerms }, best first
+     */
+    search(query, limit = Infinity) {
+        const queryTerms = tokenizeText(query);
+        if (queryTerms.length === 0 || this.documents.size === 0) {
+            return [];
+        }
+        
+        // Expand the last word to every indexed term it starts (folded but unstemmed)
+        const lastWord = foldDiacritics(query).split(/[^\p{L}\p{N}]+/u).filter(Boolean).pop();
+        const expansions = new Set(queryTerms);
+        
+        if (lastWord && lastWord.length >= 3) {
+            this.postings.forEach((posting, term) => {
+                if (term.startsWith(lastWord)) {
+                    expansions.add(term);
+                }
+            });
+        }
+        
+        const averageLength = this.totalLength / this.documents.size;
+        const scores = new Map();
+        
+        expansions.forEach(term => {
+            const posting = this.postings.get(term);
+            if (!posting) {
+                return;
+            }
+            
+            const idf = Math.log(1 + (this.documents.size - posting.size + 0.5) / (posting.size + 0.5));
+            
+            posting.forEach((frequency, id) => {
+                const length = this.documents.get(id).length;
+                const termScore = idf * (frequency * (BM25_K1 + 1)) /
+                    (frequency + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength));
+                
+                const result = scores.get(id) || { id, score: 0, matchedTerms: [] };
+                result.score += termScore;
+                result.matchedTerms.push(term);
+                scores.set(id, result);
+            });
+        });
+        
+        return Array.from(scores.values())
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+// Make the index globally available
+window.SearchIndex = SearchIndex;
+window.foldDiacritics = foldDiacritics;
+window.tokenizeText = tokenizeText;
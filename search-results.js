@@ -0,0 +1,565 @@
+/**
+ * Search Results View for KillPhilosophy
+ * Ranked, sortable and paginated list of matching academics, shared by the terminal search,
+ * taxonomy tag clicks and Deep Search matches
+ */
+
+/**
+ * Fold text for matching while keeping track of where each folded character came from
+ * @param {string} text - Original text
+ * @returns {Object} { folded, offsets } where offsets[i] is the original index of folded[i]
+ *                   (with one extra entry for the end of the text)
+ */
+function foldWithOffsets(text) {
+    let folded = '';
+    const offsets = [];
+    
+    for (let i = 0; i < text.length; i++) {
+        const foldedChar = foldDiacritics(text[i]);
+        for (let j = 0; j < foldedChar.length; j++) {
+            offsets.push(i);
+        }
+        folded += foldedChar;
+    }
+    
+    offsets.push(text.length);
+    return { folded, offsets };
+}
+
+// Sort orders offered by the results view
+const RESULT_SORT_OPTIONS = {
+    relevance: 'Relevance',
+    name: 'Name',
+    born: 'Birth year',
+    discipline: 'Discipline',
+    era: 'Era'
+};
+
+class SearchResultsView {
+    /**
+     * @param {HTMLElement} container - Element the list is rendered into
+     * @param {Object} options - onOpen(academic, entry) handler and pageSize
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onOpen = options.onOpen || null;
+        this.pageSize = options.pageSize || 10;
+        this.entries = []; // { academic, name, score, relevance }
+        this.terms = []; // Folded terms to highlight
+        this.title = '';
+        this.sortBy = 'relevance';
+        this.page = 0;
+        this.selectedIndex = 0; // Index within the current page
+        this.listElement = null;
+    }
+    
+    /**
+     * Show a new set of results
+     * @param {Array} results - Academics, or entries { academic, name, score, relevance }; an entry
+     *                          without an academic is shown by name only
+     * @param {Object} options - title and terms (strings to highlight and rank by)
+     */
+    show(results, options = {}) {
+        this.terms = (options.terms || [])
+            .filter(term => typeof term === 'string' && term.trim() !== '')
+            .map(term => foldDiacritics(term.trim()));
+        this.title = options.title || 'Search results';
+        this.sortBy = 'relevance';
+        this.page = 0;
+        this.selectedIndex = 0;
+        
+        this.entries = (results || []).map(result => {
+            const entry = result && 'academic' in result ? { ...result } : { academic: result };
+            entry.name = entry.name || (entry.academic && entry.academic.name) || '';
+            
+            if (typeof entry.score !== 'number') {
+                entry.score = entry.academic ? this._scoreAcademic(entry.academic) : 0;
+            }
+            
+            return entry;
+        });
+        
+        this.render();
+    }
+    
+    /**
+     * Get the works an academic authored
+     * @private
+     * @param {Object} academic - Academic object
+     * @returns {Array} Work objects
+     */
+    _works(academic) {
+        return typeof databaseManager !== 'undefined' ? databaseManager.getWorksByAuthor(academic.id) : [];
+    }
+    
+    /**
+     * Score an academic against the search terms
+     * Name matches count most, then taxonomy values, bio text and work titles
+     * @private
+     * @param {Object} academic - Academic object
+     * @returns {number} Score
+     */
+    _scoreAcademic(academic) {
+        const name = foldDiacritics(academic.name);
+        let score = 0;
+        
+        this.terms.forEach(term => {
+            if (name === term) {
+                score += 100;
+            } else if (name.startsWith(term)) {
+                score += 50;
+            } else if (name.split(/\s+/).some(word => word.startsWith(term))) {
+                score += 30;
+            } else if (name.includes(term)) {
+                score += 20;
+            }
+            
+            Object.values(academic.taxonomies || {}).forEach(values => {
+                values.forEach(value => {
+                    if (foldDiacritics(value).includes(term)) score += 10;
+                });
+            });
+            
+            if (academic.bio && foldDiacritics(academic.bio).includes(term)) {
+                score += 5;
+            }
+            
+            this._works(academic).forEach(work => {
+                if (foldDiacritics(work.title).includes(term)) score += 3;
+            });
+        });
+        
+        return score;
+    }
+    
+    /**
+     * Get the entries in the current sort order
+     * @private
+     * @returns {Array} Sorted entries
+     */
+    _sortedEntries() {
+        const firstValue = (entry, category) => {
+            const values = entry.academic && entry.academic.taxonomies && entry.academic.taxonomies[category];
+            return values && values.length > 0 ? values[0] : '\uffff'; // Missing values sort last
+        };
+        
+        const comparators = {
+            relevance: (a, b) => b.score - a.score,
+            name: () => 0,
+            born: (a, b) => {
+                const yearA = a.academic && typeof a.academic.birthYear === 'number' ? a.academic.birthYear : Infinity;
+                const yearB = b.academic && typeof b.academic.birthYear === 'number' ? b.academic.birthYear : Infinity;
+                return yearA === yearB ? 0 : (yearA < yearB ? -1 : 1);
+            },
+            discipline: (a, b) => firstValue(a, 'discipline').localeCompare(firstValue(b, 'discipline')),
+            era: (a, b) => firstValue(a, 'era').localeCompare(firstValue(b, 'era'))
+        };
+        
+        const compare = comparators[this.sortBy] || comparators.relevance;
+        
+        return [...this.entries].sort((a, b) => compare(a, b) || a.name.localeCompare(b.name));
+    }
+    
+    /**
+     * Number of pages for the current results
+     * @returns {number} Page count (at least 1)
+     */
+    get pageCount() {
+        return Math.max(1, Math.ceil(this.entries.length / this.pageSize));
+    }
+    
+    /**
+     * Render the list into the container
+     */
+    render() {
+        if (!this.container) return;
+        
+        this.container.innerHTML = '';
+        this.container.style.display = 'block';
+        
+        const sorted = this._sortedEntries();
+        const start = this.page * this.pageSize;
+        const pageEntries = sorted.slice(start, start + this.pageSize);
+        
+        // Header with counts and sorting
+        const header = document.createElement('div');
+        header.className = 'search-results-header';
+        
+        const title = document.createElement('h3');
+        title.textContent = this.title;
+        header.appendChild(title);
+        
+        const count = document.createElement('span');
+        count.className = 'search-results-count';
+        count.textContent = this.entries.length === 0
+            ? 'No results'
+            : `Showing ${start + 1}–${start + pageEntries.length} of ${this.entries.length} result${this.entries.length === 1 ? '' : 's'}`;
+        header.appendChild(count);
+        
+        const sortSelect = document.createElement('select');
+        sortSelect.className = 'search-results-sort';
+        sortSelect.setAttribute('aria-label', 'Sort results');
+        
+        for (const [value, label] of Object.entries(RESULT_SORT_OPTIONS)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `Sort: ${label}`;
+            option.selected = value === this.sortBy;
+            sortSelect.appendChild(option);
+        }
+        
+        sortSelect.addEventListener('change', () => {
+            this.sortBy = sortSelect.value;
+            this.page = 0;
+            this.selectedIndex = 0;
+            this.render();
+            this.focus();
+        });
+        header.appendChild(sortSelect);
+        
+        // Plot the results on the timeline
+        const academics = this.entries.filter(entry => entry.academic).map(entry => entry.academic);
+        if (academics.length > 0 && typeof visualizeTimeline === 'function') {
+            const timelineButton = document.createElement('button');
+            timelineButton.className = 'search-results-timeline';
+            timelineButton.textContent = '⧗ Timeline';
+            timelineButton.title = 'Show these results on a timeline';
+            timelineButton.addEventListener('click', () => visualizeTimeline(academics, this.title));
+            header.appendChild(timelineButton);
+        }
+        
+        this.container.appendChild(header);
+        
+        // Result rows
+        const list = document.createElement('ol');
+        list.className = 'search-results-rows';
+        list.start = start + 1;
+        list.tabIndex = 0;
+        list.setAttribute('role', 'listbox');
+        list.setAttribute('aria-label', this.title);
+        list.addEventListener('keydown', (e) => this._handleKeydown(e));
+        
+        pageEntries.forEach((entry, index) => {
+            list.appendChild(this._renderRow(entry, index));
+        });
+        
+        this.listElement = list;
+        this.container.appendChild(list);
+        
+        // Pagination
+        if (this.pageCount > 1) {
+            const pagination = document.createElement('div');
+            pagination.className = 'search-results-pagination';
+            
+            const prevButton = document.createElement('button');
+            prevButton.textContent = '◀ Prev';
+            prevButton.disabled = this.page === 0;
+            prevButton.addEventListener('click', () => this.goToPage(this.page - 1));
+            
+            const pageLabel = document.createElement('span');
+            pageLabel.textContent = `Page ${this.page + 1} of ${this.pageCount}`;
+            
+            const nextButton = document.createElement('button');
+            nextButton.textContent = 'Next ▶';
+            nextButton.disabled = this.page >= this.pageCount - 1;
+            nextButton.addEventListener('click', () => this.goToPage(this.page + 1));
+            
+            pagination.appendChild(prevButton);
+            pagination.appendChild(pageLabel);
+            pagination.appendChild(nextButton);
+            this.container.appendChild(pagination);
+        }
+        
+        this._updateSelection();
+    }
+    
+    /**
+     * Render a single result row
+     * @private
+     * @param {Object} entry - Result entry
+     * @param {number} index - Index within the current page
+     * @returns {HTMLElement} Row element
+     */
+    _renderRow(entry, index) {
+        const academic = entry.academic;
+        
+        const row = document.createElement('li');
+        row.className = 'search-result-row';
+        row.setAttribute('role', 'option');
+        
+        const name = document.createElement('div');
+        name.className = 'search-result-name';
+        name.appendChild(this._highlight(entry.name));
+        
+        if (entry.relevance) {
+            const relevance = document.createElement('span');
+            relevance.className = 'search-result-relevance';
+            relevance.textContent = ` (Relevance: ${entry.relevance})`;
+            name.appendChild(relevance);
+        }
+        row.appendChild(name);
+        
+        if (academic) {
+            // Discipline, era and lifespan
+            const meta = [];
+            const taxonomies = academic.taxonomies || {};
+            
+            if (taxonomies.discipline && taxonomies.discipline.length > 0) {
+                meta.push(taxonomies.discipline.join(', '));
+            }
+            if (taxonomies.era && taxonomies.era.length > 0) {
+                meta.push(taxonomies.era.join(', '));
+            }
+            const lifespan = formatLifespan(academic);
+            if (lifespan) {
+                meta.push(lifespan);
+            }
+            
+            if (meta.length > 0) {
+                const metaLine = document.createElement('div');
+                metaLine.className = 'search-result-meta';
+                metaLine.appendChild(this._highlight(meta.join(' · ')));
+                row.appendChild(metaLine);
+            }
+            
+            // Where the search terms matched, if not in the name
+            const snippet = this._matchSnippet(academic);
+            if (snippet) {
+                const snippetLine = document.createElement('div');
+                snippetLine.className = 'search-result-snippet';
+                snippetLine.appendChild(document.createTextNode(`${snippet.field}: `));
+                snippetLine.appendChild(this._highlight(snippet.text));
+                row.appendChild(snippetLine);
+            }
+            
+            const counts = document.createElement('div');
+            counts.className = 'search-result-counts';
+            counts.textContent = [
+                [this._works(academic).length, 'work'],
+                [(academic.events || []).length, 'event'],
+                [(academic.connections || []).length, 'connection']
+            ].map(([n, label]) => `${n} ${label}${n === 1 ? '' : 's'}`).join(' · ');
+            row.appendChild(counts);
+        }
+        
+        row.addEventListener('click', () => {
+            this.selectedIndex = index;
+            this._updateSelection();
+            this.open(entry);
+        });
+        
+        return row;
+    }
+    
+    /**
+     * Find a field other than the name where a search term matches
+     * @private
+     * @param {Object} academic - Academic object
+     * @returns {Object|null} { field, text } or null
+     */
+    _matchSnippet(academic) {
+        const name = foldDiacritics(academic.name);
+        const terms = this.terms.filter(term => !name.includes(term));
+        
+        for (const term of terms) {
+            const matches = text => typeof text === 'string' && foldDiacritics(text).includes(term);
+            
+            for (const [category, values] of Object.entries(academic.taxonomies || {})) {
+                const value = values.find(matches);
+                if (value && !['discipline', 'era'].includes(category)) {
+                    return { field: category, text: value };
+                }
+            }
+            
+            const work = this._works(academic).find(w => matches(w.title));
+            if (work) {
+                return { field: 'work', text: work.year ? `${work.title} (${formatHistoricalYear(work.year, work.approximate)})` : work.title };
+            }
+            
+            const event = (academic.events || []).find(e => matches(e.title) || matches(e.location));
+            if (event) {
+                return { field: 'event', text: [event.title, event.location].filter(Boolean).join(', ') };
+            }
+            
+            const bio = academic.bio ? foldWithOffsets(academic.bio) : null;
+            const position = bio ? bio.folded.indexOf(term) : -1;
+            if (position !== -1) {
+                const from = Math.max(0, bio.offsets[position] - 40);
+                const to = Math.min(academic.bio.length, bio.offsets[position + term.length] + 40);
+                return {
+                    field: 'bio',
+                    text: `${from > 0 ? '…' : ''}${academic.bio.slice(from, to)}${to < academic.bio.length ? '…' : ''}`
+                };
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Wrap occurrences of the search terms in <mark> elements
+     * @private
+     * @param {string} text - Text to highlight
+     * @returns {DocumentFragment} Highlighted text
+     */
+    _highlight(text) {
+        const fragment = document.createDocumentFragment();
+        const terms = this.terms.filter(term => term.length > 1);
+        
+        if (terms.length === 0) {
+            fragment.appendChild(document.createTextNode(text));
+            return fragment;
+        }
+        
+        // Match on folded text so "college" highlights "Collège", then map back to the original
+        const pattern = new RegExp(terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'g');
+        const { folded, offsets } = foldWithOffsets(text);
+        let last = 0;
+        let match;
+        
+        while ((match = pattern.exec(folded)) !== null) {
+            const start = offsets[match.index];
+            const end = offsets[match.index + match[0].length];
+            
+            if (start > last) {
+                fragment.appendChild(document.createTextNode(text.slice(last, start)));
+            }
+            
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(start, end);
+            fragment.appendChild(mark);
+            last = end;
+        }
+        
+        if (last < text.length) {
+            fragment.appendChild(document.createTextNode(text.slice(last)));
+        }
+        
+        return fragment;
+    }
+    
+    /**
+     * Handle keyboard navigation within the list
+     * Up/Down move the selection, Enter opens it, Left/Right and PageUp/PageDown change page
+     * @private
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    _handleKeydown(e) {
+        const rows = this.listElement ? this.listElement.children.length : 0;
+        if (rows === 0) return;
+        
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (this.selectedIndex < rows - 1) {
+                    this.selectedIndex++;
+                    this._updateSelection();
+                } else if (this.page < this.pageCount - 1) {
+                    this.goToPage(this.page + 1);
+                }
+                break;
+            
+            case 'ArrowUp':
+                e.preventDefault();
+                if (this.selectedIndex > 0) {
+                    this.selectedIndex--;
+                    this._updateSelection();
+                } else if (this.page > 0) {
+                    this.goToPage(this.page - 1, this.pageSize - 1);
+                }
+                break;
+            
+            case 'ArrowRight':
+            case 'PageDown':
+                e.preventDefault();
+                this.goToPage(this.page + 1);
+                break;
+            
+            case 'ArrowLeft':
+            case 'PageUp':
+                e.preventDefault();
+                this.goToPage(this.page - 1);
+                break;
+            
+            case 'Enter': {
+                e.preventDefault();
+                const start = this.page * this.pageSize;
+                const entry = this._sortedEntries()[start + this.selectedIndex];
+                if (entry) {
+                    this.open(entry);
+                }
+                break;
+            }
+        }
+    }
+    
+    /**
+     * Go to a page of results
+     * @param {number} page - Page index (0-based); out of range pages are ignored
+     * @param {number} selectedIndex - Row to select on the new page
+     */
+    goToPage(page, selectedIndex = 0) {
+        if (page < 0 || page >= this.pageCount) return;
+        
+        this.page = page;
+        this.selectedIndex = selectedIndex;
+        this.render();
+        this.focus();
+    }
+    
+    /**
+     * Mark the selected row
+     * @private
+     */
+    _updateSelection() {
+        if (!this.listElement) return;
+        
+        const rows = Array.from(this.listElement.children);
+        this.selectedIndex = Math.min(this.selectedIndex, Math.max(0, rows.length - 1));
+        
+        rows.forEach((row, i) => {
+            const selected = i === this.selectedIndex;
+            row.classList.toggle('selected', selected);
+            row.setAttribute('aria-selected', selected ? 'true' : 'false');
+            
+            if (selected && typeof row.scrollIntoView === 'function') {
+                row.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+    
+    /**
+     * Move keyboard focus to the list
+     */
+    focus() {
+        if (this.listElement) {
+            this.listElement.focus();
+        }
+    }
+    
+    /**
+     * Open a result
+     * @param {Object} entry - Result entry
+     */
+    open(entry) {
+        if (this.onOpen) {
+            this.onOpen(entry.academic, entry);
+        } else if (entry.academic && typeof displayAcademic === 'function') {
+            displayAcademic(entry.academic);
+        }
+    }
+    
+    /**
+     * Hide the list
+     */
+    hide() {
+        if (this.container) {
+            this.container.innerHTML = '';
+            this.container.style.display = 'none';
+        }
+        this.listElement = null;
+    }
+}
+
+// Make the view globally available
+window.SearchResultsView = SearchResultsView;
@@ -0,0 +1,456 @@
+/**
+ * Storage Adapters for KillPhilosophy
+ * Persistence backends used by the DatabaseManager (IndexedDB with a localStorage fallback)
+ */
+
+// localStorage keys for each persisted collection
+const LOCAL_STORAGE_KEYS = {
+    academics: 'killphilosophy_academics',
+    noveltyTiles: 'killphilosophy_novelties',
+    pendingSubmissions: 'killphilosophy_submissions',
+    favorites: 'killphilosophy_favorites',
+    schemaVersion: 'killphilosophy_schema_version',
+    revisions: 'killphilosophy_revisions',
+    works: 'killphilosophy_works',
+    institutions: 'killphilosophy_institutions',
+    places: 'killphilosophy_places',
+    concepts: 'killphilosophy_concepts',
+    layouts: 'killphilosophy_layouts'
+};
+
+// localStorage key recording that the data lives in IndexedDB, so localStorage is never used as a fallback
+const STORAGE_BACKEND_KEY = 'killphilosophy_storage_backend';
+
+// Collections made of records keyed by ID, stored one record per key in IndexedDB
+const KEYED_COLLECTIONS = ['academics', 'revisions', 'works', 'institutions', 'places', 'concepts'];
+
+// Taxonomy categories that get an IndexedDB index
+const INDEXED_TAXONOMY_CATEGORIES = TAXONOMY_CATEGORIES;
+
+/**
+ * Storage adapter backed by localStorage
+ * Every collection is stored as a single JSON blob, so saving an academic rewrites all of them
+ */
+class LocalStorageAdapter {
+    constructor() {
+        this.name = 'localStorage';
+    }
+    
+    /**
+     * Check whether localStorage can be used
+     * @returns {boolean} Availability indicator
+     */
+    static isAvailable() {
+        try {
+            const testKey = 'killphilosophy_storage_test';
+            localStorage.setItem(testKey, testKey);
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * Open the adapter
+     * @returns {Promise<LocalStorageAdapter>} The opened adapter
+     */
+    async open() {
+        return this;
+    }
+    
+    /**
+     * Load all collections
+     * @returns {Promise<Object>} Stored collections (missing collections are omitted)
+     */
+    async load() {
+        const data = {};
+        
+        for (const collection in LOCAL_STORAGE_KEYS) {
+            const saved = localStorage.getItem(LOCAL_STORAGE_KEYS[collection]);
+            if (saved) {
+                data[collection] = JSON.parse(saved);
+            }
+        }
+        
+        return data;
+    }
+    
+    /**
+     * Save records of a keyed collection (academics, revisions, works, institutions, places or concepts)
+     * @param {string} collection - Keyed collection name
+     * @param {Object} records - All records keyed by ID
+     * @param {Array} keys - Keys that changed (unused, the whole blob is rewritten)
+     * @returns {Promise<void>}
+     */
+    async saveRecords(collection, records, keys) {
+        localStorage.setItem(LOCAL_STORAGE_KEYS[collection], JSON.stringify(records));
+    }
+    
+    /**
+     * Save a non-keyed collection
+     * @param {string} collection - Collection name
+     * @param {*} value - Collection value
+     * @returns {Promise<void>}
+     */
+    async saveCollection(collection, value) {
+        if (!LOCAL_STORAGE_KEYS[collection]) {
+            throw new Error(`Unknown collection: ${collection}`);
+        }
+        
+        localStorage.setItem(LOCAL_STORAGE_KEYS[collection], JSON.stringify(value));
+    }
+    
+    /**
+     * Replace all stored data
+     * @param {Object} data - All collections
+     * @returns {Promise<void>}
+     */
+    async saveAll(data) {
+        for (const collection in LOCAL_STORAGE_KEYS) {
+            if (KEYED_COLLECTIONS.includes(collection)) {
+                await this.saveRecords(collection, data[collection] || {});
+            } else if (data[collection] !== undefined) {
+                await this.saveCollection(collection, data[collection]);
+            }
+        }
+    }
+    
+    /**
+     * Find academic keys by a taxonomy value
+     * @param {string} category - Taxonomy category
+     * @param {string} value - Taxonomy value
+     * @returns {Promise<Array>} Matching academic keys
+     */
+    async findKeysByTaxonomy(category, value) {
+        const academics = JSON.parse(localStorage.getItem(LOCAL_STORAGE_KEYS.academics) || '{}');
+        
+        return Object.keys(academics).filter(key => (
+            academics[key].taxonomies && (academics[key].taxonomies[category] || []).includes(value)
+        ));
+    }
+    
+    /**
+     * Find academic keys by exact name
+     * @param {string} name - Academic name
+     * @returns {Promise<Array>} Matching academic keys
+     */
+    async findKeysByName(name) {
+        const academics = JSON.parse(localStorage.getItem(LOCAL_STORAGE_KEYS.academics) || '{}');
+        
+        return Object.keys(academics).filter(key => academics[key].name === name);
+    }
+}
+
+/**
+ * Storage adapter backed by IndexedDB
+ * Academics, their revision logs, works, institutions, places and concepts are stored as
+ * individual records; academics are indexed on name and taxonomy values
+ */
+class IndexedDBAdapter {
+    constructor(dbName = 'killphilosophy', version = 7) {
+        this.name = 'indexedDB';
+        this.dbName = dbName;
+        this.version = version;
+        this.db = null;
+    }
+    
+    /**
+     * Check whether IndexedDB can be used
+     * @returns {boolean} Availability indicator
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+    
+    /**
+     * Open the database, creating object stores and indexes on first use
+     * @returns {Promise<IndexedDBAdapter>} The opened adapter
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+            
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                
+                const academicsStore = db.objectStoreNames.contains('academics')
+                    ? event.target.transaction.objectStore('academics')
+                    : db.createObjectStore('academics');
+                
+                // Version 6 dropped the indexes, so they are added back wherever they are missing
+                if (!academicsStore.indexNames.contains('name')) {
+                    academicsStore.createIndex('name', 'name', { unique: false });
+                }
+                
+                INDEXED_TAXONOMY_CATEGORIES.forEach(category => {
+                    if (!academicsStore.indexNames.contains(`taxonomy_${category}`)) {
+                        academicsStore.createIndex(`taxonomy_${category}`, `taxonomies.${category}`, {
+                            unique: false,
+                            multiEntry: true
+                        });
+                    }
+                });
+                
+                if (!db.objectStoreNames.contains('collections')) {
+                    db.createObjectStore('collections');
+                }
+                
+                if (!db.objectStoreNames.contains('revisions')) {
+                    db.createObjectStore('revisions');
+                }
+                
+                if (!db.objectStoreNames.contains('works')) {
+                    db.createObjectStore('works');
+                }
+                
+                if (!db.objectStoreNames.contains('institutions')) {
+                    db.createObjectStore('institutions');
+                }
+                
+                if (!db.objectStoreNames.contains('places')) {
+                    db.createObjectStore('places');
+                }
+                
+                if (!db.objectStoreNames.contains('concepts')) {
+                    db.createObjectStore('concepts');
+                }
+            };
+            
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+                
+                // Let a newer version open in another tab; this tab has to be reloaded to keep saving
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    console.warn('The database was upgraded in another tab; reload this page to keep saving changes');
+                };
+                
+                resolve(this);
+            };
+            
+            request.onerror = () => reject(request.error);
+            
+            // Another tab still has the old version open; the request succeeds once that tab closes it
+            request.onblocked = () => {
+                console.warn('Waiting for other tabs to close the database before upgrading it');
+            };
+        });
+    }
+    
+    /**
+     * Wrap an IDBRequest in a promise
+     * @private
+     * @param {IDBRequest} request - IndexedDB request
+     * @returns {Promise<*>} Request result
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Wait for a transaction to complete
+     * @private
+     * @param {IDBTransaction} transaction - IndexedDB transaction
+     * @returns {Promise<void>}
+     */
+    _complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+    
+    /**
+     * Load all collections
+     * @returns {Promise<Object>} Stored collections (missing collections are omitted)
+     */
+    async load() {
+        const stores = [...KEYED_COLLECTIONS, 'collections'];
+        const transaction = this.db.transaction(stores, 'readonly');
+        
+        // Issue every request up front so the transaction stays active
+        const results = await Promise.all(stores.map(storeName => {
+            const store = transaction.objectStore(storeName);
+            return Promise.all([
+                this._request(store.getAllKeys()),
+                this._request(store.getAll())
+            ]);
+        }));
+        
+        const data = {};
+        
+        stores.forEach((storeName, i) => {
+            const [keys, records] = results[i];
+            
+            if (storeName === 'collections') {
+                keys.forEach((key, j) => {
+                    data[key] = records[j];
+                });
+            } else if (keys.length > 0) {
+                data[storeName] = {};
+                keys.forEach((key, j) => {
+                    data[storeName][key] = records[j];
+                });
+            }
+        });
+        
+        return data;
+    }
+    
+    /**
+     * Save records of a keyed collection (academics, revisions, works, institutions, places or concepts)
+     * @param {string} collection - Keyed collection name
+     * @param {Object} records - All records keyed by ID
+     * @param {Array} keys - Keys to write; keys no longer present in records are deleted
+     * @returns {Promise<void>}
+     */
+    async saveRecords(collection, records, keys) {
+        const transaction = this.db.transaction(collection, 'readwrite');
+        const store = transaction.objectStore(collection);
+        
+        (keys || Object.keys(records)).forEach(key => {
+            if (records[key]) {
+                store.put(records[key], key);
+            } else {
+                store.delete(key);
+            }
+        });
+        
+        await this._complete(transaction);
+    }
+    
+    /**
+     * Save a non-academic collection
+     * @param {string} collection - Collection name
+     * @param {*} value - Collection value
+     * @returns {Promise<void>}
+     */
+    async saveCollection(collection, value) {
+        const transaction = this.db.transaction('collections', 'readwrite');
+        transaction.objectStore('collections').put(value, collection);
+        await this._complete(transaction);
+    }
+    
+    /**
+     * Replace all stored data
+     * @param {Object} data - All collections
+     * @returns {Promise<void>}
+     */
+    async saveAll(data) {
+        const transaction = this.db.transaction([...KEYED_COLLECTIONS, 'collections'], 'readwrite');
+        const collectionsStore = transaction.objectStore('collections');
+        
+        KEYED_COLLECTIONS.forEach(collection => {
+            const store = transaction.objectStore(collection);
+            const records = data[collection] || {};
+            
+            store.clear();
+            for (const key in records) {
+                store.put(records[key], key);
+            }
+        });
+        
+        for (const collection in data) {
+            if (!KEYED_COLLECTIONS.includes(collection)) {
+                collectionsStore.put(data[collection], collection);
+            }
+        }
+        
+        await this._complete(transaction);
+    }
+    
+    /**
+     * Find academic keys by an indexed taxonomy value
+     * @param {string} category - Taxonomy category
+     * @param {string} value - Taxonomy value
+     * @returns {Promise<Array>} Matching academic keys
+     */
+    async findKeysByTaxonomy(category, value) {
+        if (!INDEXED_TAXONOMY_CATEGORIES.includes(category)) {
+            return [];
+        }
+        
+        const transaction = this.db.transaction('academics', 'readonly');
+        const index = transaction.objectStore('academics').index(`taxonomy_${category}`);
+        return this._request(index.getAllKeys(value));
+    }
+    
+    /**
+     * Find academic keys by exact name
+     * @param {string} name - Academic name
+     * @returns {Promise<Array>} Matching academic keys
+     */
+    async findKeysByName(name) {
+        const transaction = this.db.transaction('academics', 'readonly');
+        const index = transaction.objectStore('academics').index('name');
+        return this._request(index.getAllKeys(name));
+    }
+    
+    /**
+     * Copy existing localStorage data into IndexedDB if IndexedDB is still empty
+     * The localStorage blobs are removed afterwards to free up quota
+     * @returns {Promise<boolean>} Whether a migration took place
+     */
+    async migrateFromLocalStorage() {
+        if (!LocalStorageAdapter.isAvailable() || !localStorage.getItem(LOCAL_STORAGE_KEYS.academics)) {
+            return false;
+        }
+        
+        const existing = await this.load();
+        if (existing.academics && Object.keys(existing.academics).length > 0) {
+            return false;
+        }
+        
+        const legacyData = await new LocalStorageAdapter().load();
+        await this.saveAll(legacyData);
+        
+        localStorage.setItem(STORAGE_BACKEND_KEY, this.name);
+        for (const collection in LOCAL_STORAGE_KEYS) {
+            localStorage.removeItem(LOCAL_STORAGE_KEYS[collection]);
+        }
+        
+        console.log(`Migrated ${Object.keys(legacyData.academics || {}).length} academics from localStorage to IndexedDB`);
+        return true;
+    }
+}
+
+/**
+ * Pick and open the best available storage adapter
+ * IndexedDB is preferred; localStorage is used when IndexedDB is missing or fails to open, unless
+ * the data has already been moved to IndexedDB: falling back then would show an empty database
+ * and split new writes across both backends.
+ * @returns {Promise<Object>} An opened storage adapter
+ * @throws {Error} If IndexedDB holds the data but cannot be opened
+ */
+async function createStorageAdapter() {
+    if (IndexedDBAdapter.isAvailable()) {
+        try {
+            const adapter = await new IndexedDBAdapter().open();
+            await adapter.migrateFromLocalStorage();
+            
+            if (LocalStorageAdapter.isAvailable()) {
+                localStorage.setItem(STORAGE_BACKEND_KEY, adapter.name);
+            }
+            
+            return adapter;
+        } catch (error) {
+            if (LocalStorageAdapter.isAvailable() && localStorage.getItem(STORAGE_BACKEND_KEY) === 'indexedDB') {
+                throw new Error(`The database is stored in IndexedDB, which could not be opened: ${error.message || error}`);
+            }
+            
+            console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+        }
+    }
+    
+    return new LocalStorageAdapter().open();
+}
+
+// Make adapters globally available
+window.LocalStorageAdapter = LocalStorageAdapter;
+window.IndexedDBAdapter = IndexedDBAdapter;
+window.createStorageAdapter = createStorageAdapter;
@@ -0,0 +1,396 @@
+/**
+ * Timeline Visualization for KillPhilosophy
+ * Plots lifespans, works, events and affiliations of academics on a zoomable D3.js time axis
+ */
+
+// Global timeline state
+let timelineSvg = null;
+let timelineWidth = 0;
+let timelineRows = null;
+
+// Colors of the kinds of timeline items
+const TIMELINE_ITEM_STYLES = {
+    lifespan: { color: '#0a0', label: 'Lifespan' },
+    affiliation: { color: '#0cf', label: 'Affiliation' },
+    work: { color: '#ff0', label: 'Work' },
+    event: { color: '#f60', label: 'Event' }
+};
+
+// Layout of the timeline, in pixels
+const TIMELINE_LABEL_WIDTH = 170;
+const TIMELINE_ROW_HEIGHT = 34;
+const TIMELINE_AXIS_HEIGHT = 30;
+
+/**
+ * Build the timeline rows for a set of academics
+ * Each academic gets a row of items { kind, label, start, end, approximate, open }; end is null
+ * for items that happened in a single year. A lifespan without a death year is drawn up to the
+ * present (or MAXIMUM_LIFESPAN years) and marked open.
+ * @param {Array} academics - Academic objects
+ * @returns {Array} Rows { academic, items }, sorted by the first year on the row; academics
+ *                  without dated items are left out
+ */
+function buildTimelineRows(academics) {
+    const currentYear = new Date().getFullYear();
+    
+    const rows = academics.map(academic => {
+        const items = [];
+        const birthYear = typeof academic.birthYear === 'number' ? academic.birthYear : null;
+        const deathYear = typeof academic.deathYear === 'number' ? academic.deathYear : null;
+        
+        if (birthYear !== null || deathYear !== null) {
+            items.push({
+                kind: 'lifespan',
+                label: `${academic.name} (${formatLifespan(academic)})`,
+                start: birthYear !== null ? birthYear : deathYear - MAXIMUM_LIFESPAN,
+                end: deathYear !== null ? deathYear : Math.min(currentYear, birthYear + MAXIMUM_LIFESPAN),
+                approximate: Boolean(academic.birthApproximate || academic.deathApproximate),
+                open: birthYear === null || deathYear === null
+            });
+        }
+        
+        (academic.affiliations || []).forEach(affiliation => {
+            if (typeof affiliation.startYear === 'number') {
+                items.push({
+                    kind: 'affiliation',
+                    label: formatAffiliation(affiliation),
+                    start: affiliation.startYear,
+                    end: affiliation.endYear !== affiliation.startYear ? affiliation.endYear : null,
+                    approximate: false,
+                    open: false
+                });
+            }
+        });
+        
+        const works = typeof databaseManager !== 'undefined' ? databaseManager.getWorksByAuthor(academic.id) : [];
+        works.forEach(work => {
+            if (typeof work.year === 'number') {
+                items.push({
+                    kind: 'work',
+                    label: `${work.title} (${formatHistoricalYear(work.year, work.approximate)})`,
+                    start: work.year,
+                    end: null,
+                    approximate: work.approximate,
+                    open: false
+                });
+            }
+        });
+        
+        (academic.events || []).forEach(event => {
+            if (typeof event.year === 'number') {
+                items.push({
+                    kind: 'event',
+                    label: `${event.title} (${formatYearRange(event.year, event.endYear, event.approximate)})`,
+                    start: event.year,
+                    end: typeof event.endYear === 'number' && event.endYear !== event.year ? event.endYear : null,
+                    approximate: Boolean(event.approximate),
+                    open: false
+                });
+            }
+        });
+        
+        return { academic, items };
+    }).filter(row => row.items.length > 0);
+    
+    const firstYear = row => Math.min(...row.items.map(item => item.start));
+    
+    return rows.sort((a, b) => firstYear(a) - firstYear(b) || a.academic.name.localeCompare(b.academic.name));
+}
+
+/**
+ * Get the range of years covered by timeline rows
+ * @param {Array} rows - Rows from buildTimelineRows
+ * @returns {Array} [first year, last year], padded so items do not touch the edges
+ */
+function timelineYearDomain(rows) {
+    const years = rows.flatMap(row => row.items.flatMap(item => (item.end !== null ? [item.start, item.end] : [item.start])));
+    const first = Math.min(...years);
+    const last = Math.max(...years);
+    const padding = Math.max(2, Math.round((last - first) * 0.05));
+    
+    return [first - padding, last + padding];
+}
+
+/**
+ * Initialize the timeline container
+ */
+function initializeTimelineVisualization() {
+    console.log('Initializing timeline visualization');
+    
+    const container = document.getElementById('timeline-container');
+    if (!container) {
+        console.warn('Timeline container not found');
+        return;
+    }
+    
+    // Check if D3.js is available
+    if (typeof d3 === 'undefined') {
+        console.error('D3.js library not loaded');
+        container.innerHTML = '<div class="error-message">D3.js library not loaded. Timeline visualization is unavailable.</div>';
+        return;
+    }
+    
+    container.innerHTML = '';
+    
+    timelineWidth = container.clientWidth;
+    
+    timelineSvg = d3.select(container)
+        .append('svg')
+        .attr('width', timelineWidth)
+        .attr('tabindex', '0')
+        .attr('aria-label', 'Timeline of academics');
+    
+    console.log('Timeline visualization initialized');
+}
+
+/**
+ * Show the timeline of a single academic
+ * @param {Object} academic - Academic object
+ */
+function visualizeAcademicTimeline(academic) {
+    if (!academic || !academic.name) {
+        console.error('Invalid academic data for timeline');
+        return;
+    }
+    
+    visualizeTimeline([academic], `Timeline for ${academic.name}`);
+}
+
+/**
+ * Show the timeline of every academic in the database
+ */
+function visualizeDatabaseTimeline() {
+    if (typeof databaseManager === 'undefined') {
+        displayErrorMessage('Database manager not available', 'database');
+        return;
+    }
+    
+    visualizeTimeline(databaseManager.getAllAcademics(), 'Timeline of the database');
+}
+
+/**
+ * Show the timeline of a set of academics, one row each
+ * Scrolling zooms the time axis and dragging pans it; clicking an item opens the academic
+ * @param {Array} academics - Academic objects (e.g. search results)
+ * @param {string} title - Timeline title
+ */
+function visualizeTimeline(academics, title = 'Timeline') {
+    if (!Array.isArray(academics)) {
+        console.error('Invalid timeline data');
+        return;
+    }
+    
+    // Make sure the timeline container is initialized
+    if (!timelineSvg) {
+        initializeTimelineVisualization();
+        
+        if (!timelineSvg) {
+            console.error('Failed to initialize timeline visualization');
+            return;
+        }
+    }
+    
+    const container = document.getElementById('timeline-container');
+    if (!container) {
+        console.warn('Timeline container not found');
+        return;
+    }
+    
+    container.style.display = 'block';
+    
+    // Add title
+    container.querySelector('.visualization-title')?.remove();
+    const titleElement = document.createElement('h3');
+    titleElement.className = 'visualization-title';
+    titleElement.textContent = title;
+    container.appendChild(titleElement);
+    
+    // Add close button if not already present
+    if (!container.querySelector('.close-visualization-btn')) {
+        const closeButton = document.createElement('button');
+        closeButton.className = 'close-visualization-btn';
+        closeButton.innerHTML = '×';
+        closeButton.title = 'Close timeline';
+        closeButton.setAttribute('aria-label', 'Close timeline');
+        closeButton.addEventListener('click', () => {
+            container.style.display = 'none';
+        });
+        container.appendChild(closeButton);
+    }
+    
+    timelineSvg.selectAll('*').remove();
+    timelineRows = buildTimelineRows(academics);
+    
+    console.log(`Visualizing timeline with ${timelineRows.length} rows`);
+    
+    if (timelineRows.length === 0) {
+        timelineSvg.attr('height', TIMELINE_ROW_HEIGHT);
+        timelineSvg.append('text')
+            .attr('x', 10)
+            .attr('y', 20)
+            .attr('font-size', '12px')
+            .attr('fill', '#0f0')
+            .text('No dated lifespans, works, events or affiliations to show');
+        return;
+    }
+    
+    // Update size in case the container has changed
+    timelineWidth = container.clientWidth;
+    const height = TIMELINE_AXIS_HEIGHT + timelineRows.length * TIMELINE_ROW_HEIGHT;
+    
+    timelineSvg.attr('width', timelineWidth)
+               .attr('height', height);
+    
+    const x = d3.scaleLinear()
+        .domain(timelineYearDomain(timelineRows))
+        .range([TIMELINE_LABEL_WIDTH, timelineWidth - 10]);
+    
+    // Keep items from spilling into the label column while zoomed
+    timelineSvg.append('defs')
+        .append('clipPath')
+        .attr('id', 'timeline-clip')
+        .append('rect')
+        .attr('x', TIMELINE_LABEL_WIDTH)
+        .attr('y', 0)
+        .attr('width', Math.max(0, timelineWidth - TIMELINE_LABEL_WIDTH))
+        .attr('height', height);
+    
+    const axis = d3.axisTop(x)
+        .ticks(Math.max(2, Math.floor((timelineWidth - TIMELINE_LABEL_WIDTH) / 80)))
+        .tickFormat(year => (Number.isInteger(year) ? formatHistoricalYear(year) : ''));
+    
+    const axisGroup = timelineSvg.append('g')
+        .attr('class', 'timeline-axis')
+        .attr('transform', `translate(0, ${TIMELINE_AXIS_HEIGHT - 5})`)
+        .call(axis);
+    
+    axisGroup.selectAll('text').attr('fill', '#0f0');
+    axisGroup.selectAll('line, path').attr('stroke', '#0a0');
+    
+    // One row per academic, with the name in the label column
+    const rowGroups = timelineSvg.append('g')
+        .attr('class', 'timeline-rows')
+        .selectAll('g')
+        .data(timelineRows)
+        .enter()
+        .append('g')
+        .attr('class', 'timeline-row')
+        .attr('transform', (d, i) => `translate(0, ${TIMELINE_AXIS_HEIGHT + i * TIMELINE_ROW_HEIGHT})`);
+    
+    rowGroups.append('text')
+        .attr('class', 'timeline-label')
+        .attr('x', 5)
+        .attr('y', TIMELINE_ROW_HEIGHT / 2 + 4)
+        .attr('font-size', '12px')
+        .attr('fill', '#0f0')
+        .style('cursor', 'pointer')
+        .text(d => d.academic.name)
+        .on('click', (event, d) => displayAcademic(d.academic));
+    
+    const itemGroups = rowGroups.append('g')
+        .attr('clip-path', 'url(#timeline-clip)');
+    
+    // Spans (lifespans, affiliations and events over several years) are bars; single years are dots
+    const spans = itemGroups.selectAll('rect')
+        .data(d => d.items.filter(item => item.kind === 'lifespan' || item.end !== null).map(item => ({ ...item, academic: d.academic })))
+        .enter()
+        .append('rect')
+        .attr('class', d => `timeline-item timeline-${d.kind}`)
+        .attr('y', d => timelineItemOffset(d.kind))
+        .attr('height', d => (d.kind === 'lifespan' ? 8 : 4))
+        .attr('fill', d => TIMELINE_ITEM_STYLES[d.kind].color)
+        .attr('fill-opacity', d => (d.open || d.approximate ? 0.5 : 0.9))
+        .attr('stroke', d => (d.open ? TIMELINE_ITEM_STYLES[d.kind].color : 'none'))
+        .attr('stroke-dasharray', '3,2');
+    
+    const points = itemGroups.selectAll('circle')
+        .data(d => d.items.filter(item => item.kind !== 'lifespan' && item.end === null).map(item => ({ ...item, academic: d.academic })))
+        .enter()
+        .append('circle')
+        .attr('class', d => `timeline-item timeline-${d.kind}`)
+        .attr('cy', d => timelineItemOffset(d.kind) + 2)
+        .attr('r', 4)
+        .attr('fill', d => (d.approximate ? 'none' : TIMELINE_ITEM_STYLES[d.kind].color))
+        .attr('stroke', d => TIMELINE_ITEM_STYLES[d.kind].color);
+    
+    timelineSvg.selectAll('.timeline-item')
+        .style('cursor', 'pointer')
+        .on('click', (event, d) => displayAcademic(d.academic))
+        .append('title')
+        .text(d => d.label);
+    
+    // Place every item and the axis for a (possibly zoomed) scale from years to pixels
+    const position = (scale) => {
+        spans
+            .attr('x', d => scale(d.start))
+            .attr('width', d => Math.max(2, scale(d.end !== null ? d.end : d.start) - scale(d.start)));
+        points.attr('cx', d => scale(d.start));
+        axisGroup.call(axis.scale(scale));
+        axisGroup.selectAll('text').attr('fill', '#0f0');
+    };
+    
+    position(x);
+    
+    // Zoom and pan the time axis only; rows stay where they are
+    const zoom = d3.zoom()
+        .scaleExtent([1, 200])
+        .translateExtent([[TIMELINE_LABEL_WIDTH, 0], [timelineWidth, height]])
+        .extent([[TIMELINE_LABEL_WIDTH, 0], [timelineWidth, height]])
+        .on('zoom', (event) => position(event.transform.rescaleX(x)));
+    
+    timelineSvg.call(zoom);
+    timelineSvg.call(zoom.transform, d3.zoomIdentity);
+    
+    addTimelineLegend(container);
+    
+    console.log('Timeline visualization created');
+}
+
+/**
+ * Vertical offset of an item within its row, so kinds of items do not overlap
+ * @param {string} kind - Item kind
+ * @returns {number} Offset from the top of the row, in pixels
+ */
+function timelineItemOffset(kind) {
+    switch (kind) {
+        case 'lifespan':
+            return 13;
+        case 'affiliation':
+            return 24;
+        default:
+            return 4;
+    }
+}
+
+/**
+ * Add a legend below the timeline
+ * @param {HTMLElement} container - Timeline container
+ */
+function addTimelineLegend(container) {
+    container.querySelector('.timeline-legend')?.remove();
+    
+    const legend = document.createElement('div');
+    legend.className = 'timeline-legend';
+    
+    for (const kind in TIMELINE_ITEM_STYLES) {
+        const item = document.createElement('span');
+        item.className = 'timeline-legend-item';
+        item.style.color = TIMELINE_ITEM_STYLES[kind].color;
+        item.textContent = `● ${TIMELINE_ITEM_STYLES[kind].label}`;
+        legend.appendChild(item);
+    }
+    
+    const note = document.createElement('span');
+    note.className = 'timeline-legend-item';
+    note.textContent = 'Faded or hollow: approximate or open-ended · scroll to zoom, drag to pan';
+    legend.appendChild(note);
+    
+    container.appendChild(legend);
+}
+
+// Make functions globally available
+window.initializeTimelineVisualization = initializeTimelineVisualization;
+window.buildTimelineRows = buildTimelineRows;
+window.visualizeTimeline = visualizeTimeline;
+window.visualizeAcademicTimeline = visualizeAcademicTimeline;
+window.visualizeDatabaseTimeline = visualizeDatabaseTimeline;